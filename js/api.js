@@ -6,6 +6,10 @@
  */
 
 import { getEnv } from './config.js';
+import { getAccessToken } from './auth.js';
+import { tandemFetch, fetchJSON } from './client.js';
+import { runScan } from './scanner.js';
+import { batchConfig, runInChunks, throwIfChunksFailed } from './batching.js';
 import { RegionLabelMap, ColumnFamilies, QC } from '../tandem/constants.js';
 
 const env = getEnv();
@@ -21,7 +25,7 @@ export const tandemAppBaseURL = env.tandemAppBaseURL;
  */
 export function makeRequestOptionsGET(region = null) {
   const headers = new Headers();
-  headers.append("Authorization", `Bearer ${window.sessionStorage.token}`);
+  headers.append("Authorization", `Bearer ${getAccessToken()}`);
   
   if (region) {
     headers.append("Region", region);
@@ -42,7 +46,7 @@ export function makeRequestOptionsGET(region = null) {
  */
 export function makeRequestOptionsPOST(bodyPayload, region = null) {
   const headers = new Headers();
-  headers.append("Authorization", `Bearer ${window.sessionStorage.token}`);
+  headers.append("Authorization", `Bearer ${getAccessToken()}`);
   headers.append("Content-Type", "application/json");
   
   if (region) {
@@ -65,46 +69,33 @@ export function makeRequestOptionsPOST(bodyPayload, region = null) {
  * 
  * @param {string} userId - User ID (typically '@me')
  * @returns {Promise<object>} User resources with twins and groups
+ * @throws {TandemApiError}
  */
 export async function getUserResources(userId) {
   const requestPath = `${tandemBaseURL}/users/${userId}/resources`;
-  
-  try {
-    const response = await fetch(requestPath, makeRequestOptionsGET());
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    return await response.json();
-  } catch (error) {
-    console.error('Error fetching user resources:', error);
-    return null;
-  }
+  return await fetchJSON(requestPath, makeRequestOptionsGET());
 }
 
 /**
  * Get groups (accounts/teams)
  * @returns {Promise<Array>} Array of groups
+ * @throws {TandemApiError}
  */
 export async function getGroups() {
   const requestPath = `${tandemBaseURL}/groups`;
-  
-  try {
-    const response = await fetch(requestPath, makeRequestOptionsGET());
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    return await response.json();
-  } catch (error) {
-    console.error('Error fetching groups:', error);
-    return [];
-  }
+  return await fetchJSON(requestPath, makeRequestOptionsGET());
 }
 
 /**
  * Get facilities for a group, handling multi-region queries
  * 
+ * A region that has no facilities for the group answers 404 or an empty body; that
+ * region is skipped. Any other failure (throttling, auth, server errors) is thrown, so
+ * callers can tell it apart from "no facilities".
+ *
  * @param {string} groupId - Group URN or '@me' for directly shared facilities
  * @returns {Promise<object>} Facilities object keyed by URN
+ * @throws {TandemApiError}
  */
 export async function getFacilitiesForGroup(groupId) {
   const regions = ['US', 'EMEA', 'AUS'];
@@ -118,16 +109,14 @@ export async function getFacilitiesForGroup(groupId) {
   // Query all regions in parallel
   const promises = regions.map(async (region) => {
     try {
-      const response = await fetch(endpoint, makeRequestOptionsGET(region));
-      if (response.ok) {
-        const data = await response.json();
-        // Add region info to each facility
-        for (const [urn, settings] of Object.entries(data)) {
-          facilities[urn] = { ...settings, region: region.toLowerCase() };
-        }
+      const data = await fetchJSON(endpoint, makeRequestOptionsGET(region));
+      // Add region info to each facility
+      for (const [urn, settings] of Object.entries(data || {})) {
+        facilities[urn] = { ...settings, region: region.toLowerCase() };
       }
     } catch (error) {
-      console.warn(`Error fetching facilities for region ${region}:`, error);
+      if (error.status !== 404) throw error;
+      console.log(`No facilities for this group in region ${region}`);
     }
   });
   
@@ -140,20 +129,11 @@ export async function getFacilitiesForGroup(groupId) {
  * @param {string} facilityURN - Facility URN
  * @param {string} region - Region (e.g., 'US', 'EMEA', 'AUS')
  * @returns {Promise<object>} Facility info
+ * @throws {TandemApiError}
  */
 export async function getFacilityInfo(facilityURN, region) {
   const requestPath = `${tandemBaseURL}/twins/${facilityURN}`;
-  
-  try {
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    return await response.json();
-  } catch (error) {
-    console.error('Error fetching facility info:', error);
-    return null;
-  }
+  return await fetchJSON(requestPath, makeRequestOptionsGET(region));
 }
 
 /**
@@ -166,12 +146,11 @@ export async function getFacilityThumbnail(facilityURN, region) {
   const requestPath = `${tandemBaseURL}/twins/${facilityURN}/thumbnail`;
   
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
-    if (response.ok) {
-      const blob = await response.blob();
-      return URL.createObjectURL(blob);
-    }
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET(region));
+    const blob = await response.blob();
+    return URL.createObjectURL(blob);
   } catch (error) {
+    // Not every facility has a thumbnail - a missing one is not an error worth surfacing
     console.warn('Error fetching facility thumbnail:', error);
   }
   
@@ -205,15 +184,11 @@ export function cleanupThumbnailURLs() {
  * @param {string} facilityURN - Facility URN
  * @param {string} region - Region identifier
  * @returns {Promise<Array>} List of models
+ * @throws {TandemApiError}
  */
 export async function getModels(facilityURN, region) {
-  try {
-    const facilityInfo = await getFacilityInfo(facilityURN, region);
-    return facilityInfo ? facilityInfo.links : null;
-  } catch (error) {
-    console.error('Error fetching models:', error);
-    return null;
-  }
+  const facilityInfo = await getFacilityInfo(facilityURN, region);
+  return facilityInfo?.links || [];
 }
 
 /**
@@ -258,12 +233,14 @@ export function logResponse(data, label = 'Response') {
 
 /**
  * Scan for elements with specific qualified properties
+ * Runs in the scan worker (see scanner.js) - the response can be very large.
  * 
  * @param {string} modelURN - Model URN
  * @param {Array<string>} qualProps - Array of qualified property IDs (e.g., ['n:c', 'n:n'])
  * @param {string} region - Region
  * @param {boolean} includeHistory - Include property history
  * @returns {Promise<Array>} Array of elements
+ * @throws {TandemApiError}
  */
 export async function scanForQualifiedProperties(modelURN, qualProps, region, includeHistory = false) {
   const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/scan`;
@@ -273,16 +250,35 @@ export async function scanForQualifiedProperties(modelURN, qualProps, region, in
     includeHistory: includeHistory
   });
   
-  try {
-    const response = await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    return await response.json();
-  } catch (error) {
-    console.error('Error scanning for properties:', error);
-    return null;
-  }
+  return await runScan(requestPath, makeRequestOptionsPOST(bodyPayload, region), { modelURN });
+}
+
+/**
+ * Scan specific elements, splitting long key lists into several /scan requests
+ *
+ * Chunks of batchConfig.scanChunkSize keys are sent batchConfig.scanConcurrency at a
+ * time. The merged result looks like a single response: the version row of the first
+ * chunk, then the rows of all chunks in key order.
+ *
+ * @param {string} requestPath - Scan URL
+ * @param {Array<string>} keys - Element keys
+ * @param {string} region - Region
+ * @param {Function} makeBody - (keyChunk) => JSON body for one request
+ * @returns {Promise<Array>} [versionRow, ...rows]
+ * @throws {TandemApiError|BatchError} BatchError.partialResult holds the rows that were read
+ */
+async function scanByKeys(requestPath, keys, region, makeBody) {
+  const outcomes = await runInChunks(keys, batchConfig.scanChunkSize,
+    keyChunk => fetchJSON(requestPath, makeRequestOptionsPOST(makeBody(keyChunk), region)),
+    { concurrency: batchConfig.scanConcurrency });
+
+  const merge = () => {
+    const succeeded = outcomes.filter(outcome => !outcome.error);
+    const versionRow = succeeded[0]?.result?.[0] ?? {};
+    return [versionRow, ...succeeded.flatMap(outcome => (outcome.result || []).slice(1))];
+  };
+  throwIfChunksFailed(outcomes, `POST ${requestPath}`, merge);
+  return merge();
 }
 
 /**
@@ -293,6 +289,7 @@ export async function scanForQualifiedProperties(modelURN, qualProps, region, in
  * @param {string} region - Region
  * @param {boolean} includeHistory - Include property history
  * @returns {Promise<Array>} Array of element properties
+ * @throws {TandemApiError|BatchError}
  */
 export async function scanAllPropsForElements(modelURN, elementKeys, region, includeHistory = false) {
   const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/scan`;
@@ -305,22 +302,11 @@ export async function scanAllPropsForElements(modelURN, elementKeys, region, inc
     ColumnFamilies.DtProperties
   ];
   
-  const bodyPayload = JSON.stringify({
+  return await scanByKeys(requestPath, elementKeys, region, keyChunk => JSON.stringify({
     families: colFamilies,
     includeHistory: includeHistory,
-    keys: elementKeys
-  });
-  
-  try {
-    const response = await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    return await response.json();
-  } catch (error) {
-    console.error('Error scanning element properties:', error);
-    return null;
-  }
+    keys: keyChunk
+  }));
 }
 
 /**
@@ -331,28 +317,42 @@ export async function scanAllPropsForElements(modelURN, elementKeys, region, inc
  * @param {string} region - Region
  * @param {Array<string>} columnFamilies - Column families to fetch
  * @returns {Promise<Array>} Array of elements
+ * @throws {TandemApiError|BatchError}
  */
 export async function getElements(modelURN, keys, region, columnFamilies = [ColumnFamilies.Standard]) {
   const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/scan`;
   
-  const bodyPayload = JSON.stringify({
+  const data = await scanByKeys(requestPath, keys, region, keyChunk => JSON.stringify({
     families: columnFamilies,
     includeHistory: false,
     skipArrays: true,
-    keys: keys
-  });
+    keys: keyChunk
+  }));
+  return data.slice(1); // Skip version row
+}
+
+/**
+ * Get specific columns of specific elements from a model
+ * 
+ * @param {string} modelURN - Model URN
+ * @param {Array<string>} keys - Full element keys
+ * @param {Array<string>} qualifiedColumns - Qualified columns (e.g., ['n:n', 'z:5mQ'])
+ * @param {string} region - Region
+ * @param {boolean} [includeHistory=false] - Return [timestamp, value, ...] arrays (newest first)
+ *   instead of one value per column
+ * @returns {Promise<Array>} Array of elements
+ * @throws {TandemApiError|BatchError}
+ */
+export async function getElementColumns(modelURN, keys, qualifiedColumns, region, includeHistory = false) {
+  const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/scan`;
   
-  try {
-    const response = await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    const data = await response.json();
-    return data.slice(1); // Skip version row
-  } catch (error) {
-    console.error('Error fetching elements:', error);
-    return [];
-  }
+  const data = await scanByKeys(requestPath, keys, region, keyChunk => JSON.stringify({
+    qualifiedColumns: qualifiedColumns,
+    includeHistory: includeHistory,
+    skipArrays: !includeHistory,
+    keys: keyChunk
+  }));
+  return data.slice(1); // Skip version row
 }
 
 /**
@@ -362,6 +362,7 @@ export async function getElements(modelURN, keys, region, columnFamilies = [Colu
  * @param {string} region - Region
  * @param {Array<string>} columnFamilies - Column families to fetch
  * @returns {Promise<Array>} Array of assets
+ * @throws {TandemApiError}
  */
 export async function getTaggedAssets(modelURN, region, columnFamilies = [ColumnFamilies.Standard, ColumnFamilies.DtProperties, ColumnFamilies.Refs]) {
   const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/scan`;
@@ -372,27 +373,11 @@ export async function getTaggedAssets(modelURN, region, columnFamilies = [Column
     skipArrays: true
   });
   
-  try {
-    const response = await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    const data = await response.json();
-    
-    // Filter to only elements with user-defined properties
-    const results = [];
-    for (const item of data) {
-      const keys = Object.keys(item);
-      const userProps = keys.filter(k => k.startsWith(`${ColumnFamilies.DtProperties}:`));
-      if (userProps.length > 0) {
-        results.push(item);
-      }
-    }
-    return results;
-  } catch (error) {
-    console.error('Error fetching tagged assets:', error);
-    return [];
-  }
+  // Only elements with user-defined properties are kept (filtered in the scan worker)
+  return await runScan(requestPath, makeRequestOptionsPOST(bodyPayload, region), {
+    modelURN,
+    filter: { columnPrefix: `${ColumnFamilies.DtProperties}:` }
+  });
 }
 
 /**
@@ -432,19 +417,11 @@ export function extractPropertyValues(rawProps, qualProp, returnHistory = false)
  * @param {string} modelURN - Model URN
  * @param {string} region - Region identifier
  * @returns {Promise<object>} Model schema
+ * @throws {TandemApiError}
  */
 export async function getModelSchema(modelURN, region) {
-  try {
-    const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/schema`;
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
-    return await response.json();
-  } catch (error) {
-    console.error('Error fetching model schema:', error);
-    return null;
-  }
+  const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/schema`;
+  return await fetchJSON(requestPath, makeRequestOptionsGET(region));
 }
 
 /**
@@ -454,72 +431,61 @@ export async function getModelSchema(modelURN, region) {
  * @param {string} facilityURN - Facility URN
  * @param {string} region - Region identifier
  * @returns {Promise<object>} Inline template
+ * @throws {TandemApiError}
  */
 export async function getFacilityInlineTemplate(facilityURN, region) {
-  try {
-    const requestPath = `${tandemBaseURL}/twins/${facilityURN}/inlinetemplate`;
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
-    return await response.json();
-  } catch (error) {
-    console.error('Error fetching inline template:', error);
-    return null;
-  }
+  const requestPath = `${tandemBaseURL}/twins/${facilityURN}/inlinetemplate`;
+  return await fetchJSON(requestPath, makeRequestOptionsGET(region));
 }
 
 /**
  * Scan elements from a model with specific column families
+ * Runs in the scan worker (see scanner.js) - the response can be very large.
  * 
  * @param {string} modelURN - Model URN
  * @param {Array<string>} families - Column families to include
  * @param {string} region - Region identifier
  * @returns {Promise<Array>} Elements
+ * @throws {TandemApiError}
  */
 export async function scanModelElements(modelURN, families, region) {
-  try {
-    const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/scan`;
-    const bodyPayload = JSON.stringify({
-      families: families,
-      includeHistory: false
-    });
-    
-    const response = await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
-    const data = await response.json();
-    return data.slice(1); // Skip version row
-  } catch (error) {
-    console.error('Error scanning model elements:', error);
-    return [];
-  }
+  const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/scan`;
+  const bodyPayload = JSON.stringify({
+    families: families,
+    includeHistory: false
+  });
+  
+  return await runScan(requestPath, makeRequestOptionsPOST(bodyPayload, region), {
+    modelURN,
+    filter: { skipVersionRow: true }
+  });
 }
 
 /**
- * Match classification string against a pattern
- * Supports wildcards like "Walls > *"
+ * Get the change history (transactions) of a model
  * 
- * @param {string} classification - Element's classification
- * @param {string} pattern - Pattern to match (may contain *)
- * @returns {boolean} True if matches
+ * @param {string} modelURN - Model URN
+ * @param {string} region - Region identifier
+ * @param {object} [options]
+ * @param {number} [options.min] - Earliest timestamp (ms since epoch)
+ * @param {number} [options.max] - Latest timestamp (ms since epoch)
+ * @param {Array<number>} [options.timestamps] - Only these transactions (instead of min/max),
+ *   e.g. the timestamps of a history scan
+ * @param {boolean} [options.includeChanges=false] - Include the keys changed by each transaction (k)
+ * @returns {Promise<Array>} Transactions with the HC fields: { t, n (user), d (description),
+ *   o (operation), c (client ID), i (correlation ID), k? }
+ * @throws {TandemApiError}
  */
-export function matchClassification(classification, pattern) {
-  if (!classification || !pattern) return false;
-  
-  // Exact match
-  if (classification === pattern) return true;
-  
-  // Wildcard match (e.g., "Walls > *" matches "Walls > Curtain Wall")
-  if (pattern.endsWith(' > *')) {
-    const prefix = pattern.slice(0, -4); // Remove " > *"
-    return classification.startsWith(prefix + ' > ');
-  }
-  
-  // Pattern is a prefix of classification
-  if (classification.startsWith(pattern + ' > ')) return true;
+export async function getModelHistory(modelURN, region, { min, max, timestamps, includeChanges = false } = {}) {
+  const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/history`;
+  const bodyPayload = JSON.stringify({
+    min: min,
+    max: max,
+    timestamps: timestamps,
+    includeChanges: includeChanges,
+    useFullKeys: true
+  });
   
-  return false;
+  return await fetchJSON(requestPath, makeRequestOptionsPOST(bodyPayload, region));
 }
 
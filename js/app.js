@@ -16,7 +16,15 @@ import {
 } from './api.js';
 import { normalizeRegion, SchemaVersion } from '../tandem/constants.js';
 import { renderStubs } from './ui/stubUI.js';
+import { initInspectorPanel } from './ui/inspectorPanel.js';
+import { initEnvironmentSelector } from './ui/environmentUI.js';
+import { initMutationPreview } from './ui/mutationPreviewUI.js';
+import { openOperationsPanel } from './ui/operationsPanel.js';
+import { initScanProgress } from './ui/scanProgressUI.js';
+import { initSimulatorStatus } from './ui/simulatorPanel.js';
+import { envStorageKey } from './config.js';
 import { loadSchemasForFacility, clearSchemaCache } from './state/schemaCache.js';
+import { isElementIndexEnabled, setElementIndexEnabled } from './state/elementIndex.js';
 
 // DOM Elements
 const loginBtn = document.getElementById('loginBtn');
@@ -31,12 +39,23 @@ const loadingOverlay = document.getElementById('loadingOverlay');
 const stubsContainer = document.getElementById('stubsContainer');
 const facilityThumbnail = document.getElementById('facilityThumbnail');
 const thumbnailPlaceholder = document.getElementById('thumbnailPlaceholder');
+const inspectorPanel = document.getElementById('inspectorPanel');
+const envSelect = document.getElementById('envSelect');
+const dryRunToggle = document.getElementById('dryRunToggle');
+const elementIndexToggle = document.getElementById('elementIndexToggle');
+const scanProgress = document.getElementById('scanProgress');
+const simulatorStatus = document.getElementById('simulatorStatus');
+const operationsBtn = document.getElementById('operationsBtn');
+
+// Remembered selections are kept per environment (prod and stg have different facilities)
+const LAST_ACCOUNT_KEY = envStorageKey('tandem-testbed-ai-last-account');
+const LAST_FACILITIES_KEY = envStorageKey('tandem-testbed-ai-last-facilities');
 
 // State
 let accounts = [];
 let currentFacilityURN = null;
 let currentFacilityRegion = null;
-let userResourcesCache = null;
+let userResourcesCache = null; // Current environment only - switching environments reloads the page
 let facilityRegionMap = new Map();
 let lastLoadedFacilityURN = null;
 
@@ -190,7 +209,7 @@ async function populateAccountsDropdown(accounts) {
   });
 
   // Try to restore last selected account, or select the first one
-  const lastAccount = window.localStorage.getItem('tandem-testbed-ai-last-account');
+  const lastAccount = window.localStorage.getItem(LAST_ACCOUNT_KEY);
   let selectedAccount = null;
   
   if (lastAccount && accounts.some(a => a.name === lastAccount)) {
@@ -214,7 +233,7 @@ async function populateAccountsDropdown(accounts) {
  */
 function getLastFacilityForAccount(accountName) {
   try {
-    const facilitiesJson = window.localStorage.getItem('tandem-testbed-ai-last-facilities');
+    const facilitiesJson = window.localStorage.getItem(LAST_FACILITIES_KEY);
     if (!facilitiesJson) return null;
     
     const facilitiesMap = JSON.parse(facilitiesJson);
@@ -230,11 +249,11 @@ function getLastFacilityForAccount(accountName) {
  */
 function setLastFacilityForAccount(accountName, facilityURN) {
   try {
-    const facilitiesJson = window.localStorage.getItem('tandem-testbed-ai-last-facilities');
+    const facilitiesJson = window.localStorage.getItem(LAST_FACILITIES_KEY);
     const facilitiesMap = facilitiesJson ? JSON.parse(facilitiesJson) : {};
     
     facilitiesMap[accountName] = facilityURN;
-    window.localStorage.setItem('tandem-testbed-ai-last-facilities', JSON.stringify(facilitiesMap));
+    window.localStorage.setItem(LAST_FACILITIES_KEY, JSON.stringify(facilitiesMap));
   } catch (error) {
     console.error('Error saving last facilities to localStorage:', error);
   }
@@ -261,7 +280,19 @@ async function populateFacilitiesDropdown(accounts, accountName) {
     } else {
       console.log(`Fetching facilities for ${accountName}...`);
       
-      const facilitiesObj = await getFacilitiesForGroup(account.id);
+      let facilitiesObj;
+      try {
+        facilitiesObj = await getFacilitiesForGroup(account.id);
+      } catch (error) {
+        // Not cached, so choosing the account again retries
+        console.error('Error loading facilities:', error);
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = `Could not load facilities (${error.message})`;
+        option.disabled = true;
+        facilitySelect.appendChild(option);
+        return;
+      }
       
       // Extract facility names from API response
       const facilities = facilitiesObj ? Object.entries(facilitiesObj).map(([urn, settings]) => ({
@@ -469,7 +500,8 @@ async function loadFacility(facilityURN) {
     
   } catch (error) {
     console.error('Error loading facility:', error);
-    stubsContainer.innerHTML = `<p class="text-red-600 text-sm p-4">Error loading facility information</p>`;
+    const statusLabel = error.status ? ` (HTTP ${error.status})` : '';
+    stubsContainer.innerHTML = `<p class="text-red-600 text-sm p-4">Error loading facility information${statusLabel}</p>`;
     
     // Revert dropdown on error
     if (lastLoadedFacilityURN && facilitySelect) {
@@ -491,7 +523,7 @@ async function initialize() {
   accountSelect.addEventListener('change', async (e) => {
     const accountName = e.target.value;
     if (accountName) {
-      window.localStorage.setItem('tandem-testbed-ai-last-account', accountName);
+      window.localStorage.setItem(LAST_ACCOUNT_KEY, accountName);
       await populateFacilitiesDropdown(accounts, accountName);
       // Remove placeholder after selection
       const placeholder = accountSelect.querySelector('option[value=""]');
@@ -514,6 +546,20 @@ async function initialize() {
     }
   });
 
+  initEnvironmentSelector(envSelect);
+  initMutationPreview(dryRunToggle);
+  elementIndexToggle.checked = isElementIndexEnabled();
+  elementIndexToggle.addEventListener('change', () => {
+    setElementIndexEnabled(elementIndexToggle.checked);
+    console.log(`Element index ${elementIndexToggle.checked ? 'on - stubs build it on first use' : 'off - stubs scan the models'}`);
+  });
+  operationsBtn.addEventListener('click', openOperationsPanel);
+
+  // Start recording HTTP calls for the inspector panel
+  initInspectorPanel(inspectorPanel);
+  initScanProgress(scanProgress);
+  initSimulatorStatus(simulatorStatus);
+
   // Check login status
   toggleLoading(true);
   const { loggedIn, profileImg } = await checkLogin();
@@ -1,8 +1,39 @@
-import { getEnv } from './config.js';
+import { getEnv, envStorageKey } from './config.js';
 
 const env = getEnv();
 let refreshHandle = null;
 
+// Session keys are scoped per environment so switching never reuses another environment's token
+const TOKEN_KEY = envStorageKey('token');
+const REFRESH_TOKEN_KEY = envStorageKey('refreshToken');
+const TOKEN_EXPIRY_KEY = envStorageKey('tokenExpiry');
+const CODE_VERIFIER_KEY = envStorageKey('codeVerifier');
+
+/**
+ * Get the access token of the current environment
+ * @returns {string|null} Bearer token, or null if not signed in
+ */
+export function getAccessToken() {
+  return window.sessionStorage.getItem(TOKEN_KEY);
+}
+
+/**
+ * Store a token response from the APS token endpoint and schedule its refresh
+ * @param {object} token - Token response
+ */
+function storeToken(token) {
+  window.sessionStorage.setItem(TOKEN_KEY, token['access_token']);
+  window.sessionStorage.setItem(REFRESH_TOKEN_KEY, token['refresh_token']);
+
+  // Store token expiry time for future reference
+  const expiryTime = Date.now() + (token['expires_in'] * 1000);
+  window.sessionStorage.setItem(TOKEN_EXPIRY_KEY, expiryTime);
+
+  // Schedule next token refresh
+  const nextRefresh = token['expires_in'] - 60;
+  refreshHandle = setTimeout(() => refreshToken(), nextRefresh * 1000);
+}
+
 /**
  * Generate a random string for PKCE
  * @param {number} length - Length of the random string
@@ -49,8 +80,8 @@ async function doRedirection(clientId, scope) {
   console.log('Redirect URI:', redirect_uri);
   console.log('Scope:', scope);
 
-  window.localStorage.setItem('codeVerifier', codeVerifier);
-  const url = new URL('https://developer.api.autodesk.com/authentication/v2/authorize');
+  window.localStorage.setItem(CODE_VERIFIER_KEY, codeVerifier);
+  const url = new URL(`${env.apsHost}/authentication/v2/authorize`);
     
   url.searchParams.append('response_type', 'code');
   url.searchParams.append('client_id', clientId);
@@ -67,6 +98,14 @@ async function doRedirection(clientId, scope) {
  * Initiate login flow
  */
 export async function login() {
+  // The mock server accepts any bearer token, so skip the OAuth redirect entirely
+  if (env.mock) {
+    console.log('🔐 Mock environment - signing in without Autodesk OAuth');
+    window.sessionStorage.setItem(TOKEN_KEY, 'mock-token');
+    location.reload();
+    return;
+  }
+
   const scope = 'data:read data:write user-profile:read';
   await doRedirection(env.apsKey, scope);
 }
@@ -75,9 +114,9 @@ export async function login() {
  * Log out the user
  */
 export function logout() {
-  delete window.sessionStorage.token;
-  delete window.sessionStorage.refreshToken;
-  delete window.sessionStorage.tokenExpiry;
+  window.sessionStorage.removeItem(TOKEN_KEY);
+  window.sessionStorage.removeItem(REFRESH_TOKEN_KEY);
+  window.sessionStorage.removeItem(TOKEN_EXPIRY_KEY);
   
   if (refreshHandle) {
     clearTimeout(refreshHandle);
@@ -88,12 +127,19 @@ export function logout() {
 }
 
 /**
- * Load user profile image
- * @returns {Promise<string>} User profile image URL
+ * Load user profile image from the environment's userinfo endpoint
+ * @returns {Promise<string|null>} User profile image URL, or null if the environment has no profile URL
  */
 async function loadUserProfile() {
-  const res = await fetch('https://api.userprofile.autodesk.com/userinfo', {
-    headers: { "Authorization": `Bearer ${window.sessionStorage.token}` }
+  if (env.mock) {
+    return 'images/autodesk-tandem-small-social-400.png';
+  }
+  if (!env.userProfileURL) {
+    return null;
+  }
+
+  const res = await fetch(env.userProfileURL, {
+    headers: { "Authorization": `Bearer ${getAccessToken()}` }
   });
   const user = await res.json();
   return user.picture;
@@ -111,14 +157,14 @@ async function refreshToken() {
   }
 
   try {
-    const token = window.sessionStorage.refreshToken;
+    const token = window.sessionStorage.getItem(REFRESH_TOKEN_KEY);
     const payload = {
       'grant_type': 'refresh_token',
       'client_id': env.apsKey,
       'refresh_token': token,
     };
 
-    const resp = await fetch('https://developer.api.autodesk.com/authentication/v2/token', {
+    const resp = await fetch(`${env.apsHost}/authentication/v2/token`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded'
@@ -130,17 +176,7 @@ async function refreshToken() {
       throw new Error(await resp.text());
     }
 
-    const newToken = await resp.json();
-    window.sessionStorage.token = newToken['access_token'];
-    window.sessionStorage.refreshToken = newToken['refresh_token'];
-    
-    // Store token expiry time for future reference
-    const expiryTime = Date.now() + (newToken['expires_in'] * 1000);
-    window.sessionStorage.tokenExpiry = expiryTime;
-
-    // Schedule next token refresh
-    const nextRefresh = newToken['expires_in'] - 60;
-    refreshHandle = setTimeout(() => refreshToken(), nextRefresh * 1000);
+    storeToken(await resp.json());
   } catch (err) {
     console.error('Token refresh error:', err);
     logout();
@@ -158,7 +194,7 @@ export async function checkLogin() {
   if (url.searchParams.has('code')) {
     console.log('OAuth callback received');
     const code = url.searchParams.get('code');
-    const codeVerifier = window.localStorage.getItem('codeVerifier');
+    const codeVerifier = window.localStorage.getItem(CODE_VERIFIER_KEY);
 
     if (code && codeVerifier) {
       try {
@@ -171,7 +207,7 @@ export async function checkLogin() {
           'redirect_uri': env.loginRedirect
         };
 
-        const resp = await fetch('https://developer.api.autodesk.com/authentication/v2/token', {
+        const resp = await fetch(`${env.apsHost}/authentication/v2/token`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/x-www-form-urlencoded'
@@ -182,16 +218,7 @@ export async function checkLogin() {
         if (resp.ok) {
           const token = await resp.json();
           console.log('✅ Token received successfully');
-          window.sessionStorage.token = token['access_token'];
-          window.sessionStorage.refreshToken = token['refresh_token'];
-          
-          // Store token expiry time for future reference
-          const expiryTime = Date.now() + (token['expires_in'] * 1000);
-          window.sessionStorage.tokenExpiry = expiryTime;
-
-          // Schedule token refresh
-          const nextRefresh = token['expires_in'] - 60;
-          refreshHandle = setTimeout(() => refreshToken(), nextRefresh * 1000);
+          storeToken(token);
         } else {
           const errorText = await resp.text();
           console.error('❌ Token exchange failed:', resp.status, resp.statusText);
@@ -211,14 +238,14 @@ export async function checkLogin() {
   }
 
   // Check if user is logged in
-  if (window.sessionStorage.token) {
+  if (getAccessToken()) {
     try {
       const profileImg = await loadUserProfile();
       
       // Schedule token refresh if not already scheduled
       // This handles cases where the page was refreshed or reopened
-      if (!refreshHandle && window.sessionStorage.refreshToken) {
-        const tokenExpiry = parseInt(window.sessionStorage.tokenExpiry || '0');
+      if (!refreshHandle && window.sessionStorage.getItem(REFRESH_TOKEN_KEY)) {
+        const tokenExpiry = parseInt(window.sessionStorage.getItem(TOKEN_EXPIRY_KEY) || '0');
         const now = Date.now();
         const timeUntilExpiry = tokenExpiry - now;
         
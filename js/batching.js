@@ -0,0 +1,141 @@
+/**
+ * Batching
+ *
+ * Requests that carry a list of element keys (/scan by keys, /mutate) grow with the
+ * list, and the service rejects bodies above its size limit. runInChunks() splits
+ * such a list into chunks, sends them with bounded concurrency and reports how each
+ * chunk went, so the caller can merge what succeeded and name what didn't.
+ *
+ * Lists that fit into one chunk are sent exactly as before - one request, and its
+ * error is thrown unchanged.
+ *
+ * Timeseries reads have the opposite problem - a small request with a large answer,
+ * capped by the service - and are paged by time instead (see stubs/streamStubs.js).
+ */
+
+import { getDefaultSignal, TandemApiError } from './client.js';
+
+/**
+ * Default batching settings (can be changed at runtime with configureBatching)
+ */
+export const batchConfig = {
+  scanChunkSize: 1000,   // keys per /scan request
+  mutateChunkSize: 500,  // mutations per /mutate request
+  scanConcurrency: 4,    // /scan chunks in flight at once
+  mutateConcurrency: 1,  // /mutate chunks in flight - 1 keeps writes to the same cell in order
+  streamPageSize: 10000, // timeseries values per property per GET - keep at or below the service cap; longer ranges are paged
+  streamPostSize: 1000,  // timeseries items ({ ts, ...values }) per POST when importing
+  streamPostDelayMs: 250 // pause between import POSTs, so a backfill doesn't run into throttling
+};
+
+/**
+ * Override batching settings
+ * @param {object} overrides - Any subset of batchConfig
+ */
+export function configureBatching(overrides) {
+  Object.assign(batchConfig, overrides);
+}
+
+/**
+ * Error thrown when some chunks of a request failed and others succeeded
+ *
+ * failures lists the failed chunks: { chunk, start, count, error } (start is the index
+ * of the chunk's first item in the original list). partialResult is whatever the
+ * caller could build from the chunks that succeeded.
+ */
+export class BatchError extends Error {
+  constructor(message, { chunkCount = 0, failures = [], partialResult = null } = {}) {
+    super(message, failures[0] ? { cause: failures[0].error } : undefined);
+    this.name = 'BatchError';
+    this.chunkCount = chunkCount;
+    this.failures = failures;
+    this.partialResult = partialResult;
+  }
+}
+
+/**
+ * Split a list into chunks
+ * An empty list gives one empty chunk, so a request is still sent as before.
+ * @param {Array} items
+ * @param {number} size - Maximum chunk length
+ * @returns {Array<{start: number, items: Array}>}
+ */
+export function chunkArray(items, size) {
+  if (items.length === 0) return [{ start: 0, items: [] }];
+  const chunks = [];
+  for (let start = 0; start < items.length; start += size) {
+    chunks.push({ start, items: items.slice(start, start + size) });
+  }
+  return chunks;
+}
+
+/**
+ * Run a task for every chunk of a list, at most `concurrency` at a time
+ *
+ * A failed chunk doesn't stop the others. Once the signal is aborted, chunks that
+ * haven't started are skipped (and reported as aborted).
+ *
+ * @param {Array} items - Full list (e.g. element keys)
+ * @param {number} chunkSize - Maximum items per chunk
+ * @param {Function} task - async (chunkItems, chunkIndex, chunkCount) => result
+ * @param {object} [options]
+ * @param {number} [options.concurrency=1] - Chunks in flight at once
+ * @param {AbortSignal} [options.signal] - Defaults to the running STUB's signal
+ * @returns {Promise<Array<{chunk, start, count, result, error}>>} One outcome per chunk, in list order
+ */
+export async function runInChunks(items, chunkSize, task, { concurrency = 1, signal = getDefaultSignal() } = {}) {
+  const chunks = chunkArray(items, Math.max(1, chunkSize));
+  const outcomes = new Array(chunks.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < chunks.length) {
+      const index = next++;
+      const { start, items: chunkItems } = chunks[index];
+      const outcome = { chunk: index, start, count: chunkItems.length, result: undefined, error: null };
+      outcomes[index] = outcome;
+
+      if (signal?.aborted) {
+        outcome.error = new TandemApiError(`Chunk ${index + 1}/${chunks.length} was not sent (cancelled)`, { code: 'aborted' });
+        continue;
+      }
+      try {
+        outcome.result = await task(chunkItems, index, chunks.length);
+      } catch (error) {
+        outcome.error = error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), chunks.length) }, runNext));
+  return outcomes;
+}
+
+/**
+ * Throw if any chunk failed
+ *
+ * A request sent as a single chunk, or one that was cancelled, fails with its own
+ * error. Otherwise every failed chunk is logged and a BatchError is thrown.
+ *
+ * @param {Array<object>} outcomes - From runInChunks()
+ * @param {string} label - What was sent, for the messages (e.g. "POST .../scan")
+ * @param {Function} [buildPartialResult] - () => result of the successful chunks
+ * @throws {BatchError|Error}
+ */
+export function throwIfChunksFailed(outcomes, label, buildPartialResult) {
+  const failures = outcomes.filter(outcome => outcome.error);
+  if (failures.length === 0) return;
+
+  if (outcomes.length === 1) throw failures[0].error;
+  const aborted = failures.find(outcome => outcome.error.code === 'aborted');
+  if (aborted) throw aborted.error;
+
+  failures.forEach(({ chunk, start, count, error }) => {
+    console.warn(`${label}: chunk ${chunk + 1}/${outcomes.length} (items ${start + 1}-${start + count}) failed:`, error.message);
+  });
+  throw new BatchError(`${failures.length} of ${outcomes.length} chunk(s) of ${label} failed: ${failures[0].error.message}`, {
+    chunkCount: outcomes.length,
+    failures,
+    partialResult: buildPartialResult ? buildPartialResult() : null
+  });
+}
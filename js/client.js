@@ -0,0 +1,391 @@
+/**
+ * Tandem HTTP Client
+ *
+ * Every call to the Tandem REST API goes through tandemFetch(). On top of a plain
+ * fetch() it adds:
+ *   - automatic retry with exponential backoff on 429 (throttled) and 5xx responses,
+ *     honoring the server's Retry-After header
+ *   - a per-call timeout using AbortController
+ *   - a typed TandemApiError carrying status, URL, region and the server's error body
+ *   - request observers, so tools like the inspector panel can see every call
+ *   - a default abort signal, so every read made by a STUB can be cancelled at once
+ *
+ * STUB functions still build their own request options with makeRequestOptionsGET/POST
+ * so the request itself stays visible for educational purposes.
+ */
+
+/**
+ * Default client settings (can be changed at runtime with configureClient)
+ */
+export const clientConfig = {
+  maxRetries: 3,        // retries after the first attempt
+  baseDelayMs: 500,     // first backoff delay, doubled on every retry
+  maxDelayMs: 30000,    // upper bound for any single wait (including Retry-After)
+  timeoutMs: 60000      // per-attempt timeout
+};
+
+/**
+ * Override client settings
+ * @param {object} overrides - Any subset of clientConfig
+ */
+export function configureClient(overrides) {
+  Object.assign(clientConfig, overrides);
+}
+
+/**
+ * Error thrown for any failed Tandem API call
+ *
+ * code is one of:
+ *   'http'    - server answered with a non-2xx status (see status/body)
+ *   'timeout' - no answer within the timeout
+ *   'network' - request never reached the server (CORS, offline, DNS...)
+ *   'aborted' - request was cancelled by the caller
+ *   'parse'   - server answered 2xx but the body is not valid JSON (see fetchJSON; body holds the text)
+ */
+export class TandemApiError extends Error {
+  constructor(message, { code = 'http', status = 0, statusText = '', method = 'GET', url = '', region = null, body = null, attempts = 1, retryAfterMs = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'TandemApiError';
+    this.code = code;
+    this.status = status;
+    this.statusText = statusText;
+    this.method = method;
+    this.url = url;
+    this.region = region;
+    this.body = body;
+    this.attempts = attempts;
+    this.retryAfterMs = retryAfterMs; // From the Retry-After header of an 'http' error, if sent
+  }
+
+  /**
+   * True if the service throttled us (HTTP 429)
+   */
+  get isThrottled() {
+    return this.status === 429;
+  }
+}
+
+// Functions notified after every request (see addRequestObserver)
+const requestObservers = new Set();
+
+// Returns the signal for calls made without one (see setDefaultSignalProvider)
+let defaultSignalProvider = null;
+
+/**
+ * Set where tandemFetch() gets an abort signal from when the caller passes none
+ *
+ * Only idempotent requests use it: a write that was already sent can't be taken back,
+ * so cancelling one halfway would only hide whether it was applied.
+ *
+ * @param {Function|null} provider - () => AbortSignal|undefined
+ */
+export function setDefaultSignalProvider(provider) {
+  defaultSignalProvider = provider;
+}
+
+/**
+ * Get the signal reads are currently tied to by default
+ * @returns {AbortSignal|undefined}
+ */
+export function getDefaultSignal() {
+  return defaultSignalProvider?.() ?? undefined;
+}
+
+/**
+ * Register a function that is called once for every completed request
+ *
+ * The observer receives { method, url, region, requestHeaders, requestBody, status,
+ * statusText, ok, durationMs, attempts, response, error }. response is a clone of the successful
+ * Response (safe to read), error is the TandemApiError for failed requests.
+ *
+ * @param {Function} observer - Observer function
+ * @returns {Function} Call to remove the observer again
+ */
+export function addRequestObserver(observer) {
+  requestObservers.add(observer);
+  return () => requestObservers.delete(observer);
+}
+
+/**
+ * Pass a finished request to all observers
+ * Observers must never break the actual call, so their errors are only logged.
+ * @param {object} entry - Request details
+ */
+function notifyRequestObservers(entry) {
+  if (requestObservers.size === 0) return;
+
+  requestObservers.forEach(observer => {
+    try {
+      observer({ ...entry, response: entry.response?.clone() ?? null });
+    } catch (error) {
+      console.warn('Request observer failed:', error);
+    }
+  });
+}
+
+/**
+ * Pass a request made outside this module (e.g. by the scan worker) to all observers
+ * @param {object} entry - Same fields as an observer receives; response may be null
+ */
+export function reportRequest(entry) {
+  notifyRequestObservers({ response: null, error: null, ...entry });
+}
+
+/**
+ * Convert fetch request headers to a plain object
+ * @param {Headers|object} headers - Request headers
+ * @returns {object} Header name -> value
+ */
+function headersToObject(headers) {
+  if (!headers) return {};
+  if (headers instanceof Headers) {
+    return Object.fromEntries(headers.entries());
+  }
+  return { ...headers };
+}
+
+/**
+ * Read the Region header from fetch request options
+ * @param {Headers|object} headers - Request headers
+ * @returns {string|null} Region or null
+ */
+function getRegionHeader(headers) {
+  if (!headers) return null;
+  if (headers instanceof Headers) {
+    return headers.get('Region');
+  }
+  return headers.Region || headers.region || null;
+}
+
+/**
+ * Read the error body of a failed response (JSON if possible, otherwise text)
+ * @param {Response} response - Failed response
+ * @returns {Promise<object|string|null>} Error body
+ */
+async function readErrorBody(response) {
+  try {
+    const text = await response.text();
+    if (!text) return null;
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the Retry-After header (seconds or HTTP date)
+ * @param {Response} [response] - Failed response (if any)
+ * @returns {number|null} Delay in milliseconds, or null if not sent or unreadable
+ */
+function getRetryAfter(response) {
+  const retryAfter = response?.headers?.get('Retry-After');
+  if (!retryAfter) return null;
+  const seconds = Number(retryAfter);
+  const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+  return Number.isNaN(delay) ? null : Math.max(delay, 0);
+}
+
+/**
+ * Compute how long to wait before the next attempt
+ * Uses Retry-After when the server sends it, otherwise exponential backoff with
+ * a little jitter.
+ *
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {Response} [response] - Failed response (if any)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, response) {
+  const retryAfter = getRetryAfter(response);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, clientConfig.maxDelayMs);
+  }
+  const backoff = clientConfig.baseDelayMs * Math.pow(2, attempt);
+  const jitter = Math.random() * clientConfig.baseDelayMs;
+  return Math.min(backoff + jitter, clientConfig.maxDelayMs);
+}
+
+/**
+ * Wait for the given time, returning early if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve) => {
+    const handle = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(handle);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Run a single fetch attempt with a timeout
+ * @param {string} url - Request URL
+ * @param {object} requestOptions - Fetch options
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {AbortSignal} [signal] - Caller's abort signal
+ * @returns {Promise<{response: Response, timedOut: boolean}>}
+ */
+async function fetchWithTimeout(url, requestOptions, timeoutMs, signal) {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timeoutHandle = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) {
+    controller.abort();
+  }
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const response = await fetch(url, { ...requestOptions, signal: controller.signal });
+    return { response, timedOut };
+  } catch (error) {
+    error.timedOut = timedOut;
+    throw error;
+  } finally {
+    clearTimeout(timeoutHandle);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Make a request to the Tandem API
+ *
+ * Drop-in replacement for fetch(): takes the same URL and request options and resolves
+ * to the Response - but only for 2xx responses. Anything else is retried when it makes
+ * sense and finally thrown as a TandemApiError.
+ *
+ * 429 is always retried (the request was not processed). 5xx, timeouts and network errors
+ * are only retried for idempotent requests - pass { idempotent: false } for /mutate and
+ * /create calls so a write is never sent twice.
+ *
+ * @param {string} url - Request URL
+ * @param {object} requestOptions - Fetch options (from makeRequestOptionsGET/POST)
+ * @param {object} [options] - Client options
+ * @param {number} [options.retries] - Max retries (default clientConfig.maxRetries)
+ * @param {number} [options.timeout] - Per-attempt timeout in ms (default clientConfig.timeoutMs)
+ * @param {boolean} [options.idempotent] - Safe to retry on 5xx/timeout (default true)
+ * @param {AbortSignal} [options.signal] - Abort signal to cancel the request (idempotent
+ *   requests default to the provider's signal, see setDefaultSignalProvider)
+ * @returns {Promise<Response>} Successful response
+ * @throws {TandemApiError}
+ */
+export async function tandemFetch(url, requestOptions = {}, options = {}) {
+  const method = requestOptions.method || 'GET';
+  const region = getRegionHeader(requestOptions.headers);
+  const maxRetries = options.retries ?? clientConfig.maxRetries;
+  const timeoutMs = options.timeout ?? clientConfig.timeoutMs;
+  const idempotent = options.idempotent ?? true;
+  const signal = options.signal ?? (idempotent ? getDefaultSignal() : undefined);
+  const startTime = performance.now();
+  const report = (details) => notifyRequestObservers({
+    method, url, region,
+    requestHeaders: headersToObject(requestOptions.headers),
+    requestBody: requestOptions.body ?? null,
+    durationMs: performance.now() - startTime,
+    response: null,
+    error: null,
+    ...details
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+
+    try {
+      ({ response } = await fetchWithTimeout(url, requestOptions, timeoutMs, signal));
+    } catch (error) {
+      let code = 'network';
+      if (signal?.aborted) {
+        code = 'aborted';
+      } else if (error.timedOut) {
+        code = 'timeout';
+      }
+
+      if (code !== 'aborted' && idempotent && attempt < maxRetries) {
+        const delay = getRetryDelay(attempt);
+        console.warn(`⏳ ${method} ${url} failed (${code}), retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxRetries})`);
+        await wait(delay, signal);
+        continue;
+      }
+
+      const reason = code === 'timeout' ? `timed out after ${timeoutMs}ms` : (code === 'aborted' ? 'was cancelled' : `failed: ${error.message}`);
+      const apiError = new TandemApiError(`${method} ${url} ${reason}`, {
+        code, method, url, region, attempts: attempt + 1, cause: error
+      });
+      report({ status: 0, statusText: '', ok: false, attempts: attempt + 1, error: apiError });
+      throw apiError;
+    }
+
+    if (response.ok) {
+      report({ status: response.status, statusText: response.statusText, ok: true, attempts: attempt + 1, response });
+      return response;
+    }
+
+    const retryable = response.status === 429 || (idempotent && response.status >= 500);
+    if (retryable && attempt < maxRetries && !signal?.aborted) {
+      const delay = getRetryDelay(attempt, response);
+      // Release the connection - the body of a response we retry is never read
+      response.body?.cancel().catch(() => {});
+      console.warn(`⏳ HTTP ${response.status} from ${method} ${url}, retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxRetries})`);
+      await wait(delay, signal);
+      continue;
+    }
+
+    const body = await readErrorBody(response);
+    const regionLabel = region ? ` (region ${region})` : '';
+    const apiError = new TandemApiError(`HTTP ${response.status} ${response.statusText}: ${method} ${url}${regionLabel}`, {
+      code: 'http',
+      status: response.status,
+      statusText: response.statusText,
+      method, url, region, body,
+      attempts: attempt + 1,
+      retryAfterMs: getRetryAfter(response)
+    });
+    report({ status: response.status, statusText: response.statusText, ok: false, attempts: attempt + 1, error: apiError });
+    throw apiError;
+  }
+}
+
+/**
+ * Make a request and parse the JSON response
+ * Empty response bodies resolve to null; a body that isn't JSON (e.g. an HTML page
+ * from a proxy) is thrown as a TandemApiError with code 'parse'.
+ *
+ * @param {string} url - Request URL
+ * @param {object} requestOptions - Fetch options (from makeRequestOptionsGET/POST)
+ * @param {object} [options] - Client options (see tandemFetch)
+ * @returns {Promise<any>} Parsed JSON
+ * @throws {TandemApiError}
+ */
+export async function fetchJSON(url, requestOptions, options = {}) {
+  const response = await tandemFetch(url, requestOptions, options);
+  const text = await response.text();
+  if (!text) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const method = requestOptions?.method || 'GET';
+    const region = getRegionHeader(requestOptions?.headers);
+    const regionLabel = region ? ` (region ${region})` : '';
+    throw new TandemApiError(`Invalid JSON in HTTP ${response.status} response: ${method} ${url}${regionLabel}`, {
+      code: 'parse',
+      status: response.status,
+      statusText: response.statusText,
+      method, url, region,
+      body: text,
+      cause: error
+    });
+  }
+}
@@ -2,54 +2,193 @@
 
 const prodEnvironment = {
   name: "prod",
+  label: "Production",
   oxygenHost: "https://accounts.autodesk.com",
   apsHost: "https://developer.api.autodesk.com",
   apsKey: "clRKnlW7NbEfU1D0ukdYZ7iDaV8GXQJeH5irtVSxoFI2q0NG", // Safe to commit - this app uses PKCE (see README for details)
   loginRedirect: "http://localhost:8000",
   tandemDbBaseURL: "https://developer.api.autodesk.com/tandem/v1",
   tandemAppBaseURL: "https://tandem.autodesk.com/app",
+  userProfileURL: "https://api.userprofile.autodesk.com/userinfo",
 };
 
 const stgEnvironment = {
   name: "stg",
+  label: "Staging",
   oxygenHost: "https://accounts-staging.autodesk.com",
   apsHost: "https://developer-stg.api.autodesk.com",
   apsKey: "YOUR_APS_CLIENT_ID", // Replace with your APS Client ID for staging environment
   loginRedirect: "http://localhost:8000",
   tandemDbBaseURL: "https://tandem-stg.autodesk.com/api/v1",
   tandemAppBaseURL: "https://tandem-stg.autodesk.com/app",
+  userProfileURL: "https://api.userprofile.autodesk.com/userinfo", // Replace if your staging login has its own profile service
 };
 
+// Offline mock server (npm run mock) - no Autodesk login, fixture facilities only
+const mockEnvironment = {
+  name: "mock",
+  label: "Mock (offline)",
+  mock: true,
+  oxygenHost: null,
+  apsHost: null,
+  apsKey: "mock-client-id",
+  loginRedirect: "http://localhost:8000",
+  tandemDbBaseURL: "http://localhost:3001/tandem/v1",
+  tandemAppBaseURL: "http://localhost:3001/app",
+  userProfileURL: null,
+};
+
+const builtInEnvironments = [prodEnvironment, stgEnvironment, mockEnvironment];
+
+// localStorage keys (not scoped - they decide which environment everything else is scoped to)
+const CURRENT_ENV_KEY = 'tandem-testbed-ai-env';
+const CUSTOM_ENVS_KEY = 'tandem-testbed-ai-custom-envs';
+
+let currentEnv = null;
+
 /**
- * Get the current environment configuration
- * @returns {object} Environment configuration
+ * Work out the OAuth redirect URL from the current page location
+ * @returns {string} Redirect URL registered with APS
  */
-export function getEnv() {
+function getLoginRedirect() {
   // Auto-detect redirect URL based on current location
   const isGitHubPages = window.location.hostname.includes('github.io');
   const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
-  
-  let loginRedirect;
+
   if (isGitHubPages) {
     // Remove trailing slash for consistency with APS callback registration
     let path = window.location.pathname;
     if (path.endsWith('/')) {
       path = path.slice(0, -1);
     }
-    loginRedirect = window.location.origin + path;
+    return window.location.origin + path;
   } else if (isLocalhost) {
-    loginRedirect = `http://localhost:${window.location.port || 8000}`;
-  } else {
-    // Default to current origin for other deployments
-    loginRedirect = window.location.origin;
-  }
-  
-  // Return production environment with dynamic redirect
-  return {
-    ...prodEnvironment,
-    loginRedirect: loginRedirect
+    return `http://localhost:${window.location.port || 8000}`;
+  }
+  // Default to current origin for other deployments
+  return window.location.origin;
+}
+
+/**
+ * Get user-defined environments from localStorage
+ * @returns {Array<object>} Custom environments
+ */
+export function getCustomEnvironments() {
+  try {
+    const envs = JSON.parse(window.localStorage.getItem(CUSTOM_ENVS_KEY) || '[]');
+    return Array.isArray(envs) ? envs : [];
+  } catch (error) {
+    console.error('Error reading custom environments from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Get all selectable environments (built-in first, then custom)
+ * @returns {Array<object>} Environments
+ */
+export function getEnvironments() {
+  const custom = getCustomEnvironments().map(env => ({ ...env, custom: true }));
+  return [...builtInEnvironments, ...custom];
+}
+
+/**
+ * Add or replace a custom environment
+ * @param {object} env - { name, label, apsHost, apsKey, tandemDbBaseURL, tandemAppBaseURL, userProfileURL }
+ *   (userProfileURL is optional - without it no profile picture is shown)
+ * @returns {object} Saved environment
+ */
+export function saveCustomEnvironment(env) {
+  const name = String(env.name || '').trim().toLowerCase();
+  if (!/^[a-z0-9][a-z0-9_-]*$/.test(name)) {
+    throw new Error('Environment name may only contain letters, digits, "-" and "_"');
+  }
+  if (builtInEnvironments.some(builtIn => builtIn.name === name)) {
+    throw new Error(`"${name}" is a built-in environment`);
+  }
+  for (const field of ['apsHost', 'apsKey', 'tandemDbBaseURL', 'tandemAppBaseURL']) {
+    if (!env[field]) {
+      throw new Error(`${field} is required`);
+    }
+  }
+
+  const trimSlash = (url) => String(url).trim().replace(/\/+$/, '');
+  const saved = {
+    name,
+    label: String(env.label || '').trim() || name,
+    oxygenHost: env.oxygenHost ? trimSlash(env.oxygenHost) : null,
+    apsHost: trimSlash(env.apsHost),
+    apsKey: String(env.apsKey).trim(),
+    tandemDbBaseURL: trimSlash(env.tandemDbBaseURL),
+    tandemAppBaseURL: trimSlash(env.tandemAppBaseURL),
+    userProfileURL: env.userProfileURL ? trimSlash(env.userProfileURL) : null
   };
-  
-  // Uncomment to use staging
-  // return stgEnvironment;
+
+  const envs = getCustomEnvironments().filter(existing => existing.name !== name);
+  envs.push(saved);
+  window.localStorage.setItem(CUSTOM_ENVS_KEY, JSON.stringify(envs));
+  return saved;
+}
+
+/**
+ * Remove a custom environment (falls back to prod if it was selected)
+ * @param {string} name - Environment name
+ */
+export function removeCustomEnvironment(name) {
+  const envs = getCustomEnvironments().filter(env => env.name !== name);
+  window.localStorage.setItem(CUSTOM_ENVS_KEY, JSON.stringify(envs));
+  if (window.localStorage.getItem(CURRENT_ENV_KEY) === name) {
+    window.localStorage.removeItem(CURRENT_ENV_KEY);
+  }
+}
+
+/**
+ * Select the environment used from the next page load on
+ * The app reloads after switching, so every module picks up the new URLs and session.
+ * @param {string} name - Environment name
+ */
+export function setCurrentEnvironment(name) {
+  if (!getEnvironments().some(env => env.name === name)) {
+    throw new Error(`Unknown environment: ${name}`);
+  }
+  window.localStorage.setItem(CURRENT_ENV_KEY, name);
+}
+
+/**
+ * Get the current environment configuration
+ *
+ * Selection order: ?env=<name> in the page URL (remembered for later loads),
+ * then the environment last picked in the header, then prod.
+ * @returns {object} Environment configuration
+ */
+export function getEnv() {
+  if (currentEnv) {
+    return currentEnv;
+  }
+
+  const envs = getEnvironments();
+  const requested = new URLSearchParams(window.location.search).get('env');
+  if (requested && envs.some(env => env.name === requested)) {
+    window.localStorage.setItem(CURRENT_ENV_KEY, requested);
+  }
+
+  const selected = window.localStorage.getItem(CURRENT_ENV_KEY);
+  const env = envs.find(e => e.name === selected) || prodEnvironment;
+
+  // Return selected environment with dynamic redirect
+  currentEnv = {
+    ...env,
+    loginRedirect: getLoginRedirect()
+  };
+  return currentEnv;
+}
+
+/**
+ * Scope a storage key to the current environment
+ * Tokens, caches and remembered selections from one environment are never visible in another.
+ * @param {string} key - Unscoped key
+ * @returns {string} Key for the current environment
+ */
+export function envStorageKey(key) {
+  return `${key}@${getEnv().name}`;
 }
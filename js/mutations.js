@@ -0,0 +1,374 @@
+/**
+ * Mutations
+ *
+ * Every /modeldata/{urn}/mutate call from the stubs goes through submitMutation().
+ * With dry-run on (the default), the target elements are scanned first and a
+ * before/after preview is shown; the mutation is only sent once it is confirmed.
+ *
+ * The preview UI is registered by the page (see ui/mutationPreviewUI.js) so the
+ * stubs stay free of DOM code. Without a registered handler, window.confirm() is used.
+ *
+ * Before sending, the prior values of the affected cells (or whole rows, for
+ * DeleteRow) are read with a history scan and stored in the operation log, so
+ * rollbackOperation() can restore them with a compensating /mutate.
+ *
+ * Large mutations are sent as several /mutate requests of batchConfig.mutateChunkSize
+ * mutations each (see batching.js). They are still previewed and recorded as one
+ * operation; if some chunks fail, the operation holds only the chunks that were applied.
+ */
+
+import { tandemBaseURL, makeRequestOptionsPOST, getElementColumns, scanAllPropsForElements } from './api.js';
+import { tandemFetch } from './client.js';
+import { batchConfig, runInChunks, throwIfChunksFailed } from './batching.js';
+import { envStorageKey, getEnv } from './config.js';
+import { MutateActions, QC } from '../tandem/constants.js';
+import { toShortKey } from '../tandem/keys.js';
+import { recordOperation, getOperation, markRolledBack, OperationStatus } from './state/operationLog.js';
+
+const DRY_RUN_KEY = 'tandem-testbed-dryRun';
+
+export const PreviewStatus = {
+  Change: 'change',
+  Unchanged: 'unchanged',
+  DeleteRow: 'delete row',
+  DeleteColumn: 'delete column',
+  NotFound: 'not found'
+};
+
+let confirmHandler = null;
+
+/**
+ * Check whether mutations are previewed before they are sent
+ * @returns {boolean} True unless turned off for the current environment
+ */
+export function isDryRunEnabled() {
+  return localStorage.getItem(envStorageKey(DRY_RUN_KEY)) !== 'false';
+}
+
+/**
+ * Turn the mutation preview on or off for the current environment
+ * @param {boolean} enabled
+ */
+export function setDryRunEnabled(enabled) {
+  localStorage.setItem(envStorageKey(DRY_RUN_KEY), enabled ? 'true' : 'false');
+}
+
+/**
+ * Register the function that shows a preview and asks for confirmation
+ * @param {Function} handler - async (preview) => boolean
+ */
+export function setMutationConfirmHandler(handler) {
+  confirmHandler = handler;
+}
+
+/**
+ * Compare two cell values
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Scan the target elements and work out what a mutation would change
+ *
+ * keys[i] is mutated by muts[i] (same as the /mutate payload).
+ *
+ * @param {string} modelURN - Model URN
+ * @param {string} region - Region header
+ * @param {object} payload - { keys, muts, desc } as sent to /mutate
+ * @returns {Promise<object>} { modelURN, desc, environment, rows, counts }
+ *   rows: [{ key, name, column, before, after, status }] - status is one of PreviewStatus
+ */
+export async function previewMutation(modelURN, region, { keys, muts, desc }) {
+  const columns = new Set([QC.ElementFlags, QC.Name]);
+  muts.forEach(([action, fam, col]) => {
+    if (action !== MutateActions.DeleteRow) {
+      columns.add(`${fam}:${col}`);
+    }
+  });
+
+  const uniqueKeys = [...new Set(keys)];
+  const elements = await getElementColumns(modelURN, uniqueKeys, [...columns], region);
+  const byShortKey = new Map(elements.map(row => [toShortKey(row[QC.Key]), row]));
+
+  const rows = keys.map((key, i) => {
+    const [action, fam, col, value] = muts[i];
+    const element = byShortKey.get(toShortKey(key));
+    const column = action === MutateActions.DeleteRow ? '(row)' : `${fam}:${col}`;
+    const row = { key, name: element?.[QC.Name] ?? '', column, before: undefined, after: undefined };
+
+    if (!element) {
+      return { ...row, after: action === MutateActions.DeleteRow ? undefined : value, status: PreviewStatus.NotFound };
+    }
+    if (action === MutateActions.DeleteRow) {
+      return { ...row, before: element[QC.Name], status: PreviewStatus.DeleteRow };
+    }
+
+    const before = element[column];
+    if (action === MutateActions.Delete) {
+      return { ...row, before, status: before === undefined ? PreviewStatus.Unchanged : PreviewStatus.DeleteColumn };
+    }
+    return { ...row, before, after: value, status: sameValue(before, value) ? PreviewStatus.Unchanged : PreviewStatus.Change };
+  });
+
+  const counts = {};
+  Object.values(PreviewStatus).forEach(status => { counts[status] = 0; });
+  rows.forEach(row => { counts[row.status]++; });
+
+  return { modelURN, desc, environment: getEnv().label, rows, counts };
+}
+
+/**
+ * Ask for confirmation of a previewed mutation
+ * @param {object} preview - From previewMutation()
+ * @returns {Promise<boolean>}
+ */
+async function confirmPreview(preview) {
+  if (confirmHandler) {
+    return await confirmHandler(preview);
+  }
+  const { counts } = preview;
+  return window.confirm(`Apply "${preview.desc}" on ${preview.environment}?\n\n` +
+    `${counts[PreviewStatus.Change]} change(s), ${counts[PreviewStatus.DeleteRow] + counts[PreviewStatus.DeleteColumn]} deletion(s), ` +
+    `${counts[PreviewStatus.Unchanged]} unchanged, ${counts[PreviewStatus.NotFound]} not found.`);
+}
+
+/**
+ * Split a qualified column into family and column name
+ * Only the first ":" separates them - column names may contain more.
+ * @param {string} qualifiedColumn - e.g. "z:5mQ"
+ * @returns {Array<string>} [family, column]
+ */
+export function splitColumn(qualifiedColumn) {
+  const separator = qualifiedColumn.indexOf(':');
+  return [qualifiedColumn.slice(0, separator), qualifiedColumn.slice(separator + 1)];
+}
+
+/**
+ * Get the newest value from a history-scan column ([timestamp, value, timestamp, value, ...])
+ * @param {Array} history
+ * @returns {{existed: boolean, value: any, timestamp: number|null}}
+ */
+function latestFromHistory(history) {
+  if (!Array.isArray(history) || history.length < 2 || history[1] === null) {
+    return { existed: false, value: null, timestamp: history?.[0] ?? null };
+  }
+  return { existed: true, value: history[1], timestamp: history[0] };
+}
+
+/**
+ * Read the values a mutation is about to replace
+ *
+ * @param {string} modelURN - Model URN
+ * @param {string} region - Region header
+ * @param {object} payload - { keys, muts }
+ * @returns {Promise<{before: Array<object>, deletedRows: Array<object>}>}
+ */
+async function captureSnapshot(modelURN, region, { keys, muts }) {
+  const cells = new Map(); // "shortKey|column" -> { key, column }
+  const rowKeys = new Map(); // shortKey -> key
+
+  keys.forEach((key, i) => {
+    const [action, fam, col] = muts[i];
+    if (action === MutateActions.DeleteRow) {
+      rowKeys.set(toShortKey(key), key);
+    } else {
+      const column = `${fam}:${col}`;
+      cells.set(`${toShortKey(key)}|${column}`, { key, column });
+    }
+  });
+
+  const before = [];
+  if (cells.size > 0) {
+    const cellKeys = [...new Set([...cells.values()].map(cell => cell.key))];
+    const columns = [...new Set([...cells.values()].map(cell => cell.column))];
+    const rows = await getElementColumns(modelURN, cellKeys, columns, region, true);
+    const byShortKey = new Map(rows.map(row => [toShortKey(row[QC.Key]), row]));
+
+    cells.forEach(({ key, column }) => {
+      const row = byShortKey.get(toShortKey(key));
+      before.push({ key, column, ...latestFromHistory(row?.[column]) });
+    });
+  }
+
+  const deletedRows = [];
+  if (rowKeys.size > 0) {
+    const rows = (await scanAllPropsForElements(modelURN, [...rowKeys.values()], region, true)).slice(1);
+    rows.forEach(row => {
+      const columns = {};
+      Object.entries(row).forEach(([column, history]) => {
+        if (column === QC.Key) return;
+        const latest = latestFromHistory(history);
+        if (latest.existed) {
+          columns[column] = latest.value;
+        }
+      });
+      deletedRows.push({ key: rowKeys.get(toShortKey(row[QC.Key])) ?? row[QC.Key], columns });
+    });
+  }
+
+  return { before, deletedRows };
+}
+
+/**
+ * Keep only the part of a snapshot that belongs to mutations that were applied
+ * @param {{before: Array<object>, deletedRows: Array<object>}} snapshot - From captureSnapshot()
+ * @param {Array<Array>} pairs - Applied [key, mut] pairs
+ * @returns {{before: Array<object>, deletedRows: Array<object>}}
+ */
+function filterSnapshot({ before, deletedRows }, pairs) {
+  const cells = new Set();
+  const rows = new Set();
+  pairs.forEach(([key, [action, fam, col]]) => {
+    if (action === MutateActions.DeleteRow) {
+      rows.add(toShortKey(key));
+    } else {
+      cells.add(`${toShortKey(key)}|${fam}:${col}`);
+    }
+  });
+  return {
+    before: before.filter(({ key, column }) => cells.has(`${toShortKey(key)}|${column}`)),
+    deletedRows: deletedRows.filter(({ key }) => rows.has(toShortKey(key)))
+  };
+}
+
+/**
+ * Preview (if on), snapshot, send and record a mutation
+ *
+ * @param {string} modelURN - Model URN
+ * @param {string} region - Region header
+ * @param {object} payload - { keys, muts, desc }
+ * @returns {Promise<{result: object, operation: object}|null>} null if cancelled
+ * @throws {TandemApiError|BatchError} BatchError.partialResult is { result, operation } of the
+ *   chunks that were applied (operation is null if none were)
+ */
+async function sendMutation(modelURN, region, payload) {
+  if (isDryRunEnabled()) {
+    console.log("Dry run: scanning target elements for a before/after preview...");
+    const preview = await previewMutation(modelURN, region, payload);
+    console.table(preview.rows);
+
+    if (!await confirmPreview(preview)) {
+      console.log("Cancelled - nothing was written.");
+      return null;
+    }
+  }
+
+  // Prior values for rollback - read right before the write so they're current
+  const snapshot = await captureSnapshot(modelURN, region, payload);
+
+  const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/mutate`;
+  const pairs = payload.keys.map((key, i) => [key, payload.muts[i]]);
+  const outcomes = await runInChunks(pairs, batchConfig.mutateChunkSize, async (chunk, index, count) => {
+    const bodyPayload = JSON.stringify({
+      keys: chunk.map(([key]) => key),
+      muts: chunk.map(([, mut]) => mut),
+      desc: count > 1 ? `${payload.desc} (part ${index + 1}/${count})` : payload.desc
+    });
+    const response = await tandemFetch(requestPath, makeRequestOptionsPOST(bodyPayload, region), { idempotent: false });
+    return await response.json();
+  }, { concurrency: batchConfig.mutateConcurrency });
+
+  const applied = outcomes.filter(outcome => !outcome.error);
+  const result = Object.assign({}, ...applied.map(outcome => outcome.result));
+
+  let operation = null;
+  if (applied.length > 0) {
+    const appliedPairs = applied.flatMap(({ start, count }) => pairs.slice(start, start + count));
+    operation = recordOperation({
+      environment: getEnv().label,
+      modelURN,
+      region,
+      desc: payload.desc,
+      keys: appliedPairs.map(([key]) => key),
+      muts: appliedPairs.map(([, mut]) => mut),
+      ...(applied.length === outcomes.length ? snapshot : filterSnapshot(snapshot, appliedPairs))
+    });
+    console.log(`Recorded as operation #${operation.id} - it can be rolled back from the Operations panel.`);
+  }
+
+  throwIfChunksFailed(outcomes, `POST ${requestPath}`, () => ({ result, operation }));
+
+  return { result, operation };
+}
+
+/**
+ * Send a mutation - previewed and confirmed first when dry-run is on
+ *
+ * @param {string} modelURN - Model URN
+ * @param {string} region - Region header
+ * @param {object} payload - { keys, muts, desc }
+ * @returns {Promise<object|null>} Result from /mutate, or null if cancelled
+ * @throws {TandemApiError|BatchError}
+ */
+export async function submitMutation(modelURN, region, payload) {
+  const sent = await sendMutation(modelURN, region, payload);
+  return sent ? sent.result : null;
+}
+
+/**
+ * Build the mutation that restores the values an operation replaced
+ *
+ * Soft-deleted rows come first: Tandem has no undelete, but writing the row's
+ * columns again makes it visible again. Cells that didn't exist before are deleted.
+ *
+ * @param {object} operation - Operation log record
+ * @returns {{keys: Array<string>, muts: Array<Array>}}
+ */
+export function buildCompensatingMutation(operation) {
+  const keys = [];
+  const muts = [];
+
+  operation.deletedRows.forEach(({ key, columns }) => {
+    Object.entries(columns).forEach(([column, value]) => {
+      const [fam, col] = splitColumn(column);
+      keys.push(key);
+      muts.push([MutateActions.Insert, fam, col, value]);
+    });
+  });
+
+  operation.before.forEach(({ key, column, existed, value }) => {
+    const [fam, col] = splitColumn(column);
+    keys.push(key);
+    muts.push(existed ? [MutateActions.Insert, fam, col, value] : [MutateActions.Delete, fam, col, '']);
+  });
+
+  return { keys, muts };
+}
+
+/**
+ * Roll back a recorded operation with a compensating /mutate
+ *
+ * The rollback is itself recorded, so it can be rolled back too.
+ *
+ * @param {number} id - Operation ID
+ * @returns {Promise<object|null>} Result from /mutate, or null if cancelled in the preview
+ * @throws {Error} If the operation is unknown, already rolled back or has nothing to restore
+ */
+export async function rollbackOperation(id) {
+  const operation = getOperation(id);
+  if (!operation) {
+    throw new Error(`Unknown operation #${id}`);
+  }
+  if (operation.status === OperationStatus.RolledBack) {
+    throw new Error(`Operation #${id} was already rolled back (by #${operation.rolledBackBy})`);
+  }
+
+  const { keys, muts } = buildCompensatingMutation(operation);
+  if (keys.length === 0) {
+    throw new Error(`Operation #${id} has no recorded values to restore`);
+  }
+
+  const sent = await sendMutation(operation.modelURN, operation.region, {
+    keys,
+    muts,
+    desc: `REST TestBedApp: rollback of #${id} (${operation.desc})`
+  });
+  if (!sent) return null;
+
+  markRolledBack(id, sent.operation.id);
+  return sent.result;
+}
@@ -0,0 +1,299 @@
+/**
+ * Scan Export
+ *
+ * Turns the rows returned by the scan stubs into a table and a downloadable file
+ * (CSV, JSON Lines or .xlsx) - all in the browser, nothing is sent to a server.
+ *
+ * Scan stubs return a scan result:
+ *   { title, includeHistory, models: [{ modelURN, modelLabel?, rows }] }
+ * where rows are the /scan rows without the leading version row.
+ *
+ * Columns are named "Category.Property" using each model's own schema, so an export
+ * can be edited and loaded back with Bulk Edit. With history, each value/timestamp
+ * pair becomes its own row.
+ */
+
+import { getElementColumns } from './api.js';
+import { getPropertyInfoByQualifiedId } from './state/schemaCache.js';
+import { toDelimited, writeXlsx } from './utils/spreadsheet.js';
+import { AttributeType, ColumnFamilies, QC } from '../tandem/constants.js';
+import { toShortKey, toFullKey, fromShortKeyArray, fromXrefKeyArray } from '../tandem/keys.js';
+
+export const ExportFormats = {
+  CSV: 'csv',
+  JSONL: 'jsonl',
+  XLSX: 'xlsx'
+};
+
+const mimeTypes = {
+  [ExportFormats.CSV]: 'text/csv;charset=utf-8',
+  [ExportFormats.JSONL]: 'application/x-ndjson;charset=utf-8'
+};
+
+/**
+ * Get the label used for a model in exports (matches what Bulk Edit accepts)
+ * @param {object} modelResult - { modelURN, modelLabel }
+ * @param {Array<object>} models - Facility models
+ * @returns {string}
+ */
+function getModelLabel(modelResult, models) {
+  const label = modelResult.modelLabel ?? models.find(model => model.modelId === modelResult.modelURN)?.label;
+  return label || '(default model)';
+}
+
+/**
+ * Get the "Category.Property" header for a column of a model
+ * @param {string} column - Qualified column, e.g. "z:5mQ"
+ * @param {string} modelURN
+ * @returns {string} Falls back to the qualified column if it isn't in the schema
+ */
+function getColumnHeader(column, modelURN) {
+  const attr = getPropertyInfoByQualifiedId(column, modelURN);
+  return attr ? `${attr.category}.${attr.name}` : column;
+}
+
+/**
+ * Work out what kind of reference a column holds, if any
+ * @param {string} column - Qualified column
+ * @param {string} modelURN
+ * @returns {number|null} AttributeType.DbKey, DbKeyList or ExDbKeyList, or null
+ */
+function getReferenceType(column, modelURN) {
+  const dataType = getPropertyInfoByQualifiedId(column, modelURN)?.dataType;
+  if ([AttributeType.DbKey, AttributeType.DbKeyList, AttributeType.ExDbKeyList].includes(dataType)) {
+    return dataType;
+  }
+  // Not in the schema: go by family
+  if (column.startsWith(`${ColumnFamilies.Refs}:`)) return AttributeType.DbKeyList;
+  if (column.startsWith(`${ColumnFamilies.Xrefs}:`)) return AttributeType.ExDbKeyList;
+  return null;
+}
+
+/**
+ * Decode a reference value into [{ modelURN, shortKey }]
+ * @param {any} value - Packed key array or xref array
+ * @param {number} refType - From getReferenceType()
+ * @param {string} modelURN - Model the value was read from (target of same-model refs)
+ * @returns {Array<{modelURN: string, shortKey: string}>}
+ */
+function decodeReferences(value, refType, modelURN) {
+  if (typeof value !== 'string' || value === '') return [];
+  try {
+    if (refType === AttributeType.ExDbKeyList) {
+      const [modelKeys, elementKeys] = fromXrefKeyArray(value);
+      return elementKeys.map((key, i) => ({ modelURN: `urn:adsk.dtm:${modelKeys[i]}`, shortKey: toShortKey(key) }));
+    }
+    return fromShortKeyArray(value, false).map(shortKey => ({ modelURN, shortKey }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Split a scan value into [{ timestamp, value }]
+ * @param {any} cell - Scan cell: [value], [t, v, t, v, ...] (history) or a plain value
+ * @param {boolean} includeHistory
+ * @returns {Array<{timestamp: number|null, value: any}>}
+ */
+function getCellValues(cell, includeHistory) {
+  if (!Array.isArray(cell)) {
+    return [{ timestamp: null, value: cell }];
+  }
+  if (!includeHistory) {
+    return [{ timestamp: null, value: cell[0] }];
+  }
+  const values = [];
+  for (let i = 0; i + 1 < cell.length; i += 2) {
+    values.push({ timestamp: cell[i], value: cell[i + 1] });
+  }
+  return values;
+}
+
+/**
+ * Look up the names of every element referenced by the result's ref/xref columns
+ *
+ * Packed key arrays don't say whether the target is a logical or physical element,
+ * so both full keys are asked for (like Key Tools does) and whichever exists answers.
+ *
+ * @param {object} result - Scan result
+ * @param {string} region - Region header
+ * @returns {Promise<Map<string, string>>} "modelURN|shortKey" -> name
+ */
+export async function resolveReferenceNames(result, region) {
+  const wanted = new Map(); // modelURN -> Set(shortKey)
+
+  result.models.forEach(({ modelURN, rows }) => {
+    rows.forEach(row => {
+      Object.entries(row).forEach(([column, cell]) => {
+        if (column === QC.Key) return;
+        const refType = getReferenceType(column, modelURN);
+        if (!refType) return;
+        getCellValues(cell, result.includeHistory).forEach(({ value }) => {
+          decodeReferences(value, refType, modelURN).forEach(ref => {
+            if (!wanted.has(ref.modelURN)) wanted.set(ref.modelURN, new Set());
+            wanted.get(ref.modelURN).add(ref.shortKey);
+          });
+        });
+      });
+    });
+  });
+
+  const names = new Map();
+  for (const [modelURN, shortKeys] of wanted) {
+    const candidates = [...shortKeys].flatMap(shortKey => [toFullKey(shortKey, false), toFullKey(shortKey, true)]);
+    try {
+      const elements = await getElementColumns(modelURN, candidates, [QC.Name], region);
+      elements.forEach(element => {
+        if (element[QC.Name] !== undefined) {
+          names.set(`${modelURN}|${toShortKey(element[QC.Key])}`, element[QC.Name]);
+        }
+      });
+    } catch (error) {
+      // e.g. an xref into a model that isn't part of this facility - keep the raw keys
+      console.warn(`Could not look up referenced names in ${modelURN}:`, error.message);
+    }
+  }
+  return names;
+}
+
+/**
+ * Flatten a scan result into a table
+ *
+ * Without history there is one row per element and one column per property
+ * (undefined where the element has no value). With history there is one row per
+ * value/timestamp: Model, Key, Property, Timestamp, Value, Deleted.
+ *
+ * @param {object} result - Scan result
+ * @param {object} [options]
+ * @param {Array<object>} [options.models=[]] - Facility models, for model labels
+ * @param {Map<string, string>} [options.referenceNames] - From resolveReferenceNames(); when set,
+ *   ref and xref values are written as element names ("Model: Name" for xrefs)
+ * @returns {{headers: Array<string>, rows: Array<Array<any>>}}
+ */
+export function flattenScanResult(result, { models = [], referenceNames = null } = {}) {
+  const formatValue = (value, column, modelURN) => {
+    if (!referenceNames) return value;
+    const refType = getReferenceType(column, modelURN);
+    if (!refType) return value;
+    const refs = decodeReferences(value, refType, modelURN);
+    if (refs.length === 0) return value;
+    return refs.map(ref => {
+      const name = referenceNames.get(`${ref.modelURN}|${ref.shortKey}`) ?? ref.shortKey;
+      return refType === AttributeType.ExDbKeyList
+        ? `${getModelLabel({ modelURN: ref.modelURN }, models)}: ${name}`
+        : name;
+    }).join('; ');
+  };
+
+  if (result.includeHistory) {
+    const headers = ['Model', 'Key', 'Property', 'Timestamp', 'Value', 'Deleted'];
+    const rows = [];
+    result.models.forEach(modelResult => {
+      const modelLabel = getModelLabel(modelResult, models);
+      modelResult.rows.forEach(row => {
+        Object.entries(row).forEach(([column, cell]) => {
+          if (column === QC.Key) return;
+          const header = getColumnHeader(column, modelResult.modelURN);
+          getCellValues(cell, true).forEach(({ timestamp, value }) => {
+            rows.push([
+              modelLabel,
+              row[QC.Key],
+              header,
+              timestamp === null ? '' : new Date(timestamp).toISOString(),
+              value === null ? '' : formatValue(value, column, modelResult.modelURN),
+              value === null ? 'yes' : ''
+            ]);
+          });
+        });
+      });
+    });
+    return { headers, rows };
+  }
+
+  // Columns in first-seen order; the same header from two models (even with different
+  // qualified IDs) shares one column
+  const headers = ['Model', 'Key'];
+  const headerIndex = new Map();
+  const rows = [];
+  result.models.forEach(modelResult => {
+    const modelLabel = getModelLabel(modelResult, models);
+    modelResult.rows.forEach(row => {
+      const cells = new Map();
+      Object.entries(row).forEach(([column, cell]) => {
+        if (column === QC.Key) return;
+        const header = getColumnHeader(column, modelResult.modelURN);
+        if (!headerIndex.has(header)) {
+          headerIndex.set(header, headers.length);
+          headers.push(header);
+        }
+        const [{ value }] = getCellValues(cell, false);
+        cells.set(headerIndex.get(header), formatValue(value, column, modelResult.modelURN));
+      });
+      rows.push({ modelLabel, key: row[QC.Key], cells });
+    });
+  });
+
+  return {
+    headers,
+    rows: rows.map(({ modelLabel, key, cells }) =>
+      headers.map((header, index) => (index === 0 ? modelLabel : index === 1 ? key : cells.get(index)))
+    )
+  };
+}
+
+/**
+ * Count the rows of a scan result
+ * @param {object} result - Scan result
+ * @returns {number} Elements scanned (before flattening)
+ */
+export function countScanRows(result) {
+  return result.models.reduce((sum, modelResult) => sum + modelResult.rows.length, 0);
+}
+
+/**
+ * Build an export file for a scan result
+ *
+ * @param {object} result - Scan result
+ * @param {string} format - One of ExportFormats
+ * @param {object} [options]
+ * @param {Array<object>} [options.models=[]] - Facility models, for model labels
+ * @param {boolean} [options.decodeRefs=false] - Replace ref/xref keys with element names (extra /scan calls)
+ * @param {string} [options.region] - Region header (needed for decodeRefs)
+ * @returns {Promise<{blob: Blob, filename: string, rowCount: number}>}
+ */
+export async function exportScanResult(result, format, { models = [], decodeRefs = false, region = null } = {}) {
+  const referenceNames = decodeRefs ? await resolveReferenceNames(result, region) : null;
+  const table = flattenScanResult(result, { models, referenceNames });
+  return await exportRows(table, format, { title: result.title || 'scan', suffix: result.includeHistory ? '-history' : '' });
+}
+
+/**
+ * Build a downloadable file from a table
+ *
+ * The filename is "{title}{suffix}-{timestamp}.{format}"; the title is also the sheet name.
+ *
+ * @param {object} table - { headers: Array<string>, rows: Array<Array> }
+ * @param {string} format - One of ExportFormats
+ * @param {object} [options]
+ * @param {string} [options.title='export'] - File and sheet name
+ * @param {string} [options.suffix=''] - Appended to the title in the filename
+ * @returns {Promise<{blob: Blob, filename: string, rowCount: number}>}
+ */
+export async function exportRows({ headers, rows }, format, { title = 'export', suffix = '' } = {}) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const safeTitle = title.replace(/[^\w.-]+/g, '_');
+  const baseName = `${safeTitle}${suffix}-${stamp}`;
+
+  let blob;
+  if (format === ExportFormats.XLSX) {
+    blob = await writeXlsx([headers, ...rows], safeTitle);
+  } else if (format === ExportFormats.JSONL) {
+    const lines = rows.map(cells => JSON.stringify(Object.fromEntries(headers.map((header, i) => [header, cells[i]]))));
+    blob = new Blob([lines.join('\n') + '\n'], { type: mimeTypes[format] });
+  } else {
+    // BOM so Excel opens the CSV as UTF-8
+    blob = new Blob(['\uFEFF', toDelimited([headers, ...rows])], { type: mimeTypes[ExportFormats.CSV] });
+  }
+
+  return { blob, filename: `${baseName}.${format}`, rowCount: rows.length };
+}
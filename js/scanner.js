@@ -0,0 +1,244 @@
+/**
+ * Scanner
+ *
+ * Runs full-model /scan requests in a Web Worker (js/workers/scanWorker.js) so that
+ * downloading, parsing and filtering hundreds of thousands of rows doesn't freeze
+ * the page. While a scan runs its progress (bytes received, rows parsed) is kept
+ * here for the progress display, and the scan can be cancelled through the same
+ * abort signal as every other request of the running STUB.
+ *
+ * Requests made by the worker are passed on to the request log like any other call.
+ * Where module workers aren't available the scan runs on the main thread instead.
+ */
+
+import { fetchJSON, reportRequest, getDefaultSignal, TandemApiError } from './client.js';
+
+export const ScanStatus = {
+  Running: 'running',
+  Done: 'done',
+  Failed: 'failed',
+  Cancelled: 'cancelled'
+};
+
+let worker = null;
+let workerUnavailable = false;
+let nextScanId = 1;
+
+// scan id -> { message, resolve, reject, state }
+const pendingScans = new Map();
+
+// Progress of the current batch of scans (cleared when a scan starts after all have finished)
+let scanStates = [];
+const progressListeners = new Set();
+
+/**
+ * Check whether a scan row passes a filter
+ * @param {object} row
+ * @param {number} index - Position in the response (0 is the version row)
+ * @param {object} filter
+ * @param {boolean} [filter.skipVersionRow] - Drop row 0
+ * @param {string} [filter.columnPrefix] - Keep only rows with a column starting with this (e.g. 'z:')
+ * @returns {boolean}
+ */
+export function keepScanRow(row, index, { skipVersionRow = false, columnPrefix = null } = {}) {
+  if (index === 0 && skipVersionRow) return false;
+  if (columnPrefix && !Object.keys(row).some(column => column.startsWith(columnPrefix))) return false;
+  return true;
+}
+
+/**
+ * Notify progress listeners
+ */
+function notifyProgress() {
+  progressListeners.forEach(listener => listener(scanStates));
+}
+
+/**
+ * Subscribe to scan progress
+ * @param {Function} listener - Called with the scan states of the current batch:
+ *   [{ id, modelURN, status, bytesReceived, totalBytes, rowsParsed, rowsKept, startedAt, finishedAt }]
+ * @returns {Function} Call to unsubscribe
+ */
+export function onScanProgress(listener) {
+  progressListeners.add(listener);
+  return () => progressListeners.delete(listener);
+}
+
+/**
+ * Rebuild an error posted by the worker
+ * @param {object} data - Serialized error
+ * @returns {Error}
+ */
+function deserializeError(data) {
+  if (data.name === 'TandemApiError') {
+    return new TandemApiError(data.message, data);
+  }
+  const error = new Error(data.message);
+  error.name = data.name;
+  return error;
+}
+
+/**
+ * Mark a scan as finished and forget it
+ * @param {number} id
+ * @param {string} status - ScanStatus
+ * @returns {object|undefined} The pending scan
+ */
+function finishScan(id, status) {
+  const pending = pendingScans.get(id);
+  if (!pending) return undefined;
+  pendingScans.delete(id);
+  pending.cleanup();
+  pending.state.status = status;
+  pending.state.finishedAt = Date.now();
+  notifyProgress();
+  return pending;
+}
+
+/**
+ * Handle a message from the worker
+ * @param {MessageEvent} event
+ */
+function handleWorkerMessage({ data }) {
+  if (data.type === 'request') {
+    reportRequest({ ...data.entry, error: data.entry.error && deserializeError(data.entry.error) });
+    return;
+  }
+
+  const pending = pendingScans.get(data.id);
+  if (!pending) return; // cancelled meanwhile
+
+  if (data.type === 'progress') {
+    Object.assign(pending.state, {
+      bytesReceived: data.bytesReceived,
+      totalBytes: data.totalBytes,
+      rowsParsed: data.rowsParsed,
+      rowsKept: data.rowsKept
+    });
+    notifyProgress();
+  } else if (data.type === 'done') {
+    finishScan(data.id, ScanStatus.Done)?.resolve(data.rows);
+  } else if (data.type === 'error') {
+    const error = deserializeError(data.error);
+    finishScan(data.id, error.code === 'aborted' ? ScanStatus.Cancelled : ScanStatus.Failed)?.reject(error);
+  }
+}
+
+/**
+ * The worker could not be started (e.g. no module worker support): run the
+ * scans it had on the main thread and don't use it again
+ * @param {ErrorEvent} event
+ */
+function handleWorkerFailure(event) {
+  console.warn('Scan worker failed, scanning on the main thread from now on:', event.message || event);
+  event.preventDefault?.();
+  workerUnavailable = true;
+  worker?.terminate();
+  worker = null;
+
+  pendingScans.forEach(pending => {
+    scanOnMainThread(pending.message, pending.signal).then(
+      rows => finishScan(pending.message.id, ScanStatus.Done)?.resolve(rows),
+      error => finishScan(pending.message.id, error.code === 'aborted' ? ScanStatus.Cancelled : ScanStatus.Failed)?.reject(error)
+    );
+  });
+}
+
+/**
+ * Get the worker, starting it on first use
+ * @returns {Worker|null} Null if scans have to run on the main thread
+ */
+function getWorker() {
+  if (workerUnavailable || typeof Worker === 'undefined') return null;
+  if (!worker) {
+    try {
+      worker = new Worker(new URL('./workers/scanWorker.js', import.meta.url), { type: 'module' });
+      worker.addEventListener('message', handleWorkerMessage);
+      worker.addEventListener('error', handleWorkerFailure);
+    } catch (error) {
+      console.warn('Scan worker unavailable, scanning on the main thread:', error.message);
+      workerUnavailable = true;
+      return null;
+    }
+  }
+  return worker;
+}
+
+/**
+ * Run a scan on the main thread (no progress until it's complete)
+ * @param {object} message - Scan message
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Array>} Kept rows
+ */
+async function scanOnMainThread({ url, requestOptions, filter }, signal) {
+  const data = await fetchJSON(url, requestOptions, { signal });
+  return (data || []).filter((row, index) => keepScanRow(row, index, filter));
+}
+
+/**
+ * Run a /scan request and parse its rows off the main thread
+ *
+ * @param {string} url - Scan URL
+ * @param {object} requestOptions - Fetch options (from makeRequestOptionsPOST)
+ * @param {object} [options]
+ * @param {string} [options.modelURN] - Shown in the progress display
+ * @param {object} [options.filter] - See keepScanRow()
+ * @param {AbortSignal} [options.signal] - Defaults to the running STUB's signal
+ * @returns {Promise<Array>} Rows that passed the filter
+ * @throws {TandemApiError} code 'aborted' if cancelled
+ */
+export function runScan(url, requestOptions, { modelURN = null, filter = {}, signal = getDefaultSignal() } = {}) {
+  if (pendingScans.size === 0) {
+    scanStates = [];
+  }
+
+  const id = nextScanId++;
+  const state = {
+    id,
+    modelURN,
+    status: ScanStatus.Running,
+    bytesReceived: 0,
+    totalBytes: null,
+    rowsParsed: 0,
+    rowsKept: 0,
+    startedAt: Date.now(),
+    finishedAt: null
+  };
+  scanStates.push(state);
+
+  // Headers objects can't be posted to a worker
+  const headers = requestOptions.headers instanceof Headers
+    ? Object.fromEntries(requestOptions.headers.entries())
+    : { ...requestOptions.headers };
+  const message = { type: 'scan', id, url, requestOptions: { ...requestOptions, headers }, filter };
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      worker?.postMessage({ type: 'cancel', id });
+      const method = requestOptions.method || 'GET';
+      finishScan(id, ScanStatus.Cancelled)?.reject(new TandemApiError(`${method} ${url} was cancelled`, { code: 'aborted', method, url }));
+    };
+    const cleanup = () => signal?.removeEventListener('abort', onAbort);
+    pendingScans.set(id, { message, signal, resolve, reject, state, cleanup });
+    notifyProgress();
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const scanWorker = getWorker();
+    if (scanWorker) {
+      scanWorker.postMessage(message);
+    } else {
+      scanOnMainThread(message, signal).then(
+        rows => {
+          Object.assign(state, { rowsParsed: rows.length, rowsKept: rows.length });
+          finishScan(id, ScanStatus.Done)?.resolve(rows);
+        },
+        error => finishScan(id, error.code === 'aborted' ? ScanStatus.Cancelled : ScanStatus.Failed)?.reject(error)
+      );
+    }
+  });
+}
@@ -0,0 +1,279 @@
+/**
+ * Element Index Module
+ *
+ * Opt-in client-side copy of every element of a model (standard, refs, xrefs and
+ * DT properties families), so SDK stubs and the Query panel can answer without
+ * scanning the whole model each time.
+ *
+ * - Built with one full /scan per model, kept in memory and persisted in IndexedDB
+ *   per environment + model URN.
+ * - Kept current from the model's change history: only the keys changed since the
+ *   last sync are re-scanned. If the history can't say which keys changed (or too
+ *   many did) the model is scanned again from scratch.
+ * - Rows deleted as a whole (DeleteRow) are dropped; they aren't re-scanned, as a
+ *   scan by key still returns deleted rows.
+ * - Rows keep the shape of a /scan response ({ k, 'n:n': [value], ... }), so code
+ *   written for scan rows works on indexed rows unchanged.
+ */
+
+import { scanModelElements, getElements, getModelHistory } from '../api.js';
+import { envStorageKey } from '../config.js';
+import { idbGet, idbPut, idbDelete, idbClear, Stores } from './idbStore.js';
+import { ColumnFamilies, HC, HistoryOperations } from '../../tandem/constants.js';
+
+export const IndexedFamilies = [
+  ColumnFamilies.Standard,
+  ColumnFamilies.Refs,
+  ColumnFamilies.Xrefs,
+  ColumnFamilies.DtProperties
+];
+
+const ENABLED_KEY = 'tandem-testbed-elementIndex';
+
+// History is read from a bit before the last sync, so clock differences between
+// browser and server can't make us miss a change (re-scanning a key twice is harmless)
+const SYNC_MARGIN_MS = 5 * 60 * 1000;
+
+// Don't ask for history again within this time - one stub often reads a model twice
+const RECHECK_MS = 15 * 1000;
+
+// Above this many changed keys a full scan is cheaper than scanning by key
+const MAX_INCREMENTAL_KEYS = 2000;
+
+// envStorageKey(modelURN) -> { modelURN, families, builtAt, syncedAt, checkedAt, rows }
+const indexes = new Map();
+
+// envStorageKey(modelURN) -> Promise of the index being built / refreshed
+const pending = new Map();
+
+/**
+ * Check whether stubs should answer from the element index
+ * @returns {boolean} False unless turned on for the current environment
+ */
+export function isElementIndexEnabled() {
+  return localStorage.getItem(envStorageKey(ENABLED_KEY)) === 'true';
+}
+
+/**
+ * Turn the element index on or off for the current environment
+ * @param {boolean} enabled
+ */
+export function setElementIndexEnabled(enabled) {
+  localStorage.setItem(envStorageKey(ENABLED_KEY), enabled ? 'true' : 'false');
+}
+
+/**
+ * Check whether the index holds the given qualified columns
+ * @param {Array<string>} columns - Qualified columns (e.g. ['n:n', 'z:Lw'])
+ * @returns {boolean}
+ */
+export function canIndexAnswer(columns) {
+  return columns.every(column => IndexedFamilies.includes(column.split(':')[0]));
+}
+
+/**
+ * Turn a skipArrays row ({ 'n:n': value }) into the shape of a regular scan row ({ 'n:n': [value] })
+ * @param {object} row
+ * @returns {object}
+ */
+function toScanRow(row) {
+  return Object.fromEntries(Object.entries(row).map(([column, value]) =>
+    [column, column === 'k' || Array.isArray(value) ? value : [value]]));
+}
+
+/**
+ * Read a persisted index (IndexedDB errors are treated as "not built yet")
+ * @param {string} modelURN
+ * @returns {Promise<object|undefined>}
+ */
+async function readPersistedIndex(modelURN) {
+  try {
+    return await idbGet(Stores.ElementIndex, envStorageKey(modelURN));
+  } catch (error) {
+    console.warn('ELEMENT INDEX: IndexedDB unavailable, the index is kept in memory only:', error.message);
+    return undefined;
+  }
+}
+
+/**
+ * Persist an index (failures only cost a full scan after the next page load)
+ * @param {object} index
+ */
+async function persistIndex(index) {
+  try {
+    await idbPut(Stores.ElementIndex, envStorageKey(index.modelURN), index);
+  } catch (error) {
+    console.warn('ELEMENT INDEX: Could not persist index:', error.message);
+  }
+}
+
+/**
+ * Scan a whole model into a new index
+ * @param {string} modelURN
+ * @param {string} region
+ * @returns {Promise<object>} Index
+ * @throws {TandemApiError}
+ */
+async function buildIndex(modelURN, region) {
+  const startTime = Date.now();
+  console.log(`ELEMENT INDEX: Scanning ${modelURN} (${IndexedFamilies.join(', ')})...`);
+  const rows = await scanModelElements(modelURN, IndexedFamilies, region);
+
+  const index = {
+    modelURN,
+    families: IndexedFamilies,
+    builtAt: startTime,
+    syncedAt: startTime - SYNC_MARGIN_MS,
+    checkedAt: startTime,
+    rows
+  };
+  console.log(`ELEMENT INDEX: ${rows.length} element(s) indexed (${Date.now() - startTime}ms)`);
+  await persistIndex(index);
+  return index;
+}
+
+/**
+ * Bring an index up to date from the model's change history
+ * @param {object} index
+ * @param {string} region
+ * @returns {Promise<object>} The same index, or a rebuilt one
+ * @throws {TandemApiError}
+ */
+async function refreshIndex(index, region) {
+  const { modelURN } = index;
+  const startTime = Date.now();
+  const transactions = await getModelHistory(modelURN, region, { min: index.syncedAt, includeChanges: true });
+
+  // Oldest first, so a row written again after a DeleteRow counts as changed
+  const changedKeys = new Set();
+  const deletedKeys = new Set();
+  let keysKnown = true;
+  for (const transaction of [...transactions].sort((a, b) => a[HC.Timestamp] - b[HC.Timestamp])) {
+    const keys = transaction[HC.Keys];
+    if (!Array.isArray(keys)) {
+      keysKnown = false;
+    } else if (transaction[HC.Operation] === HistoryOperations.DeleteRow) {
+      keys.forEach(key => {
+        changedKeys.delete(key);
+        deletedKeys.add(key);
+      });
+    } else {
+      keys.forEach(key => {
+        deletedKeys.delete(key);
+        changedKeys.add(key);
+      });
+    }
+  }
+
+  if (!keysKnown || changedKeys.size > MAX_INCREMENTAL_KEYS) {
+    console.log(`ELEMENT INDEX: ${transactions.length} change(s) to ${modelURN} without usable keys - rebuilding`);
+    return buildIndex(modelURN, region);
+  }
+
+  const modified = changedKeys.size > 0 || deletedKeys.size > 0;
+  if (modified) {
+    const fresh = changedKeys.size > 0 ? await getElements(modelURN, [...changedKeys], region, IndexedFamilies) : [];
+    const rowsByKey = new Map(index.rows.map(row => [row.k, row]));
+    // Keys that no longer come back have lost all their indexed columns
+    changedKeys.forEach(key => rowsByKey.delete(key));
+    deletedKeys.forEach(key => rowsByKey.delete(key));
+    fresh.forEach(row => rowsByKey.set(row.k, toScanRow(row)));
+    index.rows = [...rowsByKey.values()];
+    console.log(`ELEMENT INDEX: ${modelURN}: ${changedKeys.size} changed element(s) re-scanned, ${deletedKeys.size} deleted element(s) dropped (${Date.now() - startTime}ms)`);
+  }
+
+  index.syncedAt = startTime - SYNC_MARGIN_MS;
+  index.checkedAt = startTime;
+  // An unchanged index isn't rewritten; the older syncedAt only widens the next history read
+  if (modified) {
+    await persistIndex(index);
+  }
+  return index;
+}
+
+/**
+ * Load, build or refresh the index of a model
+ * @param {string} modelURN
+ * @param {string} region
+ * @param {boolean} rebuild - Scan from scratch even if an index exists
+ * @returns {Promise<object>} Index
+ */
+async function syncIndex(modelURN, region, rebuild) {
+  const storageKey = envStorageKey(modelURN);
+  let index = indexes.get(storageKey);
+  if (!index && !rebuild) {
+    index = await readPersistedIndex(modelURN);
+  }
+
+  const sameFamilies = index?.families?.join() === IndexedFamilies.join();
+  if (!index || rebuild || !sameFamilies) {
+    index = await buildIndex(modelURN, region);
+  } else if (Date.now() - (index.checkedAt || 0) > RECHECK_MS) {
+    index = await refreshIndex(index, region);
+  }
+
+  indexes.set(storageKey, index);
+  return index;
+}
+
+/**
+ * Get the index of a model, building it on first use and refreshing it from history
+ *
+ * @param {string} modelURN - Model URN
+ * @param {string} region - Region header
+ * @param {object} [options]
+ * @param {boolean} [options.rebuild=false] - Scan the model from scratch
+ * @returns {Promise<object>} { modelURN, families, builtAt, syncedAt, rows }
+ * @throws {TandemApiError}
+ */
+export async function ensureModelIndex(modelURN, region, { rebuild = false } = {}) {
+  const storageKey = envStorageKey(modelURN);
+  if (!pending.has(storageKey)) {
+    pending.set(storageKey, syncIndex(modelURN, region, rebuild).finally(() => pending.delete(storageKey)));
+  }
+  return pending.get(storageKey);
+}
+
+/**
+ * Get every indexed element of a model (see ensureModelIndex)
+ * @param {string} modelURN - Model URN
+ * @param {string} region - Region header
+ * @returns {Promise<Array>} Scan rows without the version row
+ * @throws {TandemApiError}
+ */
+export async function getIndexedRows(modelURN, region) {
+  return (await ensureModelIndex(modelURN, region)).rows;
+}
+
+/**
+ * Describe the indexes held in memory
+ * @returns {Array<{modelURN: string, elements: number, builtAt: string, syncedAt: string}>}
+ */
+export function getElementIndexStatus() {
+  return [...indexes.values()].map(index => ({
+    modelURN: index.modelURN,
+    elements: index.rows.length,
+    builtAt: new Date(index.builtAt).toISOString(),
+    syncedAt: new Date(index.syncedAt + SYNC_MARGIN_MS).toISOString()
+  }));
+}
+
+/**
+ * Drop the index of one model, or all indexes (every environment)
+ * @param {string} [modelURN] - Model URN; omit to clear everything
+ * @returns {Promise<void>}
+ */
+export async function clearElementIndex(modelURN) {
+  try {
+    if (modelURN) {
+      indexes.delete(envStorageKey(modelURN));
+      await idbDelete(Stores.ElementIndex, envStorageKey(modelURN));
+    } else {
+      indexes.clear();
+      await idbClear(Stores.ElementIndex);
+    }
+  } catch (error) {
+    console.warn('ELEMENT INDEX: Could not clear IndexedDB:', error.message);
+  }
+  console.log(`ELEMENT INDEX: Cleared ${modelURN || 'all models'}`);
+}
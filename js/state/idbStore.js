@@ -0,0 +1,147 @@
+/**
+ * IndexedDB Store Module
+ *
+ * Small promise wrapper around one IndexedDB database shared by all persistent caches.
+ * Each cache gets its own object store (see Stores); keys are strings chosen by
+ * the caller - usually scoped with envStorageKey() so environments never share entries.
+ *
+ * If IndexedDB is unavailable (e.g. some private browsing modes) every call rejects,
+ * and callers fall back to fetching from the API.
+ */
+
+const DB_NAME = 'tandem-testbed-ai';
+const DB_VERSION = 2;
+
+// Adding a store needs a DB_VERSION bump so onupgradeneeded creates it
+export const Stores = {
+  Schemas: 'schemas',
+  ElementIndex: 'elementIndex'
+};
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>} Request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create/upgrade) the database once per page load
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(Stores).forEach(storeName => {
+          if (!db.objectStoreNames.contains(storeName)) {
+            db.createObjectStore(storeName);
+          }
+        });
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another tab is upgrading to a newer DB_VERSION - let it, and reopen on the next call
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      // Older tabs close their connection on versionchange; this only stays blocked
+      // while one of them is busy, and the open continues once it lets go
+      request.onblocked = () => console.warn('IndexedDB upgrade is waiting for another tab of this app to close its connection');
+    });
+
+    // Allow a retry on the next call if opening failed
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run one request in a transaction on a store
+ * @param {string} storeName - One of Stores
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Called with the IDBObjectStore, returns an IDBRequest
+ * @returns {Promise<any>} Request result
+ */
+async function withStore(storeName, mode, makeRequest) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  const result = promisify(makeRequest(transaction.objectStore(storeName)));
+
+  // Writes only count once the transaction commits. Awaiting both together so a failed
+  // request doesn't leave its promise rejected with nobody listening.
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+  const [value] = await Promise.all([result, done]);
+  return value;
+}
+
+/**
+ * Read a value
+ * @param {string} storeName - One of Stores
+ * @param {string} key
+ * @returns {Promise<any>} Stored value, or undefined
+ */
+export function idbGet(storeName, key) {
+  return withStore(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Write a value (structured-cloneable)
+ * @param {string} storeName - One of Stores
+ * @param {string} key
+ * @param {any} value
+ * @returns {Promise<void>}
+ */
+export async function idbPut(storeName, key, value) {
+  await withStore(storeName, 'readwrite', store => store.put(value, key));
+}
+
+/**
+ * Delete a value
+ * @param {string} storeName - One of Stores
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+export async function idbDelete(storeName, key) {
+  await withStore(storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Delete all values in a store
+ * @param {string} storeName - One of Stores
+ * @returns {Promise<void>}
+ */
+export async function idbClear(storeName) {
+  await withStore(storeName, 'readwrite', store => store.clear());
+}
+
+/**
+ * List all keys in a store
+ * @param {string} storeName - One of Stores
+ * @returns {Promise<Array<string>>}
+ */
+export function idbKeys(storeName) {
+  return withStore(storeName, 'readonly', store => store.getAllKeys());
+}
@@ -0,0 +1,127 @@
+/**
+ * Operation Log Module
+ *
+ * Keeps the writes (/mutate calls) made in this browser session together with the
+ * values they replaced, so the Operations panel can list them and roll them back.
+ * Records are kept in sessionStorage per environment: they survive a reload of the
+ * tab, but not closing it.
+ */
+
+import { envStorageKey } from '../config.js';
+
+const STORAGE_KEY = 'tandem-testbed-operations';
+
+// Oldest operations are dropped once the log reaches this size
+const MAX_OPERATIONS = 100;
+
+export const OperationStatus = {
+  Applied: 'applied',
+  RolledBack: 'rolled back'
+};
+
+let operations = loadOperations();
+const listeners = new Set();
+
+/**
+ * Read the log saved for the current environment
+ * @returns {Array<object>}
+ */
+function loadOperations() {
+  try {
+    return JSON.parse(sessionStorage.getItem(envStorageKey(STORAGE_KEY))) || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Save the log and notify listeners
+ */
+function saveOperations() {
+  try {
+    sessionStorage.setItem(envStorageKey(STORAGE_KEY), JSON.stringify(operations));
+  } catch (error) {
+    // Quota exceeded - the in-memory log still works for this page
+    console.warn('Operation log could not be saved:', error.message);
+  }
+  listeners.forEach(listener => listener(operations));
+}
+
+/**
+ * Record a write that was applied
+ *
+ * @param {object} operation
+ * @param {string} operation.modelURN - Model that was mutated
+ * @param {string} operation.region - Region header used
+ * @param {string} operation.desc - Description sent with the mutation
+ * @param {Array<string>} operation.keys - Element keys (one per mutation)
+ * @param {Array<Array>} operation.muts - Mutations as sent
+ * @param {Array<object>} operation.before - Prior cell values: { key, column, existed, value, timestamp }
+ * @param {Array<object>} operation.deletedRows - Rows that were soft-deleted: { key, columns: { qc: value } }
+ * @returns {object} Stored operation (with id, timestamp and status)
+ */
+export function recordOperation(operation) {
+  const lastId = operations.length > 0 ? operations[operations.length - 1].id : 0;
+  const record = {
+    id: lastId + 1,
+    timestamp: new Date().toISOString(),
+    status: OperationStatus.Applied,
+    columns: [...new Set(operation.muts.map(([, fam, col]) => (fam ? `${fam}:${col}` : '(row)')))],
+    ...operation
+  };
+
+  operations.push(record);
+  if (operations.length > MAX_OPERATIONS) {
+    operations = operations.slice(operations.length - MAX_OPERATIONS);
+  }
+  saveOperations();
+  return record;
+}
+
+/**
+ * Get an operation by ID
+ * @param {number} id
+ * @returns {object|undefined}
+ */
+export function getOperation(id) {
+  return operations.find(operation => operation.id === id);
+}
+
+/**
+ * Get recorded operations, oldest first
+ * @returns {Array<object>}
+ */
+export function getOperations() {
+  return operations;
+}
+
+/**
+ * Mark an operation as rolled back
+ * @param {number} id - Operation ID
+ * @param {number} rollbackId - ID of the operation that reverted it
+ */
+export function markRolledBack(id, rollbackId) {
+  const operation = getOperation(id);
+  if (!operation) return;
+  operation.status = OperationStatus.RolledBack;
+  operation.rolledBackBy = rollbackId;
+  saveOperations();
+}
+
+/**
+ * Clear the operation log for the current environment
+ */
+export function clearOperationLog() {
+  operations = [];
+  saveOperations();
+}
+
+/**
+ * Subscribe to log changes
+ * @param {Function} listener - Called with the operations array on every change
+ * @returns {Function} Call to unsubscribe
+ */
+export function onOperationLogChanged(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,257 @@
+/**
+ * Request Log Module
+ *
+ * Keeps a session history of every HTTP call made through tandemFetch(),
+ * tagged with the STUB that was running when the call was made.
+ * The inspector panel renders this history so the testbed can be used without DevTools.
+ *
+ * Each STUB run also gets an AbortController: reads made while it runs are tied to it
+ * (see setDefaultSignalProvider in client.js), so cancelActiveStub() stops them all.
+ */
+
+import { addRequestObserver, setDefaultSignalProvider } from '../client.js';
+
+// Oldest records are dropped once the log reaches this size
+const MAX_RECORDS = 200;
+
+// Responses bigger than this are measured but not kept for the JSON tree
+const MAX_STORED_BODY_BYTES = 5 * 1024 * 1024;
+
+let records = [];
+let nextRecordId = 1;
+let activeStub = null;
+let activeRunId = null;
+let activeController = null;
+let nextRunId = 1;
+let stopObserving = null;
+const listeners = new Set();
+const activeStubListeners = new Set();
+
+/**
+ * Notify listeners that the log changed
+ */
+function notifyListeners() {
+  listeners.forEach(listener => listener(records));
+}
+
+/**
+ * Notify listeners that a STUB started, ended or was cancelled
+ */
+function notifyActiveStubListeners() {
+  activeStubListeners.forEach(listener => listener(activeStub));
+}
+
+/**
+ * Try to parse a request body as JSON (bodies are JSON strings for Tandem calls)
+ * @param {any} body - Request body from fetch options
+ * @returns {any} Parsed body, raw string, or null
+ */
+function parseRequestBody(body) {
+  if (body === null || body === undefined) return null;
+  if (typeof body !== 'string') return String(body);
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+/**
+ * Copy request headers without the Authorization header
+ * The token is never stored in the log - code generators add it back on request.
+ * @param {object} headers - Header name -> value
+ * @returns {object} Headers safe to keep
+ */
+function stripAuthorization(headers) {
+  const result = {};
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    if (name.toLowerCase() !== 'authorization') {
+      result[name] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Read the response clone and attach size and parsed body to the record
+ * @param {object} record - Log record
+ * @param {Response} response - Cloned response
+ */
+async function readResponse(record, response) {
+  try {
+    const buffer = await response.arrayBuffer();
+    record.responseSize = buffer.byteLength;
+    record.contentType = response.headers.get('Content-Type') || '';
+
+    if (buffer.byteLength === 0) {
+      record.responseBody = null;
+    } else if (buffer.byteLength > MAX_STORED_BODY_BYTES) {
+      record.responseNote = 'Response too large to display';
+    } else if (record.contentType.startsWith('image/')) {
+      record.responseNote = `Binary response (${record.contentType})`;
+    } else {
+      const text = new TextDecoder().decode(buffer);
+      try {
+        record.responseBody = JSON.parse(text);
+      } catch {
+        record.responseBody = text;
+      }
+    }
+  } catch (error) {
+    record.responseNote = `Could not read response: ${error.message}`;
+  }
+  record.revision++;
+  notifyListeners();
+}
+
+/**
+ * Observer registered with the HTTP client
+ * @param {object} entry - Request details from tandemFetch
+ */
+function recordRequest(entry) {
+  const record = {
+    id: nextRecordId++,
+    revision: 0, // bumped when the response body arrives
+    timestamp: new Date(),
+    stub: activeStub,
+    runId: activeRunId,
+    method: entry.method,
+    url: entry.url,
+    region: entry.region,
+    requestHeaders: stripAuthorization(entry.requestHeaders),
+    hasAuthorization: Object.keys(entry.requestHeaders || {}).some(name => name.toLowerCase() === 'authorization'),
+    requestBodyText: typeof entry.requestBody === 'string' ? entry.requestBody : null,
+    requestBody: parseRequestBody(entry.requestBody),
+    status: entry.status,
+    statusText: entry.statusText,
+    ok: entry.ok,
+    durationMs: entry.durationMs,
+    attempts: entry.attempts,
+    responseSize: entry.responseSize ?? null,
+    contentType: '',
+    responseBody: entry.error?.body ?? null,
+    responseNote: entry.error && entry.error.code !== 'http' ? entry.error.message : (entry.responseNote ?? null)
+  };
+
+  records.push(record);
+  if (records.length > MAX_RECORDS) {
+    records = records.slice(records.length - MAX_RECORDS);
+  }
+  notifyListeners();
+
+  if (entry.response) {
+    readResponse(record, entry.response);
+  }
+}
+
+/**
+ * Start recording requests (safe to call more than once)
+ */
+export function startRequestLog() {
+  if (!stopObserving) {
+    stopObserving = addRequestObserver(recordRequest);
+    setDefaultSignalProvider(() => activeController?.signal);
+  }
+}
+
+/**
+ * Mark a STUB as running - requests made until endStub() are tagged with its name
+ * @param {string} stubName - STUB label shown in the UI
+ */
+export function beginStub(stubName) {
+  activeStub = stubName;
+  activeRunId = nextRunId++;
+  activeController = new AbortController();
+  notifyActiveStubListeners();
+}
+
+/**
+ * Mark a STUB as finished
+ * @param {string} stubName - STUB label passed to beginStub()
+ */
+export function endStub(stubName) {
+  if (activeStub === stubName) {
+    activeStub = null;
+    activeRunId = null;
+    activeController = null;
+    notifyActiveStubListeners();
+  }
+}
+
+/**
+ * Get the STUB that is running
+ * @returns {string|null} STUB label, or null when none is running
+ */
+export function getActiveStub() {
+  return activeStub;
+}
+
+/**
+ * Cancel the outstanding reads of the running STUB
+ * Writes that were already sent are not interrupted (see tandemFetch).
+ * @returns {boolean} True if a STUB was running
+ */
+export function cancelActiveStub() {
+  if (!activeController || activeController.signal.aborted) return false;
+  console.warn(`Cancelling "${activeStub}"...`);
+  activeController.abort();
+  notifyActiveStubListeners();
+  return true;
+}
+
+/**
+ * Subscribe to STUB start / end / cancel
+ * @param {Function} listener - Called with the running STUB label (or null)
+ * @returns {Function} Call to unsubscribe
+ */
+export function onActiveStubChanged(listener) {
+  activeStubListeners.add(listener);
+  return () => activeStubListeners.delete(listener);
+}
+
+/**
+ * Get recorded requests, oldest first
+ * @param {string} [stubName] - Only return requests made by this STUB
+ * @returns {Array<object>} Records
+ */
+export function getRequestRecords(stubName) {
+  if (!stubName) return records;
+  return records.filter(record => record.stub === stubName);
+}
+
+/**
+ * Get all requests made by one STUB run, in the order they were made
+ * @param {number} runId - Run ID from a record
+ * @returns {Array<object>} Records
+ */
+export function getRunRecords(runId) {
+  if (!runId) return [];
+  return records.filter(record => record.runId === runId);
+}
+
+/**
+ * Get the names of all STUBs that appear in the log
+ * @returns {Array<string>} Sorted STUB names
+ */
+export function getRecordedStubNames() {
+  const names = new Set(records.map(record => record.stub).filter(Boolean));
+  return Array.from(names).sort();
+}
+
+/**
+ * Clear the request history
+ */
+export function clearRequestLog() {
+  records = [];
+  notifyListeners();
+}
+
+/**
+ * Subscribe to log changes
+ * @param {Function} listener - Called with the records array on every change
+ * @returns {Function} Call to unsubscribe
+ */
+export function onRequestLogChanged(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,60 @@
+/**
+ * Saved Queries Module
+ *
+ * Named element queries (see utils/queryLanguage.js), kept in localStorage per
+ * environment so they can be re-run later from the Query panel.
+ */
+
+import { envStorageKey } from '../config.js';
+
+const STORAGE_KEY = 'tandem-testbed-savedQueries';
+
+/**
+ * Read the saved queries of the current environment
+ * @returns {Array<{name: string, query: string, savedAt: string}>} Sorted by name
+ */
+export function getSavedQueries() {
+  try {
+    const queries = JSON.parse(localStorage.getItem(envStorageKey(STORAGE_KEY))) || [];
+    return queries.sort((a, b) => a.name.localeCompare(b.name));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Get a saved query by name
+ * @param {string} name
+ * @returns {object|undefined}
+ */
+export function getSavedQuery(name) {
+  return getSavedQueries().find(entry => entry.name === name);
+}
+
+/**
+ * Save a query under a name, replacing any query with the same name
+ * @param {string} name
+ * @param {string} query - Query text
+ * @throws {Error} If the name or query is empty
+ */
+export function saveQuery(name, query) {
+  const trimmedName = (name || '').trim();
+  if (!trimmedName) {
+    throw new Error('Give the query a name to save it');
+  }
+  if (!(query || '').trim()) {
+    throw new Error('Nothing to save - the query is empty');
+  }
+  const queries = getSavedQueries().filter(entry => entry.name !== trimmedName);
+  queries.push({ name: trimmedName, query: query.trim(), savedAt: new Date().toISOString() });
+  localStorage.setItem(envStorageKey(STORAGE_KEY), JSON.stringify(queries));
+}
+
+/**
+ * Delete a saved query
+ * @param {string} name
+ */
+export function deleteSavedQuery(name) {
+  const queries = getSavedQueries().filter(entry => entry.name !== name);
+  localStorage.setItem(envStorageKey(STORAGE_KEY), JSON.stringify(queries));
+}
@@ -3,86 +3,182 @@
  * 
  * Caches model schemas for autocomplete and property lookups.
  * This is for UI convenience - developers can see the API calls in console.
+ * 
+ * Two levels:
+ * - In memory: schemas of the current facility's models (cleared on facility switch)
+ * - IndexedDB: every schema seen, keyed by environment + model URN, so switching
+ *   back to a facility doesn't re-download its schemas. A persisted schema is reused
+ *   only while the model's /modeldata/{urn}/model info (version, last modified) is unchanged.
  */
 
 import { tandemBaseURL, makeRequestOptionsGET } from '../api.js';
+import { fetchJSON } from '../client.js';
+import { envStorageKey } from '../config.js';
+import { idbGet, idbPut, idbClear, Stores } from './idbStore.js';
+import { getAttributeTypeName } from '../../tandem/attributes.js';
 
 // Schema cache: modelURN -> { attributes: [...], lookup: Map(qualifiedProp -> attribute) }
 const schemaCache = {};
 
+// Fields of the model info that change when the model (and so possibly its schema) changes
+const MODEL_VERSION_FIELDS = ['version', 'modelVersion', 'lastModified', 'lastModifiedTime', 'updatedAt', 'schemaVersion'];
+
 /**
  * Fetch schema for a model (logs to console for educational purposes)
  * @param {string} modelURN - Model URN
  * @param {string} region - Region header
  * @returns {Promise<Object>} Schema object
+ * @throws {TandemApiError}
  */
 async function fetchSchema(modelURN, region) {
   const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/schema`;
   console.log(`SCHEMA CACHE: GET ${requestPath}`);
   
+  return await fetchJSON(requestPath, makeRequestOptionsGET(region));
+}
+
+/**
+ * Get a fingerprint of the model's current version
+ * Uses the version/last-modified fields when present, otherwise the whole model info.
+ * @param {string} modelURN - Model URN
+ * @param {string} region - Region header
+ * @returns {Promise<string|null>} Fingerprint, or null if the model info could not be read
+ */
+async function fetchModelFingerprint(modelURN, region) {
+  const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/model`;
+  
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch schema: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    return data;
+    const info = await fetchJSON(requestPath, makeRequestOptionsGET(region));
+    const versionFields = MODEL_VERSION_FIELDS.filter(field => info?.[field] !== undefined);
+    const source = versionFields.length > 0
+      ? Object.fromEntries(versionFields.map(field => [field, info[field]]))
+      : info;
+    return JSON.stringify(source);
   } catch (error) {
-    console.error('Error fetching schema:', error);
-    return { attributes: [] };
+    console.warn(`SCHEMA CACHE: Could not read model info for ${modelURN}, fetching schema instead:`, error);
+    return null;
+  }
+}
+
+/**
+ * Read a persisted schema (IndexedDB errors are treated as a cache miss)
+ * @param {string} modelURN - Model URN
+ * @returns {Promise<Object|undefined>} { fingerprint, attributes, savedAt }
+ */
+async function readPersistedSchema(modelURN) {
+  try {
+    return await idbGet(Stores.Schemas, envStorageKey(modelURN));
+  } catch (error) {
+    console.warn('SCHEMA CACHE: IndexedDB unavailable, schemas will not be persisted:', error.message);
+    return undefined;
   }
 }
 
+/**
+ * Persist a schema (failures only cost a re-fetch next time)
+ * @param {string} modelURN - Model URN
+ * @param {string} fingerprint - Model version fingerprint
+ * @param {Array} attributes - Schema attributes
+ */
+async function writePersistedSchema(modelURN, fingerprint, attributes) {
+  try {
+    await idbPut(Stores.Schemas, envStorageKey(modelURN), { fingerprint, attributes, savedAt: Date.now() });
+  } catch (error) {
+    console.warn('SCHEMA CACHE: Could not persist schema:', error.message);
+  }
+}
+
+/**
+ * Put a schema into the in-memory cache
+ * @param {string} modelURN - Model URN
+ * @param {Array} attributes - Schema attributes
+ * @returns {Object} Cached schema with attributes array and lookup map
+ */
+function cacheInMemory(modelURN, attributes) {
+  // Create a lookup map for quick property lookups
+  const lookup = new Map();
+  attributes.forEach(attr => {
+    lookup.set(attr.id, attr);
+  });
+  
+  schemaCache[modelURN] = {
+    attributes: attributes,
+    lookup: lookup
+  };
+  return schemaCache[modelURN];
+}
+
 /**
  * Load and cache schema for a model
  * @param {string} modelURN - Model URN
  * @param {string} region - Region header
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh=false] - Ignore both caches and download the schema
  * @returns {Promise<Object>} Schema object with attributes array and lookup map
  */
-export async function loadSchemaForModel(modelURN, region) {
-  if (schemaCache[modelURN]) {
+export async function loadSchemaForModel(modelURN, region, { forceRefresh = false } = {}) {
+  if (schemaCache[modelURN] && !forceRefresh) {
     return schemaCache[modelURN];
   }
   
-  const schema = await fetchSchema(modelURN, region);
+  const fingerprint = await fetchModelFingerprint(modelURN, region);
   
-  // Create a lookup map for quick property lookups
-  const lookup = new Map();
-  if (schema.attributes) {
-    schema.attributes.forEach(attr => {
-      lookup.set(attr.id, attr);
-    });
+  if (fingerprint !== null && !forceRefresh) {
+    const persisted = await readPersistedSchema(modelURN);
+    if (persisted?.fingerprint === fingerprint) {
+      console.log(`SCHEMA CACHE: Model ${modelURN} → ${persisted.attributes.length} attributes (from IndexedDB, model unchanged)`);
+      return cacheInMemory(modelURN, persisted.attributes);
+    }
   }
   
-  schemaCache[modelURN] = {
-    attributes: schema.attributes || [],
-    lookup: lookup
-  };
+  let attributes;
+  try {
+    const schema = await fetchSchema(modelURN, region);
+    attributes = schema.attributes || [];
+  } catch (error) {
+    // Keep an empty schema in memory so the UI still works, but never persist a failure
+    console.error('Error fetching schema:', error);
+    return cacheInMemory(modelURN, []);
+  }
   
-  console.log(`SCHEMA CACHE: Model ${modelURN} → ${schema.attributes?.length || 0} attributes cached`);
+  if (fingerprint !== null) {
+    await writePersistedSchema(modelURN, fingerprint, attributes);
+  }
   
-  return schemaCache[modelURN];
+  console.log(`SCHEMA CACHE: Model ${modelURN} → ${attributes.length} attributes cached`);
+  
+  return cacheInMemory(modelURN, attributes);
 }
 
 /**
  * Load schemas for all models in a facility
  * @param {Array} models - Array of model objects from facility info
  * @param {string} region - Region header
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh=false] - Re-download every schema even if cached
  * @returns {Promise<void>}
  */
-export async function loadSchemasForFacility(models, region) {
-  console.group("SCHEMA CACHE: Loading schemas for all models...");
+export async function loadSchemasForFacility(models, region, { forceRefresh = false } = {}) {
+  console.group(`SCHEMA CACHE: Loading schemas for all models${forceRefresh ? ' (force refresh)' : ''}...`);
+  const startTime = Date.now();
   
-  const promises = models.map(model => loadSchemaForModel(model.modelId, region));
+  const promises = models.map(model => loadSchemaForModel(model.modelId, region, { forceRefresh }));
   await Promise.all(promises);
   
   const totalAttributes = Object.values(schemaCache).reduce((sum, schema) => sum + schema.attributes.length, 0);
-  console.log(`✓ Schema cache ready (${totalAttributes} total attributes across ${models.length} models)`);
+  console.log(`✓ Schema cache ready (${totalAttributes} total attributes across ${models.length} models, ${Date.now() - startTime}ms)`);
   console.groupEnd();
 }
 
+/**
+ * Delete all persisted schemas (every environment)
+ * @returns {Promise<void>}
+ */
+export async function clearPersistedSchemas() {
+  await idbClear(Stores.Schemas);
+  console.log('SCHEMA CACHE: IndexedDB cleared');
+}
+
 /**
  * Get unique category names from all cached schemas
  * @returns {Array<string>} Sorted array of unique category names
@@ -137,8 +233,8 @@ export function getSchemaCache() {
 }
 
 /**
- * Clear the schema cache
- * Should be called when switching facilities
+ * Clear the in-memory schema cache
+ * Should be called when switching facilities (persisted schemas are kept)
  */
 export function clearSchemaCache() {
   for (const key in schemaCache) {
@@ -175,11 +271,18 @@ export function getPropertyInfo(category, propertyName) {
 /**
  * Look up a property's attribute info by qualified property ID
  * @param {string} qualifiedPropId - Qualified property ID (e.g., "z:5mQ")
+ * @param {string} [modelURN] - Look in this model's schema first (the same ID can mean
+ *   a different property in another model)
  * @returns {Object|null} Property attribute object with dataType, or null if not found
  */
-export function getPropertyInfoByQualifiedId(qualifiedPropId) {
+export function getPropertyInfoByQualifiedId(qualifiedPropId, modelURN = null) {
   if (!qualifiedPropId) return null;
   
+  const modelAttr = modelURN ? schemaCache[modelURN]?.lookup.get(qualifiedPropId) : null;
+  if (modelAttr) {
+    return modelAttr;
+  }
+  
   // The lookup map uses the full attribute ID (e.g., "z:5mQ")
   for (const schema of Object.values(schemaCache)) {
     const attr = schema.lookup.get(qualifiedPropId);
@@ -190,6 +293,85 @@ export function getPropertyInfoByQualifiedId(qualifiedPropId) {
   return null;
 }
 
+/**
+ * Find the attribute a property reference means in one model's cached schema
+ *
+ * Used by queries, bulk edit and the timeseries importer, so a header exported by
+ * scanExport.js resolves the same way everywhere. Accepts a qualified ID (z:5mQ),
+ * "Category.Property" or a bare property name. Categories and names may contain
+ * dots, so each dot is tried as the separator. Exact case wins over ignoring case.
+ *
+ * @param {string} property - Property reference
+ * @param {string} modelURN - Model URN (its schema must be loaded)
+ * @returns {{attr?: Object, error?: string}} The attribute, or why there is none
+ */
+export function resolveProperty(property, modelURN) {
+  const value = String(property ?? '').trim();
+  if (!value) return { error: 'No property given' };
+
+  const schema = schemaCache[modelURN];
+  if (!schema) return { error: `Schema of ${modelURN} is not loaded` };
+
+  const byId = schema.lookup.get(value);
+  if (byId) return { attr: byId };
+
+  const splits = [];
+  for (let i = value.indexOf('.'); i > 0; i = value.indexOf('.', i + 1)) {
+    splits.push([value.slice(0, i).trim(), value.slice(i + 1).trim()]);
+  }
+  for (const ignoreCase of [false, true]) {
+    const same = (a, b) => (ignoreCase ? a?.toLowerCase() === b.toLowerCase() : a === b);
+    const matches = schema.attributes.filter(attr =>
+      splits.some(([category, name]) => same(attr.category, category) && same(attr.name, name)) || same(attr.name, value));
+    if (matches.length === 1) return { attr: matches[0] };
+    if (matches.length > 1) {
+      return { error: `"${value}" matches ${matches.length} properties - use "Category.Name" or the qualified ID` };
+    }
+  }
+  return { error: `No property "${value}" in the schema` };
+}
+
+/**
+ * Compare the cached schemas of several models property by property
+ *
+ * Properties are matched by category + name, since that is what users see in Tandem.
+ * The same property can get a different qualified ID (or data type) in each model,
+ * which breaks queries and edits that reuse one model's ID for another.
+ *
+ * @param {Array<string>} [modelURNs] - Models to compare (defaults to all cached models)
+ * @returns {Array<Object>} One entry per property: { category, name, attrs: Map(modelURN -> attribute),
+ *   missingIn: [modelURN], idDiffers, typeDiffers } - sorted by category, then name
+ */
+export function getSchemaDiff(modelURNs = Object.keys(schemaCache)) {
+  const urns = modelURNs.filter(urn => schemaCache[urn]);
+  const byProperty = new Map();
+
+  for (const urn of urns) {
+    for (const attr of schemaCache[urn].attributes) {
+      if (!attr.name) continue;
+      const key = `${attr.category}\u0000${attr.name}`;
+      if (!byProperty.has(key)) {
+        byProperty.set(key, { category: attr.category, name: attr.name, attrs: new Map() });
+      }
+      byProperty.get(key).attrs.set(urn, attr);
+    }
+  }
+
+  const entries = Array.from(byProperty.values()).map(entry => {
+    const attrs = Array.from(entry.attrs.values());
+    return {
+      ...entry,
+      missingIn: urns.filter(urn => !entry.attrs.has(urn)),
+      idDiffers: new Set(attrs.map(attr => attr.id)).size > 1,
+      typeDiffers: new Set(attrs.map(attr => attr.dataType)).size > 1
+    };
+  });
+
+  return entries.sort((a, b) =>
+    (a.category || '').localeCompare(b.category || '', undefined, { sensitivity: 'base' }) ||
+    a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+}
+
 /**
  * Data type constants for Tandem properties
  * 
@@ -241,16 +423,8 @@ export const DataTypes = {
       }
     }
     
-    // Fallback to dataType code
-    switch (propInfo.dataType) {
-      case 0: return 'Unknown';
-      case 1: return 'Boolean';
-      case 2: return 'Integer';
-      case 3: return 'Double';
-      case 4: return 'Float';
-      case 20: return 'String';
-      default: return 'Unknown';
-    }
+    // Fallback to the AttributeType name
+    return getAttributeTypeName(propInfo.dataType);
   }
 };
 
@@ -8,6 +8,7 @@
  */
 
 import { tandemAppBaseURL, makeRequestOptionsGET } from '../api.js';
+import { tandemFetch } from '../client.js';
 
 /**
  * Get classifications for a group
@@ -20,12 +21,7 @@ export async function getClassifications(groupURN) {
   console.log("Request:", requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET());
-    if (!response.ok) {
-      console.error(`HTTP ${response.status}: ${response.statusText}`);
-      console.groupEnd();
-      return null;
-    }
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET());
     const result = await response.json();
     console.log("Result from Tandem App Server -->", result);
     console.groupEnd();
@@ -49,12 +45,7 @@ export async function getClassificationByUUID(groupURN, classifUUID) {
   console.log("Request:", requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET());
-    if (!response.ok) {
-      console.error(`HTTP ${response.status}: ${response.statusText}`);
-      console.groupEnd();
-      return null;
-    }
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET());
     const result = await response.json();
     console.log("Result from Tandem App Server -->", result);
     console.groupEnd();
@@ -77,12 +68,7 @@ export async function getFacilityTemplates(groupURN) {
   console.log("Request:", requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET());
-    if (!response.ok) {
-      console.error(`HTTP ${response.status}: ${response.statusText}`);
-      console.groupEnd();
-      return null;
-    }
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET());
     const result = await response.json();
     console.log("Result from Tandem App Server -->", result);
     console.groupEnd();
@@ -106,12 +92,7 @@ export async function getFacilityTemplateByUUID(groupURN, templateUUID) {
   console.log("Request:", requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET());
-    if (!response.ok) {
-      console.error(`HTTP ${response.status}: ${response.statusText}`);
-      console.groupEnd();
-      return null;
-    }
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET());
     const result = await response.json();
     console.log("Result from Tandem App Server -->", result);
     console.groupEnd();
@@ -134,12 +115,7 @@ export async function getParameters(groupURN) {
   console.log("Request:", requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET());
-    if (!response.ok) {
-      console.error(`HTTP ${response.status}: ${response.statusText}`);
-      console.groupEnd();
-      return null;
-    }
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET());
     const result = await response.json();
     console.log("Result from Tandem App Server -->", result);
     console.groupEnd();
@@ -163,12 +139,7 @@ export async function getParameterByUUID(groupURN, paramUUID) {
   console.log("Request:", requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET());
-    if (!response.ok) {
-      console.error(`HTTP ${response.status}: ${response.statusText}`);
-      console.groupEnd();
-      return null;
-    }
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET());
     const result = await response.json();
     console.log("Result from Tandem App Server -->", result);
     console.groupEnd();
@@ -190,12 +161,7 @@ export async function getPreferences() {
   console.log("Request:", requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET());
-    if (!response.ok) {
-      console.error(`HTTP ${response.status}: ${response.statusText}`);
-      console.groupEnd();
-      return null;
-    }
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET());
     const result = await response.json();
     console.log("Result from Tandem App Server -->", result);
     console.groupEnd();
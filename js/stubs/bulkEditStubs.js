@@ -0,0 +1,423 @@
+/**
+ * Bulk Edit STUB Functions
+ *
+ * Applies a table of property values (CSV, TSV or a pasted spreadsheet range) to
+ * elements across the facility's models:
+ *
+ *   Key | Model | Asset Information.Manufacturer | Asset Information.Warranty Years
+ *
+ * - Elements are identified by a "Key" column (full or short key), or looked up by "Name" or "Mark"
+ * - "Model" is optional: a model label, model URN or model ID. Without it, each element
+ *   is searched for in every model of the facility
+ * - Every other column is a "Category.Property" header (or a qualified ID such as z:5mQ),
+ *   resolved per model through the schema cache - the same property can have a
+ *   different qualified ID in each model
+ * - Values are converted with tandem/attributes.js; empty cells are left unchanged
+ *
+ * planBulkEdit() does all lookups and validation without writing anything;
+ * applyBulkEdit() then sends one batched /mutate per model (via submitMutation, so
+ * batches are previewed and can be rolled back from the Operations panel).
+ *
+ * Output goes to browser console - open DevTools to see results.
+ */
+
+import { scanForQualifiedProperties, getElementColumns } from '../api.js';
+import { submitMutation, splitColumn } from '../mutations.js';
+import { batchConfig, BatchError } from '../batching.js';
+import { getSchemaCache, loadSchemasForFacility, resolveProperty } from '../state/schemaCache.js';
+import { MutateActions, QC } from '../../tandem/constants.js';
+import { coerceValue } from '../../tandem/attributes.js';
+import { toShortKey, toFullKey, toShortKeyArray, getKeyFlags } from '../../tandem/keys.js';
+
+export const BulkRowStatus = {
+  Ready: 'ready',
+  Invalid: 'invalid',
+  NoChanges: 'no changes',
+  Applied: 'applied',
+  Failed: 'failed',
+  Cancelled: 'cancelled'
+};
+
+const KEY_HEADERS = ['key', 'element key', 'elementkey', 'full key'];
+const MODEL_HEADERS = ['model', 'model urn', 'modelurn', 'model id'];
+
+/**
+ * Work out what each column of the header row means
+ * @param {Array<string>} header - First row
+ * @returns {{keyCol: number, nameCol: number, markCol: number, modelCol: number, propCols: Array<object>, errors: Array<string>}}
+ */
+function parseHeader(header) {
+  const result = { keyCol: -1, nameCol: -1, markCol: -1, modelCol: -1, propCols: [], errors: [] };
+
+  header.forEach((rawHeader, index) => {
+    const text = rawHeader.trim();
+    const lower = text.toLowerCase();
+
+    if (!text) return;
+    if (KEY_HEADERS.includes(lower)) {
+      result.keyCol = index;
+    } else if (MODEL_HEADERS.includes(lower)) {
+      result.modelCol = index;
+    } else if (lower === 'name') {
+      result.nameCol = index;
+    } else if (lower === 'mark') {
+      result.markCol = index;
+    } else if (/^[a-z]:[\w-]+$/.test(text) || text.includes('.')) {
+      // Resolved per model later (see resolveProperty)
+      result.propCols.push({ index, header: text });
+    } else {
+      result.errors.push(`Column "${text}" is not Key, Name, Mark, Model, "Category.Property" or a qualified ID - it is ignored.`);
+    }
+  });
+
+  if (result.keyCol < 0 && result.nameCol < 0 && result.markCol < 0) {
+    result.errors.push('No element column: add a "Key", "Name" or "Mark" column.');
+  }
+  if (result.propCols.length === 0) {
+    result.errors.push('No property columns: add headers like "Identity Data.Mark" or "z:5mQ".');
+  }
+  return result;
+}
+
+/**
+ * Find the "Mark" attribute of a model (Identity Data first)
+ * @param {string} modelURN
+ * @returns {object|null}
+ */
+function findMarkAttribute(modelURN) {
+  const attributes = getSchemaCache()[modelURN]?.attributes || [];
+  return attributes.find(attr => attr.name === 'Mark' && attr.category === 'Identity Data')
+    || attributes.find(attr => attr.name === 'Mark')
+    || null;
+}
+
+/**
+ * Match a Model cell against the facility's models
+ * @param {string} text - Label, URN or model ID
+ * @param {Array<object>} models
+ * @returns {object|null} Model link
+ */
+function findModel(text, models) {
+  const value = text.trim();
+  const lower = value.toLowerCase();
+  return models.find(model => model.modelId === value)
+    || models.find(model => model.modelId === `urn:adsk.dtm:${value}`)
+    || models.find(model => (model.label || '').toLowerCase() === lower)
+    || (lower === '(default model)' || lower === 'default' ? models.find(model => !model.label) : null)
+    || null;
+}
+
+/**
+ * Full keys to scan for a Key cell
+ * A short key doesn't say whether the element is physical or logical, so both
+ * full keys are asked for.
+ * @param {string} key - Full (24 bytes) or short (20 bytes) element key
+ * @returns {Array<string>|null} Full keys, or null if key is neither
+ */
+function toCandidateKeys(key) {
+  try {
+    toShortKeyArray([key]); // Throws unless the key decodes to 20 or 24 bytes
+  } catch {
+    return null;
+  }
+  return getKeyFlags(key) !== null ? [key] : [toFullKey(key, false), toFullKey(key, true)];
+}
+
+/**
+ * Build value -> [keys] maps for the lookup columns of one model
+ * @param {string} modelURN
+ * @param {string} region
+ * @param {boolean} needName
+ * @param {boolean} needMark
+ * @returns {Promise<{byName: Map, byMark: Map}>}
+ */
+async function buildLookup(modelURN, region, needName, needMark) {
+  const markAttr = needMark ? findMarkAttribute(modelURN) : null;
+  const columns = [needName ? QC.Name : null, markAttr?.id].filter(Boolean);
+  const byName = new Map();
+  const byMark = new Map();
+  if (columns.length === 0) return { byName, byMark };
+
+  const rows = await scanForQualifiedProperties(modelURN, columns, region);
+  const add = (map, value, key) => {
+    if (value === undefined || value === null) return;
+    const text = String(Array.isArray(value) ? value[0] : value).trim();
+    if (!map.has(text)) map.set(text, []);
+    map.get(text).push(key);
+  };
+  rows.slice(1).forEach(row => {
+    if (needName) add(byName, row[QC.Name], row[QC.Key]);
+    if (markAttr) add(byMark, row[markAttr.id], row[QC.Key]);
+  });
+  return { byName, byMark };
+}
+
+/**
+ * Resolve and validate a table of edits - nothing is written
+ *
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region header
+ * @param {Array<object>} models - Facility models (links with modelId and label)
+ * @param {Array<Array<string>>} table - Header row followed by data rows
+ * @returns {Promise<object>} Plan: { errors, warnings, propCols, rows } where each row is
+ *   { rowNumber, modelURN, modelLabel, key, element, values: [{ header, qualifiedId, raw, value }], errors, status }
+ */
+export async function planBulkEdit(facilityURN, region, models, table) {
+  console.group("STUB: planBulkEdit()");
+
+  const plan = { facilityURN, errors: [], warnings: [], propCols: [], rows: [] };
+
+  try {
+    if (!table || table.length < 2) {
+      plan.errors.push('Expected a header row and at least one data row.');
+      return plan;
+    }
+
+    const header = parseHeader(table[0]);
+    plan.propCols = header.propCols;
+    const hasElementColumn = header.keyCol >= 0 || header.nameCol >= 0 || header.markCol >= 0;
+    if (!hasElementColumn || header.propCols.length === 0) {
+      plan.errors.push(...header.errors);
+      return plan;
+    }
+    plan.warnings.push(...header.errors);
+
+    // Schemas resolve the property headers (loads only what isn't cached yet)
+    await loadSchemasForFacility(models, region);
+
+    const cell = (cells, index) => (index >= 0 ? (cells[index] ?? '').trim() : '');
+    plan.rows = table.slice(1).map((cells, i) => ({
+      rowNumber: i + 2, // spreadsheet row number (header is row 1)
+      cells,
+      key: cell(cells, header.keyCol) || null,
+      name: cell(cells, header.nameCol) || null,
+      mark: cell(cells, header.markCol) || null,
+      modelText: cell(cells, header.modelCol) || null,
+      modelURN: null,
+      modelLabel: null,
+      element: null,
+      values: [],
+      errors: [],
+      status: BulkRowStatus.Ready
+    }));
+
+    // 1. Model column
+    plan.rows.forEach(row => {
+      if (!row.modelText) return;
+      const model = findModel(row.modelText, models);
+      if (model) {
+        row.modelURN = model.modelId;
+      } else {
+        row.errors.push(`Model "${row.modelText}" is not in this facility.`);
+      }
+    });
+
+    // 2. Elements by key - check they exist (and find their model when no Model column)
+    const candidateKeys = new Map(); // row -> full keys to scan
+    plan.rows.filter(row => row.key).forEach(row => {
+      const keys = toCandidateKeys(row.key);
+      if (keys) {
+        candidateKeys.set(row, keys);
+      } else {
+        row.errors.push(`"${row.key}" is not a valid element key (expected a 24 byte full key or a 20 byte short key).`);
+      }
+    });
+    const keyRows = plan.rows.filter(row => row.key && row.errors.length === 0);
+    for (const model of models) {
+      const candidates = keyRows.filter(row => !row.element && (!row.modelURN || row.modelURN === model.modelId));
+      if (candidates.length === 0) continue;
+
+      const keys = [...new Set(candidates.flatMap(row => candidateKeys.get(row)))];
+      const elements = await getElementColumns(model.modelId, keys, [QC.ElementFlags, QC.Name], region);
+      const byShortKey = new Map(elements.map(element => [toShortKey(element[QC.Key]), element]));
+      candidates.forEach(row => {
+        const element = byShortKey.get(toShortKey(candidateKeys.get(row)[0]));
+        if (element) {
+          row.modelURN = model.modelId;
+          row.key = element[QC.Key];
+          row.element = element[QC.Name] ?? row.key;
+        }
+      });
+    }
+    keyRows.filter(row => !row.element).forEach(row => {
+      row.errors.push(row.modelURN ? 'Key not found in this model.' : 'Key not found in any model of this facility.');
+    });
+
+    // 3. Elements by Name / Mark
+    const lookupRows = plan.rows.filter(row => !row.key && (row.name || row.mark) && row.errors.length === 0);
+    if (lookupRows.length > 0) {
+      const matches = new Map(lookupRows.map(row => [row, []]));
+      for (const model of models) {
+        const candidates = lookupRows.filter(row => !row.modelURN || row.modelURN === model.modelId);
+        if (candidates.length === 0) continue;
+
+        const { byName, byMark } = await buildLookup(model.modelId, region,
+          candidates.some(row => row.name), candidates.some(row => row.mark && !row.name));
+        candidates.forEach(row => {
+          const keys = row.name ? byName.get(row.name) : byMark.get(row.mark);
+          (keys || []).forEach(key => matches.get(row).push({ modelURN: model.modelId, key }));
+        });
+      }
+
+      lookupRows.forEach(row => {
+        const found = matches.get(row);
+        const label = row.name ? `Name "${row.name}"` : `Mark "${row.mark}"`;
+        if (found.length === 1) {
+          row.modelURN = found[0].modelURN;
+          row.key = found[0].key;
+          row.element = row.name || row.mark;
+        } else if (found.length === 0) {
+          row.errors.push(`${label} matches no element.`);
+        } else {
+          row.errors.push(`${label} matches ${found.length} elements - use a Key column (or a Model column) to pick one.`);
+        }
+      });
+    }
+
+    plan.rows.filter(row => !row.key && !row.name && !row.mark).forEach(row => {
+      row.errors.push('No key, name or mark on this row.');
+    });
+
+    // 4. Property values - resolved per model, then converted to the attribute's type
+    plan.rows.filter(row => row.errors.length === 0).forEach(row => {
+      row.modelLabel = models.find(model => model.modelId === row.modelURN)?.label || '(default model)';
+
+      header.propCols.forEach(propCol => {
+        const raw = cell(row.cells, propCol.index);
+        if (raw === '') return;
+
+        const { attr, error } = resolveProperty(propCol.header, row.modelURN);
+        if (!attr) {
+          row.errors.push(`${propCol.header}: ${error} (${row.modelLabel}).`);
+          return;
+        }
+        try {
+          row.values.push({ header: propCol.header, qualifiedId: attr.id, raw, value: coerceValue(raw, attr) });
+        } catch (error) {
+          row.errors.push(`${propCol.header}: ${error.message}`);
+        }
+      });
+    });
+
+    plan.rows.forEach(row => {
+      if (row.errors.length > 0) {
+        row.status = BulkRowStatus.Invalid;
+      } else if (row.values.length === 0) {
+        row.status = BulkRowStatus.NoChanges;
+      }
+      delete row.cells;
+    });
+
+    const ready = plan.rows.filter(row => row.status === BulkRowStatus.Ready).length;
+    console.log(`${plan.rows.length} row(s): ${ready} ready, ${plan.rows.length - ready} skipped or invalid`);
+    console.table(plan.rows.map(row => ({
+      row: row.rowNumber,
+      model: row.modelLabel,
+      element: row.element,
+      values: row.values.map(v => `${v.qualifiedId}=${JSON.stringify(v.value)}`).join(', '),
+      status: row.status,
+      errors: row.errors.join(' ')
+    })));
+  } catch (error) {
+    console.error('Error:', error);
+    plan.errors.push(error.message);
+  } finally {
+    console.groupEnd();
+  }
+
+  return plan;
+}
+
+/**
+ * Split the ready rows of one model into batches of about batchConfig.mutateChunkSize values
+ * Rows are kept whole, so a batch can go slightly over when a row has many columns.
+ * @param {Array<object>} rows
+ * @returns {Array<Array<object>>}
+ */
+function batchRows(rows) {
+  const batches = [];
+  let batch = [];
+  let count = 0;
+  rows.forEach(row => {
+    if (batch.length > 0 && count + row.values.length > batchConfig.mutateChunkSize) {
+      batches.push(batch);
+      batch = [];
+      count = 0;
+    }
+    batch.push(row);
+    count += row.values.length;
+  });
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+}
+
+/**
+ * Write the ready rows of a plan - one /mutate per model (batched), updating each row's status
+ *
+ * @param {object} plan - From planBulkEdit()
+ * @param {string} region - Region header
+ * @param {Function} [onProgress] - Called with the plan after each batch
+ * @returns {Promise<object>} The same plan, with row statuses set to applied / failed / cancelled
+ */
+export async function applyBulkEdit(plan, region, onProgress) {
+  console.group("STUB: applyBulkEdit()");
+
+  const readyRows = plan.rows.filter(row => row.status === BulkRowStatus.Ready);
+  const modelURNs = [...new Set(readyRows.map(row => row.modelURN))];
+
+  for (const modelURN of modelURNs) {
+    const batches = batchRows(readyRows.filter(row => row.modelURN === modelURN));
+
+    for (const [index, batch] of batches.entries()) {
+      const keys = [];
+      const muts = [];
+      batch.forEach(row => {
+        row.values.forEach(({ qualifiedId, value }) => {
+          const [fam, col] = splitColumn(qualifiedId);
+          keys.push(row.key);
+          muts.push([MutateActions.Insert, fam, col, value]);
+        });
+      });
+
+      console.log(`${modelURN}: batch ${index + 1}/${batches.length} - ${batch.length} row(s), ${muts.length} value(s)`);
+      try {
+        const result = await submitMutation(modelURN, region, {
+          keys,
+          muts,
+          desc: `REST TestBedApp: bulk edit (${batch.length} row(s))`
+        });
+        const status = result ? BulkRowStatus.Applied : BulkRowStatus.Cancelled;
+        batch.forEach(row => { row.status = status; });
+        if (result) {
+          console.log("Result from Tandem DB Server -->", result);
+        }
+      } catch (error) {
+        console.error('Error:', error);
+        let first = 0;
+        batch.forEach(row => {
+          // A batch over the chunk size went out in parts - only rows with values in a failed part failed
+          const last = first + row.values.length;
+          const failure = error instanceof BatchError
+            ? error.failures.find(({ start, count }) => start < last && start + count > first)
+            : { error };
+          first = last;
+          if (failure) {
+            row.status = BulkRowStatus.Failed;
+            row.errors.push(failure.error.message);
+          } else {
+            row.status = BulkRowStatus.Applied;
+          }
+        });
+      }
+
+      if (onProgress) onProgress(plan);
+    }
+  }
+
+  const counts = {};
+  plan.rows.forEach(row => { counts[row.status] = (counts[row.status] || 0) + 1; });
+  console.log("Row results:", counts);
+
+  console.groupEnd();
+  return plan;
+}
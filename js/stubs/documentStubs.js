@@ -8,6 +8,7 @@
  */
 
 import { tandemBaseURL, makeRequestOptionsGET, makeRequestOptionsPOST } from '../api.js';
+import { tandemFetch } from '../client.js';
 
 /**
  * Get all documents linked to a facility
@@ -23,7 +24,7 @@ export async function getDocuments(facilityURN, region) {
   console.log("Request:", requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET(region));
     const facility = await response.json();
     
     if (facility.docs && facility.docs.length > 0) {
@@ -69,7 +70,7 @@ export async function getDocumentDownloadLink(facilityURN, region, documentId) {
   console.log("Document ID:", documentId);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET(region));
     const facility = await response.json();
     
     if (!facility.docs || facility.docs.length === 0) {
@@ -136,17 +137,10 @@ export async function deleteDocuments(facilityURN, region, documentIds) {
   console.log("Payload:", bodyPayload);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
-    
-    if (response.ok) {
-      const result = await response.json();
-      console.log("✓ Documents deleted successfully");
-      console.log("Result:", result);
-    } else {
-      console.error(`Error: ${response.status} ${response.statusText}`);
-      const errorText = await response.text();
-      console.error("Response:", errorText);
-    }
+    const response = await tandemFetch(requestPath, makeRequestOptionsPOST(bodyPayload, region), { idempotent: false });
+    const result = await response.json();
+    console.log("✓ Documents deleted successfully");
+    console.log("Result:", result);
   } catch (error) {
     console.error('Error:', error);
   }
@@ -191,16 +185,10 @@ export async function createDocumentLink(facilityURN, region, accAccountId, accP
   console.log("Payload:", bodyPayload);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
+    const response = await tandemFetch(requestPath, makeRequestOptionsPOST(bodyPayload, region), { idempotent: false });
     const result = await response.json();
-    
-    if (response.ok) {
-      console.log("✓ Document linked successfully");
-      console.log("Result:", result);
-    } else {
-      console.error(`Error: ${response.status}`);
-      console.log("Response:", result);
-    }
+    console.log("✓ Document linked successfully");
+    console.log("Result:", result);
   } catch (error) {
     console.error('Error:', error);
   }
@@ -6,6 +6,7 @@
  */
 
 import { tandemBaseURL, makeRequestOptionsGET } from '../api.js';
+import { tandemFetch } from '../client.js';
 
 /**
  * Get the information about a given Facility.
@@ -20,7 +21,7 @@ export async function getFacilityInfo(facilityURN, region) {
   const requestPath = `${tandemBaseURL}/twins/${facilityURN}`;
   console.log(requestPath);
 
-  await fetch(requestPath, makeRequestOptionsGET(region))
+  await tandemFetch(requestPath, makeRequestOptionsGET(region))
     .then((response) => response.json())
     .then((obj) => {
       console.log("Result from Tandem DB Server -->", obj);
@@ -43,7 +44,7 @@ export async function getFacilityTemplate(facilityURN, region) {
   const requestPath = `${tandemBaseURL}/twins/${facilityURN}/template`;
   console.log(requestPath);
 
-  await fetch(requestPath, makeRequestOptionsGET(region))
+  await tandemFetch(requestPath, makeRequestOptionsGET(region))
     .then((response) => response.json())
     .then((obj) => {
       console.log("Result from Tandem DB Server -->", obj);
@@ -66,7 +67,7 @@ export async function getFacilityUsers(facilityURN, region) {
   const requestPath = `${tandemBaseURL}/twins/${facilityURN}/users`;
   console.log(requestPath);
 
-  await fetch(requestPath, makeRequestOptionsGET(region))
+  await tandemFetch(requestPath, makeRequestOptionsGET(region))
     .then((response) => response.json())
     .then((obj) => {
       console.log("Result from Tandem DB Server -->", obj);
@@ -89,7 +90,7 @@ export async function getInlineTemplate(facilityURN, region) {
   const requestPath = `${tandemBaseURL}/twins/${facilityURN}/inlinetemplate`;
   console.log(requestPath);
 
-  await fetch(requestPath, makeRequestOptionsGET(region))
+  await tandemFetch(requestPath, makeRequestOptionsGET(region))
     .then((response) => response.json())
     .then((obj) => {
       console.log("Result from Tandem DB Server -->", obj);
@@ -112,7 +113,7 @@ export async function getSubjects(facilityURN, region) {
   const requestPath = `${tandemBaseURL}/twins/${facilityURN}/subjects`;
   console.log(requestPath);
 
-  await fetch(requestPath, makeRequestOptionsGET(region))
+  await tandemFetch(requestPath, makeRequestOptionsGET(region))
     .then((response) => response.json())
     .then((obj) => {
       console.log("Result from Tandem DB Server -->", obj);
@@ -136,7 +137,7 @@ export async function getFacilityUserAccessLevel(facilityURN, region, userID) {
   const requestPath = `${tandemBaseURL}/twins/${facilityURN}/users/${userID}`;
   console.log(requestPath);
 
-  await fetch(requestPath, makeRequestOptionsGET(region))
+  await tandemFetch(requestPath, makeRequestOptionsGET(region))
     .then((response) => response.json())
     .then((obj) => {
       console.log("Result from Tandem DB Server -->", obj);
@@ -160,16 +161,13 @@ export async function getThumbnail(facilityURN, region) {
   console.log(requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
-    if (response.ok) {
-      const blob = await response.blob();
-      console.log("Thumbnail image opening in new browser tab.");
-      let blobURL = URL.createObjectURL(blob, {type: blob.type});
-      window.open(blobURL);
-    } else {
-      console.log("ERROR: Couldn't retrieve thumbnail image.");
-    }
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET(region));
+    const blob = await response.blob();
+    console.log("Thumbnail image opening in new browser tab.");
+    let blobURL = URL.createObjectURL(blob, {type: blob.type});
+    window.open(blobURL);
   } catch (error) {
+    console.log("ERROR: Couldn't retrieve thumbnail image.");
     console.log('error', error);
   }
 
@@ -189,7 +187,7 @@ export async function getSavedViews(facilityURN, region) {
   const requestPath = `${tandemBaseURL}/twins/${facilityURN}/views`;
   console.log(requestPath);
 
-  await fetch(requestPath, makeRequestOptionsGET(region))
+  await tandemFetch(requestPath, makeRequestOptionsGET(region))
     .then(response => response.json())
     .then((obj) => {
       console.log("Result from Tandem DB Server -->", obj);
@@ -213,7 +211,7 @@ export async function getSavedViewByUUID(facilityURN, region, viewUUID) {
   const requestPath = `${tandemBaseURL}/twins/${facilityURN}/views/${viewUUID}`;
   console.log(requestPath);
 
-  await fetch(requestPath, makeRequestOptionsGET(region))
+  await tandemFetch(requestPath, makeRequestOptionsGET(region))
     .then(response => response.json())
     .then((obj) => {
       console.log("Result from Tandem DB Server -->", obj);
@@ -238,16 +236,13 @@ export async function getSavedViewThumbnail(facilityURN, region, viewUUID) {
   console.log(requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
-    if (response.ok) {
-      const blob = await response.blob();
-      console.log("Thumbnail image opening in new browser tab.");
-      let blobURL = URL.createObjectURL(blob, {type: blob.type});
-      window.open(blobURL);
-    } else {
-      console.log("ERROR: Couldn't retrieve thumbnail image.");
-    }
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET(region));
+    const blob = await response.blob();
+    console.log("Thumbnail image opening in new browser tab.");
+    let blobURL = URL.createObjectURL(blob, {type: blob.type});
+    window.open(blobURL);
   } catch (error) {
+    console.log("ERROR: Couldn't retrieve thumbnail image.");
     console.log('error', error);
   }
 
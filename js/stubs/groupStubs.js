@@ -8,6 +8,7 @@
  */
 
 import { tandemBaseURL, makeRequestOptionsGET } from '../api.js';
+import { tandemFetch } from '../client.js';
 
 /**
  * Get all user groups (teams)
@@ -21,7 +22,7 @@ export async function getGroups() {
   console.log("Request:", requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET());
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET());
     const result = await response.json();
     console.log("Result from Tandem DB Server -->", result);
     console.groupEnd();
@@ -46,7 +47,7 @@ export async function getGroup(groupURN) {
   console.log("Request:", requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET());
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET());
     const result = await response.json();
     console.log("Result from Tandem DB Server -->", result);
     console.groupEnd();
@@ -71,7 +72,7 @@ export async function getGroupMetrics(groupURN) {
   console.log("Request:", requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET());
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET());
     const result = await response.json();
     console.log("Result from Tandem DB Server -->", result);
     console.groupEnd();
@@ -96,7 +97,7 @@ export async function getFacilitiesForGroup(groupURN) {
   console.log("Request:", requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET());
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET());
     const result = await response.json();
     console.log("Result from Tandem DB Server -->", result);
     console.groupEnd();
@@ -0,0 +1,420 @@
+/**
+ * History STUB Functions
+ *
+ * Turns the raw change history of elements into a timeline. A history scan
+ * (includeHistory: true) returns every value a property ever had with its timestamp;
+ * the model's /history has one entry per transaction with the same timestamp, telling
+ * who made the change, from which client, with which description and as part of
+ * which request (the HC fields in tandem/constants.js). Joining the two gives one
+ * event per property change: who changed what, when and how.
+ *
+ * The facility audit log goes the other way: it reads /history of every model for a
+ * date range, then history-scans the elements those transactions touched to name
+ * them and to list what each transaction changed.
+ *
+ * Output goes to browser console - open DevTools to see results.
+ */
+
+import { getModels, scanAllPropsForElements, getModelHistory } from '../api.js';
+import { loadSchemaForModel, getPropertyInfoByQualifiedId } from '../state/schemaCache.js';
+import { HC, QC } from '../../tandem/constants.js';
+import { toShortKey } from '../../tandem/keys.js';
+
+export const TimelineChange = {
+  Added: 'added',
+  Changed: 'changed',
+  Deleted: 'deleted'
+};
+
+const TIMELINE_HEADERS = ['Timestamp', 'Element', 'Key', 'Property', 'Column', 'Change', 'Old Value', 'New Value',
+  'User', 'Client', 'Operation', 'Description', 'Correlation ID'];
+
+// Above this many changed elements per model the audit log lists keys only (no history scan)
+const MAX_AUDIT_DETAIL_KEYS = 5000;
+
+/**
+ * Decode a /history entry into named fields
+ * @param {object} entry - Transaction as returned by /history
+ * @returns {{timestamp: number, username: string, clientId: string, correlationId: string,
+ *   description: string, operation: string, keys: Array<string>}}
+ */
+export function decodeHistoryEntry(entry) {
+  return {
+    timestamp: entry[HC.Timestamp],
+    username: entry[HC.Username] ?? '',
+    clientId: entry[HC.ClientID] ?? '',
+    correlationId: entry[HC.CorrelationID] ?? '',
+    description: entry[HC.Description] ?? '',
+    operation: entry[HC.Operation] ?? '',
+    keys: entry[HC.Keys] ?? []
+  };
+}
+
+/**
+ * Split a history-scan column ([timestamp, value, timestamp, value, ...], newest first)
+ * @param {Array} history
+ * @returns {Array<{timestamp: number, value: any}>} Newest first
+ */
+function splitHistory(history) {
+  const entries = [];
+  if (!Array.isArray(history)) return entries;
+  for (let i = 0; i + 1 < history.length; i += 2) {
+    entries.push({ timestamp: history[i], value: history[i + 1] });
+  }
+  return entries;
+}
+
+/**
+ * Last known name of an element from its history row (override name first)
+ * A deleted name still labels the element's older changes, so it isn't skipped.
+ * @param {object} row - History scan row
+ * @returns {string}
+ */
+function lastKnownName(row) {
+  for (const column of [QC.OName, QC.Name]) {
+    const named = splitHistory(row[column]).find(entry => entry.value !== null);
+    if (named) return named.value;
+  }
+  return '';
+}
+
+/**
+ * Turn a history-scan row into one event per value it ever had
+ * @param {object} row - History scan row
+ * @param {string} modelURN - For property names
+ * @returns {Array<object>} { timestamp, key, name, column, property, change, previousValue, value }
+ */
+function historyRowEvents(row, modelURN) {
+  const key = row[QC.Key];
+  const name = lastKnownName(row);
+  const events = [];
+
+  Object.entries(row).forEach(([column, history]) => {
+    if (column === QC.Key) return;
+    const attr = getPropertyInfoByQualifiedId(column, modelURN);
+    const property = attr ? `${attr.category}.${attr.name}` : column;
+    const entries = splitHistory(history);
+
+    entries.forEach(({ timestamp, value }, i) => {
+      const previous = entries[i + 1];
+      let change = TimelineChange.Changed;
+      if (value === null) {
+        change = TimelineChange.Deleted;
+      } else if (!previous || previous.value === null) {
+        change = TimelineChange.Added;
+      }
+      events.push({
+        timestamp, key, name, column, property, change,
+        previousValue: previous ? previous.value : null,
+        value
+      });
+    });
+  });
+  return events;
+}
+
+/**
+ * The transaction fields copied onto each event
+ * @param {object} [entry] - Decoded history entry (missing if /history didn't return it)
+ * @returns {{username: string, clientId: string, operation: string, description: string, correlationId: string}}
+ */
+function transactionFields(entry) {
+  return {
+    username: entry?.username ?? '',
+    clientId: entry?.clientId ?? '',
+    operation: entry?.operation ?? '',
+    description: entry?.description ?? '',
+    correlationId: entry?.correlationId ?? ''
+  };
+}
+
+/**
+ * Get the change timeline of one or more elements
+ *
+ * @param {string} modelURN - Model URN
+ * @param {string} region - Region header
+ * @param {string} elemKeys - Comma-separated element keys
+ * @returns {Promise<object>} { modelURN, elements: [{ key, name }], events, warnings }
+ *   events (newest first): { timestamp, key, name, column, property, change, previousValue, value,
+ *   username, clientId, operation, description, correlationId }
+ */
+export async function getElementTimeline(modelURN, region, elemKeys) {
+  console.group("STUB: getElementTimeline()");
+
+  const timeline = { modelURN, elements: [], events: [], warnings: [] };
+
+  try {
+    const keys = elemKeys.split(',').map(k => k.trim()).filter(Boolean);
+    if (keys.length === 0) {
+      throw new Error('Element keys are required for this operation');
+    }
+    console.log("Element keys", keys);
+
+    await loadSchemaForModel(modelURN, region);
+    const rows = (await scanAllPropsForElements(modelURN, keys, region, true)).slice(1);
+    console.log("History scan -->", rows);
+
+    const found = new Set(rows.map(row => toShortKey(row[QC.Key])));
+    keys.filter(key => !found.has(toShortKey(key))).forEach(key => {
+      timeline.warnings.push(`Element ${key} was not found in this model.`);
+    });
+
+    rows.forEach(row => {
+      const events = historyRowEvents(row, modelURN);
+      timeline.elements.push({ key: row[QC.Key], name: lastKnownName(row) });
+      timeline.events.push(...events);
+    });
+
+    // Who/what/where for each change comes from the transaction with the same timestamp
+    const timestamps = [...new Set(timeline.events.map(event => event.timestamp))];
+    const transactions = new Map();
+    if (timestamps.length > 0) {
+      const history = await getModelHistory(modelURN, region, { timestamps });
+      console.log("Model history -->", history);
+      history.map(decodeHistoryEntry).forEach(entry => transactions.set(entry.timestamp, entry));
+    }
+
+    timeline.events.forEach(event => Object.assign(event, transactionFields(transactions.get(event.timestamp))));
+    timeline.events.sort((a, b) => b.timestamp - a.timestamp || a.property.localeCompare(b.property));
+
+    timeline.warnings.forEach(warning => console.warn(warning));
+    console.log(`${timeline.events.length} change(s) on ${timeline.elements.length} element(s), ${transactions.size} transaction(s)`);
+    console.table(timeline.events.map(event => ({
+      time: new Date(event.timestamp).toISOString(),
+      element: event.name,
+      property: event.property,
+      change: event.change,
+      from: event.previousValue,
+      to: event.value,
+      user: event.username,
+      description: event.description
+    })));
+  } catch (error) {
+    console.error('Error:', error);
+    throw error;
+  } finally {
+    console.groupEnd();
+  }
+
+  return timeline;
+}
+
+/**
+ * Filter timeline events by property and/or user
+ * @param {Array<object>} events - From getElementTimeline()
+ * @param {object} [filter]
+ * @param {string} [filter.property] - "Category.Property" (or qualified column) to keep
+ * @param {string} [filter.username] - User to keep
+ * @returns {Array<object>}
+ */
+export function filterTimeline(events, { property = '', username = '' } = {}) {
+  return events.filter(event =>
+    (!property || event.property === property) && (!username || event.username === username));
+}
+
+/**
+ * Format a value for a table cell
+ * @param {any} value
+ * @returns {string|number|boolean}
+ */
+function toCell(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+/**
+ * Cells of one event, in TIMELINE_HEADERS order
+ * @param {object} event
+ * @returns {Array}
+ */
+function eventCells(event) {
+  return [
+    new Date(event.timestamp).toISOString(),
+    event.name,
+    event.key,
+    event.property,
+    event.column,
+    event.change,
+    toCell(event.previousValue),
+    toCell(event.value),
+    event.username,
+    event.clientId,
+    event.operation,
+    event.description,
+    event.correlationId
+  ];
+}
+
+/**
+ * Turn timeline events into a table for export (see scanExport.exportRows)
+ * @param {Array<object>} events
+ * @returns {{headers: Array<string>, rows: Array<Array>}}
+ */
+export function timelineToTable(events) {
+  return { headers: TIMELINE_HEADERS, rows: events.map(eventCells) };
+}
+
+/**
+ * Get the facility's audit log: every transaction of every model in a date range
+ *
+ * Each transaction gets the names of the elements it touched and the property changes
+ * it made (from a history scan of those elements), unless a model changed more than
+ * MAX_AUDIT_DETAIL_KEYS elements in the range - then only keys are listed.
+ *
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region header
+ * @param {object} range
+ * @param {number} range.from - Earliest timestamp (ms since epoch)
+ * @param {number} range.to - Latest timestamp (ms since epoch)
+ * @returns {Promise<object>} { facilityURN, from, to, transactions, warnings } - transactions (newest
+ *   first) are decoded history entries plus { modelURN, modelLabel, elements: [{ key, name }], changes }
+ *   where changes are timeline events
+ */
+export async function getFacilityAuditLog(facilityURN, region, { from, to }) {
+  console.group("STUB: getFacilityAuditLog()");
+  console.log(`Range: ${new Date(from).toISOString()} - ${new Date(to).toISOString()}`);
+
+  const audit = { facilityURN, from, to, transactions: [], warnings: [] };
+
+  try {
+    const models = await getModels(facilityURN, region);
+
+    for (const model of models) {
+      const modelURN = model.modelId;
+      const modelLabel = model.label || 'Default Model';
+
+      const history = (await getModelHistory(modelURN, region, { min: from, max: to, includeChanges: true })).map(decodeHistoryEntry);
+      console.log(`${modelLabel}: ${history.length} transaction(s)`);
+      if (history.length === 0) continue;
+
+      const keysByShortKey = new Map();
+      history.forEach(entry => entry.keys.forEach(key => keysByShortKey.set(toShortKey(key), key)));
+
+      // Names and property changes come from a history scan of the touched elements
+      const names = new Map();
+      const changesAt = new Map(); // "timestamp|shortKey" -> events
+      if (keysByShortKey.size > MAX_AUDIT_DETAIL_KEYS) {
+        audit.warnings.push(`${modelLabel}: ${keysByShortKey.size} elements changed - too many to name, only keys are listed. Narrow the date range for details.`);
+      } else if (keysByShortKey.size > 0) {
+        await loadSchemaForModel(modelURN, region);
+        const rows = (await scanAllPropsForElements(modelURN, [...keysByShortKey.values()], region, true)).slice(1);
+        rows.forEach(row => {
+          const shortKey = toShortKey(row[QC.Key]);
+          names.set(shortKey, lastKnownName(row));
+          historyRowEvents(row, modelURN).forEach(event => {
+            const id = `${event.timestamp}|${shortKey}`;
+            if (!changesAt.has(id)) changesAt.set(id, []);
+            changesAt.get(id).push(event);
+          });
+        });
+      }
+
+      history.forEach(entry => {
+        const fields = transactionFields(entry);
+        audit.transactions.push({
+          ...entry,
+          modelURN,
+          modelLabel,
+          elements: entry.keys.map(key => ({ key, name: names.get(toShortKey(key)) ?? '' })),
+          changes: entry.keys.flatMap(key => changesAt.get(`${entry.timestamp}|${toShortKey(key)}`) || [])
+            .map(event => ({ ...event, ...fields, modelLabel }))
+        });
+      });
+    }
+
+    audit.transactions.sort((a, b) => b.timestamp - a.timestamp);
+
+    audit.warnings.forEach(warning => console.warn(warning));
+    const groups = groupAuditTransactions(audit.transactions);
+    console.log(`${audit.transactions.length} transaction(s) in ${groups.length} request(s)`);
+    console.table(groups.map(group => ({
+      time: new Date(group.timestamp).toISOString(),
+      models: group.modelLabels.join(', '),
+      user: group.usernames.join(', '),
+      operation: group.operations.join(', '),
+      description: group.descriptions.join(' | '),
+      elements: group.elementCount,
+      changes: group.changeCount
+    })));
+  } catch (error) {
+    console.error('Error:', error);
+    throw error;
+  } finally {
+    console.groupEnd();
+  }
+
+  return audit;
+}
+
+/**
+ * Filter audit transactions by user, operation and/or model
+ * @param {Array<object>} transactions - From getFacilityAuditLog()
+ * @param {object} [filter]
+ * @param {string} [filter.username]
+ * @param {string} [filter.operation]
+ * @param {string} [filter.modelURN]
+ * @returns {Array<object>}
+ */
+export function filterAuditTransactions(transactions, { username = '', operation = '', modelURN = '' } = {}) {
+  return transactions.filter(tx =>
+    (!username || tx.username === username) &&
+    (!operation || tx.operation === operation) &&
+    (!modelURN || tx.modelURN === modelURN));
+}
+
+/**
+ * Group audit transactions by correlation ID - one group per request that caused them
+ *
+ * Transactions without a correlation ID are a group of their own.
+ *
+ * @param {Array<object>} transactions - Newest first
+ * @returns {Array<object>} Newest first: { correlationId, timestamp (latest), firstTimestamp, modelLabels,
+ *   usernames, clientIds, operations, descriptions, transactions, elementCount, changeCount }
+ */
+export function groupAuditTransactions(transactions) {
+  const groups = new Map();
+
+  transactions.forEach(tx => {
+    const id = tx.correlationId || `${tx.modelURN}|${tx.timestamp}`;
+    if (!groups.has(id)) {
+      groups.set(id, { correlationId: tx.correlationId, timestamp: tx.timestamp, firstTimestamp: tx.timestamp, transactions: [] });
+    }
+    const group = groups.get(id);
+    group.timestamp = Math.max(group.timestamp, tx.timestamp);
+    group.firstTimestamp = Math.min(group.firstTimestamp, tx.timestamp);
+    group.transactions.push(tx);
+  });
+
+  const distinct = (group, field) => [...new Set(group.transactions.map(tx => tx[field]).filter(Boolean))];
+  return [...groups.values()].map(group => ({
+    ...group,
+    modelLabels: distinct(group, 'modelLabel'),
+    usernames: distinct(group, 'username'),
+    clientIds: distinct(group, 'clientId'),
+    operations: distinct(group, 'operation'),
+    descriptions: distinct(group, 'description'),
+    elementCount: group.transactions.reduce((sum, tx) => sum + tx.elements.length, 0),
+    changeCount: group.transactions.reduce((sum, tx) => sum + tx.changes.length, 0)
+  })).sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Turn audit transactions into a table for export: one row per property change, or
+ * one per element for transactions without resolved changes
+ * @param {Array<object>} transactions
+ * @returns {{headers: Array<string>, rows: Array<Array>}}
+ */
+export function auditToTable(transactions) {
+  const rows = [];
+  transactions.forEach(tx => {
+    if (tx.changes.length > 0) {
+      tx.changes.forEach(change => rows.push([tx.modelLabel, ...eventCells(change)]));
+      return;
+    }
+    const elements = tx.elements.length > 0 ? tx.elements : [{ key: '', name: '' }];
+    elements.forEach(({ key, name }) => rows.push([tx.modelLabel, ...eventCells({
+      ...transactionFields(tx), timestamp: tx.timestamp, key, name, property: '', column: '', change: ''
+    })]));
+  });
+  return { headers: ['Model', ...TIMELINE_HEADERS], rows };
+}
@@ -0,0 +1,321 @@
+/**
+ * Key Tool STUB Functions
+ *
+ * Helpers for making sense of the keys that show up in scan output:
+ * element keys (short and full), xrefs, packed key arrays (l:r, x:r...) and system IDs.
+ * Decoding happens locally with tandem/keys.js; the element is then looked up
+ * with /scan so you can see which model it lives in.
+ *
+ * Output goes to browser console - open DevTools to see results.
+ */
+
+import { getModels, getElements, scanForQualifiedProperties, scanAllPropsForElements } from '../api.js';
+import { ElementFlags, KeyFlags, QC, ColumnFamilies, kElementIdSize, kElementIdWithFlagsSize, kModelIdSize } from '../../tandem/constants.js';
+import {
+  decodeXref,
+  toShortKey,
+  toFullKey,
+  toSystemId,
+  fromSystemId,
+  fromShortKeyArray,
+  fromXrefKeyArray,
+  getKeyFlags
+} from '../../tandem/keys.js';
+
+export const KeyTypes = {
+  ShortKey: 'Short key',
+  FullKey: 'Full key',
+  Xref: 'Xref',
+  ShortKeyArray: 'Packed short key array',
+  XrefArray: 'Packed xref array',
+  SystemId: 'System ID',
+  ModelURN: 'Model URN',
+  FacilityURN: 'Facility URN',
+  Unknown: 'Unknown'
+};
+
+// System IDs are varints of a 32-bit value, so at most 5 bytes
+const kMaxSystemIdBytes = 5;
+
+/**
+ * Name a flags value using a flags table (e.g. ElementFlags)
+ * @param {number} flags - Flags value
+ * @param {object} table - Name -> value
+ * @returns {string} e.g. "Level (0x01000001)"
+ */
+export function describeFlags(flags, table = ElementFlags) {
+  const hex = `0x${(flags >>> 0).toString(16).padStart(8, '0')}`;
+  const names = Object.entries(table)
+    .filter(([name, value]) => value === flags && name !== 'AllLogicalMask')
+    .map(([name]) => name);
+  return names.length > 0 ? `${names.join(' / ')} (${hex})` : hex;
+}
+
+/**
+ * Decode websafe or standard base64 to bytes, or null if it isn't base64
+ * @param {string} text
+ * @returns {Uint8Array|null}
+ */
+function decodeBase64(text) {
+  if (!/^[A-Za-z0-9_\-+/]+={0,2}$/.test(text)) {
+    return null;
+  }
+  let standardB64 = text.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+  while (standardB64.length % 4) {
+    standardB64 += '=';
+  }
+  try {
+    return new Uint8Array(atob(standardB64).split('').map(c => c.charCodeAt(0)));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether 4 bytes look like the flags of a full key
+ * Random element IDs almost never match, which is how xrefs are told apart from packed short keys.
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {boolean}
+ */
+function hasKeyFlagsAt(bytes, offset) {
+  const flags = ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+  return Object.values(KeyFlags).includes(flags) || Object.values(ElementFlags).includes(flags);
+}
+
+/**
+ * Describe a full key
+ * @param {string} fullKey
+ * @param {string|null} modelURN - Model the key belongs to, if known
+ * @returns {object} Entry
+ */
+function makeFullKeyEntry(fullKey, modelURN = null) {
+  const flags = getKeyFlags(fullKey);
+  return {
+    shortKey: toShortKey(fullKey),
+    fullKey,
+    keyFlags: describeFlags(flags, KeyFlags),
+    systemId: toSystemId(fullKey),
+    modelURN
+  };
+}
+
+/**
+ * Work out what kind of key a string is and decode it (no API calls)
+ *
+ * @param {string} text - Pasted key, xref, key array or system ID
+ * @returns {{input: string, type: string, entries: Array<object>, notes: Array<string>}}
+ */
+export function decodeKeyString(text) {
+  const input = String(text || '').trim().replace(/^["']|["']$/g, '');
+  const result = { input, type: KeyTypes.Unknown, entries: [], notes: [] };
+
+  if (input.startsWith('urn:adsk.dtm:')) {
+    result.type = KeyTypes.ModelURN;
+    result.notes.push('This is a model URN, not an element key.');
+    return result;
+  }
+  if (input.startsWith('urn:adsk.dtt:')) {
+    result.type = KeyTypes.FacilityURN;
+    result.notes.push(`This is a facility URN. Its default model is ${input.replace('urn:adsk.dtt:', 'urn:adsk.dtm:')}.`);
+    return result;
+  }
+
+  const bytes = decodeBase64(input);
+  if (!bytes || bytes.length === 0) {
+    result.notes.push('Not a base64 string.');
+    return result;
+  }
+
+  const xrefSize = kModelIdSize + kElementIdWithFlagsSize;
+
+  if (bytes.length === kElementIdSize) {
+    // Short keys have no flags - the element could be physical or logical
+    result.type = KeyTypes.ShortKey;
+    result.entries.push({
+      shortKey: input,
+      fullKey: null,
+      fullKeyCandidates: [toFullKey(input, false), toFullKey(input, true)],
+      keyFlags: null,
+      systemId: null,
+      modelURN: null
+    });
+    result.notes.push('Short keys carry no flags: both the physical and logical full keys are tried when locating the element.');
+  } else if (bytes.length === kElementIdWithFlagsSize) {
+    result.type = KeyTypes.FullKey;
+    result.entries.push(makeFullKeyEntry(input));
+  } else if (bytes.length % xrefSize === 0 && Array.from({ length: bytes.length / xrefSize }).every((_, i) => hasKeyFlagsAt(bytes, i * xrefSize + kModelIdSize))) {
+    if (bytes.length === xrefSize) {
+      const decoded = decodeXref(input);
+      result.type = KeyTypes.Xref;
+      result.entries.push(makeFullKeyEntry(decoded.elementKey, decoded.modelURN));
+    } else {
+      const [modelKeys, elementKeys] = fromXrefKeyArray(input);
+      result.type = KeyTypes.XrefArray;
+      elementKeys.forEach((elementKey, i) => {
+        result.entries.push(makeFullKeyEntry(elementKey, `urn:adsk.dtm:${modelKeys[i]}`));
+      });
+    }
+  } else if (bytes.length % kElementIdSize === 0) {
+    result.type = KeyTypes.ShortKeyArray;
+    fromShortKeyArray(input, false).forEach(shortKey => {
+      result.entries.push({
+        shortKey,
+        fullKey: null,
+        fullKeyCandidates: [toFullKey(shortKey, false), toFullKey(shortKey, true)],
+        keyFlags: null,
+        systemId: null,
+        modelURN: null
+      });
+    });
+  } else if (bytes.length <= kMaxSystemIdBytes) {
+    try {
+      const id = fromSystemId(input);
+      result.type = KeyTypes.SystemId;
+      result.systemId = input;
+      result.notes.push(`System ID ${input} = 0x${id.toString(16).padStart(8, '0')} (last 4 bytes of the system element key).`);
+    } catch {
+      result.notes.push(`${bytes.length} bytes - not a key, xref or system ID.`);
+    }
+  } else {
+    result.notes.push(`${bytes.length} bytes - not a multiple of ${kElementIdSize} (short key) or ${xrefSize} (xref).`);
+  }
+
+  return result;
+}
+
+/**
+ * Get a single value from a scan row column (rows may or may not use arrays)
+ * @param {object} row
+ * @param {string} qualifiedColumn
+ * @returns {any}
+ */
+function getRowValue(row, qualifiedColumn) {
+  const value = row[qualifiedColumn];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Find the model of each entry that doesn't have one yet, and fill in name and element flags
+ * @param {Array<object>} entries - Entries from decodeKeyString()
+ * @param {Array<object>} models - Facility models (links)
+ * @param {string} region
+ */
+async function locateEntries(entries, models, region) {
+  for (const model of models) {
+    const pending = entries.filter(entry => !entry.located && (!entry.modelURN || entry.modelURN === model.modelId));
+    if (pending.length === 0) continue;
+
+    const keys = pending.flatMap(entry => entry.fullKey ? [entry.fullKey] : entry.fullKeyCandidates);
+    const rows = await getElements(model.modelId, keys, region, [ColumnFamilies.Standard]);
+
+    for (const row of rows) {
+      const flags = getRowValue(row, QC.ElementFlags);
+      const name = getRowValue(row, QC.Name);
+      if (flags === undefined && name === undefined) continue; // key not in this model
+
+      const entry = pending.find(e => e.shortKey === toShortKey(row[QC.Key]));
+      if (!entry || entry.located) continue;
+      entry.located = true;
+      entry.modelURN = model.modelId;
+      entry.modelLabel = model.label || '(default model)';
+      entry.fullKey = row[QC.Key];
+      entry.keyFlags = describeFlags(getKeyFlags(entry.fullKey), KeyFlags);
+      entry.systemId = toSystemId(entry.fullKey);
+      entry.name = name ?? null;
+      entry.elementFlags = flags !== undefined ? describeFlags(flags) : null;
+    }
+  }
+}
+
+/**
+ * Find system elements whose key produces the given system ID
+ * @param {string} systemId
+ * @param {Array<object>} models
+ * @param {string} region
+ * @returns {Promise<Array<object>>} Entries
+ */
+async function locateSystem(systemId, models, region) {
+  const entries = [];
+  for (const model of models) {
+    const rows = await scanForQualifiedProperties(model.modelId, [QC.ElementFlags, QC.Name], region);
+    for (const row of rows.slice(1)) {
+      if (getRowValue(row, QC.ElementFlags) !== ElementFlags.System) continue;
+      if (toSystemId(row[QC.Key]) !== systemId) continue;
+      entries.push({
+        ...makeFullKeyEntry(row[QC.Key], model.modelId),
+        located: true,
+        modelLabel: model.label || '(default model)',
+        name: getRowValue(row, QC.Name) ?? null,
+        elementFlags: describeFlags(ElementFlags.System)
+      });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Inspect a key-like string: detect its type, decode it, and find the element(s) in the facility
+ *
+ * @param {string} facilityURN - Facility URN (its models are searched)
+ * @param {string} region - Region header
+ * @param {string} text - Key, xref, packed key array or system ID
+ * @returns {Promise<object>} Decoded result (see decodeKeyString), entries annotated with model and name
+ */
+export async function inspectKey(facilityURN, region, text) {
+  console.group("STUB: inspectKey()");
+
+  const result = decodeKeyString(text);
+  console.log("Input:", result.input);
+  console.log("Detected type:", result.type);
+  result.notes.forEach(note => console.log(note));
+
+  try {
+    const models = await getModels(facilityURN, region);
+
+    if (result.type === KeyTypes.SystemId) {
+      console.log("Searching facility models for the system element...");
+      result.entries = await locateSystem(result.systemId, models, region);
+    } else if (result.entries.length > 0) {
+      console.log(`Looking up ${result.entries.length} element(s) in ${models.length} model(s)...`);
+      await locateEntries(result.entries, models, region);
+    }
+
+    const notFound = result.entries.filter(entry => !entry.located).length;
+    if (notFound > 0) {
+      result.notes.push(`${notFound} element(s) not found in this facility's models.`);
+      console.log(`${notFound} element(s) not found in this facility's models.`);
+    }
+  } catch (error) {
+    console.error('Error:', error);
+  }
+
+  if (result.entries.length > 0) {
+    console.table(result.entries.map(({ fullKeyCandidates, located, ...entry }) => entry));
+  }
+
+  console.groupEnd();
+  return result;
+}
+
+/**
+ * Scan all properties of one element
+ *
+ * @param {string} modelURN - Model the element lives in
+ * @param {string} region - Region header
+ * @param {string} elementKey - Full element key
+ */
+export async function scanElement(modelURN, region, elementKey) {
+  console.group("STUB: scanElement()");
+  console.log("Model:", modelURN);
+  console.log("Element Key:", elementKey);
+
+  try {
+    const result = await scanAllPropsForElements(modelURN, [elementKey], region, false);
+    console.log("Result from Tandem DB Server -->", result);
+  } catch (error) {
+    console.error('Error:', error);
+  }
+
+  console.groupEnd();
+}
@@ -8,6 +8,7 @@
  */
 
 import { tandemBaseURL, makeRequestOptionsGET } from '../api.js';
+import { tandemFetch } from '../client.js';
 
 /**
  * Get the health stats of the systems
@@ -19,7 +20,7 @@ export async function getHealth() {
   console.log("Request:", requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET());
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET());
     const result = await response.json();
     console.log("Result from Tandem DB Server -->", result);
     console.groupEnd();
@@ -42,7 +43,7 @@ export async function getFacilitiesForUser(userID) {
   console.log("Request:", requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET());
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET());
     const result = await response.json();
     console.log("Result from Tandem DB Server -->", result);
     
@@ -6,6 +6,7 @@
  */
 
 import { tandemBaseURL, makeRequestOptionsGET, makeRequestOptionsPOST } from '../api.js';
+import { tandemFetch } from '../client.js';
 
 /**
  * Get the properties of a given model.
@@ -20,7 +21,7 @@ export async function getModelProperties(modelURN, region) {
   const requestPath = `${tandemBaseURL}/models/${modelURN}/props`;
   console.log(requestPath);
 
-  await fetch(requestPath, makeRequestOptionsGET(region))
+  await tandemFetch(requestPath, makeRequestOptionsGET(region))
     .then((response) => response.json())
     .then((obj) => {
       console.log("Result from Tandem DB Server -->", obj);
@@ -43,7 +44,7 @@ export async function getModel(modelURN, region) {
   const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/model`;
   console.log(requestPath);
 
-  await fetch(requestPath, makeRequestOptionsGET(region))
+  await tandemFetch(requestPath, makeRequestOptionsGET(region))
     .then((response) => response.json())
     .then((obj) => {
       console.log("Result from Tandem DB Server -->", obj);
@@ -66,7 +67,7 @@ export async function getAECModelData(modelURN, region) {
   const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/aecmodeldata`;
   console.log(requestPath);
 
-  await fetch(requestPath, makeRequestOptionsGET(region))
+  await tandemFetch(requestPath, makeRequestOptionsGET(region))
     .then((response) => response.json())
     .then((obj) => {
       console.log("Result from Tandem DB Server -->", obj);
@@ -89,7 +90,7 @@ export async function getModelDataAttrs(modelURN, region) {
   const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/attrs`;
   console.log(requestPath);
 
-  await fetch(requestPath, makeRequestOptionsGET(region))
+  await tandemFetch(requestPath, makeRequestOptionsGET(region))
     .then((response) => response.json())
     .then((obj) => {
       console.log("Result from Tandem DB Server -->", obj);
@@ -112,7 +113,7 @@ export async function getModelDataSchema(modelURN, region) {
   const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/schema`;
   console.log(requestPath);
 
-  await fetch(requestPath, makeRequestOptionsGET(region))
+  await tandemFetch(requestPath, makeRequestOptionsGET(region))
     .then((response) => response.json())
     .then((obj) => {
       console.log("Result from Tandem DB Server -->", obj);
@@ -153,7 +154,7 @@ export async function getModelDataFragments(modelURN, region, elemKeys) {
 
   console.log(requestPath);
 
-  await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region))
+  await tandemFetch(requestPath, makeRequestOptionsPOST(bodyPayload, region))
     .then((response) => response.text())
     .then((text) => {
       console.log("Result from Tandem DB Server -->", text);
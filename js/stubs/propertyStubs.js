@@ -1,5 +1,8 @@
 import { tandemBaseURL, makeRequestOptionsGET, makeRequestOptionsPOST } from '../api.js';
+import { tandemFetch } from '../client.js';
 import { ColumnFamilies, ColumnNames, MutateActions } from '../../tandem/constants.js';
+import { validateValue } from '../../tandem/attributes.js';
+import { submitMutation } from '../mutations.js';
 
 /**
  * Get the schema for a specific model, then search for a qualified property by category and name
@@ -18,7 +21,7 @@ export async function getQualifiedProperty(facilityURN, region, categoryName, pr
   console.log(facilityPath);
   
   try {
-    const facilityResponse = await fetch(facilityPath, makeRequestOptionsGET(region));
+    const facilityResponse = await tandemFetch(facilityPath, makeRequestOptionsGET(region));
     const facilityData = await facilityResponse.json();
     const models = facilityData.links || [];
     
@@ -35,7 +38,7 @@ export async function getQualifiedProperty(facilityURN, region, categoryName, pr
       const schemaPath = `${tandemBaseURL}/modeldata/${modelURN}/schema`;
       console.log(schemaPath);
       
-      const schemaResponse = await fetch(schemaPath, makeRequestOptionsGET(region));
+      const schemaResponse = await tandemFetch(schemaPath, makeRequestOptionsGET(region));
       const schema = await schemaResponse.json();
       
       // Search for the qualified property
@@ -78,7 +81,7 @@ export async function getQualifiedProperty(facilityURN, region, categoryName, pr
  * @param {string} categoryName - Property category name
  * @param {string} propName - Property name
  * @param {boolean} includeHistory - Whether to include property history
- * @returns {Promise<void>}
+ * @returns {Promise<object>} Scan result for export (see scanExport.js)
  */
 export async function scanForProperty(facilityURN, region, categoryName, propName, includeHistory) {
   console.group("STUB: scanForProperty()");
@@ -86,8 +89,10 @@ export async function scanForProperty(facilityURN, region, categoryName, propNam
   const facilityPath = `${tandemBaseURL}/twins/${facilityURN}`;
   console.log(facilityPath);
   
+  const scanResult = { title: `scan-${categoryName}.${propName}`, includeHistory: !!includeHistory, models: [] };
+  
   try {
-    const facilityResponse = await fetch(facilityPath, makeRequestOptionsGET(region));
+    const facilityResponse = await tandemFetch(facilityPath, makeRequestOptionsGET(region));
     const facilityData = await facilityResponse.json();
     const models = facilityData.links || [];
     
@@ -104,7 +109,7 @@ export async function scanForProperty(facilityURN, region, categoryName, propNam
       const schemaPath = `${tandemBaseURL}/modeldata/${modelURN}/schema`;
       console.log(schemaPath);
       
-      const schemaResponse = await fetch(schemaPath, makeRequestOptionsGET(region));
+      const schemaResponse = await tandemFetch(schemaPath, makeRequestOptionsGET(region));
       const schema = await schemaResponse.json();
       
       // Search for the qualified property
@@ -131,9 +136,10 @@ export async function scanForProperty(facilityURN, region, categoryName, propNam
         console.log(scanPath);
         console.log(`Include History: ${includeHistory}`);
         
-        const scanResponse = await fetch(scanPath, makeRequestOptionsPOST(bodyPayload, region));
+        const scanResponse = await tandemFetch(scanPath, makeRequestOptionsPOST(bodyPayload, region));
         const scanData = await scanResponse.json();
         console.log("Result from Tandem DB Server -->", scanData);
+        scanResult.models.push({ modelURN, modelLabel: model.label, rows: scanData.slice(1) });
         
         // Also show a nice table of the property values
         const propValues = [];
@@ -168,6 +174,7 @@ export async function scanForProperty(facilityURN, region, categoryName, propNam
   }
   
   console.groupEnd();
+  return scanResult;
 }
 
 /**
@@ -185,7 +192,7 @@ export async function scanForUserProps(facilityURN, region) {
     const facilityPath = `${tandemBaseURL}/twins/${facilityURN}`;
     console.log(facilityPath);
     
-    const facilityResponse = await fetch(facilityPath, makeRequestOptionsGET(region));
+    const facilityResponse = await tandemFetch(facilityPath, makeRequestOptionsGET(region));
     const facilityData = await facilityResponse.json();
     const models = facilityData.links || [];
     
@@ -205,7 +212,7 @@ export async function scanForUserProps(facilityURN, region) {
       const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/scan`;
       console.log(requestPath);
       
-      const response = await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
+      const response = await tandemFetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
       const obj = await response.json();
       console.log("Result from Tandem DB Server -->", obj);
       
@@ -231,12 +238,14 @@ export async function scanForUserProps(facilityURN, region) {
  * For string: { matchType: 'partial'|'exact'|'regex', caseInsensitive: boolean, value: string }
  * For numeric: { operator: '='|'!='|'>'|'>='|'<'|'<=', value: number }
  * For boolean: { value: boolean }
- * @returns {Promise<void>}
+ * @returns {Promise<object>} Scan result with the matching elements, for export (see scanExport.js)
  */
 export async function findElementsWherePropValueEquals(facilityURN, region, categoryName, propName, searchOptions) {
   console.group("STUB: findElementsWherePropValueEquals()");
   console.log("Search options:", searchOptions);
   
+  const scanResult = { title: `find-${categoryName}.${propName}`, includeHistory: false, models: [] };
+  
   const facilityPath = `${tandemBaseURL}/twins/${facilityURN}`;
   console.log(facilityPath);
   
@@ -312,7 +321,7 @@ export async function findElementsWherePropValueEquals(facilityURN, region, cate
   }
   
   try {
-    const facilityResponse = await fetch(facilityPath, makeRequestOptionsGET(region));
+    const facilityResponse = await tandemFetch(facilityPath, makeRequestOptionsGET(region));
     const facilityData = await facilityResponse.json();
     const models = facilityData.links || [];
     
@@ -329,7 +338,7 @@ export async function findElementsWherePropValueEquals(facilityURN, region, cate
       const schemaPath = `${tandemBaseURL}/modeldata/${modelURN}/schema`;
       console.log(schemaPath);
       
-      const schemaResponse = await fetch(schemaPath, makeRequestOptionsGET(region));
+      const schemaResponse = await tandemFetch(schemaPath, makeRequestOptionsGET(region));
       const schema = await schemaResponse.json();
       
       // Search for the qualified property
@@ -355,7 +364,7 @@ export async function findElementsWherePropValueEquals(facilityURN, region, cate
         const scanPath = `${tandemBaseURL}/modeldata/${modelURN}/scan`;
         console.log(scanPath);
         
-        const scanResponse = await fetch(scanPath, makeRequestOptionsPOST(bodyPayload, region));
+        const scanResponse = await tandemFetch(scanPath, makeRequestOptionsPOST(bodyPayload, region));
         const rawProps = await scanResponse.json();
         
         // Extract property values
@@ -388,6 +397,13 @@ export async function findElementsWherePropValueEquals(facilityURN, region, cate
           if (matchingProps.length > 0) {
             console.log("Matching property values-->");
             console.table(matchingProps);
+            
+            const matchingKeys = new Set(matchingProps.map(prop => prop.key));
+            scanResult.models.push({
+              modelURN,
+              modelLabel: model.label,
+              rows: rawProps.slice(1).filter(rowObj => rowObj && matchingKeys.has(rowObj.k))
+            });
           } else {
             console.log("No elements found matching criteria");
           }
@@ -405,6 +421,7 @@ export async function findElementsWherePropValueEquals(facilityURN, region, cate
   }
   
   console.groupEnd();
+  return scanResult;
 }
 
 /**
@@ -420,7 +437,7 @@ export async function getScanBruteForce(modelURN, region) {
   const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/scan`;
   console.log(requestPath);
   
-  await fetch(requestPath, makeRequestOptionsGET(region))
+  await tandemFetch(requestPath, makeRequestOptionsGET(region))
     .then((response) => response.json())
     .then((obj) => {
       console.log("Result from Tandem DB Server -->", obj);
@@ -438,7 +455,7 @@ export async function getScanBruteForce(modelURN, region) {
  * @param {string} elemKeys - Comma-separated element keys (optional)
  * @param {boolean} includeHistory - Whether to include history
  * @param {string} colFamilies - Comma-separated column families (e.g., "n,z,l")
- * @returns {Promise<void>}
+ * @returns {Promise<object>} Scan result for export (see scanExport.js)
  */
 export async function getScanElementsOptions(modelURN, region, elemKeys, includeHistory, colFamilies) {
   console.group("STUB: getScanElementsOptions()");
@@ -469,14 +486,18 @@ export async function getScanElementsOptions(modelURN, region, elemKeys, include
   console.log(requestPath);
   console.log("Payload:", bodyPayload);
   
-  await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region))
+  const scanResult = { title: `scan-${modelURN.replace('urn:adsk.dtm:', '')}`, includeHistory: !!includeHistory, models: [] };
+  
+  await tandemFetch(requestPath, makeRequestOptionsPOST(bodyPayload, region))
     .then((response) => response.json())
     .then((obj) => {
       console.log("Result from Tandem DB Server -->", obj);
+      scanResult.models.push({ modelURN, rows: obj.slice(1) });
     })
     .catch(error => console.log('error', error));
   
   console.groupEnd();
+  return scanResult;
 }
 
 /**
@@ -487,7 +508,7 @@ export async function getScanElementsOptions(modelURN, region, elemKeys, include
  * @param {string} elemKeys - Comma-separated element keys (optional)
  * @param {boolean} includeHistory - Whether to include history
  * @param {string} qualProps - Comma-separated qualified properties (e.g., "z:5mQ,n:n")
- * @returns {Promise<void>}
+ * @returns {Promise<object>} Scan result for export (see scanExport.js)
  */
 export async function getScanElementsQualProps(modelURN, region, elemKeys, includeHistory, qualProps) {
   console.group("STUB: getScanElementsQualProps()");
@@ -518,14 +539,18 @@ export async function getScanElementsQualProps(modelURN, region, elemKeys, inclu
   console.log(requestPath);
   console.log("Payload:", bodyPayload);
   
-  await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region))
+  const scanResult = { title: `scan-${modelURN.replace('urn:adsk.dtm:', '')}`, includeHistory: !!includeHistory, models: [] };
+  
+  await tandemFetch(requestPath, makeRequestOptionsPOST(bodyPayload, region))
     .then((response) => response.json())
     .then((obj) => {
       console.log("Result from Tandem DB Server -->", obj);
+      scanResult.models.push({ modelURN, rows: obj.slice(1) });
     })
     .catch(error => console.log('error', error));
   
   console.groupEnd();
+  return scanResult;
 }
 
 /**
@@ -557,7 +582,7 @@ export async function getScanElementsFullChangeHistory(modelURN, region, elemKey
   console.log(requestPath);
   console.log("Payload:", bodyPayload);
   
-  await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region))
+  await tandemFetch(requestPath, makeRequestOptionsPOST(bodyPayload, region))
     .then((response) => response.json())
     .then((obj) => {
       console.log("Result from Tandem DB Server -->", obj);
@@ -585,7 +610,7 @@ export async function assignClassification(facilityURN, region, classificationSt
   console.log(templatePath);
   
   try {
-    const templateResponse = await fetch(templatePath, makeRequestOptionsGET(region));
+    const templateResponse = await tandemFetch(templatePath, makeRequestOptionsGET(region));
     const template = await templateResponse.json();
     
     // Search for the classification node
@@ -638,22 +663,20 @@ export async function assignClassification(facilityURN, region, classificationSt
     }
     
     // Create the payload for the call to /mutate
-    const bodyPayload = JSON.stringify({
+    const payload = {
       keys: elementKeysArray,
       muts: mutsArray,
       desc: "REST TestBedApp: updated classification"
-    });
-    
-    const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/mutate`;
-    console.log(requestPath);
-    console.log("Payload:", bodyPayload);
-    
-    await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region))
-      .then((response) => response.json())
-      .then((obj) => {
-        console.log("Result from Tandem DB Server -->", obj);
-      })
-      .catch(error => console.log('error', error));
+    };
+    
+    console.log(`${tandemBaseURL}/modeldata/${modelURN}/mutate`);
+    console.log("Payload:", JSON.stringify(payload));
+    
+    // Previews the change and waits for confirmation when "Preview writes" is on
+    const result = await submitMutation(modelURN, region, payload);
+    if (result) {
+      console.log("Result from Tandem DB Server -->", result);
+    }
       
   } catch (error) {
     console.error('Error assigning classification:', error);
@@ -681,7 +704,7 @@ export async function setPropertySelSet(modelURN, region, propCategory, propName
   console.log(schemaPath);
   
   try {
-    const schemaResponse = await fetch(schemaPath, makeRequestOptionsGET(region));
+    const schemaResponse = await tandemFetch(schemaPath, makeRequestOptionsGET(region));
     const schema = await schemaResponse.json();
     
     // Search for the qualified property
@@ -712,15 +735,14 @@ export async function setPropertySelSet(modelURN, region, propCategory, propName
       return;
     }
     
-    // Parse the value based on data type
-    let typedValue = propVal;
-    if (qualProp.dataType === 1 || qualProp.dataType === 2) {
-      // Integer or Float
-      typedValue = parseFloat(propVal);
-    } else if (qualProp.dataType === 3) {
-      // Boolean
-      typedValue = propVal.toLowerCase() === 'true';
+    // Convert the value to the property's data type - nothing is written if it doesn't fit
+    const checked = validateValue(propVal, qualProp);
+    if (!checked.valid) {
+      console.error(`ERROR: ${checked.error}`);
+      console.groupEnd();
+      return;
     }
+    const typedValue = checked.value;
     
     console.log("Element keys:", elementKeysArray);
     console.log(`Setting value for "${propCategory} | ${propName}" =`, typedValue);
@@ -736,22 +758,20 @@ export async function setPropertySelSet(modelURN, region, propCategory, propName
     }
     
     // Create the payload for the call to /mutate
-    const bodyPayload = JSON.stringify({
+    const payload = {
       keys: elementKeysArray,
       muts: mutsArray,
       desc: "REST TestBedApp: updated property"
-    });
-    
-    const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/mutate`;
-    console.log(requestPath);
-    console.log("Payload:", bodyPayload);
-    
-    await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region))
-      .then((response) => response.json())
-      .then((obj) => {
-        console.log("Result from Tandem DB Server -->", obj);
-      })
-      .catch(error => console.log('error', error));
+    };
+    
+    console.log(`${tandemBaseURL}/modeldata/${modelURN}/mutate`);
+    console.log("Payload:", JSON.stringify(payload));
+    
+    // Previews the change and waits for confirmation when "Preview writes" is on
+    const result = await submitMutation(modelURN, region, payload);
+    if (result) {
+      console.log("Result from Tandem DB Server -->", result);
+    }
       
   } catch (error) {
     console.error('Error setting property:', error);
@@ -778,7 +798,7 @@ export async function setPropertySelSetQP(modelURN, region, qualPropStr, propVal
   console.log(schemaPath);
   
   try {
-    const schemaResponse = await fetch(schemaPath, makeRequestOptionsGET(region));
+    const schemaResponse = await tandemFetch(schemaPath, makeRequestOptionsGET(region));
     const schema = await schemaResponse.json();
     
     // Search for the qualified property by ID
@@ -806,17 +826,14 @@ export async function setPropertySelSetQP(modelURN, region, qualPropStr, propVal
       return;
     }
     
-    // Parse the value based on data type if we found the property
-    let typedValue = propVal;
-    if (qualProp) {
-      if (qualProp.dataType === 1 || qualProp.dataType === 2) {
-        // Integer or Float
-        typedValue = parseFloat(propVal);
-      } else if (qualProp.dataType === 3) {
-        // Boolean
-        typedValue = propVal.toLowerCase() === 'true';
-      }
+    // Convert the value to the property's data type (string if the property isn't in the schema)
+    const checked = validateValue(propVal, qualProp);
+    if (!checked.valid) {
+      console.error(`ERROR: ${checked.error}`);
+      console.groupEnd();
+      return;
     }
+    const typedValue = checked.value;
     
     // Parse family and column from qualified property string
     const parts = qualPropStr.split(':');
@@ -838,22 +855,20 @@ export async function setPropertySelSetQP(modelURN, region, qualPropStr, propVal
     }
     
     // Create the payload for the call to /mutate
-    const bodyPayload = JSON.stringify({
+    const payload = {
       keys: elementKeysArray,
       muts: mutsArray,
       desc: "REST TestBedApp: updated property"
-    });
-    
-    const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/mutate`;
-    console.log(requestPath);
-    console.log("Payload:", bodyPayload);
-    
-    await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region))
-      .then((response) => response.json())
-      .then((obj) => {
-        console.log("Result from Tandem DB Server -->", obj);
-      })
-      .catch(error => console.log('error', error));
+    };
+    
+    console.log(`${tandemBaseURL}/modeldata/${modelURN}/mutate`);
+    console.log("Payload:", JSON.stringify(payload));
+    
+    // Previews the change and waits for confirmation when "Preview writes" is on
+    const result = await submitMutation(modelURN, region, payload);
+    if (result) {
+      console.log("Result from Tandem DB Server -->", result);
+    }
       
   } catch (error) {
     console.error('Error setting property:', error);
@@ -0,0 +1,181 @@
+/**
+ * Query STUB Functions
+ *
+ * Runs an element query (see utils/queryLanguage.js) across every model of a facility:
+ *
+ *   Identity Data.Mark ~ "AHU-*" AND Dimensions.Area > 20 AND classification under "Walls"
+ *
+ * The query is parsed in the browser. For each model its properties are resolved to
+ * that model's qualified columns through the schema cache, then one /scan with just
+ * those columns is made per model - models that can't match are not scanned at all.
+ * The rows are filtered client-side and returned as one result set.
+ *
+ * With the element index turned on (state/elementIndex.js) the rows come from the
+ * index instead of a /scan, as long as every column is in an indexed family.
+ *
+ * Output goes to browser console - open DevTools to see results.
+ */
+
+import { getModels, scanForQualifiedProperties } from '../api.js';
+import { loadSchemasForFacility, resolveProperty } from '../state/schemaCache.js';
+import { getSavedQuery } from '../state/savedQueries.js';
+import { isElementIndexEnabled, canIndexAnswer, getIndexedRows } from '../state/elementIndex.js';
+import { parseQuery, getConditions, evaluateQuery, compareValue } from '../utils/queryLanguage.js';
+import { QC } from '../../tandem/constants.js';
+
+const CLASSIFICATION_LABEL = 'Classification';
+
+/**
+ * Get the value of a scan cell ([value] unless skipArrays was used)
+ * @param {any} cell
+ * @returns {any}
+ */
+function cellValue(cell) {
+  return Array.isArray(cell) ? cell[0] : cell;
+}
+
+/**
+ * Read the query's columns of every element of a model
+ *
+ * Indexed rows are cut down to the same columns a /scan would return, and like
+ * a /scan only elements having at least one of the columns are kept.
+ *
+ * @param {string} modelURN
+ * @param {Array<string>} columns - Qualified columns
+ * @param {string} region
+ * @param {string} modelLabel - For the console
+ * @returns {Promise<Array>} Scan rows without the version row
+ * @throws {TandemApiError}
+ */
+async function readColumns(modelURN, columns, region, modelLabel) {
+  if (isElementIndexEnabled() && canIndexAnswer(columns)) {
+    console.log(`${modelLabel}: reading ${columns.join(', ')} from the element index`);
+    const rows = [];
+    for (const row of await getIndexedRows(modelURN, region)) {
+      const present = columns.filter(column => row[column] !== undefined);
+      if (present.length > 0) {
+        rows.push(Object.fromEntries([[QC.Key, row[QC.Key]], ...present.map(column => [column, row[column]])]));
+      }
+    }
+    return rows;
+  }
+
+  console.log(`${modelLabel}: scanning ${columns.join(', ')}`);
+  return (await scanForQualifiedProperties(modelURN, columns, region)).slice(1);
+}
+
+/**
+ * Run a query across all models of a facility
+ *
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region header
+ * @param {string} queryText - Query, e.g. 'Identity Data.Mark ~ "AHU-*" AND Dimensions.Area > 20'
+ * @returns {Promise<object>} Scan result (exportable, see scanExport.js) with extra fields:
+ *   query, warnings, and matches: [{ modelURN, modelLabel, key, name, values: { property: value } }]
+ * @throws {QuerySyntaxError} If the query can't be parsed
+ */
+export async function runQuery(facilityURN, region, queryText) {
+  console.group("STUB: runQuery()");
+  console.log("Query:", queryText);
+
+  const result = { title: 'query', query: queryText, includeHistory: false, models: [], matches: [], warnings: [] };
+
+  try {
+    const ast = parseQuery(queryText);
+    const conditions = getConditions(ast);
+    console.log("Parsed query -->", ast);
+
+    const models = await getModels(facilityURN, region);
+    await loadSchemasForFacility(models, region);
+
+    const propertyNames = [...new Set(conditions.filter(c => c.property !== null).map(c => c.property))];
+    const resolvedAnywhere = new Set();
+
+    for (const model of models) {
+      const modelURN = model.modelId;
+      const modelLabel = model.label || '(default model)';
+
+      // Condition -> qualified column(s) in this model
+      const columnsFor = new Map();
+      conditions.forEach(condition => {
+        if (condition.property === null) {
+          columnsFor.set(condition, [QC.OClassification, QC.Classification]);
+          return;
+        }
+        const { attr } = resolveProperty(condition.property, modelURN);
+        if (attr) {
+          columnsFor.set(condition, [attr.id]);
+          resolvedAnywhere.add(condition.property);
+        }
+      });
+
+      // An element without any of the query's properties: if that can't match, neither can
+      // any element of a model where none of them resolve
+      if (columnsFor.size === 0 && !evaluateQuery(ast, condition => compareValue(undefined, condition.op, condition.value))) {
+        console.log(`${modelLabel}: none of the query's properties exist - not scanned`);
+        continue;
+      }
+
+      // Names are scanned too, so elements lacking the queried properties still come back (for NOT / !=)
+      const columns = [...new Set([QC.Name, QC.OName, ...[...columnsFor.values()].flat()])];
+      const rows = await readColumns(modelURN, columns, region, modelLabel);
+
+      const valueOf = (row, condition) => {
+        const conditionColumns = columnsFor.get(condition);
+        if (!conditionColumns) return undefined;
+        return conditionColumns.map(column => cellValue(row[column])).find(value => value !== undefined);
+      };
+
+      const matchedRows = rows.filter(row =>
+        evaluateQuery(ast, condition => compareValue(valueOf(row, condition), condition.op, condition.value)));
+
+      matchedRows.forEach(row => {
+        const values = {};
+        conditions.forEach(condition => {
+          values[condition.property ?? CLASSIFICATION_LABEL] = valueOf(row, condition);
+        });
+        result.matches.push({
+          modelURN,
+          modelLabel,
+          key: row[QC.Key],
+          name: cellValue(row[QC.OName]) ?? cellValue(row[QC.Name]) ?? '',
+          values
+        });
+      });
+      result.models.push({ modelURN, modelLabel: model.label, rows: matchedRows });
+      console.log(`${modelLabel}: ${matchedRows.length} of ${rows.length} element(s) match`);
+    }
+
+    propertyNames.filter(name => !resolvedAnywhere.has(name)).forEach(name => {
+      result.warnings.push(`"${name}" is not a property of any model - check the spelling (Category.Property).`);
+    });
+    result.warnings.forEach(warning => console.warn(warning));
+
+    console.log(`${result.matches.length} matching element(s)`);
+    console.table(result.matches.map(match => ({ model: match.modelLabel, name: match.name, key: match.key, ...match.values })));
+  } catch (error) {
+    console.error('Error:', error);
+    throw error;
+  } finally {
+    console.groupEnd();
+  }
+
+  return result;
+}
+
+/**
+ * Run a saved query by name
+ *
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region header
+ * @param {string} name - Name the query was saved under
+ * @returns {Promise<object>} See runQuery()
+ * @throws {Error} If there is no saved query with that name
+ */
+export async function runSavedQuery(facilityURN, region, name) {
+  const saved = getSavedQuery(name);
+  if (!saved) {
+    throw new Error(`No saved query named "${name}"`);
+  }
+  return runQuery(facilityURN, region, saved.query);
+}
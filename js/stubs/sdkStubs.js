@@ -18,11 +18,82 @@ import {
   extractPropertyValues,
   getModelSchema,
   getFacilityInlineTemplate,
-  scanModelElements,
-  matchClassification
+  scanModelElements
 } from '../api.js';
+import { matchClassification } from '../utils/queryLanguage.js';
 import { QC, ColumnFamilies } from '../../tandem/constants.js';
 import { toFullKey, fromShortKeyArray, fromXrefKeyArray, toShortKey } from '../../tandem/keys.js';
+import {
+  isElementIndexEnabled,
+  canIndexAnswer,
+  getIndexedRows,
+  ensureModelIndex,
+  getElementIndexStatus,
+  IndexedFamilies
+} from '../state/elementIndex.js';
+
+/**
+ * Get the value of a scan cell ([value], or the value itself with skipArrays)
+ * @param {any} cell
+ * @returns {any}
+ */
+function firstValue(cell) {
+  return Array.isArray(cell) ? cell[0] : cell;
+}
+
+/**
+ * Read the elements of a model - from the element index when it is turned on
+ * and holds the requested columns, otherwise with a /scan
+ *
+ * @param {string} modelURN - Model URN
+ * @param {string} region - Region identifier
+ * @param {object} what - { columns } (qualified columns) or { families } (column families)
+ * @returns {Promise<Array>} Scan rows without the version row. Indexed rows carry
+ *   every indexed column, not just the requested ones
+ * @throws {TandemApiError}
+ */
+async function readModelElements(modelURN, region, { columns, families }) {
+  const indexable = columns ? canIndexAnswer(columns) : families.every(family => IndexedFamilies.includes(family));
+  if (isElementIndexEnabled() && indexable) {
+    console.log(`Reading ${modelURN} from the element index`);
+    return getIndexedRows(modelURN, region);
+  }
+  if (columns) {
+    return (await scanForQualifiedProperties(modelURN, columns, region, false)).slice(1);
+  }
+  return scanModelElements(modelURN, families, region);
+}
+
+/**
+ * Look up elements of a model by short key (refs store short keys)
+ * The index is searched when it is on; otherwise both the physical and the
+ * logical full key are asked for, as a short key doesn't say which it is.
+ *
+ * @param {string} modelURN - Model URN
+ * @param {Array<string>} shortKeys - Short element keys
+ * @param {string} region - Region identifier
+ * @returns {Promise<Map<string, object>>} Short key -> row
+ * @throws {TandemApiError}
+ */
+async function getElementsByShortKey(modelURN, shortKeys, region) {
+  const wanted = new Set(shortKeys);
+  let rows;
+  if (isElementIndexEnabled()) {
+    rows = await getIndexedRows(modelURN, region);
+  } else {
+    const fullKeys = shortKeys.flatMap(shortKey => [toFullKey(shortKey, false), toFullKey(shortKey, true)]);
+    rows = await getElements(modelURN, fullKeys, region, [ColumnFamilies.Standard, ColumnFamilies.Refs]);
+  }
+
+  const found = new Map();
+  for (const row of rows) {
+    const shortKey = toShortKey(row.k);
+    if (wanted.has(shortKey) && !found.has(shortKey)) {
+      found.set(shortKey, row);
+    }
+  }
+  return found;
+}
 
 /**
  * Pretty print elements with key and name
@@ -38,6 +109,19 @@ function prettyPrintElementKeyAndName(elems) {
   }
 }
 
+/**
+ * Get the models of a facility, logging (instead of throwing) API errors
+ * @returns {Promise<Array|null>} Models, or null if the facility could not be read
+ */
+async function getModelsOrLogError(facilityURN, region) {
+  try {
+    return await getModels(facilityURN, region);
+  } catch (error) {
+    console.error("Could not get models for facility:", error);
+    return null;
+  }
+}
+
 /**
  * Get all Rooms and Spaces from the facility
  * 
@@ -48,7 +132,7 @@ export async function getRoomsAndSpaces(facilityURN, region) {
   console.group("STUB: getRoomsAndSpaces()");
   console.log("Facility:", facilityURN);
 
-  const models = await getModels(facilityURN, region);
+  const models = await getModelsOrLogError(facilityURN, region);
   if (!models || models.length === 0) {
     console.log("No models found");
     console.groupEnd();
@@ -59,15 +143,11 @@ export async function getRoomsAndSpaces(facilityURN, region) {
     console.group(`Model[${i}] --> ${models[i].label || 'Default Model'}`);
     console.log(`Model URN: ${models[i].modelId}`);
 
-    const allElements = await scanForQualifiedProperties(
-      models[i].modelId, 
-      [QC.CategoryId, QC.Name], 
-      region, 
-      false
-    );
-
-    if (!allElements) {
-      console.log("Could not scan model");
+    let allElements;
+    try {
+      allElements = await readModelElements(models[i].modelId, region, { columns: [QC.CategoryId, QC.Name] });
+    } catch (error) {
+      console.error("Could not scan model:", error);
       console.groupEnd();
       continue;
     }
@@ -97,7 +177,7 @@ export async function getLevels(facilityURN, region) {
   console.group("STUB: getLevels()");
   console.log("Facility:", facilityURN);
 
-  const models = await getModels(facilityURN, region);
+  const models = await getModelsOrLogError(facilityURN, region);
   if (!models || models.length === 0) {
     console.log("No models found");
     console.groupEnd();
@@ -108,15 +188,11 @@ export async function getLevels(facilityURN, region) {
     console.group(`Model[${i}] --> ${models[i].label || 'Default Model'}`);
     console.log(`Model URN: ${models[i].modelId}`);
 
-    const allElements = await scanForQualifiedProperties(
-      models[i].modelId, 
-      [QC.CategoryId, QC.Name], 
-      region, 
-      false
-    );
-
-    if (!allElements) {
-      console.log("Could not scan model");
+    let allElements;
+    try {
+      allElements = await readModelElements(models[i].modelId, region, { columns: [QC.CategoryId, QC.Name] });
+    } catch (error) {
+      console.error("Could not scan model:", error);
       console.groupEnd();
       continue;
     }
@@ -150,7 +226,14 @@ export async function getElementAndTypeProperties(modelURN, region, elemKey) {
   }
 
   // Get all properties for this element
-  const elementProps = await scanAllPropsForElements(modelURN, [elemKey], region, false);
+  let elementProps;
+  try {
+    elementProps = await scanAllPropsForElements(modelURN, [elemKey], region, false);
+  } catch (error) {
+    console.error("Could not scan element:", error);
+    console.groupEnd();
+    return;
+  }
   
   if (!elementProps || elementProps.length < 2) {
     console.log("ERROR: Could not find properties for that element.");
@@ -172,8 +255,12 @@ export async function getElementAndTypeProperties(modelURN, region, elemKey) {
     console.log("Type Long Key:", longKey);
 
     // Get Type properties
-    const typeProps = await scanAllPropsForElements(modelURN, [longKey], region, false);
-    console.log("Type Properties", typeProps);
+    try {
+      const typeProps = await scanAllPropsForElements(modelURN, [longKey], region, false);
+      console.log("Type Properties", typeProps);
+    } catch (error) {
+      console.error("Could not scan Type element:", error);
+    }
   } else {
     console.log(`No Type property found (\"${QC.FamilyType}\")`);
   }
@@ -202,7 +289,7 @@ export async function getFacilityStructure(facilityURN, region) {
   };
 
   const modelRooms = [];
-  const models = await getModels(facilityURN, region);
+  const models = await getModelsOrLogError(facilityURN, region);
   const defaultModelId = getDefaultModelURN(facilityURN);
 
   if (!models || models.length === 0) {
@@ -222,29 +309,39 @@ export async function getFacilityStructure(facilityURN, region) {
       continue;
     }
 
-    // Get tagged assets from this model
-    const assets = await getTaggedAssets(
-      modelId, 
-      region, 
-      [ColumnFamilies.Standard, ColumnFamilies.DtProperties, ColumnFamilies.Refs, ColumnFamilies.Xrefs]
-    );
+    // Get tagged assets (elements with DT properties) from this model
+    let assets;
+    const families = [ColumnFamilies.Standard, ColumnFamilies.DtProperties, ColumnFamilies.Refs, ColumnFamilies.Xrefs];
+    try {
+      if (isElementIndexEnabled() && families.every(family => IndexedFamilies.includes(family))) {
+        console.log(`Reading ${modelId} from the element index`);
+        const elements = await getIndexedRows(modelId, region);
+        assets = elements.filter(row => Object.keys(row).some(column => column.startsWith(`${ColumnFamilies.DtProperties}:`)));
+      } else {
+        // The scan worker drops elements without DT properties before they reach this thread
+        assets = await getTaggedAssets(modelId, region, families);
+      }
+    } catch (error) {
+      console.error(`Could not read assets from model ${modelId}:`, error);
+      continue;
+    }
 
     for (const asset of assets) {
-      const assetKey = asset[QC.RowKey];
+      const assetKey = toShortKey(asset[QC.Key]);
       data.assets[assetKey] = asset;
       
       const assetRooms = [];
       
-      // Check for room reference (same model)
-      let roomRef = asset[QC.Rooms];
+      // Check for room reference (same model) - refs hold packed short keys
+      let roomRef = firstValue(asset[QC.Rooms]);
       if (roomRef) {
-        const roomKeys = fromShortKeyArray(roomRef);
+        const roomKeys = fromShortKeyArray(roomRef, false);
         for (const roomKey of roomKeys) {
           assetRooms.push({ modelId: modelId, roomId: roomKey });
         }
       } else {
         // Check for cross-model room reference
-        roomRef = asset[QC.XRooms];
+        roomRef = firstValue(asset[QC.XRooms]);
         if (roomRef) {
           const [modelIds, elementKeys] = fromXrefKeyArray(roomRef);
           for (let i = 0; i < modelIds.length; i++) {
@@ -278,32 +375,36 @@ export async function getFacilityStructure(facilityURN, region) {
     
     if (roomIds.length === 0) continue;
     
-    const rooms = await getElements(
-      modelId, 
-      roomIds, 
-      region,
-      [ColumnFamilies.Standard, ColumnFamilies.Refs]
-    );
+    let rooms;
+    try {
+      rooms = await getElementsByShortKey(modelId, roomIds, region);
+    } catch (error) {
+      console.error(`Could not read rooms from model ${modelId}:`, error);
+      continue;
+    }
     
     const levelIds = new Set();
     
-    for (const room of rooms) {
-      const roomKey = room[QC.RowKey];
+    for (const [roomKey, room] of rooms) {
       data.rooms[roomKey] = room;
       
-      const levelRef = room[QC.Level];
+      const levelRef = firstValue(room[QC.Level]);
       if (levelRef) {
-        levelIds.add(levelRef);
-        data.roomLevelMap[roomKey] = levelRef;
+        const [levelKey] = fromShortKeyArray(levelRef, false);
+        levelIds.add(levelKey);
+        data.roomLevelMap[roomKey] = levelKey;
       }
     }
     
     // Get levels
     if (levelIds.size > 0) {
-      const levels = await getElements(modelId, [...levelIds], region);
-      for (const level of levels) {
-        const levelKey = level[QC.RowKey];
-        data.levels[levelKey] = level;
+      try {
+        const levels = await getElementsByShortKey(modelId, [...levelIds], region);
+        for (const [levelKey, level] of levels) {
+          data.levels[levelKey] = level;
+        }
+      } catch (error) {
+        console.error(`Could not read levels from model ${modelId}:`, error);
       }
     }
   }
@@ -321,7 +422,7 @@ export async function getFacilityStructure(facilityURN, region) {
   
   for (const levelKey in data.levels) {
     const level = data.levels[levelKey];
-    const levelName = level[QC.Name]?.[0] || 'Unnamed Level';
+    const levelName = firstValue(level[QC.Name]) || 'Unnamed Level';
     
     console.group(`📐 ${levelName} (${levelKey})`);
     
@@ -330,7 +431,7 @@ export async function getFacilityStructure(facilityURN, region) {
       if (data.roomLevelMap[roomKey] !== levelKey) continue;
       
       const room = data.rooms[roomKey];
-      const roomName = room[QC.Name]?.[0] || 'Unnamed Room';
+      const roomName = firstValue(room[QC.Name]) || 'Unnamed Room';
       
       console.group(`🚪 ${roomName} (${roomKey})`);
       
@@ -340,7 +441,7 @@ export async function getFacilityStructure(facilityURN, region) {
         const asset = data.assets[assetKey];
         return {
           key: assetKey,
-          name: asset[QC.Name]?.[0] || 'Unnamed Asset'
+          name: firstValue(asset[QC.Name]) || 'Unnamed Asset'
         };
       });
       
@@ -411,19 +512,22 @@ export async function findElementsWithEmptyParameters(facilityURN, region) {
       const modelName = model.label || 'Untitled Model';
       console.log(`\nProcessing model: ${modelName}`);
 
-      // Get model schema
-      const schema = await getModelSchema(modelId, region);
+      // Get model schema and scan elements with Standard and DtProperties families
+      let schema;
+      let elements;
+      try {
+        schema = await getModelSchema(modelId, region);
+        elements = await readModelElements(modelId, region, {
+          families: [ColumnFamilies.Standard, ColumnFamilies.DtProperties]
+        });
+      } catch (error) {
+        console.error("  Could not read model, skipping...", error);
+        continue;
+      }
       if (!schema || !schema.attributes) {
-        console.log("  Could not fetch schema, skipping...");
+        console.log("  Model has no schema attributes, skipping...");
         continue;
       }
-
-      // Scan elements with Standard and DtProperties families
-      const elements = await scanModelElements(
-        modelId, 
-        [ColumnFamilies.Standard, ColumnFamilies.DtProperties], 
-        region
-      );
       console.log(`  Found ${elements.length} elements`);
 
       for (const element of elements) {
@@ -512,4 +616,43 @@ export async function findElementsWithEmptyParameters(facilityURN, region) {
   }
 }
 
+/**
+ * Build or refresh the element index of every model in the facility
+ * 
+ * The first run scans each model once (standard, refs, xrefs, DT properties);
+ * later runs only re-scan the elements listed in each model's change history.
+ * Stubs and the Query panel read from the index while "Use element index" is on.
+ * 
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region identifier
+ * @param {object} [options]
+ * @param {boolean} [options.rebuild=false] - Scan every model from scratch
+ */
+export async function buildElementIndex(facilityURN, region, { rebuild = false } = {}) {
+  console.group(`STUB: buildElementIndex()${rebuild ? ' (rebuild)' : ''}`);
+  console.log("Facility:", facilityURN);
+
+  const models = await getModelsOrLogError(facilityURN, region);
+  if (!models || models.length === 0) {
+    console.log("No models found");
+    console.groupEnd();
+    return;
+  }
+
+  const startTime = Date.now();
+  for (const model of models) {
+    try {
+      await ensureModelIndex(model.modelId, region, { rebuild });
+    } catch (error) {
+      console.error(`Could not index model ${model.label || model.modelId}:`, error);
+    }
+  }
 
+  const modelURNs = new Set(models.map(model => model.modelId));
+  console.log(`Element index ready (${Date.now() - startTime}ms)`);
+  console.table(getElementIndexStatus().filter(status => modelURNs.has(status.modelURN)));
+  if (!isElementIndexEnabled()) {
+    console.log('Tick "Use element index" in the header to make stubs read from it');
+  }
+  console.groupEnd();
+}
@@ -0,0 +1,460 @@
+/**
+ * Stream Simulator STUB Functions
+ *
+ * Generates synthetic values for stream properties so charts, alerts and
+ * dashboards can be tried without real sensors. Each channel (one stream property)
+ * follows a profile:
+ *
+ * - constant      - a fixed value
+ * - sine          - base + amplitude * sin(t / period) with uniform noise (like the mock's seeded data)
+ * - randomWalk    - each point moves up to ±step from the last one, clamped to [min, max]
+ * - schedule      - high between startHour and endHour on weekdays, low otherwise (occupancy, CO2)
+ * - hvacDay       - setpoint during working hours, setback outside them, with linear
+ *                   ramps of rampHours before start (pre-heat) and after end (drift)
+ *
+ * Hours are local time. Noise comes from a generator seeded with the stream key and
+ * property, so a preview and the backfill that follows it produce the same values.
+ *
+ * backfillSimulation() posts a historical window through importTimeseries() (same
+ * batching and pacing as a file import). startLiveSimulation() posts one value per
+ * channel on a timer through postStreamValues() and keeps running after its panel
+ * is closed, until stopLiveSimulation().
+ *
+ * Output goes to browser console - open DevTools to see results.
+ */
+
+import { getDefaultModelURN } from '../api.js';
+import { importTimeseries, ImportStatus } from './timeseriesImportStubs.js';
+import { postStreamValues } from './streamStubs.js';
+
+export const SimulatorProfile = {
+  Constant: 'constant',
+  Sine: 'sine',
+  RandomWalk: 'randomWalk',
+  Schedule: 'schedule',
+  HvacDay: 'hvacDay'
+};
+
+// Label and parameters (with defaults) of each profile, in the order the panel shows them
+export const PROFILE_PARAMS = {
+  [SimulatorProfile.Constant]: {
+    label: 'Constant',
+    params: [{ id: 'value', label: 'Value', defaultValue: 21 }]
+  },
+  [SimulatorProfile.Sine]: {
+    label: 'Sine with noise',
+    params: [
+      { id: 'base', label: 'Base', defaultValue: 21 },
+      { id: 'amplitude', label: 'Amplitude', defaultValue: 1.5 },
+      { id: 'periodHours', label: 'Period (h)', defaultValue: 24 },
+      { id: 'noise', label: 'Noise ±', defaultValue: 0.3 }
+    ]
+  },
+  [SimulatorProfile.RandomWalk]: {
+    label: 'Random walk',
+    params: [
+      { id: 'start', label: 'Start', defaultValue: 50 },
+      { id: 'step', label: 'Max step', defaultValue: 1 },
+      { id: 'min', label: 'Min', defaultValue: 0 },
+      { id: 'max', label: 'Max', defaultValue: 100 }
+    ]
+  },
+  [SimulatorProfile.Schedule]: {
+    label: 'Step schedule (occupancy)',
+    params: [
+      { id: 'low', label: 'Off hours', defaultValue: 0 },
+      { id: 'high', label: 'Working hours', defaultValue: 1 },
+      { id: 'startHour', label: 'Start hour', defaultValue: 8 },
+      { id: 'endHour', label: 'End hour', defaultValue: 18 },
+      { id: 'noise', label: 'Noise ±', defaultValue: 0 }
+    ]
+  },
+  [SimulatorProfile.HvacDay]: {
+    label: 'Daily HVAC temperature',
+    params: [
+      { id: 'setpoint', label: 'Setpoint', defaultValue: 21.5 },
+      { id: 'setback', label: 'Setback', defaultValue: 17 },
+      { id: 'startHour', label: 'Start hour', defaultValue: 7 },
+      { id: 'endHour', label: 'End hour', defaultValue: 18 },
+      { id: 'rampHours', label: 'Ramp (h)', defaultValue: 1.5 },
+      { id: 'noise', label: 'Noise ±', defaultValue: 0.2 }
+    ]
+  }
+};
+
+// Starting points for common sensor units (see getUnitLabel)
+const UNIT_PRESETS = {
+  '°C': { profile: SimulatorProfile.HvacDay, params: {} },
+  '%': { profile: SimulatorProfile.Sine, params: { base: 45, amplitude: 8, periodHours: 24, noise: 1.5 } },
+  'ppm': { profile: SimulatorProfile.Schedule, params: { low: 420, high: 850, startHour: 8, endHour: 18, noise: 25 } }
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Largest number of timestamps one preview or backfill generates
+const MAX_TIMESTAMPS = 100000;
+
+let live = null;
+const liveListeners = new Set();
+
+/**
+ * Default parameters of a profile
+ * @param {string} profile - SimulatorProfile value
+ * @returns {object} Parameter id -> value
+ */
+export function getProfileDefaults(profile) {
+  return Object.fromEntries((PROFILE_PARAMS[profile]?.params || []).map(param => [param.id, param.defaultValue]));
+}
+
+/**
+ * Suggest a profile for a property from its unit
+ * @param {string} unit - Unit label, e.g. "°C"
+ * @returns {{profile: string, params: object}}
+ */
+export function suggestProfile(unit) {
+  const preset = UNIT_PRESETS[unit] || { profile: SimulatorProfile.Sine, params: {} };
+  return { profile: preset.profile, params: { ...getProfileDefaults(preset.profile), ...preset.params } };
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32 over an FNV-1a hash of the seed)
+ * @param {string} seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    state = Math.imul(state ^ seed.charCodeAt(i), 0x01000193);
+  }
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Local hour of day (fractional) and whether it's a weekday
+ * @param {number} ts - Epoch milliseconds
+ * @returns {{hour: number, weekday: boolean}}
+ */
+function localTime(ts) {
+  const date = new Date(ts);
+  const day = date.getDay();
+  return {
+    hour: date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600,
+    weekday: day >= 1 && day <= 5
+  };
+}
+
+/**
+ * Create the value generator of a channel
+ * Generators of random walks keep state, so call them with increasing timestamps.
+ * @param {object} channel - { streamKey, property: { id }, profile, params }
+ * @returns {Function} ts -> value rounded to 2 decimals
+ */
+function createGenerator(channel) {
+  const p = channel.params;
+  const random = createRandom(`${channel.streamKey}/${channel.property.id}`);
+  const noise = (amount) => (amount ? amount * (random() * 2 - 1) : 0);
+  const round = (value) => Math.round(value * 100) / 100;
+
+  switch (channel.profile) {
+    case SimulatorProfile.Constant:
+      return () => round(p.value);
+
+    case SimulatorProfile.Sine:
+      return (ts) => round(p.base + p.amplitude * Math.sin((2 * Math.PI * (ts / HOUR_MS)) / p.periodHours) + noise(p.noise));
+
+    case SimulatorProfile.RandomWalk: {
+      let value = p.start;
+      let first = true;
+      return () => {
+        if (!first) value = Math.min(p.max, Math.max(p.min, value + noise(p.step)));
+        first = false;
+        return round(value);
+      };
+    }
+
+    case SimulatorProfile.Schedule:
+      return (ts) => {
+        const { hour, weekday } = localTime(ts);
+        const occupied = weekday && hour >= p.startHour && hour < p.endHour;
+        return round((occupied ? p.high : p.low) + noise(p.noise));
+      };
+
+    case SimulatorProfile.HvacDay:
+      return (ts) => {
+        const { hour, weekday } = localTime(ts);
+        const span = p.setpoint - p.setback;
+        let value = p.setback;
+        if (weekday) {
+          if (hour >= p.startHour && hour < p.endHour) {
+            value = p.setpoint;
+          } else if (p.rampHours > 0 && hour >= p.startHour - p.rampHours && hour < p.startHour) {
+            value = p.setback + span * (hour - (p.startHour - p.rampHours)) / p.rampHours;
+          } else if (p.rampHours > 0 && hour >= p.endHour && hour < p.endHour + p.rampHours) {
+            value = p.setpoint - span * (hour - p.endHour) / p.rampHours;
+          }
+        }
+        return round(value + noise(p.noise));
+      };
+
+    default:
+      throw new Error(`Unknown profile "${channel.profile}"`);
+  }
+}
+
+/**
+ * Check channels and interval before generating anything
+ * @param {Array<object>} channels - { streamKey, streamName, property: { id, name, unit }, profile, params }
+ * @param {number} intervalMs - Time between points
+ * @returns {Array<string>} Problems found (empty when everything is usable)
+ */
+export function validateSimulation(channels, intervalMs) {
+  const errors = [];
+  if (!Number.isFinite(intervalMs) || intervalMs < 1000) {
+    errors.push('The interval must be at least 1 second.');
+  }
+  if (!channels || channels.length === 0) {
+    errors.push('Add at least one channel.');
+    return errors;
+  }
+
+  const seen = new Set();
+  channels.forEach((channel, index) => {
+    const label = `Channel ${index + 1}`;
+    if (!channel.streamKey) errors.push(`${label}: no stream selected.`);
+    if (!channel.property?.name) errors.push(`${label}: no property selected.`);
+    const profile = PROFILE_PARAMS[channel.profile];
+    if (!profile) {
+      errors.push(`${label}: unknown profile "${channel.profile}".`);
+      return;
+    }
+    profile.params.forEach(param => {
+      if (!Number.isFinite(channel.params?.[param.id])) errors.push(`${label}: ${param.label} must be a number.`);
+    });
+    const p = channel.params || {};
+    if (channel.profile === SimulatorProfile.Sine && p.periodHours <= 0) errors.push(`${label}: the period must be positive.`);
+    if (channel.profile === SimulatorProfile.RandomWalk && p.min > p.max) errors.push(`${label}: Min is above Max.`);
+    if ((channel.profile === SimulatorProfile.Schedule || channel.profile === SimulatorProfile.HvacDay) && p.startHour >= p.endHour) {
+      errors.push(`${label}: the start hour must be before the end hour.`);
+    }
+
+    const key = `${channel.streamKey}/${channel.property?.name}`;
+    if (seen.has(key)) errors.push(`${label}: ${channel.streamName || channel.streamKey} ${channel.property?.name} is simulated twice.`);
+    seen.add(key);
+  });
+  return errors;
+}
+
+/**
+ * Timestamps of a window, aligned to multiples of the interval
+ * @param {number} from - Epoch milliseconds
+ * @param {number} to - Epoch milliseconds
+ * @param {number} intervalMs
+ * @returns {Array<number>}
+ * @throws {Error} If the window is empty or has more than MAX_TIMESTAMPS points
+ */
+function windowTimestamps(from, to, intervalMs) {
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+    throw new Error('The window needs a start before its end.');
+  }
+  const first = Math.ceil(from / intervalMs) * intervalMs;
+  const count = Math.floor((to - first) / intervalMs) + 1;
+  if (count > MAX_TIMESTAMPS) {
+    throw new Error(`The window has ${count.toLocaleString()} points per channel - ` +
+      `the limit is ${MAX_TIMESTAMPS.toLocaleString()}. Use a longer interval or a shorter window.`);
+  }
+  return Array.from({ length: Math.max(count, 0) }, (_, i) => first + i * intervalMs);
+}
+
+/**
+ * Generate a window of values without posting them (for a preview chart)
+ *
+ * @param {Array<object>} channels - See validateSimulation()
+ * @param {object} window - { from, to, intervalMs }
+ * @returns {object} Chart data as from getStreamSeries(): { from, to, series, warnings }
+ * @throws {Error} If the channels or window are not usable
+ */
+export function generateSeries(channels, { from, to, intervalMs }) {
+  const errors = validateSimulation(channels, intervalMs);
+  if (errors.length > 0) throw new Error(errors.join(' '));
+  const timestamps = windowTimestamps(from, to, intervalMs);
+
+  const series = channels.map(channel => {
+    const generate = createGenerator(channel);
+    return {
+      streamKey: channel.streamKey,
+      streamName: channel.streamName || channel.streamKey,
+      propId: channel.property.id,
+      propertyName: channel.property.name,
+      unit: channel.property.unit || '',
+      points: timestamps.map(ts => [ts, generate(ts)])
+    };
+  });
+  return { from, to, series, warnings: [] };
+}
+
+/**
+ * Post a historical window of simulated values
+ *
+ * Items are built per stream ({ ts, [propertyName]: value } with every channel of
+ * that stream) and posted by importTimeseries(), so batching, pacing and
+ * cancelling work as for a file import.
+ *
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region header
+ * @param {Array<object>} channels - See validateSimulation()
+ * @param {object} window - { from, to, intervalMs }
+ * @param {Function} [onProgress] - Called with the plan after each batch
+ * @returns {Promise<object>} Plan as from planTimeseriesImport() (streams with status,
+ *   postedItems and errors; each stream also has channelCount), plus errors
+ */
+export async function backfillSimulation(facilityURN, region, channels, { from, to, intervalMs }, onProgress) {
+  console.group("STUB: backfillSimulation()");
+
+  const plan = { defaultModelURN: getDefaultModelURN(facilityURN), streams: [], errors: [] };
+
+  try {
+    plan.errors.push(...validateSimulation(channels, intervalMs));
+    if (plan.errors.length > 0) return plan;
+
+    const timestamps = windowTimestamps(from, to, intervalMs);
+    console.log(`${channels.length} channel(s), ${timestamps.length} point(s) each from ${new Date(from).toISOString()} to ${new Date(to).toISOString()}`);
+
+    const byStream = new Map();
+    channels.forEach(channel => {
+      if (!byStream.has(channel.streamKey)) {
+        byStream.set(channel.streamKey, { name: channel.streamName || channel.streamKey, items: timestamps.map(ts => ({ ts })), channelCount: 0 });
+      }
+      const entry = byStream.get(channel.streamKey);
+      const generate = createGenerator(channel);
+      entry.items.forEach(item => { item[channel.property.name] = generate(item.ts); });
+      entry.channelCount++;
+    });
+
+    plan.streams = [...byStream].map(([key, { name, items, channelCount }]) => ({
+      key, name, items, channelCount, status: ImportStatus.Ready, postedItems: 0, errors: []
+    }));
+    console.table(plan.streams.map(stream => ({ stream: stream.name, key: stream.key, properties: stream.channelCount, items: stream.items.length })));
+
+    await importTimeseries(plan, region, onProgress);
+  } catch (error) {
+    console.error('Error:', error);
+    plan.errors.push(error.message);
+  } finally {
+    console.groupEnd();
+  }
+
+  return plan;
+}
+
+/**
+ * Copy of the live simulation state for listeners
+ * @returns {object|null}
+ */
+function liveSnapshot() {
+  if (!live) return null;
+  const { facilityURN, channels, intervalMs, startedAt, ticks, pointsSent, failedPosts, lastTickAt, lastError } = live;
+  return { facilityURN, channels, intervalMs, startedAt, ticks, pointsSent, failedPosts, lastTickAt, lastError };
+}
+
+/**
+ * Notify listeners that the live simulation started, ticked or stopped
+ */
+function notifyLiveListeners() {
+  const snapshot = liveSnapshot();
+  liveListeners.forEach(listener => listener(snapshot));
+}
+
+/**
+ * Post one value per channel, then schedule the next tick
+ * @param {object} run - The live state this tick belongs to
+ */
+async function liveTick(run) {
+  const ts = Date.now();
+  for (const [streamKey, { generators }] of run.streams) {
+    const item = { ts };
+    generators.forEach(({ name, generate }) => { item[name] = generate(ts); });
+    const posted = await postStreamValues(run.facilityURN, run.region, streamKey, JSON.stringify(item));
+    if (live !== run) return; // stopped while posting
+    if (posted) {
+      run.pointsSent += generators.length;
+    } else {
+      run.failedPosts++;
+      run.lastError = `POST to ${streamKey} failed at ${new Date(ts).toLocaleTimeString()} - see the console`;
+    }
+  }
+  run.ticks++;
+  run.lastTickAt = ts;
+  notifyLiveListeners();
+  run.timer = setTimeout(() => liveTick(run), run.intervalMs);
+}
+
+/**
+ * Start posting simulated values on a timer (replaces a running live simulation)
+ *
+ * The first values go out right away; each stream gets one POST per tick with all
+ * of its channels. A failed POST is counted and the timer keeps going.
+ *
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region header
+ * @param {Array<object>} channels - See validateSimulation()
+ * @param {number} intervalMs - Time between ticks
+ * @returns {Array<string>} Problems that stopped it from starting (empty when started)
+ */
+export function startLiveSimulation(facilityURN, region, channels, intervalMs) {
+  const errors = validateSimulation(channels, intervalMs);
+  if (errors.length > 0) return errors;
+
+  stopLiveSimulation();
+  console.log(`SIMULATOR: posting ${channels.length} channel(s) every ${intervalMs / 1000} s`);
+
+  const streams = new Map();
+  channels.forEach(channel => {
+    if (!streams.has(channel.streamKey)) streams.set(channel.streamKey, { generators: [] });
+    streams.get(channel.streamKey).generators.push({ name: channel.property.name, generate: createGenerator(channel) });
+  });
+
+  live = {
+    facilityURN, region, channels, intervalMs, streams,
+    startedAt: Date.now(), ticks: 0, pointsSent: 0, failedPosts: 0, lastTickAt: null, lastError: null, timer: null
+  };
+  notifyLiveListeners();
+  liveTick(live);
+  return [];
+}
+
+/**
+ * Stop the live simulation (a POST already on its way still completes)
+ * @returns {boolean} True if one was running
+ */
+export function stopLiveSimulation() {
+  if (!live) return false;
+  clearTimeout(live.timer);
+  console.log(`SIMULATOR: stopped after ${live.ticks} tick(s), ${live.pointsSent} point(s) sent, ${live.failedPosts} failed POST(s)`);
+  live = null;
+  notifyLiveListeners();
+  return true;
+}
+
+/**
+ * Get the live simulation state
+ * @returns {object|null} { facilityURN, channels, intervalMs, startedAt, ticks, pointsSent,
+ *   failedPosts, lastTickAt, lastError }, or null when none is running
+ */
+export function getLiveSimulation() {
+  return liveSnapshot();
+}
+
+/**
+ * Subscribe to live simulation start / tick / stop
+ * @param {Function} listener - Called with getLiveSimulation()'s result
+ * @returns {Function} Call to unsubscribe
+ */
+export function onLiveSimulationChanged(listener) {
+  liveListeners.add(listener);
+  return () => liveListeners.delete(listener);
+}
@@ -0,0 +1,255 @@
+/**
+ * Stream Monitor STUB Functions
+ *
+ * Polls the last seen values of a set of streams (POST /timeseries/models/{urn}/streams)
+ * and keeps one row per stream property with its current value, the change from the
+ * value before it and when it last changed.
+ *
+ * - A poll that is throttled (HTTP 429) or hits a server or network error doubles the
+ *   delay before the next one, up to MAX_BACKOFF_MS - or waits as long as the server's
+ *   Retry-After asks, if that is longer. The first good poll resets it.
+ *   Polls don't retry on their own (retries: 0) - the next poll is the retry.
+ * - pause() / resume() stop and restart polling without losing the rows (the panel
+ *   pauses while the browser tab is hidden).
+ * - Polls aren't STUB runs: cancelling a STUB doesn't stop them, stop() does.
+ *
+ * Output goes to browser console - open DevTools to see results.
+ */
+
+import { getDefaultModelURN } from '../api.js';
+import { loadSchemaForModel } from '../state/schemaCache.js';
+import { fetchLastSeenValues } from './streamStubs.js';
+import { getUnitLabel } from '../../tandem/attributes.js';
+
+// Longest wait between polls while backing off
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+/**
+ * Should this poll failure slow polling down
+ * @param {TandemApiError} error
+ * @returns {boolean}
+ */
+function isBackoffError(error) {
+  return error.isThrottled || error.status >= 500 || error.code === 'timeout' || error.code === 'network';
+}
+
+/**
+ * Latest { ts, value } of one property's { [ts]: value } map
+ * @param {object} values
+ * @returns {{ts: number, value: any}|null}
+ */
+function latestValue(values) {
+  let latest = null;
+  Object.entries(values || {}).forEach(([tsKey, value]) => {
+    const ts = Number(tsKey);
+    if (!latest || ts > latest.ts) latest = { ts, value };
+  });
+  return latest;
+}
+
+/**
+ * Create a monitor for the last seen values of streams
+ *
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region header
+ * @param {object} options
+ * @param {Array<{key: string, name: string}>} options.streams - Streams to watch
+ * @param {number} options.intervalMs - Time between polls when all is well
+ * @param {number} options.staleAfterMs - A value older than this is flagged stale
+ * @param {Function} options.onUpdate - Called with getState() after every poll and state change
+ * @returns {object} { start, stop, pause, resume, pollNow, configure, getState }. getState()
+ *   gives the polling state plus rows: { streamKey, streamName, propId, propertyName, unit,
+ *   value, ts, previousValue, delta, changedAt, ageMs, stale }
+ */
+export function createStreamMonitor(facilityURN, region, { streams, intervalMs, staleAfterMs, onUpdate }) {
+  const defaultModelURN = getDefaultModelURN(facilityURN);
+  const rows = new Map(); // "streamKey/propId" -> row
+  const settings = { streams, intervalMs, staleAfterMs };
+  const state = {
+    running: false, paused: false, polling: false, polls: 0,
+    delayMs: intervalMs, lastPollAt: null, nextPollAt: null, error: null
+  };
+  let schema = null;
+  let schemaRequested = false;
+  let timer = null;
+  let controller = null;
+
+  function getState() {
+    const now = Date.now();
+    const streamNames = new Map(settings.streams.map(stream => [stream.key, stream.name]));
+    const list = [...rows.values()]
+      .filter(row => streamNames.has(row.streamKey))
+      .map(row => ({
+        ...row,
+        streamName: streamNames.get(row.streamKey),
+        propertyName: schema?.lookup.get(row.propId)?.name || row.propId,
+        unit: getUnitLabel(schema?.lookup.get(row.propId)?.dataTypeContext),
+        ageMs: row.ts === null ? null : now - row.ts,
+        stale: row.ts === null || now - row.ts > settings.staleAfterMs
+      }));
+
+    // Streams without any value still get a row, so they can be flagged
+    settings.streams.forEach(stream => {
+      if (!list.some(row => row.streamKey === stream.key)) {
+        list.push({
+          streamKey: stream.key, streamName: stream.name, propId: null, propertyName: '', unit: '',
+          value: null, ts: null, previousValue: null, delta: null, changedAt: null, ageMs: null, stale: true
+        });
+      }
+    });
+    list.sort((a, b) => a.streamName.localeCompare(b.streamName) || a.propertyName.localeCompare(b.propertyName));
+
+    return {
+      ...state,
+      intervalMs: settings.intervalMs,
+      staleAfterMs: settings.staleAfterMs,
+      backingOff: state.delayMs > settings.intervalMs,
+      rows: list,
+      staleStreams: settings.streams.filter(stream => list.every(row => row.streamKey !== stream.key || row.stale)).length
+    };
+  }
+
+  function notify() {
+    if (onUpdate) onUpdate(getState());
+  }
+
+  function schedule(delay) {
+    clearTimeout(timer);
+    state.nextPollAt = Date.now() + delay;
+    timer = setTimeout(poll, delay);
+  }
+
+  /**
+   * Merge one poll's result into the rows
+   * @param {object} result - From fetchLastSeenValues()
+   */
+  function applyResult(result) {
+    const now = Date.now();
+    Object.entries(result || {}).forEach(([streamKey, props]) => {
+      Object.entries(props || {}).forEach(([propId, values]) => {
+        const latest = latestValue(values);
+        if (!latest) return;
+        const id = `${streamKey}/${propId}`;
+        const row = rows.get(id);
+        if (!row) {
+          rows.set(id, {
+            streamKey, propId,
+            value: latest.value, ts: latest.ts, previousValue: null, delta: null, changedAt: null
+          });
+        } else if (latest.ts !== row.ts) {
+          row.previousValue = row.value;
+          row.delta = typeof latest.value === 'number' && typeof row.value === 'number'
+            ? Math.round((latest.value - row.value) * 1e6) / 1e6
+            : null;
+          row.value = latest.value;
+          row.ts = latest.ts;
+          row.changedAt = now;
+        }
+      });
+    });
+  }
+
+  async function poll() {
+    if (!state.running || state.paused || state.polling) return;
+    clearTimeout(timer);
+    state.polling = true;
+    state.nextPollAt = null;
+    const pollController = new AbortController();
+    controller = pollController;
+
+    try {
+      const keys = settings.streams.map(stream => stream.key);
+      const result = keys.length > 0
+        ? await fetchLastSeenValues(defaultModelURN, region, keys, { signal: pollController.signal, retries: 0 })
+        : {};
+      applyResult(result);
+      state.polls++;
+      state.lastPollAt = Date.now();
+      if (state.delayMs > settings.intervalMs) console.log('MONITOR: polling normally again');
+      state.delayMs = settings.intervalMs;
+      state.error = null;
+    } catch (error) {
+      if (pollController.signal.aborted) return;
+      state.error = error.message;
+      if (isBackoffError(error)) {
+        const doubled = Math.min(state.delayMs * 2, Math.max(MAX_BACKOFF_MS, settings.intervalMs));
+        state.delayMs = Math.max(doubled, error.retryAfterMs ?? 0);
+        console.warn(`MONITOR: ${error.isThrottled ? 'throttled' : error.message} - next poll in ${Math.round(state.delayMs / 1000)} s`);
+      } else {
+        console.error('Error:', error);
+      }
+    } finally {
+      // A poll cut short by stop() no longer owns the state
+      if (controller === pollController) {
+        state.polling = false;
+        controller = null;
+      }
+    }
+
+    if (state.running && !state.paused) schedule(state.delayMs);
+    notify();
+  }
+
+  function start() {
+    if (state.running) return;
+    console.log(`MONITOR: polling ${settings.streams.length} stream(s) every ${settings.intervalMs / 1000} s`);
+    state.running = true;
+    state.delayMs = settings.intervalMs;
+
+    // Names and units fill in when the schema arrives - polling doesn't wait for it
+    if (!schemaRequested) {
+      schemaRequested = true;
+      loadSchemaForModel(defaultModelURN, region)
+        .then(loaded => {
+          schema = loaded;
+          notify();
+        })
+        .catch(error => console.warn('MONITOR: schema not available, showing property IDs:', error.message));
+    }
+    notify();
+    poll();
+  }
+
+  function stop() {
+    if (!state.running) return;
+    console.log(`MONITOR: stopped after ${state.polls} poll(s)`);
+    state.running = false;
+    clearTimeout(timer);
+    controller?.abort();
+    controller = null;
+    state.polling = false;
+    state.nextPollAt = null;
+    notify();
+  }
+
+  function pause() {
+    if (state.paused) return;
+    state.paused = true;
+    clearTimeout(timer);
+    state.nextPollAt = null;
+    notify();
+  }
+
+  // Catch up right away - the values are as old as the pause
+  function resume() {
+    if (!state.paused) return;
+    state.paused = false;
+    notify();
+    poll();
+  }
+
+  /**
+   * Change what is watched or how often; takes effect from the next poll
+   * @param {object} changes - Any of { streams, intervalMs, staleAfterMs }
+   */
+  function configure(changes) {
+    Object.assign(settings, changes);
+    if (changes.intervalMs !== undefined) {
+      state.delayMs = settings.intervalMs;
+      if (state.running && !state.paused && !state.polling) schedule(state.delayMs);
+    }
+    notify();
+  }
+
+  return { start, stop, pause, resume, pollNow: poll, configure, getState };
+}
@@ -7,9 +7,14 @@
  * Output goes to browser console - open DevTools to see results.
  */
 
-import { tandemBaseURL, makeRequestOptionsGET, makeRequestOptionsPOST, getDefaultModelURN } from '../api.js';
+import { tandemBaseURL, makeRequestOptionsGET, makeRequestOptionsPOST, getDefaultModelURN, getElements } from '../api.js';
+import { tandemFetch } from '../client.js';
+import { batchConfig } from '../batching.js';
+import { loadSchemaForModel, getPropertyInfoByQualifiedId } from '../state/schemaCache.js';
 import { ColumnFamilies, ColumnNames, QC, ElementFlags, MutateActions } from '../../tandem/constants.js';
-import { makeXrefKey } from '../../tandem/keys.js';
+import { makeXrefKey, toShortKey } from '../../tandem/keys.js';
+import { getUnitLabel } from '../../tandem/attributes.js';
+import { submitMutation } from '../mutations.js';
 
 /**
  * Helper: Pretty print stream timeseries values
@@ -67,7 +72,7 @@ export async function getStreamsFromDefaultModel(facilityURN, region) {
 
   try {
     console.log("Body payload:", bodyPayload);
-    const response = await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
+    const response = await tandemFetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
     const result = await response.json();
     console.log("Result from Tandem DB Server -->", result);
 
@@ -102,7 +107,7 @@ export async function getStreamSecrets(facilityURN, region, streamKeys) {
   console.log("Request:", requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
+    const response = await tandemFetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
     const result = await response.json();
     console.log("Result from Tandem DB Server -->", result);
     console.groupEnd();
@@ -131,14 +136,10 @@ export async function resetStreamSecrets(facilityURN, region, streamKeys) {
   console.log("Request:", requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
-    if (response.ok) {
-      console.log("✓ Stream secrets have been reset");
-    } else {
-      console.log("Response status:", response.status);
-    }
+    await tandemFetch(requestPath, makeRequestOptionsPOST(bodyPayload, region), { idempotent: false });
+    console.log("✓ Stream secrets have been reset");
     console.groupEnd();
-    return response.ok;
+    return true;
   } catch (error) {
     console.error('Error:', error);
     console.groupEnd();
@@ -146,43 +147,136 @@ export async function resetStreamSecrets(facilityURN, region, streamKeys) {
   }
 }
 
+/**
+ * Read the values of one stream, page by page until the range is complete
+ *
+ * The service returns at most batchConfig.streamPageSize values per property and
+ * request. When a property fills a page, the next request starts right after the
+ * last timestamp it returned (right before it for sort=desc). Pages are merged by
+ * timestamp, so a value returned twice at a page boundary is kept once.
+ *
+ * @param {string} modelURN - Default model URN
+ * @param {string} streamKey - Stream key
+ * @param {string} region - Region header
+ * @param {object} [query]
+ * @param {number} [query.from] - Start timestamp in ms (inclusive)
+ * @param {number} [query.to] - End timestamp in ms (inclusive)
+ * @param {number} [query.limit] - Values per property in total (default: all)
+ * @param {string} [query.sort='asc'] - 'asc' (oldest first) or 'desc' (newest first)
+ * @param {string} [query.substream] - Only this substream
+ * @returns {Promise<{values: object, pages: number}>} values as { propId: { timestamp: value } },
+ *   each property in sort order
+ */
+async function fetchStreamValues(modelURN, streamKey, region, { from, to, limit, sort = 'asc', substream } = {}) {
+  const pageLimit = Math.max(1, Math.min(limit || Infinity, batchConfig.streamPageSize));
+  const merged = {};
+  let range = { from, to };
+  let pages = 0;
+
+  for (;;) {
+    const params = new URLSearchParams();
+    if (range.from !== undefined) params.set('from', range.from);
+    if (range.to !== undefined) params.set('to', range.to);
+    params.set('limit', pageLimit);
+    params.set('sort', sort);
+    if (substream) params.set('substream', substream);
+
+    const requestPath = `${tandemBaseURL}/timeseries/models/${modelURN}/streams/${streamKey}?${params}`;
+    console.log(pages === 0 ? "Request:" : `Request (page ${pages + 1}):`, requestPath);
+    const response = await tandemFetch(requestPath, makeRequestOptionsGET(region));
+    const page = (await response.json()) || {};
+    pages++;
+
+    // Properties that filled the page (and still want more) may have values beyond it
+    const edges = [];
+    for (const [propId, byTimestamp] of Object.entries(page)) {
+      const values = (merged[propId] ??= {});
+      Object.assign(values, byTimestamp);
+      const timestamps = Object.keys(byTimestamp).map(Number);
+      if (timestamps.length >= pageLimit && !(limit && Object.keys(values).length >= limit)) {
+        edges.push(sort === 'desc'
+          ? timestamps.reduce((min, t) => Math.min(min, t), Infinity)
+          : timestamps.reduce((max, t) => Math.max(max, t), -Infinity));
+      }
+    }
+    if (edges.length === 0) break;
+
+    range = sort === 'desc'
+      ? { from: range.from, to: Math.max(...edges) - 1 }
+      : { from: Math.min(...edges) + 1, to: range.to };
+    if (range.from !== undefined && range.to !== undefined && range.from > range.to) break;
+  }
+
+  // Timestamp keys are too large to be ordered like array indices - order them explicitly
+  const values = {};
+  for (const [propId, byTimestamp] of Object.entries(merged)) {
+    let entries = Object.entries(byTimestamp).sort((a, b) => (sort === 'desc' ? b[0] - a[0] : a[0] - b[0]));
+    if (limit) entries = entries.slice(0, limit);
+    values[propId] = Object.fromEntries(entries);
+  }
+  return { values, pages };
+}
+
 /**
  * Get stream values for a time range
- * @param {number} daysBack - Number of days back (0 = All Time)
+ *
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region header
+ * @param {string} streamKey - Stream key
+ * @param {number|object} range - Number of days back (0 = All Time), or options:
+ * @param {number} [range.daysBack] - Days back from now (0 or omitted = All Time, unless from/to are given)
+ * @param {number} [range.from] - Start timestamp in ms
+ * @param {number} [range.to] - End timestamp in ms
+ * @param {number} [range.limit] - Values per property (default: all)
+ * @param {string} [range.sort='asc'] - 'asc' or 'desc'
+ * @param {string} [range.substream] - Only this substream
+ * @returns {Promise<object|null>} { propId: { timestamp: value } }, or null on error
  */
-export async function getStreamValues(facilityURN, region, streamKey, daysBack) {
-  const timeLabel = daysBack === 0 ? 'All Time' : `${daysBack} days`;
+export async function getStreamValues(facilityURN, region, streamKey, range) {
+  const options = typeof range === 'number' ? { daysBack: range } : (range || {});
+  const { daysBack = 0, limit, sort = 'asc', substream } = options;
+  const isCustom = options.from !== undefined || options.to !== undefined;
+  const timeLabel = isCustom ? 'Custom Range' : (daysBack === 0 ? 'All Time' : `${daysBack} days`);
   console.group(`STUB: getStreamValues(${timeLabel})`);
 
   const defaultModelURN = getDefaultModelURN(facilityURN);
   console.log("Default model:", defaultModelURN);
   console.log("Stream key:", streamKey);
 
-  const dateNow = new Date();
-  const timestampEnd = dateNow.getTime();
-  
-  let requestPath;
-  if (daysBack === 0) {
-    // All Time - don't specify from/to parameters
-    console.log("Time range: All Time (no date filter)");
-    requestPath = `${tandemBaseURL}/timeseries/models/${defaultModelURN}/streams/${streamKey}`;
-  } else {
-    const dateStart = new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000);
-    const timestampStart = dateStart.getTime();
-    console.log("Time range:", dateStart.toISOString(), "to", dateNow.toISOString());
-    requestPath = `${tandemBaseURL}/timeseries/models/${defaultModelURN}/streams/${streamKey}?from=${timestampStart}&to=${timestampEnd}`;
-  }
-  
-  console.log("NOTE: API allows any time range, plus options: &limit=N, &sort=asc|desc, &substream=XYZ");
-  console.log("Request:", requestPath);
-
   try {
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
-    const result = await response.json();
-    console.log("Result from Tandem DB Server -->", result);
-    prettyPrintStreamValues(result);
+    if (!streamKey) {
+      throw new Error('Stream key is required for this operation');
+    }
+
+    let { from, to } = options;
+    if (!isCustom && daysBack !== 0) {
+      to = Date.now();
+      from = to - daysBack * 24 * 60 * 60 * 1000;
+    }
+    [from, to].forEach(value => {
+      if (value !== undefined && !Number.isFinite(value)) throw new Error(`Invalid date: ${value}`);
+    });
+    if (from !== undefined && to !== undefined && from > to) {
+      throw new Error('"From" must be before "To"');
+    }
+    if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+      throw new Error(`Limit must be a positive whole number, got ${limit}`);
+    }
+    if (sort !== 'asc' && sort !== 'desc') {
+      throw new Error(`Sort must be "asc" or "desc", got ${sort}`);
+    }
+
+    console.log("Time range:",
+      from === undefined ? 'start' : new Date(from).toISOString(), "to",
+      to === undefined ? 'now' : new Date(to).toISOString());
+    console.log("Options:", { limit: limit ?? 'all', sort, substream: substream || '(all)' });
+    console.log(`NOTE: the service returns at most ${batchConfig.streamPageSize} values per property and request - longer ranges are read in pages`);
+
+    const { values, pages } = await fetchStreamValues(defaultModelURN, streamKey, region, { from, to, limit, sort, substream });
+    console.log(`Result from Tandem DB Server (${pages} page(s)) -->`, values);
+    prettyPrintStreamValues(values);
     console.groupEnd();
-    return result;
+    return values;
   } catch (error) {
     console.error('Error:', error);
     console.groupEnd();
@@ -190,6 +284,121 @@ export async function getStreamValues(facilityURN, region, streamKey, daysBack)
   }
 }
 
+/**
+ * Get stream values as chart series: one series per stream and property
+ *
+ * Property IDs in timeseries data are the qualified columns of the stream's schema
+ * (e.g. "z:AAA"), so the default model's schema names them and gives their unit.
+ * Values that aren't numbers can't be plotted and are skipped.
+ *
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region header
+ * @param {string} streamKeys - Comma-separated stream keys
+ * @param {number} daysBack - Number of days back (0 = All Time)
+ * @returns {Promise<object>} { from, to, series, warnings } - from/to in ms (the data's
+ *   extent for All Time); series: { streamKey, streamName, propId, propertyName, unit,
+ *   points: [[timestamp, value]] ascending }
+ */
+export async function getStreamSeries(facilityURN, region, streamKeys, daysBack) {
+  console.group("STUB: getStreamSeries()");
+
+  const chart = { from: null, to: null, series: [], warnings: [] };
+
+  try {
+    const keys = streamKeys.split(',').map(k => k.trim()).filter(Boolean);
+    if (keys.length === 0) {
+      throw new Error('Stream keys are required for this operation');
+    }
+
+    const defaultModelURN = getDefaultModelURN(facilityURN);
+    console.log("Default model:", defaultModelURN);
+    console.log("Stream keys:", keys);
+
+    await loadSchemaForModel(defaultModelURN, region);
+    const streams = await getElements(defaultModelURN, keys, region);
+    const names = new Map(streams.map(row => [toShortKey(row[QC.Key]), row[QC.Name]]));
+
+    if (daysBack !== 0) {
+      chart.to = Date.now();
+      chart.from = chart.to - daysBack * 24 * 60 * 60 * 1000;
+    }
+
+    for (const streamKey of keys) {
+      let values;
+      try {
+        ({ values } = await fetchStreamValues(defaultModelURN, streamKey, region, { from: chart.from ?? undefined, to: chart.to ?? undefined }));
+      } catch (error) {
+        if (error.code === 'aborted') throw error;
+        chart.warnings.push(`Stream ${streamKey}: ${error.message}`);
+        continue;
+      }
+
+      const streamName = names.get(toShortKey(streamKey)) || streamKey;
+      for (const [propId, byTimestamp] of Object.entries(values || {})) {
+        const points = Object.entries(byTimestamp)
+          .map(([timestamp, value]) => [Number(timestamp), typeof value === 'number' ? value : Number(value)])
+          .filter(([timestamp, value]) => Number.isFinite(timestamp) && Number.isFinite(value))
+          .sort((a, b) => a[0] - b[0]);
+        if (points.length === 0) continue;
+
+        const attr = getPropertyInfoByQualifiedId(propId.includes(':') ? propId : `${ColumnFamilies.DtProperties}:${propId}`, defaultModelURN);
+        chart.series.push({
+          streamKey,
+          streamName,
+          propId,
+          propertyName: attr?.name ?? propId,
+          unit: getUnitLabel(attr?.dataTypeContext),
+          points
+        });
+      }
+      if (!names.has(toShortKey(streamKey))) {
+        chart.warnings.push(`Stream ${streamKey} was not found in the default model.`);
+      }
+    }
+
+    if (daysBack === 0 && chart.series.length > 0) {
+      chart.from = Math.min(...chart.series.map(series => series.points[0][0]));
+      chart.to = Math.max(...chart.series.map(series => series.points[series.points.length - 1][0]));
+    }
+
+    chart.warnings.forEach(warning => console.warn(warning));
+    console.table(chart.series.map(({ streamName, propId, propertyName, unit, points }) => ({
+      stream: streamName,
+      propId,
+      property: propertyName,
+      unit,
+      points: points.length,
+      min: points.reduce((min, point) => Math.min(min, point[1]), Infinity),
+      max: points.reduce((max, point) => Math.max(max, point[1]), -Infinity),
+      last: points[points.length - 1][1]
+    })));
+  } catch (error) {
+    console.error('Error:', error);
+    throw error;
+  } finally {
+    console.groupEnd();
+  }
+
+  return chart;
+}
+
+/**
+ * Read the last seen value of every property of some streams
+ * Unlike getLastSeenStreamValues() this doesn't log and throws on failure, for
+ * callers that poll and need to react to the error (e.g. back off on throttling).
+ * @param {string} defaultModelURN - Default model URN
+ * @param {string} region - Region header
+ * @param {Array<string>} streamKeys - Stream keys
+ * @param {object} [options] - Client options for tandemFetch (signal, retries)
+ * @returns {Promise<object>} streamKey -> propId -> { [ts]: value }; unknown streams are left out
+ * @throws {TandemApiError}
+ */
+export async function fetchLastSeenValues(defaultModelURN, region, streamKeys, options = {}) {
+  const requestPath = `${tandemBaseURL}/timeseries/models/${defaultModelURN}/streams`;
+  const response = await tandemFetch(requestPath, makeRequestOptionsPOST(JSON.stringify({ keys: streamKeys }), region), options);
+  return await response.json();
+}
+
 /**
  * Get last seen values for streams
  */
@@ -201,14 +410,10 @@ export async function getLastSeenStreamValues(facilityURN, region, streamKeys) {
 
   const streamKeysArray = streamKeys.split(',').map(k => k.trim()).filter(k => k);
   console.log("Stream keys:", streamKeysArray);
-
-  const bodyPayload = JSON.stringify({ keys: streamKeysArray });
-  const requestPath = `${tandemBaseURL}/timeseries/models/${defaultModelURN}/streams`;
-  console.log("Request:", requestPath);
+  console.log("Request:", `${tandemBaseURL}/timeseries/models/${defaultModelURN}/streams`);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
-    const result = await response.json();
+    const result = await fetchLastSeenValues(defaultModelURN, region, streamKeysArray);
     console.log("Result from Tandem DB Server -->", result);
     prettyPrintLastSeenStreamValues(result);
     console.groupEnd();
@@ -252,14 +457,10 @@ export async function postStreamValues(facilityURN, region, streamKey, valuesJso
   console.log("Request:", requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsPOST(JSON.stringify(bodyPayload), region));
-    if (response.ok) {
-      console.log("✓ Values posted successfully");
-    } else {
-      console.log("Response status:", response.status);
-    }
+    await tandemFetch(requestPath, makeRequestOptionsPOST(JSON.stringify(bodyPayload), region), { idempotent: false });
+    console.log("✓ Values posted successfully");
     console.groupEnd();
-    return response.ok;
+    return true;
   } catch (error) {
     console.error('Error:', error);
     console.groupEnd();
@@ -316,7 +517,7 @@ export async function createStream(facilityURN, region, streamName, hostModelURN
   console.log("Request:", requestPath);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
+    const response = await tandemFetch(requestPath, makeRequestOptionsPOST(bodyPayload, region), { idempotent: false });
     const result = await response.json();
     console.log("Result from Tandem DB Server -->", result);
 
@@ -325,10 +526,8 @@ export async function createStream(facilityURN, region, streamName, hostModelURN
       console.log("Resetting stream secret for new stream...");
       const resetPayload = JSON.stringify({ keys: [result.key], hardReset: true });
       const resetPath = `${tandemBaseURL}/models/${defaultModelURN}/resetstreamssecrets`;
-      const resetResponse = await fetch(resetPath, makeRequestOptionsPOST(resetPayload, region));
-      if (resetResponse.ok) {
-        console.log(`✓ Stream secret generated for ${result.key}`);
-      }
+      await tandemFetch(resetPath, makeRequestOptionsPOST(resetPayload, region), { idempotent: false });
+      console.log(`✓ Stream secret generated for ${result.key}`);
     }
 
     console.groupEnd();
@@ -357,21 +556,22 @@ export async function assignHostToStream(facilityURN, region, streamKey, hostMod
     [MutateActions.Insert, ColumnFamilies.Xrefs, ColumnNames.Parent, hostXref]
   ];
 
-  const bodyPayload = JSON.stringify({
+  const payload = {
     keys: [streamKey],
     muts: mutsArray,
     desc: "REST TestBed: modified stream host"
-  });
+  };
 
-  console.log("Payload:", bodyPayload);
+  console.log("Payload:", JSON.stringify(payload));
 
-  const requestPath = `${tandemBaseURL}/modeldata/${defaultModelURN}/mutate`;
-  console.log("Request:", requestPath);
+  console.log("Request:", `${tandemBaseURL}/modeldata/${defaultModelURN}/mutate`);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
-    const result = await response.json();
-    console.log("Result from Tandem DB Server -->", result);
+    // null if the preview was cancelled
+    const result = await submitMutation(defaultModelURN, region, payload);
+    if (result) {
+      console.log("Result from Tandem DB Server -->", result);
+    }
     console.groupEnd();
     return result;
   } catch (error) {
@@ -398,19 +598,20 @@ export async function removeHostFromStream(facilityURN, region, streamKeys) {
     [MutateActions.Insert, ColumnFamilies.Xrefs, ColumnNames.Parent, ""]
   );
 
-  const bodyPayload = JSON.stringify({
+  const payload = {
     keys: streamKeysArray,
     muts: mutsArray,
     desc: "REST TestBed: removed stream host"
-  });
+  };
 
-  const requestPath = `${tandemBaseURL}/modeldata/${defaultModelURN}/mutate`;
-  console.log("Request:", requestPath);
+  console.log("Request:", `${tandemBaseURL}/modeldata/${defaultModelURN}/mutate`);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
-    const result = await response.json();
-    console.log("Result from Tandem DB Server -->", result);
+    // null if the preview was cancelled
+    const result = await submitMutation(defaultModelURN, region, payload);
+    if (result) {
+      console.log("Result from Tandem DB Server -->", result);
+    }
     console.groupEnd();
     return result;
   } catch (error) {
@@ -435,19 +636,20 @@ export async function deleteStreams(facilityURN, region, streamKeys) {
   // Create mutations - MutateActions.DeleteRow = soft delete
   const mutsArray = streamKeysArray.map(() => [MutateActions.DeleteRow, "", "", ""]);
 
-  const bodyPayload = JSON.stringify({
+  const payload = {
     keys: streamKeysArray,
     muts: mutsArray,
     desc: "REST TestBed: deleted stream(s)"
-  });
+  };
 
-  const requestPath = `${tandemBaseURL}/modeldata/${defaultModelURN}/mutate`;
-  console.log("Request:", requestPath);
+  console.log("Request:", `${tandemBaseURL}/modeldata/${defaultModelURN}/mutate`);
 
   try {
-    const response = await fetch(requestPath, makeRequestOptionsPOST(bodyPayload, region));
-    const result = await response.json();
-    console.log("Result from Tandem DB Server -->", result);
+    // null if the preview was cancelled
+    const result = await submitMutation(defaultModelURN, region, payload);
+    if (result) {
+      console.log("Result from Tandem DB Server -->", result);
+    }
     console.groupEnd();
     return result;
   } catch (error) {
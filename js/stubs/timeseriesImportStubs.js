@@ -0,0 +1,432 @@
+/**
+ * Timeseries Import STUB Functions
+ *
+ * Backfills stream values from a table (CSV, TSV, JSON Lines or a pasted range).
+ * Two layouts are understood:
+ *
+ *   Timestamp | Stream       | Temperature | Humidity      (one stream per row)
+ *   Timestamp | Lobby Sensor.Temperature | Lobby Sensor.Humidity | ...   (one column per stream and property)
+ *
+ * - Streams are given by key or by name (looked up with getStreamsFromDefaultModel)
+ * - Properties by name, "Category.Name" or qualified ID, resolved in the default
+ *   model's schema; values are posted under the property name, like a sensor would
+ * - Timestamps are ISO 8601 or epoch seconds/milliseconds. ISO times without an
+ *   offset are read in the chosen time zone ('local', 'UTC' or an IANA zone)
+ *
+ * planTimeseriesImport() parses and resolves everything without writing;
+ * importTimeseries() then POSTs each stream's values in batches of
+ * batchConfig.streamPostSize items, one request at a time with a pause in between,
+ * and records the outcome per stream.
+ *
+ * Output goes to browser console - open DevTools to see results.
+ */
+
+import { tandemBaseURL, makeRequestOptionsPOST, getDefaultModelURN } from '../api.js';
+import { tandemFetch, getDefaultSignal, TandemApiError } from '../client.js';
+import { batchConfig, runInChunks } from '../batching.js';
+import { loadSchemaForModel, resolveProperty } from '../state/schemaCache.js';
+import { getStreamsFromDefaultModel } from './streamStubs.js';
+import { QC } from '../../tandem/constants.js';
+import { toShortKey } from '../../tandem/keys.js';
+import { getUnitLabel, DECIMAL_PATTERN } from '../../tandem/attributes.js';
+
+export const ImportStatus = {
+  Ready: 'ready',
+  Posted: 'posted',
+  Partial: 'partly posted',
+  Failed: 'failed',
+  Cancelled: 'cancelled'
+};
+
+const TIMESTAMP_HEADERS = ['timestamp', 'ts', 'time', 'date', 'datetime', 'date/time'];
+const STREAM_HEADERS = ['stream', 'stream key', 'streamkey', 'stream name'];
+
+// Skipped rows listed one by one in the plan; the rest are only counted
+const MAX_SKIPPED_ROWS = 100;
+
+const EPOCH_PATTERN = /^-?\d+(\.\d+)?$/;
+const ZONED_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+const WALL_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?$/;
+
+/**
+ * Offset of a time zone from UTC at a moment
+ * @param {number} utcMs
+ * @param {string} timeZone - 'local', 'UTC' or an IANA zone (e.g. "Europe/Prague")
+ * @returns {number} Offset in ms (positive east of Greenwich)
+ */
+function zoneOffset(utcMs, timeZone) {
+  if (timeZone === 'UTC') return 0;
+  if (timeZone === 'local') return -new Date(utcMs).getTimezoneOffset() * 60000;
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(new Date(utcMs));
+  const get = type => Number(parts.find(part => part.type === type).value);
+  const wall = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return wall - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Check a time zone setting
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (timeZone === 'local' || timeZone === 'UTC') return true;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse a timestamp cell
+ *
+ * Plain numbers are epoch time: seconds below 1e11 (which would be 1973 in ms),
+ * milliseconds otherwise. ISO 8601 with Z or an offset is absolute; without one it
+ * is a wall-clock time in timeZone (a date alone means midnight).
+ *
+ * @param {string} text
+ * @param {string} timeZone - 'local', 'UTC' or an IANA zone
+ * @returns {number} Epoch ms, or NaN if the text isn't a timestamp
+ */
+export function parseTimestamp(text, timeZone) {
+  const value = String(text).trim();
+  if (EPOCH_PATTERN.test(value)) {
+    const number = Number(value);
+    return Math.round(Math.abs(number) < 1e11 ? number * 1000 : number);
+  }
+  if (ZONED_PATTERN.test(value) && /^\d{4}-\d{2}-\d{2}[T ]/.test(value)) {
+    return Date.parse(value.replace(' ', 'T').replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+  }
+
+  const match = WALL_TIME_PATTERN.exec(value);
+  if (!match) return NaN;
+  const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = '0'] = match;
+  const wall = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second),
+    Number(fraction.slice(0, 3).padEnd(3, '0')));
+  // Date.UTC() rolls impossible dates over (2024-02-30 -> March 1)
+  const check = new Date(wall);
+  if (check.getUTCMonth() !== Number(month) - 1 || check.getUTCDate() !== Number(day) || Number(hour) > 23) return NaN;
+
+  // Two passes get the offset right on either side of a DST change
+  const guess = wall - zoneOffset(wall, timeZone);
+  return wall - zoneOffset(guess, timeZone);
+}
+
+/**
+ * Index the default model's streams by key and by name
+ * @param {Array<object>} rows - From getStreamsFromDefaultModel()
+ * @returns {{byKey: Map, byName: Map, list: Array<{key, name}>}} byName maps a lower-case
+ *   name to all streams with that name
+ */
+function indexStreams(rows) {
+  const index = { byKey: new Map(), byName: new Map(), list: [] };
+  rows.forEach(row => {
+    const stream = { key: row[QC.Key], name: row[QC.Name]?.[0] || row[QC.Key] };
+    index.list.push(stream);
+    index.byKey.set(toShortKey(stream.key), stream);
+    const name = stream.name.toLowerCase();
+    index.byName.set(name, [...(index.byName.get(name) || []), stream]);
+  });
+  return index;
+}
+
+/**
+ * Find a stream by key or name
+ * @param {string} text
+ * @param {object} streams - From indexStreams()
+ * @returns {{stream?: object, error?: string}}
+ */
+function resolveStream(text, streams) {
+  const value = text.trim();
+  if (!value) return { error: 'No stream given' };
+
+  let byKey = null;
+  try {
+    byKey = streams.byKey.get(toShortKey(value));
+  } catch {
+    // Not a key - try the name
+  }
+  if (byKey) return { stream: byKey };
+
+  const named = streams.byName.get(value.toLowerCase()) || [];
+  if (named.length === 1) return { stream: named[0] };
+  if (named.length > 1) return { error: `${named.length} streams are named "${value}" - use the stream key` };
+  return { error: `No stream "${value}" in the default model` };
+}
+
+/**
+ * Split a "Stream.Property" header at the dot that gives a known stream
+ * (stream and property names may contain dots themselves)
+ * @param {string} header
+ * @param {object} streams - From indexStreams()
+ * @returns {{streamText: string, propertyText: string}}
+ */
+function splitStreamHeader(header, streams) {
+  const dots = [...header.matchAll(/\./g)].map(match => match.index);
+  const known = dots.find(dot => resolveStream(header.slice(0, dot), streams).stream);
+  const dot = known ?? dots[0];
+  if (dot === undefined) return { streamText: header, propertyText: '' };
+  return { streamText: header.slice(0, dot), propertyText: header.slice(dot + 1) };
+}
+
+/**
+ * Parse and resolve an import table without writing anything
+ *
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region header
+ * @param {Array<Array<string>>} table - Header row + data rows
+ * @param {object} [options]
+ * @param {string} [options.timeZone='local'] - For ISO times without an offset
+ * @param {object} [options.mapping] - Column index -> { stream, property } overriding
+ *   what the header says (stream is ignored when the table has a Stream column)
+ * @returns {Promise<object>} Plan: { defaultModelURN, timeZone, layout ('rows'|'columns'),
+ *   timestampColumn, columns, streams, streamList, skippedRows, skippedCount, errors, warnings }
+ *   columns: { index, header, streamText, propertyText, stream, property, unit, error }
+ *   streams: { key, name, items: [{ ts, [propertyName]: value }], rowCount, valueCount, from, to,
+ *   status, postedItems, errors }
+ */
+export async function planTimeseriesImport(facilityURN, region, table, { timeZone = 'local', mapping = {} } = {}) {
+  console.group("STUB: planTimeseriesImport()");
+
+  const defaultModelURN = getDefaultModelURN(facilityURN);
+  const plan = {
+    defaultModelURN, timeZone, layout: null, timestampColumn: null,
+    columns: [], streams: [], streamList: [], skippedRows: [], skippedCount: 0, errors: [], warnings: []
+  };
+
+  try {
+    if (!isValidTimeZone(timeZone)) {
+      plan.errors.push(`Unknown time zone "${timeZone}" - use local, UTC or an IANA name such as Europe/Prague.`);
+      return plan;
+    }
+    if (!table || table.length < 2) {
+      plan.errors.push('The table needs a header row and at least one data row.');
+      return plan;
+    }
+
+    const header = table[0].map(text => String(text).trim());
+    const timestampCol = header.findIndex(text => TIMESTAMP_HEADERS.includes(text.toLowerCase()));
+    const streamCol = header.findIndex(text => STREAM_HEADERS.includes(text.toLowerCase()));
+    if (timestampCol < 0) {
+      plan.errors.push(`No timestamp column - name one of the columns ${TIMESTAMP_HEADERS.map(h => `"${h}"`).join(', ')}.`);
+      return plan;
+    }
+    plan.timestampColumn = header[timestampCol];
+    plan.layout = streamCol >= 0 ? 'rows' : 'columns';
+
+    // The schema only needs to be in the cache - resolveProperty() reads it from there
+    const [streamRows] = await Promise.all([
+      getStreamsFromDefaultModel(facilityURN, region),
+      loadSchemaForModel(defaultModelURN, region)
+    ]);
+    const streams = indexStreams(streamRows);
+    plan.streamList = streams.list;
+    console.log(`${streams.list.length} stream(s) in the default model, layout: one stream per ${plan.layout === 'rows' ? 'row' : 'column'}`);
+
+    // Resolve the value columns once
+    header.forEach((text, index) => {
+      if (index === timestampCol || index === streamCol || !text) return;
+      const override = mapping[index] || {};
+      const split = plan.layout === 'columns' ? splitStreamHeader(text, streams) : { streamText: '', propertyText: text };
+      const column = {
+        index,
+        header: text,
+        streamText: plan.layout === 'columns' ? (override.stream ?? split.streamText) : '',
+        propertyText: override.property ?? split.propertyText,
+        stream: null,
+        property: null,
+        unit: '',
+        error: null
+      };
+
+      if (plan.layout === 'columns') {
+        const { stream, error } = resolveStream(column.streamText, streams);
+        column.stream = stream || null;
+        column.error = error || null;
+      }
+      const { attr, error } = resolveProperty(column.propertyText, defaultModelURN);
+      if (attr) {
+        column.property = attr;
+        column.unit = getUnitLabel(attr.dataTypeContext);
+      } else {
+        column.error = column.error ? `${column.error}; ${error}` : error;
+      }
+      if (column.error) {
+        plan.warnings.push(`Column "${text}" is skipped: ${column.error}.`);
+      }
+      plan.columns.push(column);
+    });
+
+    const usable = plan.columns.filter(column => !column.error);
+    if (usable.length === 0) {
+      plan.errors.push('No column maps to a stream property - fix the headers or the column mapping.');
+      return plan;
+    }
+
+    // Collect items per stream, one per timestamp
+    const byStream = new Map();
+    const skip = (rowNumber, reason) => {
+      plan.skippedCount++;
+      if (plan.skippedRows.length < MAX_SKIPPED_ROWS) plan.skippedRows.push({ rowNumber, reason });
+    };
+    let nonNumeric = 0;
+
+    for (let i = 1; i < table.length; i++) {
+      const cells = table[i];
+      const rowNumber = i + 1; // spreadsheet row number (header is row 1)
+      const ts = parseTimestamp(cells[timestampCol] ?? '', timeZone);
+      if (Number.isNaN(ts)) {
+        skip(rowNumber, `"${cells[timestampCol] ?? ''}" is not a timestamp`);
+        continue;
+      }
+
+      let rowStream = null;
+      if (plan.layout === 'rows') {
+        const { stream, error } = resolveStream(cells[streamCol] ?? '', streams);
+        if (!stream) {
+          skip(rowNumber, error);
+          continue;
+        }
+        rowStream = stream;
+      }
+
+      let rowValues = 0;
+      usable.forEach(column => {
+        const raw = (cells[column.index] ?? '').trim();
+        if (raw === '') return;
+        const value = DECIMAL_PATTERN.test(raw) ? Number(raw) : NaN;
+        if (!Number.isFinite(value)) {
+          nonNumeric++;
+          return;
+        }
+        const stream = rowStream || column.stream;
+        if (!byStream.has(stream.key)) {
+          byStream.set(stream.key, { stream, items: new Map(), rows: new Set() });
+        }
+        const entry = byStream.get(stream.key);
+        if (!entry.items.has(ts)) entry.items.set(ts, { ts });
+        entry.items.get(ts)[column.property.name] = value;
+        entry.rows.add(rowNumber);
+        rowValues++;
+      });
+      if (rowValues === 0) skip(rowNumber, 'no numeric values');
+    }
+
+    if (nonNumeric > 0) {
+      plan.warnings.push(`${nonNumeric} cell(s) are not numbers and are skipped.`);
+    }
+
+    plan.streams = [...byStream.values()].map(({ stream, items, rows }) => {
+      const sorted = [...items.values()].sort((a, b) => a.ts - b.ts);
+      return {
+        key: stream.key,
+        name: stream.name,
+        items: sorted,
+        rowCount: rows.size,
+        valueCount: sorted.reduce((sum, item) => sum + Object.keys(item).length - 1, 0),
+        from: sorted[0].ts,
+        to: sorted[sorted.length - 1].ts,
+        status: ImportStatus.Ready,
+        postedItems: 0,
+        errors: []
+      };
+    });
+
+    plan.warnings.forEach(warning => console.warn(warning));
+    console.log(`${plan.skippedCount} row(s) skipped`, plan.skippedRows);
+    console.table(plan.streams.map(stream => ({
+      stream: stream.name,
+      key: stream.key,
+      rows: stream.rowCount,
+      items: stream.items.length,
+      values: stream.valueCount,
+      from: new Date(stream.from).toISOString(),
+      to: new Date(stream.to).toISOString()
+    })));
+  } catch (error) {
+    console.error('Error:', error);
+    plan.errors.push(error.message);
+  } finally {
+    console.groupEnd();
+  }
+
+  return plan;
+}
+
+/**
+ * Wait between POSTs
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function pause(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * POST the values of a plan, stream by stream, updating each stream's status
+ *
+ * Batches go out one at a time with batchConfig.streamPostDelayMs between them;
+ * throttled requests are retried by tandemFetch. Cancelling the STUB stops before
+ * the next batch - batches already posted stay posted.
+ *
+ * @param {object} plan - From planTimeseriesImport()
+ * @param {string} region - Region header
+ * @param {Function} [onProgress] - Called with the plan after each batch and each stream
+ * @returns {Promise<object>} The same plan, with stream statuses and postedItems set
+ */
+export async function importTimeseries(plan, region, onProgress) {
+  console.group("STUB: importTimeseries()");
+
+  let first = true;
+  for (const stream of plan.streams.filter(s => s.status === ImportStatus.Ready)) {
+    const requestPath = `${tandemBaseURL}/timeseries/models/${plan.defaultModelURN}/streams/${stream.key}`;
+    console.log(`${stream.name}: ${stream.items.length} item(s) in batches of ${batchConfig.streamPostSize} -->`, requestPath);
+
+    const outcomes = await runInChunks(stream.items, batchConfig.streamPostSize, async (items, index, count) => {
+      if (!first) await pause(batchConfig.streamPostDelayMs);
+      first = false;
+      if (getDefaultSignal()?.aborted) {
+        throw new TandemApiError(`Batch ${index + 1}/${count} was not sent (cancelled)`, { code: 'aborted' });
+      }
+      console.log(`${stream.name}: batch ${index + 1}/${count} (${items.length} item(s))`);
+      await tandemFetch(requestPath, makeRequestOptionsPOST(JSON.stringify(items), region), { idempotent: false });
+      stream.postedItems += items.length;
+      if (onProgress) onProgress(plan);
+      return items.length;
+    });
+
+    const failed = outcomes.filter(outcome => outcome.error && outcome.error.code !== 'aborted');
+    const cancelled = outcomes.filter(outcome => outcome.error?.code === 'aborted');
+    failed.forEach(({ chunk, start, count, error }) => {
+      stream.errors.push(`Batch ${chunk + 1}/${outcomes.length} (items ${start + 1}-${start + count}): ${error.message}`);
+    });
+
+    if (failed.length === 0 && cancelled.length === 0) {
+      stream.status = ImportStatus.Posted;
+    } else if (stream.postedItems > 0) {
+      stream.status = ImportStatus.Partial;
+    } else {
+      stream.status = failed.length > 0 ? ImportStatus.Failed : ImportStatus.Cancelled;
+    }
+    if (cancelled.length > 0) {
+      stream.errors.push(`${cancelled.length} batch(es) not sent (cancelled)`);
+    }
+    stream.errors.forEach(error => console.warn(`${stream.name}: ${error}`));
+
+    if (onProgress) onProgress(plan);
+  }
+
+  console.table(plan.streams.map(stream => ({
+    stream: stream.name,
+    items: stream.items.length,
+    posted: stream.postedItems,
+    status: stream.status
+  })));
+  console.groupEnd();
+  return plan;
+}
@@ -0,0 +1,314 @@
+/**
+ * Audit Panel
+ *
+ * "What changed in this facility last week and who did it": loads the history of
+ * every model for a date range (see getFacilityAuditLog in stubs/historyStubs.js) and
+ * lists one row per request (correlation ID) with its user, client, operation,
+ * description and the elements it touched. Click a column header to sort, a row to
+ * see its property changes. Filter by user, operation or model and download the
+ * filtered audit trail.
+ */
+
+import { getFacilityAuditLog, filterAuditTransactions, groupAuditTransactions, auditToTable, TimelineChange } from '../stubs/historyStubs.js';
+import { exportRows } from '../scanExport.js';
+import { beginStub, endStub } from '../state/requestLog.js';
+import { openPanel, createPanelButton } from './panels.js';
+import { createFormatSelect, downloadBlob } from './scanExportUI.js';
+
+const AUDIT_STUB = 'Facility Audit Log';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Details of one request are capped; the export has them all
+const MAX_DETAIL_ROWS = 200;
+
+const inputClass = 'rounded border border-dark-border bg-dark-bg text-dark-text text-xs py-1 px-2 focus:border-tandem-blue focus:outline-none';
+
+// Sortable columns: header label -> value of a group to sort by
+const columns = [
+  { label: 'Time', value: group => group.timestamp },
+  { label: 'Model', value: group => group.modelLabels.join(', ') },
+  { label: 'User', value: group => group.usernames.join(', ') },
+  { label: 'Client', value: group => group.clientIds.join(', ') },
+  { label: 'Operation', value: group => group.operations.join(', ') },
+  { label: 'Description', value: group => group.descriptions.join(' | ') },
+  { label: 'Elements', value: group => group.elementCount },
+  { label: 'Changes', value: group => group.changeCount }
+];
+
+const changeClasses = {
+  [TimelineChange.Added]: 'text-green-400',
+  [TimelineChange.Changed]: 'text-dark-text',
+  [TimelineChange.Deleted]: 'text-red-400'
+};
+
+/**
+ * Create a table cell
+ * @param {string} text
+ * @param {string} [className]
+ * @returns {HTMLTableCellElement}
+ */
+function createCell(text, className = '') {
+  const td = document.createElement('td');
+  td.className = `px-2 py-0.5 border-b border-dark-border align-top ${className}`;
+  td.textContent = text;
+  return td;
+}
+
+/**
+ * Format a value for the details list
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === undefined || value === null) return '∅';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Add a line of text
+ * @param {HTMLElement} container
+ * @param {string} text
+ * @param {string} [className]
+ */
+function addMessage(container, text, className = 'text-dark-text-secondary') {
+  const p = document.createElement('p');
+  p.className = `mb-2 ${className}`;
+  p.textContent = text;
+  container.appendChild(p);
+}
+
+/**
+ * Format a date for a date input (local time)
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+function toDateInputValue(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Fill a filter select with "all" plus the given options
+ * @param {HTMLSelectElement} select
+ * @param {string} allLabel
+ * @param {Array<[string, string]>} options - [value, label]
+ */
+function fillFilter(select, allLabel, options) {
+  select.innerHTML = '';
+  select.appendChild(new Option(allLabel, ''));
+  options.forEach(([value, label]) => select.appendChild(new Option(label, value)));
+}
+
+/**
+ * Build the details row of a request: its property changes, or the touched elements
+ * @param {object} group - From groupAuditTransactions()
+ * @returns {HTMLTableRowElement}
+ */
+function createDetailsRow(group) {
+  const tr = document.createElement('tr');
+  const td = document.createElement('td');
+  td.colSpan = columns.length;
+  td.className = 'px-4 py-1 border-b border-dark-border bg-dark-bg';
+
+  const lines = [];
+  group.transactions.forEach(tx => {
+    if (tx.changes.length > 0) {
+      tx.changes.forEach(change => lines.push({
+        text: `${tx.modelLabel} · ${change.name || change.key} · ${change.property}: ${formatValue(change.previousValue)} → ${formatValue(change.value)}`,
+        className: changeClasses[change.change]
+      }));
+    } else {
+      tx.elements.forEach(({ key, name }) => lines.push({
+        text: `${tx.modelLabel} · ${name || key} (no property change recorded)`,
+        className: 'text-dark-text-secondary'
+      }));
+    }
+  });
+
+  if (group.correlationId) {
+    addMessage(td, `Correlation ID: ${group.correlationId}`);
+  }
+  lines.slice(0, MAX_DETAIL_ROWS).forEach(({ text, className }) => {
+    const div = document.createElement('div');
+    div.className = className;
+    div.textContent = text;
+    td.appendChild(div);
+  });
+  if (lines.length > MAX_DETAIL_ROWS) {
+    addMessage(td, `... ${lines.length - MAX_DETAIL_ROWS} more - download the report for all of them.`);
+  }
+
+  tr.appendChild(td);
+  return tr;
+}
+
+/**
+ * Open the facility audit log
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region header
+ * @param {Array<object>} models - Facility models (links with modelId and label)
+ */
+export function openAuditPanel(facilityURN, region, models) {
+  const { toolbar, body } = openPanel({ title: 'Facility Audit Log' });
+
+  if (!facilityURN) {
+    addMessage(body, 'Select a facility first.');
+    return;
+  }
+
+  // Toolbar: date range (whole days, local time), load
+  const fromInput = document.createElement('input');
+  fromInput.type = 'date';
+  fromInput.className = inputClass;
+  fromInput.value = toDateInputValue(new Date(Date.now() - 7 * DAY_MS));
+  const toInput = document.createElement('input');
+  toInput.type = 'date';
+  toInput.className = inputClass;
+  toInput.value = toDateInputValue(new Date());
+  const loadBtn = createPanelButton('Load', true);
+  [fromInput, toInput, loadBtn].forEach(el => toolbar.appendChild(el));
+
+  // Body: filters + export, then the report
+  const controls = document.createElement('div');
+  controls.className = 'hidden flex items-center space-x-2 mb-3';
+  const userFilter = document.createElement('select');
+  const operationFilter = document.createElement('select');
+  const modelFilter = document.createElement('select');
+  [userFilter, operationFilter, modelFilter].forEach(select => { select.className = inputClass; });
+  const summary = document.createElement('span');
+  summary.className = 'text-dark-text-secondary flex-1';
+  const formatSelect = createFormatSelect();
+  formatSelect.className = inputClass;
+  const downloadBtn = createPanelButton('Download');
+  [userFilter, operationFilter, modelFilter, summary, formatSelect, downloadBtn].forEach(el => controls.appendChild(el));
+
+  const messages = document.createElement('div');
+  const results = document.createElement('div');
+  [controls, messages, results].forEach(el => body.appendChild(el));
+
+  let audit = null;
+  let sortColumn = columns[0];
+  let sortDescending = true;
+  const expanded = new Set(); // correlation IDs (or group ids) with open details
+
+  const currentTransactions = () => filterAuditTransactions(audit.transactions, {
+    username: userFilter.value,
+    operation: operationFilter.value,
+    modelURN: modelFilter.value
+  });
+
+  function render() {
+    const transactions = currentTransactions();
+    const groups = groupAuditTransactions(transactions);
+    groups.sort((a, b) => {
+      const x = sortColumn.value(a);
+      const y = sortColumn.value(b);
+      const order = typeof x === 'number' ? x - y : String(x).localeCompare(String(y));
+      return sortDescending ? -order : order;
+    });
+    summary.textContent = `${groups.length} request(s), ${transactions.length} of ${audit.transactions.length} transaction(s)`;
+
+    results.innerHTML = '';
+    if (groups.length === 0) {
+      addMessage(results, 'Nothing changed in this range (or nothing matches the filter).');
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'w-full border-collapse';
+    const headRow = document.createElement('tr');
+    columns.forEach(column => {
+      const th = document.createElement('th');
+      th.className = 'sticky top-0 bg-dark-card text-left font-semibold text-dark-text-secondary px-2 py-1 border-b border-dark-border whitespace-nowrap cursor-pointer hover:text-dark-text';
+      th.textContent = column === sortColumn ? `${column.label} ${sortDescending ? '▼' : '▲'}` : column.label;
+      th.addEventListener('click', () => {
+        sortDescending = column === sortColumn ? !sortDescending : column.label === 'Time';
+        sortColumn = column;
+        render();
+      });
+      headRow.appendChild(th);
+    });
+    table.appendChild(headRow);
+
+    const fragment = document.createDocumentFragment();
+    groups.forEach(group => {
+      const id = group.correlationId || `${group.transactions[0].modelURN}|${group.timestamp}`;
+      const tr = document.createElement('tr');
+      tr.className = 'hover:bg-dark-bg cursor-pointer';
+      tr.appendChild(createCell(new Date(group.timestamp).toLocaleString(), 'whitespace-nowrap'));
+      tr.appendChild(createCell(group.modelLabels.join(', ')));
+      tr.appendChild(createCell(group.usernames.join(', ')));
+      tr.appendChild(createCell(group.clientIds.join(', '), 'text-dark-text-secondary'));
+      tr.appendChild(createCell(group.operations.join(', ')));
+      tr.appendChild(createCell(group.descriptions.join(' | ')));
+      tr.appendChild(createCell(String(group.elementCount), 'text-right'));
+      tr.appendChild(createCell(String(group.changeCount), 'text-right'));
+      tr.addEventListener('click', () => {
+        if (expanded.has(id)) {
+          expanded.delete(id);
+        } else {
+          expanded.add(id);
+        }
+        render();
+      });
+      fragment.appendChild(tr);
+      if (expanded.has(id)) {
+        fragment.appendChild(createDetailsRow(group));
+      }
+    });
+    table.appendChild(fragment);
+    results.appendChild(table);
+  }
+
+  async function load() {
+    const from = new Date(`${fromInput.value}T00:00:00`).getTime();
+    const to = new Date(`${toInput.value}T00:00:00`).getTime() + DAY_MS - 1;
+    messages.innerHTML = '';
+    if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+      addMessage(messages, 'Pick a valid date range.', 'text-yellow-400');
+      return;
+    }
+
+    results.innerHTML = '';
+    controls.classList.add('hidden');
+    expanded.clear();
+    loadBtn.disabled = true;
+    beginStub(AUDIT_STUB);
+    try {
+      audit = await getFacilityAuditLog(facilityURN, region, { from, to });
+      audit.warnings.forEach(warning => addMessage(messages, warning, 'text-yellow-400'));
+
+      const distinct = field => [...new Set(audit.transactions.map(tx => tx[field]).filter(Boolean))].sort();
+      fillFilter(userFilter, 'All users', distinct('username').map(name => [name, name]));
+      fillFilter(operationFilter, 'All operations', distinct('operation').map(op => [op, op]));
+      fillFilter(modelFilter, 'All models', models.map(model => [model.modelId, model.label || 'Default Model']));
+      controls.classList.remove('hidden');
+      render();
+    } catch (error) {
+      addMessage(messages, error.message, 'text-red-400');
+    } finally {
+      endStub(AUDIT_STUB);
+      loadBtn.disabled = false;
+    }
+  }
+
+  loadBtn.addEventListener('click', load);
+  [userFilter, operationFilter, modelFilter].forEach(select => select.addEventListener('change', render));
+
+  downloadBtn.addEventListener('click', async () => {
+    downloadBtn.disabled = true;
+    try {
+      const { blob, filename } = await exportRows(auditToTable(currentTransactions()), formatSelect.value, {
+        title: 'audit',
+        suffix: `-${fromInput.value}-to-${toInput.value}`
+      });
+      downloadBlob(blob, filename);
+    } catch (error) {
+      console.error('Error:', error);
+      addMessage(messages, `Export failed: ${error.message}`, 'text-red-400');
+    } finally {
+      downloadBtn.disabled = false;
+    }
+  });
+}
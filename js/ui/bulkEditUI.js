@@ -0,0 +1,214 @@
+/**
+ * Bulk Edit Panel
+ *
+ * Upload a CSV/TSV/XLSX file (or paste a range copied from a spreadsheet), check the
+ * resolved elements and converted values, then apply them. The planning and the
+ * writes are done by stubs/bulkEditStubs.js; this module only renders them.
+ */
+
+import { planBulkEdit, applyBulkEdit, BulkRowStatus } from '../stubs/bulkEditStubs.js';
+import { readSpreadsheetFile, parseDelimited } from '../utils/spreadsheet.js';
+import { beginStub, endStub } from '../state/requestLog.js';
+import { openPanel, createPanelButton } from './panels.js';
+
+const PLAN_STUB = 'Bulk Edit: Parse';
+const APPLY_STUB = 'Bulk Edit: Apply';
+
+const EXAMPLE = [
+  'Name,Model,Identity Data.Mark,Asset Information.Manufacturer',
+  'AHU-01,MEP,M-101,Trane',
+  'AHU-02,MEP,M-102,Carrier'
+].join('\n');
+
+const statusClasses = {
+  [BulkRowStatus.Ready]: 'text-dark-text',
+  [BulkRowStatus.Invalid]: 'text-red-400',
+  [BulkRowStatus.NoChanges]: 'text-dark-text-secondary',
+  [BulkRowStatus.Applied]: 'text-green-400',
+  [BulkRowStatus.Failed]: 'text-red-400',
+  [BulkRowStatus.Cancelled]: 'text-yellow-400'
+};
+
+/**
+ * Create a table cell
+ * @param {string} text
+ * @param {string} [className]
+ * @returns {HTMLTableCellElement}
+ */
+function createCell(text, className = '') {
+  const td = document.createElement('td');
+  td.className = `px-2 py-1 border-b border-dark-border align-top ${className}`;
+  td.textContent = text;
+  return td;
+}
+
+/**
+ * Add a line of text
+ * @param {HTMLElement} container
+ * @param {string} text
+ * @param {string} [className]
+ */
+function addMessage(container, text, className = 'text-dark-text-secondary') {
+  const p = document.createElement('p');
+  p.className = `mb-2 ${className}`;
+  p.textContent = text;
+  container.appendChild(p);
+}
+
+/**
+ * Render a plan (or its results after apply)
+ * @param {HTMLElement} container
+ * @param {object} plan - From planBulkEdit()
+ */
+function renderPlan(container, plan) {
+  container.innerHTML = '';
+
+  plan.errors.forEach(error => addMessage(container, error, 'text-red-400'));
+  plan.warnings.forEach(warning => addMessage(container, warning, 'text-yellow-400'));
+  if (plan.rows.length === 0) return;
+
+  const counts = {};
+  plan.rows.forEach(row => { counts[row.status] = (counts[row.status] || 0) + 1; });
+  addMessage(container, `${plan.rows.length} row(s): ` +
+    Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', '));
+
+  const table = document.createElement('table');
+  table.className = 'w-full border-collapse';
+  const headRow = document.createElement('tr');
+  ['Row', 'Model', 'Element', 'Values', 'Status'].forEach(label => {
+    const th = document.createElement('th');
+    th.className = 'sticky top-0 bg-dark-card text-left font-semibold text-dark-text-secondary px-2 py-1 border-b border-dark-border';
+    th.textContent = label;
+    headRow.appendChild(th);
+  });
+  table.appendChild(headRow);
+
+  plan.rows.forEach(row => {
+    const tr = document.createElement('tr');
+    tr.appendChild(createCell(String(row.rowNumber)));
+    tr.appendChild(createCell(row.modelLabel || row.modelText || ''));
+
+    const elementCell = createCell(row.element || row.name || row.mark || row.key || '');
+    if (row.key) elementCell.title = row.key;
+    tr.appendChild(elementCell);
+
+    const valuesCell = createCell('', 'font-mono break-all');
+    row.values.forEach(({ header, qualifiedId, value }) => {
+      const line = document.createElement('div');
+      line.textContent = `${header} (${qualifiedId}) = ${typeof value === 'string' ? value : JSON.stringify(value)}`;
+      valuesCell.appendChild(line);
+    });
+    tr.appendChild(valuesCell);
+
+    const statusCell = createCell(row.status, statusClasses[row.status]);
+    row.errors.forEach(error => {
+      const line = document.createElement('div');
+      line.className = 'text-red-400';
+      line.textContent = error;
+      statusCell.appendChild(line);
+    });
+    tr.appendChild(statusCell);
+
+    table.appendChild(tr);
+  });
+  container.appendChild(table);
+}
+
+/**
+ * Open the bulk edit panel
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region header
+ * @param {Array<object>} models - Facility models (links with modelId and label)
+ */
+export function openBulkEditor(facilityURN, region, models) {
+  const { toolbar, body } = openPanel({ title: 'Bulk Edit Properties' });
+
+  if (!facilityURN || !models || models.length === 0) {
+    addMessage(body, 'Select a facility first.');
+    return;
+  }
+
+  let plan = null;
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.csv,.tsv,.txt,.xlsx,.xls';
+  fileInput.className = 'text-xs text-dark-text-secondary';
+
+  const parseBtn = createPanelButton('Parse');
+  const applyBtn = createPanelButton('Apply', true);
+  applyBtn.disabled = true;
+  applyBtn.classList.add('disabled:opacity-50');
+
+  [fileInput, parseBtn, applyBtn].forEach(el => toolbar.appendChild(el));
+
+  const help = document.createElement('p');
+  help.className = 'text-dark-text-secondary mb-2';
+  help.textContent = 'Choose a file or paste rows below. Columns: Key, Name or Mark to find the element; ' +
+    'optional Model (label or URN); then one "Category.Property" (or qualified ID) column per property. ' +
+    'Empty cells are left unchanged.';
+
+  const textarea = document.createElement('textarea');
+  textarea.rows = 6;
+  textarea.placeholder = EXAMPLE;
+  textarea.className = 'w-full rounded border border-dark-border bg-dark-bg text-dark-text text-xs font-mono py-1 px-2 mb-3 focus:border-tandem-blue focus:outline-none';
+
+  const results = document.createElement('div');
+
+  body.appendChild(help);
+  body.appendChild(textarea);
+  body.appendChild(results);
+
+  async function runPlan(table) {
+    beginStub(PLAN_STUB);
+    try {
+      plan = await planBulkEdit(facilityURN, region, models, table);
+      renderPlan(results, plan);
+      applyBtn.disabled = !plan.rows.some(row => row.status === BulkRowStatus.Ready);
+    } finally {
+      endStub(PLAN_STUB);
+    }
+  }
+
+  parseBtn.addEventListener('click', async () => {
+    applyBtn.disabled = true;
+    results.innerHTML = '';
+    try {
+      let table;
+      if (textarea.value.trim()) {
+        table = parseDelimited(textarea.value);
+      } else if (fileInput.files.length > 0) {
+        table = await readSpreadsheetFile(fileInput.files[0]);
+      } else {
+        addMessage(results, 'Choose a file or paste some rows first.', 'text-yellow-400');
+        return;
+      }
+      await runPlan(table);
+    } catch (error) {
+      console.error('Error:', error);
+      addMessage(results, error.message, 'text-red-400');
+    }
+  });
+
+  // A newly chosen file replaces whatever was pasted
+  fileInput.addEventListener('change', () => {
+    textarea.value = '';
+    if (fileInput.files.length > 0) parseBtn.click();
+  });
+
+  applyBtn.addEventListener('click', async () => {
+    if (!plan) return;
+    applyBtn.disabled = true;
+    parseBtn.disabled = true;
+    beginStub(APPLY_STUB);
+    try {
+      await applyBulkEdit(plan, region, () => renderPlan(results, plan));
+      renderPlan(results, plan);
+    } finally {
+      endStub(APPLY_STUB);
+      parseBtn.disabled = false;
+    }
+  });
+
+  textarea.focus();
+}
@@ -0,0 +1,163 @@
+/**
+ * Environment Selector
+ *
+ * Header dropdown for switching between prod, stg, the offline mock server and
+ * user-defined environments (own APS host, client ID and Tandem URLs).
+ * Switching reloads the page: API base URLs are read once at startup, and the
+ * token, caches and remembered selections are all scoped to the environment.
+ */
+
+import {
+  getEnv,
+  getEnvironments,
+  setCurrentEnvironment,
+  saveCustomEnvironment,
+  removeCustomEnvironment
+} from '../config.js';
+import { openPanel, createPanelButton } from './panels.js';
+
+const ADD_OPTION = '__add';
+const REMOVE_OPTION = '__remove';
+
+const inputClass = 'w-full rounded border border-dark-border bg-dark-bg text-dark-text text-xs py-1.5 px-2 focus:border-tandem-blue focus:outline-none';
+
+const customFields = [
+  { name: 'name', label: 'Name (used in storage keys)', placeholder: 'e.g. dev' },
+  { name: 'label', label: 'Display label', placeholder: 'e.g. Dev cluster' },
+  { name: 'apsHost', label: 'APS host', placeholder: 'https://developer.api.autodesk.com' },
+  { name: 'apsKey', label: 'APS client ID (PKCE)', placeholder: 'Your APS client ID' },
+  { name: 'tandemDbBaseURL', label: 'Tandem DB base URL', placeholder: 'https://developer.api.autodesk.com/tandem/v1' },
+  { name: 'tandemAppBaseURL', label: 'Tandem app base URL', placeholder: 'https://tandem.autodesk.com/app' },
+  { name: 'userProfileURL', label: 'User profile URL (optional)', placeholder: 'https://api.userprofile.autodesk.com/userinfo' }
+];
+
+/**
+ * Switch environment and reload
+ * @param {string} name - Environment name
+ */
+function switchEnvironment(name) {
+  setCurrentEnvironment(name);
+  console.log(`Switching environment to "${name}"...`);
+
+  // Drop ?env= so the URL doesn't override the new selection on reload
+  const url = new URL(window.location.href);
+  url.searchParams.delete('env');
+  window.location.replace(url.toString());
+}
+
+/**
+ * Show the "add custom environment" dialog
+ * @param {Function} onClose - Called when the dialog closes without switching
+ */
+function showCustomEnvironmentDialog(onClose) {
+  const { body, close } = openPanel({ title: 'Add Custom Environment', size: 'small', onClose });
+
+  const form = document.createElement('form');
+  form.className = 'space-y-2';
+
+  // Prefill URLs from the current environment - custom hosts usually differ in one or two fields
+  const current = getEnv();
+  customFields.forEach(field => {
+    const label = document.createElement('label');
+    label.className = 'block text-xs text-dark-text-secondary';
+    label.textContent = field.label;
+
+    const input = document.createElement('input');
+    input.name = field.name;
+    input.placeholder = field.placeholder;
+    input.className = `${inputClass} mt-1`;
+    if (!['name', 'label', 'apsKey'].includes(field.name) && current[field.name]) {
+      input.value = current[field.name];
+    }
+    label.appendChild(input);
+    form.appendChild(label);
+  });
+
+  const error = document.createElement('p');
+  error.className = 'text-xs text-red-400 hidden';
+  form.appendChild(error);
+
+  const buttons = document.createElement('div');
+  buttons.className = 'flex justify-end space-x-2 pt-2';
+  const cancelBtn = createPanelButton('Cancel');
+  const saveBtn = createPanelButton('Save & Switch', true);
+  saveBtn.type = 'submit';
+  buttons.appendChild(cancelBtn);
+  buttons.appendChild(saveBtn);
+  form.appendChild(buttons);
+
+  cancelBtn.addEventListener('click', close);
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const values = Object.fromEntries(new FormData(form).entries());
+    try {
+      const saved = saveCustomEnvironment(values);
+      switchEnvironment(saved.name);
+    } catch (err) {
+      error.textContent = err.message;
+      error.classList.remove('hidden');
+    }
+  });
+
+  body.appendChild(form);
+  form.querySelector('input').focus();
+}
+
+/**
+ * Fill the environment dropdown
+ * @param {HTMLSelectElement} select - Dropdown element
+ */
+function populateEnvironmentSelect(select) {
+  const current = getEnv();
+  select.innerHTML = '';
+
+  getEnvironments().forEach(env => {
+    const option = document.createElement('option');
+    option.value = env.name;
+    option.textContent = env.custom ? `${env.label} (custom)` : env.label;
+    select.appendChild(option);
+  });
+
+  const addOption = document.createElement('option');
+  addOption.value = ADD_OPTION;
+  addOption.textContent = '+ Add custom...';
+  select.appendChild(addOption);
+
+  if (current.custom) {
+    const removeOption = document.createElement('option');
+    removeOption.value = REMOVE_OPTION;
+    removeOption.textContent = `Remove "${current.label}"`;
+    select.appendChild(removeOption);
+  }
+
+  select.value = current.name;
+  select.title = `Tandem API: ${current.tandemDbBaseURL}`;
+}
+
+/**
+ * Initialize the environment dropdown in the header
+ * @param {HTMLSelectElement} select - Dropdown element
+ */
+export function initEnvironmentSelector(select) {
+  const current = getEnv();
+  populateEnvironmentSelect(select);
+  console.log(`Environment: ${current.label} (${current.tandemDbBaseURL})`);
+
+  select.addEventListener('change', () => {
+    const value = select.value;
+
+    if (value === ADD_OPTION) {
+      showCustomEnvironmentDialog(() => { select.value = current.name; });
+    } else if (value === REMOVE_OPTION) {
+      if (confirm(`Remove custom environment "${current.label}"? Its stored session will be ignored.`)) {
+        removeCustomEnvironment(current.name);
+        switchEnvironment('prod');
+      } else {
+        select.value = current.name;
+      }
+    } else if (value !== current.name) {
+      switchEnvironment(value);
+    }
+  });
+}
@@ -0,0 +1,479 @@
+/**
+ * Request Inspector Panel
+ *
+ * Docked panel that lists every HTTP call made by the STUB functions:
+ * method, URL, region, request body, status, latency, response size and
+ * a collapsible JSON tree of the response. The console output is unchanged -
+ * this panel is for demos and for anyone who doesn't want DevTools open.
+ *
+ * Each request (or the whole STUB run it belongs to) can be copied as cURL,
+ * fetch or Python code - see js/utils/codeGen.js.
+ */
+
+import {
+  startRequestLog,
+  getRequestRecords,
+  getRecordedStubNames,
+  clearRequestLog,
+  onRequestLogChanged,
+  getRunRecords
+} from '../state/requestLog.js';
+import { generateCode, CodeFormats } from '../utils/codeGen.js';
+import { getAccessToken } from '../auth.js';
+
+// Children rendered per expansion step in the JSON tree (large scans have thousands of rows)
+const JSON_TREE_PAGE_SIZE = 200;
+
+let panelElements = null;
+let selectedStub = '';
+let includeTokenInCode = false;
+const rowElements = new Map(); // record id -> { row, refresh }
+
+/**
+ * Format a byte count for display
+ * @param {number|null} bytes - Size in bytes
+ * @returns {string} Human-readable size
+ */
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return '…';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Get Tailwind color class for an HTTP status
+ * @param {object} record - Request record
+ * @returns {string} CSS class
+ */
+function getStatusClass(record) {
+  if (record.ok) return 'text-green-400';
+  if (record.status === 429 || record.status === 0) return 'text-yellow-400';
+  return 'text-red-400';
+}
+
+/**
+ * Strip the host from a URL so the list stays readable
+ * @param {string} url - Full URL
+ * @returns {string} Path and query
+ */
+function getShortPath(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}`;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Create a line of the JSON tree for a primitive value
+ * @param {string|null} key - Property name or array index
+ * @param {any} value - Primitive value
+ * @returns {HTMLElement}
+ */
+function createJsonLeaf(key, value) {
+  const line = document.createElement('div');
+  line.className = 'json-leaf';
+
+  if (key !== null) {
+    const keySpan = document.createElement('span');
+    keySpan.className = 'json-key';
+    keySpan.textContent = `${key}: `;
+    line.appendChild(keySpan);
+  }
+
+  const valueSpan = document.createElement('span');
+  if (value === null) {
+    valueSpan.className = 'json-null';
+    valueSpan.textContent = 'null';
+  } else if (typeof value === 'string') {
+    valueSpan.className = 'json-string';
+    valueSpan.textContent = JSON.stringify(value);
+  } else if (typeof value === 'number') {
+    valueSpan.className = 'json-number';
+    valueSpan.textContent = String(value);
+  } else {
+    valueSpan.className = 'json-boolean';
+    valueSpan.textContent = String(value);
+  }
+  line.appendChild(valueSpan);
+
+  return line;
+}
+
+/**
+ * Create a collapsible JSON tree
+ * Children are only rendered when a node is opened, so huge responses stay cheap.
+ *
+ * @param {string|null} key - Property name or array index (null for the root)
+ * @param {any} value - Value to render
+ * @param {boolean} [open=false] - Expand this node immediately
+ * @returns {HTMLElement}
+ */
+export function createJsonTree(key, value, open = false) {
+  if (value === null || typeof value !== 'object') {
+    return createJsonLeaf(key, value);
+  }
+
+  const isArray = Array.isArray(value);
+  const entries = isArray ? value.map((item, index) => [index, item]) : Object.entries(value);
+
+  const node = document.createElement('details');
+  node.className = 'json-node';
+
+  const summary = document.createElement('summary');
+  const keyLabel = key !== null ? `${key}: ` : '';
+  const countLabel = isArray ? `[${entries.length} items]` : `{${entries.length} keys}`;
+  summary.innerHTML = `<span class="json-key"></span><span class="json-meta"></span>`;
+  summary.querySelector('.json-key').textContent = keyLabel;
+  summary.querySelector('.json-meta').textContent = countLabel;
+  node.appendChild(summary);
+
+  const children = document.createElement('div');
+  children.className = 'json-children';
+  node.appendChild(children);
+
+  let rendered = 0;
+  const renderMore = () => {
+    const end = Math.min(rendered + JSON_TREE_PAGE_SIZE, entries.length);
+    for (let i = rendered; i < end; i++) {
+      const [childKey, childValue] = entries[i];
+      children.appendChild(createJsonTree(childKey, childValue));
+    }
+    rendered = end;
+
+    if (rendered < entries.length) {
+      const moreBtn = document.createElement('button');
+      moreBtn.className = 'json-more';
+      moreBtn.textContent = `Show ${Math.min(JSON_TREE_PAGE_SIZE, entries.length - rendered)} more (${entries.length - rendered} remaining)`;
+      moreBtn.addEventListener('click', () => {
+        moreBtn.remove();
+        renderMore();
+      });
+      children.appendChild(moreBtn);
+    }
+  };
+
+  node.addEventListener('toggle', () => {
+    if (node.open && rendered === 0 && entries.length > 0) {
+      renderMore();
+    }
+  });
+  node.open = open;
+
+  return node;
+}
+
+/**
+ * Create a labelled section in the record details
+ * @param {string} title - Section title
+ * @param {HTMLElement|string} content - Element or text
+ * @returns {HTMLElement}
+ */
+function createDetailSection(title, content) {
+  const section = document.createElement('div');
+  section.className = 'mb-2';
+
+  const heading = document.createElement('div');
+  heading.className = 'text-xs font-semibold text-dark-text-secondary mb-1';
+  heading.textContent = title;
+  section.appendChild(heading);
+
+  if (typeof content === 'string') {
+    const text = document.createElement('div');
+    text.className = 'text-xs text-dark-text font-mono break-all';
+    text.textContent = content;
+    section.appendChild(text);
+  } else {
+    section.appendChild(content);
+  }
+  return section;
+}
+
+/**
+ * Generate code for records and copy it to the clipboard
+ * The snippet is also logged, in case clipboard access is blocked.
+ *
+ * @param {string} format - One of CodeFormats
+ * @param {Array<object>} records - Records in call order
+ * @param {HTMLElement} button - Button to flash feedback on
+ */
+async function copyCode(format, records, button) {
+  const code = generateCode(format, records, {
+    includeToken: includeTokenInCode,
+    token: getAccessToken()
+  });
+  console.log(`Generated ${format} code (${records.length} request${records.length === 1 ? '' : 's'}):\n${code}`);
+
+  const originalText = button.textContent;
+  try {
+    await navigator.clipboard.writeText(code);
+    button.textContent = 'Copied!';
+  } catch (error) {
+    console.warn('Could not copy to clipboard:', error);
+    button.textContent = 'See console';
+  }
+  setTimeout(() => {
+    button.textContent = originalText;
+  }, 1500);
+}
+
+/**
+ * Create a row of "copy as" buttons
+ * @param {string} title - Row label
+ * @param {Array<object>} records - Records in call order
+ * @returns {HTMLElement}
+ */
+function createCopyButtons(title, records) {
+  const row = document.createElement('div');
+  row.className = 'flex items-center gap-2 mb-1';
+
+  const label = document.createElement('span');
+  label.className = 'text-xs text-dark-text-secondary';
+  label.textContent = title;
+  row.appendChild(label);
+
+  [
+    ['cURL', CodeFormats.Curl],
+    ['fetch', CodeFormats.Fetch],
+    ['Python', CodeFormats.Python]
+  ].forEach(([text, format]) => {
+    const button = document.createElement('button');
+    button.className = 'px-2 py-0.5 text-xs rounded border border-dark-border text-tandem-blue hover:border-tandem-blue';
+    button.textContent = text;
+    button.addEventListener('click', () => copyCode(format, records, button));
+    row.appendChild(button);
+  });
+
+  return row;
+}
+
+/**
+ * Render the expanded view of a record
+ * @param {HTMLElement} container - Details body element
+ * @param {object} record - Request record
+ */
+function renderRecordDetails(container, record) {
+  container.innerHTML = '';
+
+  const copySection = document.createElement('div');
+  copySection.appendChild(createCopyButtons('This request:', [record]));
+  const runRecords = getRunRecords(record.runId);
+  if (runRecords.length > 1) {
+    copySection.appendChild(createCopyButtons(`Whole STUB run (${runRecords.length} calls):`, runRecords));
+  }
+  container.appendChild(createDetailSection('Copy as Code', copySection));
+
+  container.appendChild(createDetailSection('URL', `${record.method} ${record.url}`));
+  container.appendChild(createDetailSection('Region', record.region || '(none)'));
+
+  const statusText = record.status ? `${record.status} ${record.statusText}` : 'No response';
+  const attemptsText = record.attempts > 1 ? ` after ${record.attempts} attempts` : '';
+  container.appendChild(createDetailSection('Status', `${statusText} · ${Math.round(record.durationMs)} ms${attemptsText}`));
+
+  if (record.requestBody !== null) {
+    const bodyTree = document.createElement('div');
+    bodyTree.className = 'json-tree';
+    bodyTree.appendChild(createJsonTree(null, record.requestBody, true));
+    container.appendChild(createDetailSection('Request Body', bodyTree));
+  }
+
+  let responseContent;
+  if (record.responseNote) {
+    responseContent = record.responseNote;
+  } else if (record.ok && record.responseSize === null) {
+    responseContent = 'Reading response…';
+  } else if (record.responseBody === null) {
+    responseContent = '(empty)';
+  } else {
+    responseContent = document.createElement('div');
+    responseContent.className = 'json-tree';
+    responseContent.appendChild(createJsonTree(null, record.responseBody, true));
+  }
+  container.appendChild(createDetailSection(record.ok ? 'Response' : 'Error Response', responseContent));
+}
+
+/**
+ * Create the list row for a record
+ * @param {object} record - Request record
+ * @returns {{row: HTMLElement, refresh: Function}}
+ */
+function createRecordRow(record) {
+  const row = document.createElement('details');
+  row.className = 'inspector-row border-b border-dark-border';
+
+  const summary = document.createElement('summary');
+  summary.className = 'flex items-center gap-2 px-3 py-1.5 text-xs cursor-pointer hover:bg-dark-border';
+  row.appendChild(summary);
+
+  const body = document.createElement('div');
+  body.className = 'px-3 py-2 bg-dark-bg';
+  row.appendChild(body);
+
+  let renderedRevision = -1;
+  const refresh = () => {
+    if (record.revision === renderedRevision) return;
+    renderedRevision = record.revision;
+
+    summary.innerHTML = `
+      <span class="inspector-status w-10 font-mono"></span>
+      <span class="inspector-method w-10 font-mono text-tandem-blue"></span>
+      <span class="inspector-path flex-1 truncate font-mono text-dark-text"></span>
+      <span class="inspector-stub max-w-[10rem] truncate text-dark-text-secondary"></span>
+      <span class="inspector-latency w-14 text-right text-dark-text-secondary"></span>
+      <span class="inspector-size w-16 text-right text-dark-text-secondary"></span>
+    `;
+    const status = summary.querySelector('.inspector-status');
+    status.classList.add(getStatusClass(record));
+    status.textContent = record.status || 'ERR';
+    summary.querySelector('.inspector-method').textContent = record.method;
+    summary.querySelector('.inspector-path').textContent = getShortPath(record.url);
+    summary.querySelector('.inspector-path').title = record.url;
+    summary.querySelector('.inspector-stub').textContent = record.stub || '(app)';
+    summary.querySelector('.inspector-latency').textContent = `${Math.round(record.durationMs)} ms`;
+    summary.querySelector('.inspector-size').textContent = record.ok ? formatBytes(record.responseSize) : '';
+
+    if (row.open) {
+      renderRecordDetails(body, record);
+    }
+  };
+
+  row.addEventListener('toggle', () => {
+    if (row.open) {
+      renderRecordDetails(body, record);
+    }
+  });
+
+  refresh();
+  return { row, refresh };
+}
+
+/**
+ * Refresh the stub filter dropdown, keeping the current selection
+ */
+function refreshStubFilter() {
+  const { filterSelect } = panelElements;
+  const names = getRecordedStubNames();
+
+  filterSelect.innerHTML = '<option value="">All stubs</option>';
+  names.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    filterSelect.appendChild(option);
+  });
+
+  if (selectedStub && !names.includes(selectedStub)) {
+    selectedStub = '';
+  }
+  filterSelect.value = selectedStub;
+}
+
+/**
+ * Sync the list with the request log
+ * Existing rows are updated in place so expanded rows stay expanded.
+ */
+function refreshList() {
+  const { list, countLabel, emptyMessage } = panelElements;
+  const visible = getRequestRecords(selectedStub);
+  const visibleIds = new Set(visible.map(record => record.id));
+
+  // Drop rows that were cleared, trimmed or filtered out
+  rowElements.forEach((entry, id) => {
+    if (!visibleIds.has(id)) {
+      entry.row.remove();
+      rowElements.delete(id);
+    }
+  });
+
+  // Newest first
+  visible.forEach(record => {
+    const existing = rowElements.get(record.id);
+    if (existing) {
+      existing.refresh();
+    } else {
+      const entry = createRecordRow(record);
+      rowElements.set(record.id, entry);
+      list.prepend(entry.row);
+    }
+  });
+
+  countLabel.textContent = `${visible.length} request${visible.length === 1 ? '' : 's'}`;
+  emptyMessage.classList.toggle('hidden', visible.length > 0);
+  refreshStubFilter();
+}
+
+/**
+ * Rebuild the list from scratch (used when the filter changes)
+ */
+function rebuildList() {
+  rowElements.forEach(entry => entry.row.remove());
+  rowElements.clear();
+  refreshList();
+}
+
+/**
+ * Render the inspector panel and start recording requests
+ * @param {HTMLElement} container - Panel container
+ */
+export function initInspectorPanel(container) {
+  startRequestLog();
+
+  container.innerHTML = `
+    <div class="flex items-center justify-between px-3 py-2 border-b border-dark-border">
+      <button data-role="toggle" class="flex items-center gap-2 text-sm font-semibold text-dark-text">
+        <svg class="inspector-toggle-icon w-4 h-4 transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path>
+        </svg>
+        Request Inspector
+        <span data-role="count" class="text-xs font-normal text-dark-text-secondary"></span>
+      </button>
+      <div class="flex items-center gap-2">
+        <label class="flex items-center gap-1 text-xs text-dark-text-secondary" title="Put the real bearer token into generated code instead of a placeholder">
+          <input data-role="include-token" type="checkbox">
+          Include token in code
+        </label>
+        <select data-role="filter" class="rounded border border-dark-border bg-dark-bg text-dark-text text-xs py-1 px-2">
+          <option value="">All stubs</option>
+        </select>
+        <button data-role="clear" class="px-2 py-1 text-xs rounded border border-dark-border text-dark-text hover:border-tandem-blue">Clear</button>
+      </div>
+    </div>
+    <div data-role="body" class="flex-1 overflow-y-auto">
+      <p data-role="empty" class="text-xs text-dark-text-secondary p-3">Run a STUB to see its requests here.</p>
+      <div data-role="list"></div>
+    </div>
+  `;
+
+  panelElements = {
+    list: container.querySelector('[data-role="list"]'),
+    countLabel: container.querySelector('[data-role="count"]'),
+    emptyMessage: container.querySelector('[data-role="empty"]'),
+    filterSelect: container.querySelector('[data-role="filter"]'),
+    body: container.querySelector('[data-role="body"]')
+  };
+
+  panelElements.filterSelect.addEventListener('change', (e) => {
+    selectedStub = e.target.value;
+    rebuildList();
+  });
+
+  container.querySelector('[data-role="include-token"]').addEventListener('change', (e) => {
+    includeTokenInCode = e.target.checked;
+  });
+
+  container.querySelector('[data-role="clear"]').addEventListener('click', () => {
+    clearRequestLog();
+  });
+
+  const toggleBtn = container.querySelector('[data-role="toggle"]');
+  toggleBtn.addEventListener('click', () => {
+    const collapsed = container.classList.toggle('collapsed');
+    panelElements.body.classList.toggle('hidden', collapsed);
+    toggleBtn.querySelector('.inspector-toggle-icon').classList.toggle('-rotate-90', collapsed);
+  });
+
+  onRequestLogChanged(refreshList);
+  refreshList();
+}
@@ -0,0 +1,111 @@
+/**
+ * Key Tools UI
+ *
+ * Renders the result of keyStubs.inspectKey() inside the Key Tools form:
+ * detected type, decoded forms of each key, and a button to scan each element
+ * in the model it was found in.
+ */
+
+/**
+ * Add a label/value row to a details grid
+ * @param {HTMLElement} grid - Grid container
+ * @param {string} label - Row label
+ * @param {string|null} value - Value (rows without a value are skipped)
+ */
+function addRow(grid, label, value) {
+  if (value === null || value === undefined || value === '') return;
+
+  const labelEl = document.createElement('span');
+  labelEl.textContent = label;
+  labelEl.style.color = '#9ca3af';
+
+  const valueEl = document.createElement('span');
+  valueEl.textContent = value;
+  valueEl.style.fontFamily = 'monospace';
+  valueEl.style.wordBreak = 'break-all';
+  valueEl.style.userSelect = 'all'; // one click selects the whole key for copying
+
+  grid.appendChild(labelEl);
+  grid.appendChild(valueEl);
+}
+
+/**
+ * Render a key inspection result
+ * @param {object} result - Result of keyStubs.inspectKey()
+ * @param {HTMLElement} container - Result container
+ * @param {Function} onScan - Called with (modelURN, fullKey) when a Scan button is clicked
+ */
+export function renderKeyInspection(result, container, onScan) {
+  container.style.marginTop = '0.75rem';
+  container.style.padding = '0.5rem';
+  container.style.background = '#2a2a2a';
+  container.style.borderRadius = '0.25rem';
+  container.style.fontSize = '0.65rem';
+  container.style.lineHeight = '1.4';
+
+  if (!result) {
+    container.textContent = 'No result - see console for errors.';
+    return;
+  }
+
+  const title = document.createElement('div');
+  title.style.fontWeight = 'bold';
+  title.style.color = '#e0e0e0';
+  title.textContent = result.entries.length > 1
+    ? `${result.type} (${result.entries.length} elements)`
+    : result.type;
+  container.appendChild(title);
+
+  result.notes.forEach(note => {
+    const noteEl = document.createElement('div');
+    noteEl.style.color = '#9ca3af';
+    noteEl.textContent = note;
+    container.appendChild(noteEl);
+  });
+
+  result.entries.forEach((entry, index) => {
+    const section = document.createElement('div');
+    section.style.marginTop = '0.5rem';
+    section.style.paddingTop = '0.5rem';
+    section.style.borderTop = index > 0 || result.notes.length > 0 ? '1px solid #404040' : 'none';
+
+    const grid = document.createElement('div');
+    grid.style.display = 'grid';
+    grid.style.gridTemplateColumns = 'auto 1fr';
+    grid.style.gap = '0.125rem 0.5rem';
+    grid.style.color = '#d1d5db';
+
+    addRow(grid, 'Name', entry.name);
+    addRow(grid, 'Model', entry.modelURN ? `${entry.modelLabel ? `${entry.modelLabel} - ` : ''}${entry.modelURN}` : 'not found');
+    addRow(grid, 'Element flags', entry.elementFlags);
+    addRow(grid, 'Key flags', entry.keyFlags);
+    addRow(grid, 'Short key', entry.shortKey);
+    addRow(grid, 'Full key', entry.fullKey);
+    if (!entry.fullKey && entry.fullKeyCandidates) {
+      addRow(grid, 'Full key (physical)', entry.fullKeyCandidates[0]);
+      addRow(grid, 'Full key (logical)', entry.fullKeyCandidates[1]);
+    }
+    addRow(grid, 'System ID', entry.systemId);
+    section.appendChild(grid);
+
+    if (entry.modelURN && entry.fullKey) {
+      const scanBtn = document.createElement('button');
+      scanBtn.textContent = 'Scan element';
+      scanBtn.className = 'text-xs';
+      scanBtn.style.marginTop = '0.375rem';
+      scanBtn.addEventListener('click', async () => {
+        scanBtn.disabled = true;
+        scanBtn.textContent = 'Scanning...';
+        try {
+          await onScan(entry.modelURN, entry.fullKey);
+        } finally {
+          scanBtn.disabled = false;
+          scanBtn.textContent = 'Scan element';
+        }
+      });
+      section.appendChild(scanBtn);
+    }
+
+    container.appendChild(section);
+  });
+}
@@ -0,0 +1,128 @@
+/**
+ * Mutation Preview UI
+ *
+ * Confirmation panel for mutations.submitMutation(): a before/after table per
+ * element, with unchanged rows dimmed and missing elements flagged, plus the
+ * header checkbox that turns the preview on or off.
+ */
+
+import { PreviewStatus, isDryRunEnabled, setDryRunEnabled, setMutationConfirmHandler } from '../mutations.js';
+import { openPanel, createPanelButton } from './panels.js';
+
+const statusClasses = {
+  [PreviewStatus.Change]: 'text-yellow-400',
+  [PreviewStatus.Unchanged]: 'text-dark-text-secondary',
+  [PreviewStatus.DeleteRow]: 'text-red-400',
+  [PreviewStatus.DeleteColumn]: 'text-red-400',
+  [PreviewStatus.NotFound]: 'text-red-400'
+};
+
+/**
+ * Format a cell value for the preview table
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === undefined) return '(not set)';
+  if (value === '') return '(empty)';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Create a table cell
+ * @param {string} text
+ * @param {string} [className]
+ * @returns {HTMLTableCellElement}
+ */
+function createCell(text, className = '') {
+  const td = document.createElement('td');
+  td.className = `px-2 py-0.5 border-b border-dark-border align-top break-all ${className}`;
+  td.textContent = text;
+  return td;
+}
+
+/**
+ * Show the preview and wait for the user to apply or cancel
+ * @param {object} preview - From mutations.previewMutation()
+ * @returns {Promise<boolean>} True if the user chose to apply
+ */
+function showMutationPreview(preview) {
+  return new Promise(resolve => {
+    let confirmed = false;
+    const { toolbar, body, close } = openPanel({
+      title: `Preview: ${preview.desc}`,
+      onClose: () => resolve(confirmed)
+    });
+
+    const { counts } = preview;
+    const deletions = counts[PreviewStatus.DeleteRow] + counts[PreviewStatus.DeleteColumn];
+    const pending = counts[PreviewStatus.Change] + deletions;
+
+    const cancelBtn = createPanelButton('Cancel');
+    const applyBtn = createPanelButton(pending > 0 ? `Apply ${pending} change(s)` : 'Send anyway', true);
+    toolbar.appendChild(cancelBtn);
+    toolbar.appendChild(applyBtn);
+
+    const summary = document.createElement('p');
+    summary.className = 'mb-2 text-dark-text-secondary';
+    summary.textContent = `${preview.environment} - ${preview.modelURN}: ` +
+      `${counts[PreviewStatus.Change]} change(s), ${deletions} deletion(s), ` +
+      `${counts[PreviewStatus.Unchanged]} unchanged, ${counts[PreviewStatus.NotFound]} not found. ` +
+      'Nothing has been written yet.';
+    body.appendChild(summary);
+
+    if (counts[PreviewStatus.NotFound] > 0) {
+      const warning = document.createElement('p');
+      warning.className = 'mb-2 text-red-400';
+      warning.textContent = 'Some keys were not found in this model - check that the keys are full keys from the right model.';
+      body.appendChild(warning);
+    }
+
+    const table = document.createElement('table');
+    table.className = 'w-full border-collapse';
+    const headRow = document.createElement('tr');
+    ['Element', 'Name', 'Column', 'Before', 'After', 'Status'].forEach(label => {
+      const th = document.createElement('th');
+      th.className = 'sticky top-0 bg-dark-card text-left font-semibold text-dark-text-secondary px-2 py-1 border-b border-dark-border';
+      th.textContent = label;
+      headRow.appendChild(th);
+    });
+    table.appendChild(headRow);
+
+    preview.rows.forEach(row => {
+      const tr = document.createElement('tr');
+      const dim = row.status === PreviewStatus.Unchanged ? 'text-dark-text-secondary' : '';
+      tr.appendChild(createCell(row.key, `font-mono ${dim}`));
+      tr.appendChild(createCell(row.name || '', dim));
+      tr.appendChild(createCell(row.column, `font-mono ${dim}`));
+      tr.appendChild(createCell(formatValue(row.before), dim));
+      tr.appendChild(createCell(row.status === PreviewStatus.DeleteRow || row.status === PreviewStatus.DeleteColumn
+        ? '(deleted)'
+        : formatValue(row.after), dim));
+      tr.appendChild(createCell(row.status, statusClasses[row.status]));
+      table.appendChild(tr);
+    });
+    body.appendChild(table);
+
+    cancelBtn.addEventListener('click', close);
+    applyBtn.addEventListener('click', () => {
+      confirmed = true;
+      close();
+    });
+    cancelBtn.focus();
+  });
+}
+
+/**
+ * Wire the "Preview writes" checkbox and register the preview panel
+ * @param {HTMLInputElement} checkbox - Header checkbox
+ */
+export function initMutationPreview(checkbox) {
+  setMutationConfirmHandler(showMutationPreview);
+
+  checkbox.checked = isDryRunEnabled();
+  checkbox.addEventListener('change', () => {
+    setDryRunEnabled(checkbox.checked);
+    console.log(`Mutation preview ${checkbox.checked ? 'on' : 'OFF - writes are sent without confirmation'}`);
+  });
+}
@@ -0,0 +1,167 @@
+/**
+ * Operations Panel
+ *
+ * Lists the writes made in this session (state/operationLog.js), newest first,
+ * with the keys and columns they touched and the values they replaced.
+ * Each applied operation can be rolled back; the compensating write goes through
+ * the same preview as any other mutation.
+ */
+
+import { getOperations, clearOperationLog, onOperationLogChanged, OperationStatus } from '../state/operationLog.js';
+import { rollbackOperation } from '../mutations.js';
+import { beginStub, endStub } from '../state/requestLog.js';
+import { openPanel, createPanelButton } from './panels.js';
+
+const ROLLBACK_STUB = 'Rollback Operation';
+
+/**
+ * Format a cell value for display
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '(not set)';
+  if (value === '') return '(empty)';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Create a table cell
+ * @param {string} text
+ * @param {string} [className]
+ * @returns {HTMLTableCellElement}
+ */
+function createCell(text, className = '') {
+  const td = document.createElement('td');
+  td.className = `px-2 py-1 border-b border-dark-border align-top ${className}`;
+  td.textContent = text;
+  return td;
+}
+
+/**
+ * Build the "replaced values" detail list for an operation
+ * @param {object} operation
+ * @returns {HTMLElement}
+ */
+function createDetails(operation) {
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  summary.className = 'cursor-pointer text-dark-text-secondary';
+  summary.textContent = `${operation.keys.length} key(s), ${operation.columns.join(', ')}`;
+  details.appendChild(summary);
+
+  const list = document.createElement('div');
+  list.className = 'mt-1 font-mono break-all space-y-0.5';
+  operation.before.forEach(cell => {
+    const line = document.createElement('div');
+    line.textContent = `${cell.key} ${cell.column}: ${formatValue(cell.existed ? cell.value : null)}`;
+    list.appendChild(line);
+  });
+  operation.deletedRows.forEach(row => {
+    const line = document.createElement('div');
+    line.textContent = `${row.key} deleted (${Object.keys(row.columns).length} columns kept for restore)`;
+    list.appendChild(line);
+  });
+  details.appendChild(list);
+  return details;
+}
+
+/**
+ * Render the operation table
+ * @param {HTMLElement} body - Panel body
+ */
+function renderOperations(body) {
+  body.innerHTML = '';
+  const operations = getOperations();
+
+  if (operations.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text-dark-text-secondary';
+    empty.textContent = 'No writes recorded in this session yet.';
+    body.appendChild(empty);
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'w-full border-collapse';
+  const headRow = document.createElement('tr');
+  ['#', 'Time', 'Description', 'Model', 'Keys / columns (replaced values)', 'Status', ''].forEach(label => {
+    const th = document.createElement('th');
+    th.className = 'sticky top-0 bg-dark-card text-left font-semibold text-dark-text-secondary px-2 py-1 border-b border-dark-border';
+    th.textContent = label;
+    headRow.appendChild(th);
+  });
+  table.appendChild(headRow);
+
+  [...operations].reverse().forEach(operation => {
+    const tr = document.createElement('tr');
+    const rolledBack = operation.status === OperationStatus.RolledBack;
+
+    tr.appendChild(createCell(String(operation.id)));
+    tr.appendChild(createCell(new Date(operation.timestamp).toLocaleTimeString(), 'whitespace-nowrap'));
+    tr.appendChild(createCell(operation.desc || ''));
+    tr.appendChild(createCell(operation.modelURN.replace('urn:adsk.dtm:', ''), 'font-mono'));
+
+    const detailsCell = createCell('');
+    detailsCell.appendChild(createDetails(operation));
+    tr.appendChild(detailsCell);
+
+    tr.appendChild(createCell(rolledBack ? `${operation.status} (#${operation.rolledBackBy})` : operation.status,
+      rolledBack ? 'text-dark-text-secondary' : 'text-green-400'));
+
+    const actionCell = createCell('');
+    if (!rolledBack) {
+      const rollbackBtn = createPanelButton('Roll back');
+      rollbackBtn.addEventListener('click', () => runRollback(operation.id));
+      actionCell.appendChild(rollbackBtn);
+    }
+    tr.appendChild(actionCell);
+
+    table.appendChild(tr);
+  });
+  body.appendChild(table);
+}
+
+/**
+ * Roll back an operation (the list refreshes through the log listener)
+ * @param {number} id - Operation ID
+ */
+async function runRollback(id) {
+  console.group(`STUB: rollbackOperation(#${id})`);
+  beginStub(ROLLBACK_STUB);
+  try {
+    const result = await rollbackOperation(id);
+    if (result) {
+      console.log("Result from Tandem DB Server -->", result);
+    }
+  } catch (error) {
+    console.error('Error:', error);
+    alert(`Rollback failed: ${error.message}`);
+  } finally {
+    endStub(ROLLBACK_STUB);
+    console.groupEnd();
+  }
+}
+
+/**
+ * Open the Operations panel
+ */
+export function openOperationsPanel() {
+  let unsubscribe = null;
+  const { toolbar, body } = openPanel({
+    title: 'Operations (writes in this session)',
+    onClose: () => unsubscribe?.()
+  });
+
+  const clearBtn = createPanelButton('Clear');
+  clearBtn.title = 'Forget the recorded operations (nothing is changed in Tandem)';
+  clearBtn.addEventListener('click', () => {
+    if (confirm('Clear the operation log? Recorded operations can no longer be rolled back.')) {
+      clearOperationLog();
+    }
+  });
+  toolbar.appendChild(clearBtn);
+
+  renderOperations(body);
+  unsubscribe = onOperationLogChanged(() => renderOperations(body));
+}
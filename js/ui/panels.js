@@ -0,0 +1,97 @@
+/**
+ * Panels
+ *
+ * Shared modal panel used by the tool windows (schema browser, custom environment
+ * dialog, ...). Content is built by the caller; this module only provides the
+ * overlay, header, close handling and a scrollable body.
+ */
+
+// Open panels, topmost last - a preview can open on top of the tool that started it
+const panelStack = [];
+
+/**
+ * Create a small button in the panel style
+ * @param {string} text - Button text
+ * @param {boolean} [primary=false] - Use the accent color
+ * @returns {HTMLButtonElement}
+ */
+export function createPanelButton(text, primary = false) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = text;
+  button.className = primary
+    ? 'px-3 py-1.5 text-xs rounded text-white bg-tandem-blue hover:bg-blue-600'
+    : 'px-3 py-1.5 border border-dark-border text-xs rounded text-dark-text hover:bg-dark-bg';
+  return button;
+}
+
+/**
+ * Open a modal panel
+ *
+ * @param {object} options
+ * @param {string} options.title - Header text
+ * @param {string} [options.size='large'] - 'small' (dialogs) or 'large' (tool windows)
+ * @param {Function} [options.onClose] - Called after the panel is closed
+ * @returns {{panel: HTMLElement, toolbar: HTMLElement, body: HTMLElement, close: Function}}
+ *   toolbar sits in the header next to the close button; body is the scrollable content area
+ */
+export function openPanel({ title, size = 'large', onClose } = {}) {
+  const overlay = document.createElement('div');
+  overlay.className = 'fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50';
+
+  const panel = document.createElement('div');
+  panel.className = size === 'small'
+    ? 'bg-dark-card border border-dark-border rounded-lg shadow-lg w-96 max-h-[90vh] flex flex-col'
+    : 'bg-dark-card border border-dark-border rounded-lg shadow-lg w-[90vw] max-w-6xl h-[85vh] flex flex-col';
+
+  const header = document.createElement('div');
+  header.className = 'flex items-center justify-between px-4 py-2 border-b border-dark-border';
+
+  const titleEl = document.createElement('h3');
+  titleEl.className = 'text-sm font-semibold text-dark-text';
+  titleEl.textContent = title;
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'flex items-center space-x-2 ml-4 flex-1 justify-end';
+
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.title = 'Close (Esc)';
+  closeBtn.className = 'ml-2 text-dark-text-secondary hover:text-dark-text text-lg leading-none';
+  closeBtn.textContent = '×';
+
+  header.appendChild(titleEl);
+  header.appendChild(toolbar);
+  header.appendChild(closeBtn);
+
+  const body = document.createElement('div');
+  body.className = 'flex-1 min-h-0 overflow-auto p-4 text-xs text-dark-text';
+
+  panel.appendChild(header);
+  panel.appendChild(body);
+  overlay.appendChild(panel);
+
+  // Escape only closes the topmost panel
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape' && panelStack[panelStack.length - 1] === overlay) close();
+  };
+
+  function close() {
+    if (!overlay.isConnected) return;
+    overlay.remove();
+    document.removeEventListener('keydown', onKeyDown);
+    panelStack.splice(panelStack.indexOf(overlay), 1);
+    if (onClose) onClose();
+  }
+
+  closeBtn.addEventListener('click', close);
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) close();
+  });
+  document.addEventListener('keydown', onKeyDown);
+
+  document.body.appendChild(overlay);
+  panelStack.push(overlay);
+
+  return { panel, toolbar, body, close };
+}
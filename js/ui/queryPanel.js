@@ -0,0 +1,233 @@
+/**
+ * Query Panel
+ *
+ * Write an element query, run it across all models of the facility, save it under
+ * a name and re-run saved queries. Results are listed with the values the query
+ * looked at and can be exported like any scan result.
+ */
+
+import { runQuery, runSavedQuery } from '../stubs/queryStubs.js';
+import { getSavedQueries, getSavedQuery, saveQuery, deleteSavedQuery } from '../state/savedQueries.js';
+import { beginStub, endStub } from '../state/requestLog.js';
+import { openPanel, createPanelButton } from './panels.js';
+import { renderScanExport } from './scanExportUI.js';
+
+const QUERY_STUB = 'Query Elements';
+
+// Rendering thousands of rows makes the panel sluggish; the export has them all
+const MAX_ROWS = 1000;
+
+const EXAMPLE = 'Identity Data.Mark ~ "AHU-*" AND Dimensions.Area > 20 AND classification under "Walls"';
+
+const inputClass = 'rounded border border-dark-border bg-dark-bg text-dark-text text-xs py-1 px-2 focus:border-tandem-blue focus:outline-none';
+
+/**
+ * Create a table cell
+ * @param {string} text
+ * @param {string} [className]
+ * @returns {HTMLTableCellElement}
+ */
+function createCell(text, className = '') {
+  const td = document.createElement('td');
+  td.className = `px-2 py-0.5 border-b border-dark-border align-top ${className}`;
+  td.textContent = text;
+  return td;
+}
+
+/**
+ * Format a value for the results table
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Add a line of text
+ * @param {HTMLElement} container
+ * @param {string} text
+ * @param {string} [className]
+ */
+function addMessage(container, text, className = 'text-dark-text-secondary') {
+  const p = document.createElement('p');
+  p.className = `mb-2 ${className}`;
+  p.textContent = text;
+  container.appendChild(p);
+}
+
+/**
+ * Render query results
+ * @param {HTMLElement} container
+ * @param {object} result - From runQuery()
+ * @param {string} region
+ * @param {Array<object>} models
+ */
+function renderResults(container, result, region, models) {
+  container.innerHTML = '';
+  result.warnings.forEach(warning => addMessage(container, warning, 'text-yellow-400'));
+
+  const scannedModels = result.models.length;
+  addMessage(container, `${result.matches.length} matching element(s) - ${scannedModels} of ${models.length} model(s) scanned` +
+    (result.matches.length > MAX_ROWS ? `, showing the first ${MAX_ROWS}` : ''));
+  if (result.matches.length === 0) return;
+
+  const exportBar = document.createElement('div');
+  renderScanExport(result, exportBar, { region, models });
+  exportBar.style.marginTop = '0';
+  exportBar.style.marginBottom = '0.5rem';
+  container.appendChild(exportBar);
+
+  const valueHeaders = Object.keys(result.matches[0].values);
+  const table = document.createElement('table');
+  table.className = 'w-full border-collapse';
+  const headRow = document.createElement('tr');
+  ['Model', 'Name', 'Key', ...valueHeaders].forEach(label => {
+    const th = document.createElement('th');
+    th.className = 'sticky top-0 bg-dark-card text-left font-semibold text-dark-text-secondary px-2 py-1 border-b border-dark-border whitespace-nowrap';
+    th.textContent = label;
+    headRow.appendChild(th);
+  });
+  table.appendChild(headRow);
+
+  const fragment = document.createDocumentFragment();
+  result.matches.slice(0, MAX_ROWS).forEach(match => {
+    const tr = document.createElement('tr');
+    tr.className = 'hover:bg-dark-bg';
+    tr.appendChild(createCell(match.modelLabel));
+    tr.appendChild(createCell(formatValue(match.name)));
+    tr.appendChild(createCell(match.key, 'font-mono select-all'));
+    valueHeaders.forEach(header => tr.appendChild(createCell(formatValue(match.values[header]))));
+    fragment.appendChild(tr);
+  });
+  table.appendChild(fragment);
+  container.appendChild(table);
+}
+
+/**
+ * Open the query panel
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region header
+ * @param {Array<object>} models - Facility models (links with modelId and label)
+ */
+export function openQueryPanel(facilityURN, region, models) {
+  const { toolbar, body } = openPanel({ title: 'Query Elements (all models)' });
+
+  if (!facilityURN) {
+    addMessage(body, 'Select a facility first.');
+    return;
+  }
+
+  // Toolbar: saved queries
+  const savedSelect = document.createElement('select');
+  savedSelect.className = inputClass;
+  const runSavedBtn = createPanelButton('Run saved');
+  const deleteSavedBtn = createPanelButton('Delete');
+  deleteSavedBtn.title = 'Delete the selected saved query';
+  [savedSelect, runSavedBtn, deleteSavedBtn].forEach(el => toolbar.appendChild(el));
+
+  // Body: editor, run / save, results
+  const help = document.createElement('p');
+  help.className = 'text-dark-text-secondary mb-2';
+  help.textContent = 'Conditions: Category.Property (or a qualified ID like z:5mQ) with = != > >= < <= ~ !~ (wildcards * ?) ' +
+    'or "exists", and "classification under X". Combine with AND, OR, NOT and parentheses.';
+
+  const textarea = document.createElement('textarea');
+  textarea.rows = 3;
+  textarea.placeholder = EXAMPLE;
+  textarea.className = `${inputClass} w-full font-mono mb-2`;
+
+  const actions = document.createElement('div');
+  actions.className = 'flex items-center space-x-2 mb-3';
+  const runBtn = createPanelButton('Run', true);
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.placeholder = 'Name';
+  nameInput.className = `${inputClass} w-48`;
+  const saveBtn = createPanelButton('Save');
+  [runBtn, nameInput, saveBtn].forEach(el => actions.appendChild(el));
+
+  const results = document.createElement('div');
+
+  [help, textarea, actions, results].forEach(el => body.appendChild(el));
+
+  function refreshSaved(selectedName = savedSelect.value) {
+    const saved = getSavedQueries();
+    savedSelect.innerHTML = '';
+    savedSelect.appendChild(new Option(saved.length > 0 ? 'Saved queries...' : 'No saved queries', ''));
+    saved.forEach(entry => {
+      const option = new Option(entry.name, entry.name);
+      option.title = entry.query;
+      savedSelect.appendChild(option);
+    });
+    savedSelect.value = saved.some(entry => entry.name === selectedName) ? selectedName : '';
+  }
+
+  // execute() is a runQuery() or runSavedQuery() call
+  async function run(execute) {
+    results.innerHTML = '';
+    runBtn.disabled = true;
+    runSavedBtn.disabled = true;
+    beginStub(QUERY_STUB);
+    try {
+      const result = await execute();
+      renderResults(results, result, region, models);
+    } catch (error) {
+      addMessage(results, error.message, 'text-red-400');
+    } finally {
+      endStub(QUERY_STUB);
+      runBtn.disabled = false;
+      runSavedBtn.disabled = false;
+    }
+  }
+
+  savedSelect.addEventListener('change', () => {
+    const entry = getSavedQuery(savedSelect.value);
+    if (entry) {
+      textarea.value = entry.query;
+      nameInput.value = entry.name;
+    }
+  });
+
+  runSavedBtn.addEventListener('click', () => {
+    const entry = getSavedQuery(savedSelect.value);
+    if (!entry) {
+      addMessage(results, 'Pick a saved query first.', 'text-yellow-400');
+      return;
+    }
+    textarea.value = entry.query;
+    nameInput.value = entry.name;
+    run(() => runSavedQuery(facilityURN, region, entry.name));
+  });
+
+  deleteSavedBtn.addEventListener('click', () => {
+    const name = savedSelect.value;
+    if (name && confirm(`Delete the saved query "${name}"?`)) {
+      deleteSavedQuery(name);
+      refreshSaved('');
+    }
+  });
+
+  runBtn.addEventListener('click', () => run(() => runQuery(facilityURN, region, textarea.value)));
+
+  saveBtn.addEventListener('click', () => {
+    try {
+      saveQuery(nameInput.value, textarea.value);
+      refreshSaved(nameInput.value.trim());
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  // Ctrl/Cmd+Enter runs the query
+  textarea.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      run(() => runQuery(facilityURN, region, textarea.value));
+    }
+  });
+
+  refreshSaved('');
+  textarea.focus();
+}
@@ -0,0 +1,122 @@
+/**
+ * Scan Export UI
+ *
+ * Renders an export bar below the scan stub forms: pick CSV / JSON Lines / XLSX,
+ * optionally decode ref and xref columns to element names, and download.
+ * The file is built in the browser by scanExport.js.
+ */
+
+import { exportScanResult, countScanRows, ExportFormats } from '../scanExport.js';
+
+const formatLabels = {
+  [ExportFormats.CSV]: 'CSV',
+  [ExportFormats.JSONL]: 'JSON Lines',
+  [ExportFormats.XLSX]: 'Excel (.xlsx)'
+};
+
+/**
+ * Save a blob through a temporary download link
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled, or some browsers cancel the download
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Create a select with the export formats
+ * @returns {HTMLSelectElement}
+ */
+export function createFormatSelect() {
+  const select = document.createElement('select');
+  select.className = 'text-xs';
+  Object.values(ExportFormats).forEach(format => select.appendChild(new Option(formatLabels[format], format)));
+  return select;
+}
+
+/**
+ * Render the export bar for a scan result
+ * @param {object} result - Scan result returned by a scan stub
+ * @param {HTMLElement} container - Result container
+ * @param {object} options
+ * @param {string} options.region - Region header (for decoding refs)
+ * @param {Array<object>} options.models - Facility models (for model labels)
+ */
+export function renderScanExport(result, container, { region, models }) {
+  container.style.marginTop = '0.75rem';
+  container.style.padding = '0.5rem';
+  container.style.background = '#2a2a2a';
+  container.style.borderRadius = '0.25rem';
+  container.style.fontSize = '0.65rem';
+  container.style.lineHeight = '1.4';
+
+  const rowCount = result ? countScanRows(result) : 0;
+  const summary = document.createElement('div');
+  summary.style.color = '#9ca3af';
+  summary.textContent = rowCount > 0
+    ? `${rowCount} element(s) from ${result.models.length} model(s)${result.includeHistory ? ', with history' : ''}`
+    : 'Nothing to export - see console for details.';
+  container.appendChild(summary);
+  if (rowCount === 0) return;
+
+  const controls = document.createElement('div');
+  controls.style.display = 'flex';
+  controls.style.flexWrap = 'wrap';
+  controls.style.alignItems = 'center';
+  controls.style.gap = '0.375rem';
+  controls.style.marginTop = '0.375rem';
+
+  const formatSelect = createFormatSelect();
+
+  const decodeLabel = document.createElement('label');
+  decodeLabel.style.display = 'flex';
+  decodeLabel.style.alignItems = 'center';
+  decodeLabel.style.gap = '0.25rem';
+  decodeLabel.style.color = '#d1d5db';
+  decodeLabel.title = 'Write referenced element names instead of packed keys (one extra scan per referenced model)';
+  const decodeCheckbox = document.createElement('input');
+  decodeCheckbox.type = 'checkbox';
+  decodeLabel.appendChild(decodeCheckbox);
+  decodeLabel.appendChild(document.createTextNode('Decode refs to names'));
+
+  const downloadBtn = document.createElement('button');
+  downloadBtn.textContent = 'Download';
+  downloadBtn.className = 'text-xs';
+
+  const status = document.createElement('div');
+  status.style.color = '#9ca3af';
+  status.style.marginTop = '0.25rem';
+
+  downloadBtn.addEventListener('click', async () => {
+    downloadBtn.disabled = true;
+    status.textContent = decodeCheckbox.checked ? 'Looking up referenced elements...' : '';
+    try {
+      const { blob, filename, rowCount: exportedRows } = await exportScanResult(result, formatSelect.value, {
+        models,
+        region,
+        decodeRefs: decodeCheckbox.checked
+      });
+      downloadBlob(blob, filename);
+      status.textContent = `Saved ${filename} (${exportedRows} row(s))`;
+    } catch (error) {
+      console.error('Error:', error);
+      status.textContent = `Export failed: ${error.message}`;
+    } finally {
+      downloadBtn.disabled = false;
+    }
+  });
+
+  controls.appendChild(formatSelect);
+  controls.appendChild(decodeLabel);
+  controls.appendChild(downloadBtn);
+  container.appendChild(controls);
+  container.appendChild(status);
+}
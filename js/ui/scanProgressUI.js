@@ -0,0 +1,161 @@
+/**
+ * Scan Progress UI
+ *
+ * Small floating box shown while full-model scans run (see js/scanner.js): one line
+ * per model with bytes received, rows parsed and whether it's finished, plus a Cancel
+ * button that aborts every outstanding read of the running STUB.
+ */
+
+import { onScanProgress, ScanStatus } from '../scanner.js';
+import { cancelActiveStub, getActiveStub, onActiveStubChanged } from '../state/requestLog.js';
+
+// How long the box stays up after the last scan finished
+const HIDE_DELAY_MS = 4000;
+
+const statusLabels = {
+  [ScanStatus.Running]: '',
+  [ScanStatus.Done]: '✓',
+  [ScanStatus.Failed]: 'failed',
+  [ScanStatus.Cancelled]: 'cancelled'
+};
+
+const statusClasses = {
+  [ScanStatus.Running]: 'text-dark-text-secondary',
+  [ScanStatus.Done]: 'text-green-400',
+  [ScanStatus.Failed]: 'text-red-400',
+  [ScanStatus.Cancelled]: 'text-yellow-400'
+};
+
+let elements = null;
+let modelLabels = new Map();
+let latestStates = [];
+let renderScheduled = false;
+let hideTimer = null;
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Tell the display which label to show for each model URN
+ * @param {Array<object>} models - Facility models (links with modelId and label)
+ */
+export function setScanModelLabels(models) {
+  modelLabels = new Map((models || []).map(model => [model.modelId, model.label || 'Default Model']));
+}
+
+/**
+ * Create one line of the scan list
+ * @param {object} state - Scan state from scanner.js
+ * @returns {HTMLElement}
+ */
+function createScanLine(state) {
+  const line = document.createElement('div');
+  line.className = 'mb-1.5';
+
+  const header = document.createElement('div');
+  header.className = 'flex justify-between gap-2';
+  const name = document.createElement('span');
+  name.className = 'truncate text-dark-text';
+  name.textContent = modelLabels.get(state.modelURN) || state.modelURN || 'Scan';
+  name.title = state.modelURN || '';
+  const status = document.createElement('span');
+  status.className = `whitespace-nowrap ${statusClasses[state.status]}`;
+  const size = state.totalBytes ? `${formatBytes(state.bytesReceived)} / ${formatBytes(state.totalBytes)}` : formatBytes(state.bytesReceived);
+  status.textContent = `${size} · ${state.rowsParsed.toLocaleString()} rows ${statusLabels[state.status]}`.trim();
+  header.appendChild(name);
+  header.appendChild(status);
+  line.appendChild(header);
+
+  // A bar only makes sense when the server sent the size
+  if (state.totalBytes && state.status === ScanStatus.Running) {
+    const track = document.createElement('div');
+    track.className = 'h-1 mt-0.5 rounded bg-dark-bg overflow-hidden';
+    const bar = document.createElement('div');
+    bar.className = 'h-full bg-tandem-blue';
+    bar.style.width = `${Math.min(100, (state.bytesReceived / state.totalBytes) * 100).toFixed(1)}%`;
+    track.appendChild(bar);
+    line.appendChild(track);
+  }
+  return line;
+}
+
+/**
+ * Redraw the box from the latest scan states
+ */
+function render() {
+  renderScheduled = false;
+  const { container, title, list, cancelBtn } = elements;
+
+  if (latestStates.length === 0) {
+    container.classList.add('hidden');
+    return;
+  }
+
+  const running = latestStates.filter(state => state.status === ScanStatus.Running).length;
+  const finished = latestStates.length - running;
+  title.textContent = running > 0
+    ? `Scanning - ${finished} of ${latestStates.length} model(s) done`
+    : `Scans finished (${latestStates.length})`;
+
+  list.innerHTML = '';
+  latestStates.forEach(state => list.appendChild(createScanLine(state)));
+
+  cancelBtn.disabled = running === 0 || !getActiveStub();
+  container.classList.remove('hidden');
+
+  clearTimeout(hideTimer);
+  if (running === 0) {
+    hideTimer = setTimeout(() => container.classList.add('hidden'), HIDE_DELAY_MS);
+  }
+}
+
+/**
+ * Redraw at most once per frame - progress arrives every 100 ms per scan
+ */
+function scheduleRender() {
+  if (!renderScheduled) {
+    renderScheduled = true;
+    requestAnimationFrame(render);
+  }
+}
+
+/**
+ * Render the scan progress box and start listening to scans
+ * @param {HTMLElement} container - Floating container (hidden until a scan runs)
+ */
+export function initScanProgress(container) {
+  container.innerHTML = `
+    <div class="flex items-center justify-between mb-2">
+      <span data-role="title" class="font-semibold text-dark-text"></span>
+      <button data-role="cancel" class="px-2 py-0.5 rounded border border-dark-border text-dark-text hover:border-red-400 disabled:opacity-40"
+              title="Abort the outstanding requests of the running STUB">Cancel</button>
+    </div>
+    <div data-role="list" class="max-h-48 overflow-y-auto"></div>
+  `;
+
+  elements = {
+    container,
+    title: container.querySelector('[data-role="title"]'),
+    list: container.querySelector('[data-role="list"]'),
+    cancelBtn: container.querySelector('[data-role="cancel"]')
+  };
+
+  elements.cancelBtn.addEventListener('click', () => {
+    cancelActiveStub();
+    elements.cancelBtn.disabled = true;
+  });
+
+  onScanProgress(states => {
+    latestStates = states;
+    scheduleRender();
+  });
+  onActiveStubChanged(scheduleRender);
+}
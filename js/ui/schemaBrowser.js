@@ -0,0 +1,362 @@
+/**
+ * Schema Browser
+ *
+ * Panel for looking at the cached model schemas (see state/schemaCache.js):
+ * - Attributes: every attribute of every model, searchable and sortable
+ * - Diff: properties whose qualified ID or data type differs between the facility's models
+ *
+ * Works only from the in-memory cache - no API calls. Use "Refresh Schema Cache"
+ * in Model Stubs if a schema changed since the facility was loaded.
+ */
+
+import { getSchemaCache, getSchemaDiff, areSchemasLoaded } from '../state/schemaCache.js';
+import { AttributeContext } from '../../tandem/constants.js';
+import { getAttributeTypeName } from '../../tandem/attributes.js';
+import { openPanel, createPanelButton } from './panels.js';
+
+// Rendering thousands of rows makes the panel sluggish; search narrows it down
+const MAX_ROWS = 1000;
+
+const inputClass = 'rounded border border-dark-border bg-dark-bg text-dark-text text-xs py-1 px-2 focus:border-tandem-blue focus:outline-none';
+
+const attributeColumns = [
+  { key: 'model', label: 'Model' },
+  { key: 'category', label: 'Category' },
+  { key: 'name', label: 'Name' },
+  { key: 'id', label: 'Qualified ID', mono: true },
+  { key: 'type', label: 'Data Type' },
+  { key: 'unit', label: 'Unit' },
+  { key: 'context', label: 'Context' },
+  { key: 'flags', label: 'Flags', mono: true }
+];
+
+/**
+ * Get the AttributeType name for a data type code
+ * @param {number} dataType
+ * @returns {string} e.g. "Double (3)"
+ */
+function describeDataType(dataType) {
+  return `${getAttributeTypeName(dataType)} (${dataType})`;
+}
+
+/**
+ * Get the unit name out of a dataTypeContext (e.g. "autodesk.unit.unit:watts-1.0.0" -> "watts")
+ * @param {string} [dataTypeContext]
+ * @returns {string}
+ */
+function describeUnit(dataTypeContext) {
+  if (!dataTypeContext) return '';
+  const match = dataTypeContext.match(/:([a-zA-Z]+)/);
+  return match ? match[1] : dataTypeContext;
+}
+
+/**
+ * Get the AttributeContext name ("Element" / "Type")
+ * @param {string} [context]
+ * @returns {string}
+ */
+function describeContext(context) {
+  if (!context) return '';
+  return Object.keys(AttributeContext).find(key => AttributeContext[key] === context) ?? context;
+}
+
+/**
+ * Get a short label for a model
+ * @param {Map<string, string>} labels - modelURN -> label
+ * @param {string} modelURN
+ * @returns {string}
+ */
+function modelLabel(labels, modelURN) {
+  return labels.get(modelURN) || modelURN.replace('urn:adsk.dtm:', '');
+}
+
+/**
+ * Flatten the schema cache into table rows
+ * @param {Map<string, string>} labels - modelURN -> label
+ * @returns {Array<object>}
+ */
+function buildAttributeRows(labels) {
+  const rows = [];
+  for (const [modelURN, schema] of Object.entries(getSchemaCache())) {
+    for (const attr of schema.attributes) {
+      rows.push({
+        modelURN,
+        model: modelLabel(labels, modelURN),
+        category: attr.category || '',
+        name: attr.name || '',
+        id: attr.id,
+        type: describeDataType(attr.dataType),
+        dataType: attr.dataType,
+        unit: describeUnit(attr.dataTypeContext),
+        dataTypeContext: attr.dataTypeContext || '',
+        context: describeContext(attr.context),
+        flags: attr.flags ? `0x${(attr.flags >>> 0).toString(16)}` : ''
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Check whether any of the given fields contains the search text
+ * @param {string} search - Lowercase search text
+ * @param {Array<string>} fields
+ * @returns {boolean}
+ */
+function matchesSearch(search, fields) {
+  return !search || fields.some(field => field && field.toLowerCase().includes(search));
+}
+
+/**
+ * Create a table with a header row
+ * @param {Array<{label: string, onClick?: Function, indicator?: string}>} headers
+ * @returns {{table: HTMLTableElement, tbody: HTMLTableSectionElement}}
+ */
+function createTable(headers) {
+  const table = document.createElement('table');
+  table.className = 'w-full border-collapse';
+
+  const thead = document.createElement('thead');
+  const headRow = document.createElement('tr');
+  headers.forEach(header => {
+    const th = document.createElement('th');
+    th.className = 'sticky top-0 bg-dark-card text-left font-semibold text-dark-text-secondary px-2 py-1 border-b border-dark-border whitespace-nowrap';
+    th.textContent = header.label + (header.indicator || '');
+    if (header.onClick) {
+      th.classList.add('cursor-pointer', 'hover:text-dark-text');
+      th.addEventListener('click', header.onClick);
+    }
+    headRow.appendChild(th);
+  });
+  thead.appendChild(headRow);
+
+  const tbody = document.createElement('tbody');
+  table.appendChild(thead);
+  table.appendChild(tbody);
+  return { table, tbody };
+}
+
+/**
+ * Create a table cell
+ * @param {string} text
+ * @param {string} [className]
+ * @returns {HTMLTableCellElement}
+ */
+function createCell(text, className = '') {
+  const td = document.createElement('td');
+  td.className = `px-2 py-0.5 border-b border-dark-border align-top ${className}`;
+  td.textContent = text;
+  return td;
+}
+
+/**
+ * Add a summary line above a table
+ * @param {HTMLElement} container
+ * @param {string} text
+ */
+function addSummary(container, text) {
+  const summary = document.createElement('p');
+  summary.className = 'text-dark-text-secondary mb-2';
+  summary.textContent = text;
+  container.appendChild(summary);
+}
+
+/**
+ * Render the Attributes tab
+ * @param {HTMLElement} container
+ * @param {Array<object>} allRows - From buildAttributeRows()
+ * @param {object} state - Shared browser state (search, modelFilter, sortKey, sortDir)
+ * @param {Function} rerender
+ */
+function renderAttributes(container, allRows, state, rerender) {
+  const search = state.search.toLowerCase();
+  const rows = allRows
+    .filter(row => !state.modelFilter || row.modelURN === state.modelFilter)
+    .filter(row => matchesSearch(search, [row.category, row.name, row.id, row.type, row.unit]));
+
+  const dir = state.sortDir === 'asc' ? 1 : -1;
+  rows.sort((a, b) => dir * String(a[state.sortKey]).localeCompare(String(b[state.sortKey]), undefined, { sensitivity: 'base', numeric: true }));
+
+  addSummary(container, rows.length > MAX_ROWS
+    ? `Showing ${MAX_ROWS} of ${rows.length} attributes - refine the search to see the rest.`
+    : `${rows.length} of ${allRows.length} attributes`);
+
+  const { table, tbody } = createTable(attributeColumns.map(column => ({
+    label: column.label,
+    indicator: state.sortKey === column.key ? (state.sortDir === 'asc' ? ' ▲' : ' ▼') : '',
+    onClick: () => {
+      if (state.sortKey === column.key) {
+        state.sortDir = state.sortDir === 'asc' ? 'desc' : 'asc';
+      } else {
+        state.sortKey = column.key;
+        state.sortDir = 'asc';
+      }
+      rerender();
+    }
+  })));
+
+  const fragment = document.createDocumentFragment();
+  rows.slice(0, MAX_ROWS).forEach(row => {
+    const tr = document.createElement('tr');
+    tr.className = 'hover:bg-dark-bg';
+    attributeColumns.forEach(column => {
+      const td = createCell(row[column.key], column.mono ? 'font-mono select-all' : '');
+      if (column.key === 'unit' && row.dataTypeContext) {
+        td.title = row.dataTypeContext;
+      }
+      tr.appendChild(td);
+    });
+    fragment.appendChild(tr);
+  });
+  tbody.appendChild(fragment);
+  container.appendChild(table);
+}
+
+/**
+ * Render the Diff tab
+ * @param {HTMLElement} container
+ * @param {Array<string>} modelURNs - Models being compared
+ * @param {Map<string, string>} labels - modelURN -> label
+ * @param {object} state - Shared browser state (search, showMissing)
+ */
+function renderDiff(container, modelURNs, labels, state) {
+  if (modelURNs.length < 2) {
+    addSummary(container, 'Only one model has a cached schema - nothing to compare.');
+    return;
+  }
+
+  const diff = getSchemaDiff(modelURNs);
+  const idConflicts = diff.filter(entry => entry.idDiffers).length;
+  const typeConflicts = diff.filter(entry => entry.typeDiffers).length;
+
+  const search = state.search.toLowerCase();
+  const entries = diff
+    .filter(entry => entry.idDiffers || entry.typeDiffers || (state.showMissing && entry.missingIn.length > 0))
+    .filter(entry => matchesSearch(search, [entry.category, entry.name, ...Array.from(entry.attrs.values(), attr => attr.id)]));
+
+  addSummary(container, `${diff.length} properties across ${modelURNs.length} models: ` +
+    `${idConflicts} with different qualified IDs, ${typeConflicts} with different data types. ` +
+    'Differing values are highlighted.');
+
+  if (entries.length === 0) {
+    addSummary(container, 'No differences found.');
+    return;
+  }
+
+  const { table, tbody } = createTable([
+    { label: 'Category' },
+    { label: 'Name' },
+    ...modelURNs.map(urn => ({ label: modelLabel(labels, urn) }))
+  ]);
+
+  const fragment = document.createDocumentFragment();
+  entries.slice(0, MAX_ROWS).forEach(entry => {
+    const tr = document.createElement('tr');
+    tr.className = 'hover:bg-dark-bg';
+    tr.appendChild(createCell(entry.category));
+    tr.appendChild(createCell(entry.name));
+
+    modelURNs.forEach(urn => {
+      const attr = entry.attrs.get(urn);
+      if (!attr) {
+        tr.appendChild(createCell('—', 'text-dark-text-secondary'));
+        return;
+      }
+
+      const td = createCell('');
+      const idEl = document.createElement('span');
+      idEl.className = `font-mono select-all ${entry.idDiffers ? 'text-yellow-400' : ''}`;
+      idEl.textContent = attr.id;
+      const typeEl = document.createElement('span');
+      typeEl.className = `ml-2 ${entry.typeDiffers ? 'text-red-400' : 'text-dark-text-secondary'}`;
+      typeEl.textContent = describeDataType(attr.dataType);
+      td.appendChild(idEl);
+      td.appendChild(typeEl);
+      tr.appendChild(td);
+    });
+    fragment.appendChild(tr);
+  });
+  tbody.appendChild(fragment);
+  container.appendChild(table);
+}
+
+/**
+ * Open the schema browser
+ * @param {Array<object>} models - Facility models (links with modelId and label), used for labels and column order
+ */
+export function openSchemaBrowser(models = []) {
+  const { toolbar, body } = openPanel({ title: 'Schema Browser' });
+
+  if (!areSchemasLoaded()) {
+    addSummary(body, 'No schemas loaded yet - select a facility first.');
+    return;
+  }
+
+  const labels = new Map(models.map(model => [model.modelId, model.label || '(default model)']));
+  const cachedURNs = Object.keys(getSchemaCache());
+  // Facility order first, then anything else that happens to be cached
+  const modelURNs = [
+    ...models.map(model => model.modelId).filter(urn => cachedURNs.includes(urn)),
+    ...cachedURNs.filter(urn => !labels.has(urn))
+  ];
+  const allRows = buildAttributeRows(labels);
+
+  const state = {
+    tab: 'attributes',
+    search: '',
+    modelFilter: '',
+    sortKey: 'category',
+    sortDir: 'asc',
+    showMissing: false
+  };
+
+  // Toolbar: tabs, search and per-tab filters
+  const attributesTab = createPanelButton('Attributes');
+  const diffTab = createPanelButton('Diff');
+
+  const searchInput = document.createElement('input');
+  searchInput.type = 'search';
+  searchInput.placeholder = 'Search category, name, ID...';
+  searchInput.className = `${inputClass} w-56`;
+
+  const modelSelect = document.createElement('select');
+  modelSelect.className = inputClass;
+  modelSelect.appendChild(new Option('All models', ''));
+  modelURNs.forEach(urn => modelSelect.appendChild(new Option(modelLabel(labels, urn), urn)));
+
+  const missingLabel = document.createElement('label');
+  missingLabel.className = 'flex items-center space-x-1 text-dark-text-secondary';
+  const missingCheckbox = document.createElement('input');
+  missingCheckbox.type = 'checkbox';
+  const missingText = document.createElement('span');
+  missingText.textContent = 'Include missing';
+  missingLabel.title = 'Also list properties that exist in some models only';
+  missingLabel.appendChild(missingCheckbox);
+  missingLabel.appendChild(missingText);
+
+  [attributesTab, diffTab, searchInput, modelSelect, missingLabel].forEach(el => toolbar.appendChild(el));
+
+  function render() {
+    const isDiff = state.tab === 'diff';
+    attributesTab.classList.toggle('bg-dark-bg', !isDiff);
+    diffTab.classList.toggle('bg-dark-bg', isDiff);
+    modelSelect.classList.toggle('hidden', isDiff);
+    missingLabel.classList.toggle('hidden', !isDiff);
+
+    body.innerHTML = '';
+    if (isDiff) {
+      renderDiff(body, modelURNs, labels, state);
+    } else {
+      renderAttributes(body, allRows, state, render);
+    }
+  }
+
+  attributesTab.addEventListener('click', () => { state.tab = 'attributes'; render(); });
+  diffTab.addEventListener('click', () => { state.tab = 'diff'; render(); });
+  searchInput.addEventListener('input', () => { state.search = searchInput.value.trim(); render(); });
+  modelSelect.addEventListener('change', () => { state.modelFilter = modelSelect.value; render(); });
+  missingCheckbox.addEventListener('change', () => { state.showMissing = missingCheckbox.checked; render(); });
+
+  render();
+  searchInput.focus();
+}
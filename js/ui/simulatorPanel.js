@@ -0,0 +1,382 @@
+/**
+ * Stream Simulator Panel
+ *
+ * Pick streams and properties of the facility, give each one a profile (see
+ * stubs/simulatorStubs.js), then preview the values, backfill a historical window or
+ * post live on a timer. A live simulation outlives the panel: the small status box
+ * in the corner (initSimulatorStatus) shows its counter and can stop it.
+ */
+
+import {
+  PROFILE_PARAMS, getProfileDefaults, suggestProfile, generateSeries, backfillSimulation,
+  startLiveSimulation, stopLiveSimulation, getLiveSimulation, onLiveSimulationChanged
+} from '../stubs/simulatorStubs.js';
+import { ImportStatus } from '../stubs/timeseriesImportStubs.js';
+import { getStreamsFromDefaultModel } from '../stubs/streamStubs.js';
+import { getDefaultModelURN } from '../api.js';
+import { loadSchemaForModel } from '../state/schemaCache.js';
+import { beginStub, endStub, cancelActiveStub } from '../state/requestLog.js';
+import { AttributeType, QC } from '../../tandem/constants.js';
+import { getUnitLabel } from '../../tandem/attributes.js';
+import { openPanel, createPanelButton } from './panels.js';
+import { renderStreamChart } from './streamChart.js';
+
+const LOAD_STUB = 'Simulate Stream Values: Load';
+const BACKFILL_STUB = 'Simulate Stream Values: Backfill';
+
+const inputClass = 'rounded border border-dark-border bg-dark-bg text-dark-text text-xs py-1 px-2 focus:border-tandem-blue focus:outline-none';
+
+const intervals = [
+  { value: 5000, label: 'Every 5 s' },
+  { value: 30000, label: 'Every 30 s' },
+  { value: 60000, label: 'Every minute' },
+  { value: 300000, label: 'Every 5 min' },
+  { value: 900000, label: 'Every 15 min' },
+  { value: 3600000, label: 'Every hour' }
+];
+
+const NUMERIC_TYPES = [AttributeType.Integer, AttributeType.Double, AttributeType.Float];
+
+/**
+ * Add a line of text
+ * @param {HTMLElement} container
+ * @param {string} text
+ * @param {string} [className]
+ */
+function addMessage(container, text, className = 'text-dark-text-secondary') {
+  const p = document.createElement('p');
+  p.className = `mb-2 ${className}`;
+  p.textContent = text;
+  container.appendChild(p);
+}
+
+/**
+ * Create a select with options
+ * @param {Array<{value: string, label: string}>} options
+ * @param {string} [value]
+ * @returns {HTMLSelectElement}
+ */
+function createSelect(options, value) {
+  const select = document.createElement('select');
+  select.className = inputClass;
+  options.forEach(option => select.appendChild(new Option(option.label, option.value)));
+  if (value !== undefined) select.value = value;
+  return select;
+}
+
+/**
+ * Format a date for a datetime-local input
+ * @param {number} ms - Epoch milliseconds
+ * @returns {string}
+ */
+function toLocalInputValue(ms) {
+  const date = new Date(ms);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+}
+
+/**
+ * One line describing a running live simulation
+ * @param {object} state - From getLiveSimulation()
+ * @returns {string}
+ */
+function describeLive(state) {
+  const last = state.lastTickAt ? `, last at ${new Date(state.lastTickAt).toLocaleTimeString()}` : '';
+  const failed = state.failedPosts > 0 ? `, ${state.failedPosts} failed POST(s)` : '';
+  return `Live: ${state.pointsSent.toLocaleString()} point(s) sent in ${state.ticks} tick(s) ` +
+    `(${state.channels.length} channel(s) every ${state.intervalMs / 1000} s${last}${failed})`;
+}
+
+/**
+ * Render one channel row: stream, property, profile and the profile's parameters
+ * @param {object} channel - Editable channel state { streamKey, propertyId, profile, params }
+ * @param {object} options - { streams: [{key, name}], properties: [{id, name, category, unit}] }
+ * @param {Function} onRemove
+ * @returns {HTMLElement}
+ */
+function createChannelRow(channel, { streams, properties }, onRemove) {
+  const row = document.createElement('div');
+  row.className = 'flex flex-wrap items-center gap-2 mb-2 pb-2 border-b border-dark-border';
+
+  const streamSelect = createSelect(streams.map(s => ({ value: s.key, label: s.name })), channel.streamKey);
+  streamSelect.addEventListener('change', () => { channel.streamKey = streamSelect.value; });
+
+  const propertySelect = createSelect(properties.map(p => ({
+    value: p.id,
+    label: `${p.category}.${p.name}${p.unit ? ` (${p.unit})` : ''}`
+  })), channel.propertyId);
+
+  const profileSelect = createSelect(Object.entries(PROFILE_PARAMS).map(([value, { label }]) => ({ value, label })), channel.profile);
+  const paramsContainer = document.createElement('div');
+  paramsContainer.className = 'flex flex-wrap items-center gap-2';
+
+  function renderParams() {
+    paramsContainer.innerHTML = '';
+    PROFILE_PARAMS[channel.profile].params.forEach(param => {
+      const label = document.createElement('label');
+      label.className = 'flex items-center space-x-1 text-dark-text-secondary';
+      const name = document.createElement('span');
+      name.textContent = param.label;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = 'any';
+      input.value = channel.params[param.id];
+      input.className = `${inputClass} w-20`;
+      input.addEventListener('input', () => { channel.params[param.id] = input.value === '' ? NaN : Number(input.value); });
+      label.appendChild(name);
+      label.appendChild(input);
+      paramsContainer.appendChild(label);
+    });
+  }
+
+  // A new property starts from the profile that suits its unit
+  propertySelect.addEventListener('change', () => {
+    channel.propertyId = propertySelect.value;
+    const suggestion = suggestProfile(properties.find(p => p.id === channel.propertyId)?.unit);
+    channel.profile = suggestion.profile;
+    channel.params = suggestion.params;
+    profileSelect.value = channel.profile;
+    renderParams();
+  });
+  profileSelect.addEventListener('change', () => {
+    channel.profile = profileSelect.value;
+    channel.params = getProfileDefaults(channel.profile);
+    renderParams();
+  });
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.title = 'Remove channel';
+  removeBtn.className = 'ml-auto text-dark-text-secondary hover:text-red-400 text-base leading-none';
+  removeBtn.textContent = '×';
+  removeBtn.addEventListener('click', onRemove);
+
+  renderParams();
+  [streamSelect, propertySelect, profileSelect, paramsContainer, removeBtn].forEach(el => row.appendChild(el));
+  return row;
+}
+
+/**
+ * Open the stream simulator
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region header
+ */
+export function openSimulatorPanel(facilityURN, region) {
+  let unsubscribe = null;
+  const { toolbar, body } = openPanel({
+    title: 'Stream Simulator',
+    onClose: () => unsubscribe?.()
+  });
+
+  if (!facilityURN) {
+    addMessage(body, 'Select a facility first.');
+    return;
+  }
+
+  let streams = [];
+  let properties = [];
+  let channels = [];
+  let backfilling = false;
+
+  // Toolbar: interval and the three actions
+  const intervalSelect = createSelect(intervals.map(({ value, label }) => ({ value: String(value), label })), '300000');
+  const previewBtn = createPanelButton('Preview');
+  const backfillBtn = createPanelButton('Backfill');
+  const liveBtn = createPanelButton('Start live', true);
+  [intervalSelect, previewBtn, backfillBtn, liveBtn].forEach(el => toolbar.appendChild(el));
+
+  // Body: channels, backfill window, status, preview chart
+  const channelList = document.createElement('div');
+  channelList.className = 'mb-2';
+  const addBtn = createPanelButton('+ Add channel');
+  addBtn.classList.add('mb-3');
+
+  const windowRow = document.createElement('div');
+  windowRow.className = 'flex flex-wrap items-center gap-2 mb-3 text-dark-text-secondary';
+  const fromInput = document.createElement('input');
+  fromInput.type = 'datetime-local';
+  fromInput.className = inputClass;
+  fromInput.value = toLocalInputValue(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const toInput = document.createElement('input');
+  toInput.type = 'datetime-local';
+  toInput.className = inputClass;
+  toInput.value = toLocalInputValue(Date.now());
+  windowRow.append('Backfill and preview window from', fromInput, 'to', toInput);
+
+  const status = document.createElement('div');
+  const messages = document.createElement('div');
+  const chartContainer = document.createElement('div');
+  [channelList, addBtn, windowRow, status, messages, chartContainer].forEach(el => body.appendChild(el));
+
+  /**
+   * Channels in the shape simulatorStubs expects
+   * @returns {Array<object>}
+   */
+  function getChannels() {
+    return channels.map(channel => {
+      const stream = streams.find(s => s.key === channel.streamKey);
+      return {
+        streamKey: channel.streamKey,
+        streamName: stream?.name,
+        property: properties.find(p => p.id === channel.propertyId),
+        profile: channel.profile,
+        params: channel.params
+      };
+    });
+  }
+
+  function getWindow() {
+    return {
+      from: new Date(fromInput.value).getTime(),
+      to: new Date(toInput.value).getTime(),
+      intervalMs: parseInt(intervalSelect.value, 10)
+    };
+  }
+
+  function renderChannels() {
+    channelList.innerHTML = '';
+    if (channels.length === 0) addMessage(channelList, 'No channels - add one below.');
+    channels.forEach(channel => {
+      channelList.appendChild(createChannelRow(channel, { streams, properties }, () => {
+        channels = channels.filter(c => c !== channel);
+        renderChannels();
+      }));
+    });
+  }
+
+  // Next channel: the first stream/property pair that isn't simulated yet
+  function addChannel() {
+    const used = new Set(channels.map(c => `${c.streamKey}/${c.propertyId}`));
+    const pair = streams.flatMap(s => properties.map(p => ({ stream: s, property: p })))
+      .find(({ stream, property }) => !used.has(`${stream.key}/${property.id}`));
+    const stream = pair?.stream ?? streams[0];
+    const property = pair?.property ?? properties[0];
+    channels.push({ streamKey: stream.key, propertyId: property.id, ...suggestProfile(property.unit) });
+    renderChannels();
+  }
+
+  function renderStatus(live = getLiveSimulation()) {
+    status.innerHTML = '';
+    if (live) {
+      addMessage(status, describeLive(live), 'text-green-400');
+      if (live.lastError) addMessage(status, live.lastError, 'text-red-400');
+    }
+    liveBtn.textContent = live ? 'Stop live' : 'Start live';
+    backfillBtn.textContent = backfilling ? 'Stop backfill' : 'Backfill';
+    previewBtn.disabled = backfilling;
+  }
+
+  function renderBackfill(plan) {
+    const items = plan.streams.reduce((sum, s) => sum + s.items.length, 0);
+    const posted = plan.streams.reduce((sum, s) => sum + s.postedItems, 0);
+    const points = plan.streams.reduce((sum, s) => sum + s.postedItems * s.channelCount, 0);
+    messages.innerHTML = '';
+    plan.errors.forEach(error => addMessage(messages, error, 'text-red-400'));
+    if (plan.streams.length === 0) return;
+    addMessage(messages, `Backfill: ${posted.toLocaleString()}/${items.toLocaleString()} item(s) posted, ${points.toLocaleString()} point(s)`);
+    plan.streams.forEach(stream => {
+      const className = stream.status === ImportStatus.Posted ? 'text-green-400'
+        : stream.status === ImportStatus.Ready ? 'text-dark-text-secondary' : 'text-yellow-400';
+      addMessage(messages, `${stream.name}: ${stream.postedItems}/${stream.items.length} ${stream.status}`, className);
+      stream.errors.forEach(error => addMessage(messages, error, 'text-red-400'));
+    });
+  }
+
+  async function load() {
+    addMessage(channelList, 'Loading streams and properties...');
+    beginStub(LOAD_STUB);
+    try {
+      const [rows, schema] = await Promise.all([
+        getStreamsFromDefaultModel(facilityURN, region),
+        loadSchemaForModel(getDefaultModelURN(facilityURN), region)
+      ]);
+      streams = rows.map(row => ({ key: row[QC.Key], name: row[QC.Name]?.[0] || row[QC.Key] }));
+      properties = schema.attributes
+        .filter(attr => attr.fam === 'z' && NUMERIC_TYPES.includes(attr.dataType))
+        .map(attr => ({ id: attr.id, name: attr.name, category: attr.category, unit: getUnitLabel(attr.dataTypeContext) }))
+        .sort((a, b) => `${a.category}.${a.name}`.localeCompare(`${b.category}.${b.name}`));
+
+      channelList.innerHTML = '';
+      if (streams.length === 0 || properties.length === 0) {
+        addMessage(channelList, streams.length === 0
+          ? 'No streams in the default model - create one first.'
+          : 'The default model has no numeric user properties to simulate.', 'text-yellow-400');
+        [previewBtn, backfillBtn, liveBtn, addBtn].forEach(btn => { btn.disabled = true; });
+        return;
+      }
+      addChannel();
+    } catch (error) {
+      channelList.innerHTML = '';
+      addMessage(channelList, error.message, 'text-red-400');
+    } finally {
+      endStub(LOAD_STUB);
+    }
+  }
+
+  previewBtn.addEventListener('click', () => {
+    messages.innerHTML = '';
+    chartContainer.innerHTML = '';
+    try {
+      renderStreamChart(chartContainer, generateSeries(getChannels(), getWindow()));
+    } catch (error) {
+      addMessage(messages, error.message, 'text-red-400');
+    }
+  });
+
+  backfillBtn.addEventListener('click', async () => {
+    if (backfilling) {
+      cancelActiveStub();
+      return;
+    }
+    messages.innerHTML = '';
+    backfilling = true;
+    renderStatus();
+    beginStub(BACKFILL_STUB);
+    try {
+      const plan = await backfillSimulation(facilityURN, region, getChannels(), getWindow(), renderBackfill);
+      renderBackfill(plan);
+    } finally {
+      endStub(BACKFILL_STUB);
+      backfilling = false;
+      renderStatus();
+    }
+  });
+
+  liveBtn.addEventListener('click', () => {
+    if (getLiveSimulation()) {
+      stopLiveSimulation();
+      return;
+    }
+    messages.innerHTML = '';
+    const errors = startLiveSimulation(facilityURN, region, getChannels(), parseInt(intervalSelect.value, 10));
+    errors.forEach(error => addMessage(messages, error, 'text-red-400'));
+  });
+
+  addBtn.addEventListener('click', addChannel);
+  unsubscribe = onLiveSimulationChanged(renderStatus);
+
+  renderStatus();
+  load();
+}
+
+/**
+ * Render the corner box that shows a running live simulation
+ * @param {HTMLElement} container - Floating container (hidden while no simulation runs)
+ */
+export function initSimulatorStatus(container) {
+  container.innerHTML = `
+    <div class="flex items-center justify-between gap-2">
+      <span data-role="text" class="text-dark-text"></span>
+      <button data-role="stop" class="px-2 py-0.5 rounded border border-dark-border text-dark-text hover:border-red-400"
+              title="Stop posting simulated values">Stop</button>
+    </div>
+  `;
+
+  const text = container.querySelector('[data-role="text"]');
+  container.querySelector('[data-role="stop"]').addEventListener('click', stopLiveSimulation);
+
+  onLiveSimulationChanged(live => {
+    container.classList.toggle('hidden', !live);
+    if (live) text.textContent = describeLive(live);
+  });
+}
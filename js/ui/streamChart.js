@@ -0,0 +1,463 @@
+/**
+ * Stream Chart
+ *
+ * SVG line chart for stream values (see getStreamSeries in stubs/streamStubs.js).
+ * Series with the same unit share a pane and a y axis; all panes share the time
+ * axis. Scroll to zoom around the cursor, drag to pan, double-click (or Reset zoom)
+ * to see the whole range again. Hovering shows the exact timestamp and value of the
+ * nearest point of every series; clicking a legend entry hides or shows its series.
+ *
+ * Drawn with plain SVG - no charting library and no external service.
+ */
+
+import { createPanelButton } from './panels.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const PALETTE = ['#60a5fa', '#f59e0b', '#34d399', '#f472b6', '#a78bfa', '#f87171', '#2dd4bf', '#facc15'];
+
+const PANE_HEIGHT = 180;
+const PANE_GAP = 12;
+const MARGIN = { top: 8, right: 16, bottom: 24, left: 64 };  // bottom holds the time axis labels
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Smallest time span you can zoom into
+const MIN_SPAN_MS = 5 * MINUTE_MS;
+
+// Time axis steps, smallest first; the first one that leaves ~100px per label wins
+const TIME_STEPS = [MINUTE_MS, 5 * MINUTE_MS, 15 * MINUTE_MS, 30 * MINUTE_MS, HOUR_MS, 3 * HOUR_MS, 6 * HOUR_MS,
+  12 * HOUR_MS, DAY_MS, 2 * DAY_MS, 7 * DAY_MS, 14 * DAY_MS, 30 * DAY_MS, 91 * DAY_MS, 365 * DAY_MS];
+
+let chartCount = 0;  // keeps clip path IDs unique when several charts are open
+
+/**
+ * Create an SVG element
+ * @param {string} tag
+ * @param {object} [attrs]
+ * @param {string} [text] - Text content
+ * @returns {SVGElement}
+ */
+function svgEl(tag, attrs = {}, text) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+/**
+ * Round numbers for the y axis (1, 2 or 5 times a power of ten apart)
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [count=5] - Roughly how many ticks
+ * @returns {Array<number>}
+ */
+function valueTicks(min, max, count = 5) {
+  const rough = (max - min) / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 5, 10].map(f => f * magnitude).find(s => s >= rough);
+  const ticks = [];
+  for (let value = Math.ceil(min / step) * step; value <= max; value += step) {
+    ticks.push(Number(value.toPrecision(12)));
+  }
+  return ticks;
+}
+
+/**
+ * Label for a time axis tick
+ * @param {number} timestamp
+ * @param {number} step - Tick step in ms
+ * @returns {string}
+ */
+function formatTick(timestamp, step) {
+  const date = new Date(timestamp);
+  const isMidnight = date.getHours() === 0 && date.getMinutes() === 0;
+  if (step >= DAY_MS || isMidnight) {
+    return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  }
+  return date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Index of the first point at or after a timestamp
+ * @param {Array<[number, number]>} points - Ascending by timestamp
+ * @param {number} timestamp
+ * @returns {number}
+ */
+function lowerBound(points, timestamp) {
+  let lo = 0;
+  let hi = points.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid][0] < timestamp) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Point closest in time
+ * @param {Array<[number, number]>} points - Ascending by timestamp
+ * @param {number} timestamp
+ * @returns {[number, number]}
+ */
+function nearestPoint(points, timestamp) {
+  const index = lowerBound(points, timestamp);
+  if (index === 0) return points[0];
+  if (index === points.length) return points[points.length - 1];
+  const before = points[index - 1];
+  const after = points[index];
+  return timestamp - before[0] <= after[0] - timestamp ? before : after;
+}
+
+/**
+ * Points to draw for a time range: the ones inside plus one on each side, so lines
+ * run to the edge. Long ranges keep only the first, lowest, highest and last point
+ * per pixel column - what a line that dense would show anyway.
+ * @param {Array<[number, number]>} points
+ * @param {number} from
+ * @param {number} to
+ * @param {number} columns - Plot width in pixels
+ * @returns {Array<[number, number]>}
+ */
+function visiblePoints(points, from, to, columns) {
+  const start = Math.max(0, lowerBound(points, from) - 1);
+  const end = Math.min(points.length, lowerBound(points, to) + 1);
+  const visible = points.slice(start, end);
+  if (visible.length <= columns * 4) return visible;
+
+  const reduced = [];
+  const msPerColumn = (to - from) / columns;
+  let bucket = [];
+  let bucketColumn = null;
+  const flush = () => {
+    if (bucket.length === 0) return;
+    let low = bucket[0];
+    let high = bucket[0];
+    bucket.forEach(point => {
+      if (point[1] < low[1]) low = point;
+      if (point[1] > high[1]) high = point;
+    });
+    const picked = new Set([bucket[0], low, high, bucket[bucket.length - 1]]);
+    bucket.filter(point => picked.has(point)).forEach(point => reduced.push(point));
+  };
+  visible.forEach(point => {
+    const column = Math.floor((point[0] - from) / msPerColumn);
+    if (column !== bucketColumn) {
+      flush();
+      bucket = [];
+      bucketColumn = column;
+    }
+    bucket.push(point);
+  });
+  flush();
+  return reduced;
+}
+
+/**
+ * Render stream series as an interactive chart
+ *
+ * @param {HTMLElement} container - Emptied and filled with the chart
+ * @param {object} data - From getStreamSeries(): { from, to, series } with at least one series
+ */
+export function renderStreamChart(container, data) {
+  const chartId = `stream-chart-${++chartCount}`;
+  container.innerHTML = '';
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'relative select-none';
+
+  const legendRow = document.createElement('div');
+  legendRow.className = 'flex items-start space-x-2 mb-2';
+  const legend = document.createElement('div');
+  legend.className = 'flex flex-wrap gap-x-3 gap-y-1 flex-1';
+  const resetBtn = createPanelButton('Reset zoom');
+  legendRow.appendChild(legend);
+  legendRow.appendChild(resetBtn);
+
+  const svg = svgEl('svg', { class: 'block w-full cursor-crosshair' });
+  const tooltip = document.createElement('div');
+  tooltip.className = 'hidden absolute z-10 pointer-events-none bg-dark-bg border border-dark-border rounded px-2 py-1 text-xs text-dark-text whitespace-nowrap shadow-lg';
+  const hint = document.createElement('p');
+  hint.className = 'mt-1 text-dark-text-secondary';
+  hint.textContent = 'Scroll to zoom, drag to pan, double-click to reset. Click a legend entry to hide or show it.';
+
+  [legendRow, svg, tooltip, hint].forEach(el => wrapper.appendChild(el));
+  container.appendChild(wrapper);
+
+  let series = [];
+  let panes = [];        // { unit, series: [index], top, min, max }
+  let full = { from: 0, to: 1 };
+  let view = { from: 0, to: 1 };
+  let drag = null;
+  let frame = null;
+  const hidden = new Set();  // "streamKey|propId" of hidden series
+
+  const seriesId = s => `${s.streamKey}|${s.propId}`;
+  const isVisible = index => !hidden.has(seriesId(series[index]));
+  const plotWidth = () => Math.max(100, (svg.clientWidth || container.clientWidth || 800) - MARGIN.left - MARGIN.right);
+  const xOf = t => MARGIN.left + (t - view.from) / (view.to - view.from) * plotWidth();
+  const tOf = x => view.from + (x - MARGIN.left) / plotWidth() * (view.to - view.from);
+  const yOf = (pane, value) => pane.top + PANE_HEIGHT - (value - pane.min) / (pane.max - pane.min) * PANE_HEIGHT;
+
+  function setView(from, to) {
+    const fullSpan = full.to - full.from;
+    const span = Math.min(Math.max(to - from, MIN_SPAN_MS), fullSpan);
+    const start = Math.max(full.from, Math.min(from, full.to - span));
+    view = { from: start, to: start + span };
+  }
+
+  function setData(newData) {
+    series = newData.series.map((s, index) => ({ ...s, color: PALETTE[index % PALETTE.length] }));
+
+    const units = [...new Set(series.map(s => s.unit))];
+    panes = units.map((unit, index) => ({
+      unit,
+      series: series.map((s, i) => (s.unit === unit ? i : -1)).filter(i => i >= 0),
+      top: MARGIN.top + index * (PANE_HEIGHT + PANE_GAP),
+      min: 0,
+      max: 1
+    }));
+
+    let from = newData.from ?? Math.min(...series.map(s => s.points[0][0]));
+    let to = newData.to ?? Math.max(...series.map(s => s.points[s.points.length - 1][0]));
+    if (!(to > from)) {
+      from -= HOUR_MS;
+      to += HOUR_MS;
+    }
+    full = { from, to };
+    view = { ...full };
+  }
+
+  // y range of each pane from the visible series in the current time range
+  function scalePanes() {
+    panes.forEach(pane => {
+      let min = Infinity;
+      let max = -Infinity;
+      pane.series.filter(isVisible).forEach(index => {
+        const points = series[index].points;
+        const end = Math.min(points.length, lowerBound(points, view.to) + 1);
+        for (let i = Math.max(0, lowerBound(points, view.from) - 1); i < end; i++) {
+          min = Math.min(min, points[i][1]);
+          max = Math.max(max, points[i][1]);
+        }
+      });
+      if (!Number.isFinite(min)) {
+        min = 0;
+        max = 1;
+      } else if (min === max) {
+        const pad = Math.abs(min) * 0.05 || 1;
+        min -= pad;
+        max += pad;
+      } else {
+        const pad = (max - min) * 0.05;
+        min -= pad;
+        max += pad;
+      }
+      pane.min = min;
+      pane.max = max;
+    });
+  }
+
+  function renderLegend() {
+    legend.innerHTML = '';
+    series.forEach((s, index) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = `flex items-center space-x-1 text-dark-text hover:text-white ${isVisible(index) ? '' : 'opacity-40 line-through'}`;
+      item.title = `${s.streamKey} · ${s.propId} · ${s.points.length} point(s)`;
+      const swatch = document.createElement('span');
+      swatch.className = 'inline-block w-3 h-0.5';
+      swatch.style.backgroundColor = s.color;
+      const label = document.createElement('span');
+      label.textContent = `${s.streamName} · ${s.propertyName}${s.unit ? ` (${s.unit})` : ''}`;
+      item.appendChild(swatch);
+      item.appendChild(label);
+      item.addEventListener('click', () => {
+        const id = seriesId(s);
+        if (hidden.has(id)) hidden.delete(id); else hidden.add(id);
+        renderLegend();
+        draw();
+      });
+      legend.appendChild(item);
+    });
+  }
+
+  function draw() {
+    frame = null;
+    scalePanes();
+    const width = plotWidth();
+    const height = MARGIN.top + panes.length * (PANE_HEIGHT + PANE_GAP) - PANE_GAP + MARGIN.bottom;
+    svg.innerHTML = '';
+    svg.setAttribute('height', height);
+
+    const span = view.to - view.from;
+    const timeStep = TIME_STEPS.find(step => step / span * width >= 100) ?? TIME_STEPS[TIME_STEPS.length - 1];
+    const offset = new Date().getTimezoneOffset() * MINUTE_MS;  // ticks at local midnight/hours
+    const firstTick = Math.ceil((view.from - offset) / timeStep) * timeStep + offset;
+    const timeTicks = [];
+    for (let t = firstTick; t <= view.to; t += timeStep) timeTicks.push(t);
+
+    const defs = svgEl('defs');
+    svg.appendChild(defs);
+
+    panes.forEach((pane, paneIndex) => {
+      const g = svgEl('g');
+      const clipId = `${chartId}-clip-${paneIndex}`;
+      const clip = svgEl('clipPath', { id: clipId });
+      clip.appendChild(svgEl('rect', { x: MARGIN.left, y: pane.top, width, height: PANE_HEIGHT }));
+      defs.appendChild(clip);
+
+      g.appendChild(svgEl('rect', { x: MARGIN.left, y: pane.top, width, height: PANE_HEIGHT, fill: 'none', stroke: '#404040' }));
+
+      valueTicks(pane.min, pane.max).forEach(value => {
+        const y = yOf(pane, value);
+        g.appendChild(svgEl('line', { x1: MARGIN.left, x2: MARGIN.left + width, y1: y, y2: y, stroke: '#333333' }));
+        g.appendChild(svgEl('text', { x: MARGIN.left - 6, y: y + 3, 'text-anchor': 'end', fill: '#a0a0a0', 'font-size': 10 }, String(value)));
+      });
+      timeTicks.forEach(t => {
+        const x = xOf(t);
+        g.appendChild(svgEl('line', { x1: x, x2: x, y1: pane.top, y2: pane.top + PANE_HEIGHT, stroke: '#333333' }));
+      });
+
+      const unitY = pane.top + PANE_HEIGHT / 2;
+      g.appendChild(svgEl('text', {
+        x: 12, y: unitY, transform: `rotate(-90 12 ${unitY})`, 'text-anchor': 'middle', fill: '#a0a0a0', 'font-size': 11
+      }, pane.unit || 'value'));
+
+      const lines = svgEl('g', { 'clip-path': `url(#${clipId})` });
+      pane.series.filter(isVisible).forEach(index => {
+        const s = series[index];
+        const points = visiblePoints(s.points, view.from, view.to, width);
+        if (points.length === 0) return;
+        const d = points.map(([t, value], i) => `${i === 0 ? 'M' : 'L'}${xOf(t).toFixed(1)},${yOf(pane, value).toFixed(1)}`).join('');
+        lines.appendChild(svgEl('path', { d, fill: 'none', stroke: s.color, 'stroke-width': 1.5, 'stroke-linejoin': 'round' }));
+        // Dots once there is room to tell the points apart
+        if (points.length <= width / 8) {
+          points.forEach(([t, value]) => lines.appendChild(svgEl('circle', { cx: xOf(t), cy: yOf(pane, value), r: 2, fill: s.color })));
+        }
+      });
+      g.appendChild(lines);
+      svg.appendChild(g);
+    });
+
+    const axisY = height - MARGIN.bottom + 14;
+    timeTicks.forEach(t => {
+      svg.appendChild(svgEl('text', { x: xOf(t), y: axisY, 'text-anchor': 'middle', fill: '#a0a0a0', 'font-size': 10 }, formatTick(t, timeStep)));
+    });
+  }
+
+  function scheduleDraw() {
+    if (frame === null) frame = requestAnimationFrame(draw);
+  }
+
+  function hideHover() {
+    tooltip.classList.add('hidden');
+    svg.querySelector('.hover-layer')?.remove();
+  }
+
+  function showHover(x) {
+    svg.querySelector('.hover-layer')?.remove();
+    if (x < MARGIN.left || x > MARGIN.left + plotWidth()) {
+      tooltip.classList.add('hidden');
+      return;
+    }
+
+    const cursor = tOf(x);
+    const hits = [];
+    panes.forEach(pane => pane.series.filter(isVisible).forEach(index => {
+      const s = series[index];
+      const point = nearestPoint(s.points, cursor);
+      if (point[0] >= view.from && point[0] <= view.to) hits.push({ s, pane, point });
+    }));
+    if (hits.length === 0) {
+      tooltip.classList.add('hidden');
+      return;
+    }
+
+    // Header time is the point nearest to the cursor; other series may be sampled elsewhere
+    const headerTime = hits.reduce((best, hit) => (Math.abs(hit.point[0] - cursor) < Math.abs(best - cursor) ? hit.point[0] : best), hits[0].point[0]);
+    const layer = svgEl('g', { class: 'hover-layer', 'pointer-events': 'none' });
+    const lastPane = panes[panes.length - 1];
+    layer.appendChild(svgEl('line', {
+      x1: xOf(headerTime), x2: xOf(headerTime), y1: MARGIN.top, y2: lastPane.top + PANE_HEIGHT, stroke: '#a0a0a0', 'stroke-dasharray': '3 3'
+    }));
+
+    tooltip.innerHTML = '';
+    const header = document.createElement('div');
+    header.className = 'font-semibold mb-1';
+    header.textContent = new Date(headerTime).toLocaleString();
+    tooltip.appendChild(header);
+    hits.forEach(({ s, pane, point: [t, value] }) => {
+      layer.appendChild(svgEl('circle', { cx: xOf(t), cy: yOf(pane, value), r: 3.5, fill: s.color, stroke: '#1a1a1a' }));
+      const line = document.createElement('div');
+      const swatch = document.createElement('span');
+      swatch.style.color = s.color;
+      swatch.textContent = '● ';
+      line.appendChild(swatch);
+      const at = t === headerTime ? '' : `  (${new Date(t).toLocaleString()})`;
+      line.appendChild(document.createTextNode(`${s.streamName} · ${s.propertyName}: ${value}${s.unit ? ` ${s.unit}` : ''}${at}`));
+      tooltip.appendChild(line);
+    });
+    svg.appendChild(layer);
+
+    tooltip.classList.remove('hidden');
+    const svgTop = svg.offsetTop;
+    const left = x + 16 + tooltip.offsetWidth > wrapper.clientWidth ? x - 16 - tooltip.offsetWidth : x + 16;
+    tooltip.style.left = `${Math.max(0, left)}px`;
+    tooltip.style.top = `${svgTop + MARGIN.top}px`;
+  }
+
+  const pointerX = e => e.clientX - svg.getBoundingClientRect().left;
+
+  svg.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const cursor = tOf(pointerX(e));
+    const factor = e.deltaY > 0 ? 1.25 : 0.8;
+    setView(cursor - (cursor - view.from) * factor, cursor + (view.to - cursor) * factor);
+    hideHover();
+    scheduleDraw();
+  }, { passive: false });
+
+  svg.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0) return;
+    drag = { x: pointerX(e), view: { ...view } };
+    svg.setPointerCapture(e.pointerId);
+    svg.classList.replace('cursor-crosshair', 'cursor-grabbing');
+    hideHover();
+  });
+
+  svg.addEventListener('pointermove', (e) => {
+    if (!drag) {
+      showHover(pointerX(e));
+      return;
+    }
+    const shift = (pointerX(e) - drag.x) / plotWidth() * (drag.view.to - drag.view.from);
+    setView(drag.view.from - shift, drag.view.to - shift);
+    scheduleDraw();
+  });
+
+  const endDrag = () => {
+    drag = null;
+    svg.classList.replace('cursor-grabbing', 'cursor-crosshair');
+  };
+  svg.addEventListener('pointerup', endDrag);
+  svg.addEventListener('pointercancel', endDrag);
+  svg.addEventListener('pointerleave', () => {
+    if (!drag) hideHover();
+  });
+
+  function resetZoom() {
+    view = { ...full };
+    hideHover();
+    draw();
+  }
+
+  svg.addEventListener('dblclick', resetZoom);
+  resetBtn.addEventListener('click', resetZoom);
+
+  setData(data);
+  renderLegend();
+  draw();
+}
@@ -0,0 +1,159 @@
+/**
+ * Stream Chart Panel
+ *
+ * Pick one or more streams of the facility and a time range, then plot their values
+ * (see getStreamSeries in stubs/streamStubs.js and ui/streamChart.js). Each property
+ * of each stream becomes one line; properties with the same unit share a y axis.
+ */
+
+import { getStreamsFromDefaultModel, getStreamSeries } from '../stubs/streamStubs.js';
+import { beginStub, endStub } from '../state/requestLog.js';
+import { QC } from '../../tandem/constants.js';
+import { openPanel, createPanelButton } from './panels.js';
+import { renderStreamChart } from './streamChart.js';
+
+const STREAMS_STUB = 'GET Streams (from Default Model)';
+const CHART_STUB = 'Chart Stream Values';
+
+const inputClass = 'rounded border border-dark-border bg-dark-bg text-dark-text text-xs py-1 px-2 focus:border-tandem-blue focus:outline-none';
+
+const ranges = [
+  { value: '1', label: 'Last 24 hours' },
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' },
+  { value: '365', label: 'Last 365 days' },
+  { value: '0', label: 'All Time' }
+];
+
+/**
+ * Add a line of text
+ * @param {HTMLElement} container
+ * @param {string} text
+ * @param {string} [className]
+ */
+function addMessage(container, text, className = 'text-dark-text-secondary') {
+  const p = document.createElement('p');
+  p.className = `mb-2 ${className}`;
+  p.textContent = text;
+  container.appendChild(p);
+}
+
+/**
+ * Split the keys input into a list
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function parseKeys(text) {
+  return text.split(',').map(k => k.trim()).filter(Boolean);
+}
+
+/**
+ * Open the stream values chart
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region header
+ */
+export function openStreamChartPanel(facilityURN, region) {
+  const { toolbar, body } = openPanel({ title: 'Stream Values Chart' });
+
+  if (!facilityURN) {
+    addMessage(body, 'Select a facility first.');
+    return;
+  }
+
+  // Toolbar: stream keys, range, load
+  const keysInput = document.createElement('input');
+  keysInput.type = 'text';
+  keysInput.placeholder = 'Stream keys (comma-separated)';
+  keysInput.className = `${inputClass} w-96`;
+  const rangeSelect = document.createElement('select');
+  rangeSelect.className = inputClass;
+  ranges.forEach(({ value, label }) => rangeSelect.appendChild(new Option(label, value)));
+  rangeSelect.value = '7';
+  const loadBtn = createPanelButton('Load', true);
+  [keysInput, rangeSelect, loadBtn].forEach(el => toolbar.appendChild(el));
+
+  // Body: stream picker, messages, chart
+  const picker = document.createElement('div');
+  picker.className = 'flex flex-wrap gap-x-4 gap-y-1 mb-3';
+  const messages = document.createElement('div');
+  const chartContainer = document.createElement('div');
+  [picker, messages, chartContainer].forEach(el => body.appendChild(el));
+
+  // Checkboxes and the keys input stay in sync; the input also takes keys of other streams
+  function syncPicker() {
+    const keys = new Set(parseKeys(keysInput.value));
+    picker.querySelectorAll('input[type=checkbox]').forEach(box => { box.checked = keys.has(box.value); });
+  }
+
+  async function loadStreams() {
+    addMessage(picker, 'Loading streams...');
+    beginStub(STREAMS_STUB);
+    try {
+      const streams = await getStreamsFromDefaultModel(facilityURN, region);
+      picker.innerHTML = '';
+      if (streams.length === 0) {
+        addMessage(picker, 'No streams found in the default model - enter stream keys above.');
+        return;
+      }
+      streams.forEach(row => {
+        const label = document.createElement('label');
+        label.className = 'flex items-center space-x-1 text-dark-text cursor-pointer';
+        label.title = row[QC.Key];
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.value = row[QC.Key];
+        box.className = 'rounded border-dark-border bg-dark-bg';
+        box.addEventListener('change', () => {
+          const keys = parseKeys(keysInput.value).filter(key => key !== box.value);
+          if (box.checked) keys.push(box.value);
+          keysInput.value = keys.join(', ');
+        });
+        const name = document.createElement('span');
+        name.textContent = row[QC.Name]?.[0] || row[QC.Key];
+        label.appendChild(box);
+        label.appendChild(name);
+        picker.appendChild(label);
+      });
+      syncPicker();
+    } finally {
+      endStub(STREAMS_STUB);
+    }
+  }
+
+  async function load() {
+    messages.innerHTML = '';
+    if (parseKeys(keysInput.value).length === 0) {
+      addMessage(messages, 'Pick at least one stream.', 'text-yellow-400');
+      return;
+    }
+
+    chartContainer.innerHTML = '';
+    loadBtn.disabled = true;
+    beginStub(CHART_STUB);
+    try {
+      const data = await getStreamSeries(facilityURN, region, keysInput.value, parseInt(rangeSelect.value, 10));
+      data.warnings.forEach(warning => addMessage(messages, warning, 'text-yellow-400'));
+      if (data.series.length === 0) {
+        addMessage(messages, 'No numeric values in this time range.');
+        return;
+      }
+      renderStreamChart(chartContainer, data);
+    } catch (error) {
+      addMessage(messages, error.message, 'text-red-400');
+    } finally {
+      endStub(CHART_STUB);
+      loadBtn.disabled = false;
+    }
+  }
+
+  loadBtn.addEventListener('click', load);
+  keysInput.addEventListener('input', syncPicker);
+  keysInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') load();
+  });
+  rangeSelect.addEventListener('change', () => {
+    if (chartContainer.hasChildNodes()) load();
+  });
+
+  loadStreams();
+}
@@ -0,0 +1,302 @@
+/**
+ * Stream Monitor Panel
+ *
+ * Live grid of the last seen values of the facility's streams (see
+ * stubs/streamMonitorStubs.js): current value, change from the previous value, age,
+ * and a stale flag once a value is older than the chosen threshold. Rows whose value
+ * just changed are highlighted for a few seconds. Polling pauses while the browser
+ * tab is hidden and stops when the panel is closed.
+ */
+
+import { createStreamMonitor } from '../stubs/streamMonitorStubs.js';
+import { getStreamsFromDefaultModel } from '../stubs/streamStubs.js';
+import { beginStub, endStub } from '../state/requestLog.js';
+import { QC } from '../../tandem/constants.js';
+import { openPanel, createPanelButton } from './panels.js';
+
+const STREAMS_STUB = 'GET Streams (from Default Model)';
+
+const inputClass = 'rounded border border-dark-border bg-dark-bg text-dark-text text-xs py-1 px-2 focus:border-tandem-blue focus:outline-none';
+
+const intervals = [
+  { value: 5000, label: 'Poll every 5 s' },
+  { value: 15000, label: 'Poll every 15 s' },
+  { value: 30000, label: 'Poll every 30 s' },
+  { value: 60000, label: 'Poll every minute' },
+  { value: 300000, label: 'Poll every 5 min' }
+];
+
+const staleThresholds = [
+  { value: 60000, label: 'Stale after 1 min' },
+  { value: 300000, label: 'Stale after 5 min' },
+  { value: 900000, label: 'Stale after 15 min' },
+  { value: 3600000, label: 'Stale after 1 hour' },
+  { value: 86400000, label: 'Stale after 1 day' }
+];
+
+// How long a row stays highlighted after its value changed
+const HIGHLIGHT_MS = 3000;
+
+/**
+ * Create a table cell
+ * @param {string} text
+ * @param {string} [className]
+ * @returns {HTMLTableCellElement}
+ */
+function createCell(text, className = '') {
+  const td = document.createElement('td');
+  td.className = `px-2 py-1 border-b border-dark-border align-top ${className}`;
+  td.textContent = text;
+  return td;
+}
+
+/**
+ * Add a line of text
+ * @param {HTMLElement} container
+ * @param {string} text
+ * @param {string} [className]
+ */
+function addMessage(container, text, className = 'text-dark-text-secondary') {
+  const p = document.createElement('p');
+  p.className = `mb-2 ${className}`;
+  p.textContent = text;
+  container.appendChild(p);
+}
+
+/**
+ * Create a select with options
+ * @param {Array<{value: number, label: string}>} options
+ * @param {number} value
+ * @returns {HTMLSelectElement}
+ */
+function createSelect(options, value) {
+  const select = document.createElement('select');
+  select.className = inputClass;
+  options.forEach(option => select.appendChild(new Option(option.label, String(option.value))));
+  select.value = String(value);
+  return select;
+}
+
+/**
+ * Format a duration for the Age column, e.g. "45 s", "12 min", "3 h", "2 d"
+ * @param {number|null} ms
+ * @returns {string}
+ */
+function formatAge(ms) {
+  if (ms === null) return '';
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds} s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min`;
+  if (seconds < 48 * 3600) return `${Math.floor(seconds / 3600)} h`;
+  return `${Math.floor(seconds / 86400)} d`;
+}
+
+/**
+ * Format a change from the previous value
+ * @param {number|null} delta
+ * @returns {string}
+ */
+function formatDelta(delta) {
+  if (delta === null) return '';
+  return delta > 0 ? `+${delta}` : String(delta);
+}
+
+/**
+ * Status line above the grid
+ * @param {object} state - From monitor.getState()
+ * @returns {{text: string, className: string}}
+ */
+function describeState(state) {
+  const stale = state.staleStreams > 0 ? ` · ${state.staleStreams} stale stream(s)` : '';
+  if (!state.running) return { text: `Stopped${stale}`, className: 'text-dark-text-secondary' };
+  if (state.paused) return { text: `Paused while the tab is hidden${stale}`, className: 'text-yellow-400' };
+
+  const last = state.lastPollAt ? ` · last poll ${new Date(state.lastPollAt).toLocaleTimeString()}` : '';
+  const next = state.polling ? ' · polling...'
+    : state.nextPollAt ? ` · next in ${formatAge(state.nextPollAt - Date.now())}` : '';
+  if (state.backingOff) {
+    return { text: `Backing off - polling every ${formatAge(state.delayMs)} (${state.error})${last}${next}${stale}`, className: 'text-yellow-400' };
+  }
+  if (state.error) return { text: `${state.error}${last}${next}${stale}`, className: 'text-red-400' };
+  return { text: `Polling every ${formatAge(state.intervalMs)}${last}${next}${stale}`, className: 'text-dark-text-secondary' };
+}
+
+/**
+ * Render the grid
+ * @param {HTMLElement} container
+ * @param {object} state - From monitor.getState()
+ */
+function renderGrid(container, state) {
+  container.innerHTML = '';
+  if (state.rows.length === 0) {
+    addMessage(container, 'No streams selected.');
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'w-full border-collapse';
+  const headRow = document.createElement('tr');
+  ['Stream', 'Property', 'Value', 'Change', 'Age', 'Last update', ''].forEach(label => {
+    const th = document.createElement('th');
+    th.className = 'sticky top-0 bg-dark-card text-left font-semibold text-dark-text-secondary px-2 py-1 border-b border-dark-border whitespace-nowrap';
+    th.textContent = label;
+    headRow.appendChild(th);
+  });
+  table.appendChild(headRow);
+
+  state.rows.forEach(row => {
+    const tr = document.createElement('tr');
+    if (row.changedAt !== null && Date.now() - row.changedAt < HIGHLIGHT_MS) tr.className = 'bg-tandem-dark';
+    const nameCell = createCell(row.streamName);
+    nameCell.title = row.streamKey;
+    tr.appendChild(nameCell);
+    const propertyCell = createCell(row.propertyName || '-', row.propId ? '' : 'text-dark-text-secondary');
+    if (row.propId) propertyCell.title = row.propId;
+    tr.appendChild(propertyCell);
+    tr.appendChild(createCell(row.value === null ? '' : `${row.value}${row.unit ? ` ${row.unit}` : ''}`, 'text-right font-mono'));
+    const deltaClass = row.delta > 0 ? 'text-green-400' : row.delta < 0 ? 'text-red-400' : 'text-dark-text-secondary';
+    tr.appendChild(createCell(formatDelta(row.delta), `text-right font-mono ${deltaClass}`));
+    tr.appendChild(createCell(formatAge(row.ageMs), 'text-right whitespace-nowrap'));
+    tr.appendChild(createCell(row.ts === null ? '' : new Date(row.ts).toLocaleString(), 'whitespace-nowrap'));
+    tr.appendChild(row.stale
+      ? createCell(row.ts === null ? 'no data' : 'stale', 'text-yellow-400')
+      : createCell('✓', 'text-green-400'));
+    table.appendChild(tr);
+  });
+  container.appendChild(table);
+}
+
+/**
+ * Open the live stream monitor
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region header
+ */
+export function openStreamMonitorPanel(facilityURN, region) {
+  let monitor = null;
+  let ticker = null;
+  let closed = false;
+  const onVisibilityChange = () => {
+    if (document.hidden) monitor?.pause();
+    else monitor?.resume();
+  };
+
+  const { toolbar, body } = openPanel({
+    title: 'Live Stream Monitor',
+    onClose: () => {
+      closed = true;
+      monitor?.stop();
+      clearInterval(ticker);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+    }
+  });
+
+  if (!facilityURN) {
+    addMessage(body, 'Select a facility first.');
+    return;
+  }
+
+  let streams = [];
+
+  // Toolbar: interval, stale threshold, start/stop
+  const intervalSelect = createSelect(intervals, 30000);
+  const staleSelect = createSelect(staleThresholds, 900000);
+  const toggleBtn = createPanelButton('Stop', true);
+  [intervalSelect, staleSelect, toggleBtn].forEach(el => toolbar.appendChild(el));
+
+  // Body: stream picker, status line, grid
+  const picker = document.createElement('div');
+  picker.className = 'flex flex-wrap gap-x-4 gap-y-1 mb-3';
+  const status = document.createElement('div');
+  const grid = document.createElement('div');
+  [picker, status, grid].forEach(el => body.appendChild(el));
+
+  function render(state) {
+    status.innerHTML = '';
+    const { text, className } = describeState(state);
+    addMessage(status, text, className);
+    toggleBtn.textContent = state.running ? 'Stop' : 'Start';
+    renderGrid(grid, state);
+  }
+
+  function createCheckbox(labelText, title, checked) {
+    const label = document.createElement('label');
+    label.className = 'flex items-center space-x-1 text-dark-text cursor-pointer';
+    label.title = title;
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = checked;
+    box.className = 'rounded border-dark-border bg-dark-bg';
+    const name = document.createElement('span');
+    name.textContent = labelText;
+    label.appendChild(box);
+    label.appendChild(name);
+    picker.appendChild(label);
+    return box;
+  }
+
+  function renderPicker() {
+    picker.innerHTML = '';
+    const allBox = createCheckbox('All streams', 'Watch every stream of the default model', true);
+    allBox.parentElement.classList.add('font-semibold');
+    const boxes = streams.map(stream => {
+      const box = createCheckbox(stream.name, stream.key, true);
+      box.value = stream.key;
+      return box;
+    });
+
+    const onChange = () => {
+      const keys = new Set(boxes.filter(box => box.checked).map(box => box.value));
+      allBox.checked = keys.size === streams.length;
+      monitor.configure({ streams: streams.filter(stream => keys.has(stream.key)) });
+      monitor.pollNow();
+    };
+    allBox.addEventListener('change', () => {
+      boxes.forEach(box => { box.checked = allBox.checked; });
+      onChange();
+    });
+    boxes.forEach(box => box.addEventListener('change', onChange));
+  }
+
+  async function load() {
+    addMessage(picker, 'Loading streams...');
+    beginStub(STREAMS_STUB);
+    try {
+      const rows = await getStreamsFromDefaultModel(facilityURN, region);
+      streams = rows.map(row => ({ key: row[QC.Key], name: row[QC.Name]?.[0] || row[QC.Key] }));
+    } finally {
+      endStub(STREAMS_STUB);
+    }
+
+    if (closed) return;
+    if (streams.length === 0) {
+      picker.innerHTML = '';
+      addMessage(picker, 'No streams found in the default model.');
+      [intervalSelect, staleSelect, toggleBtn].forEach(el => { el.disabled = true; });
+      return;
+    }
+
+    monitor = createStreamMonitor(facilityURN, region, {
+      streams,
+      intervalMs: parseInt(intervalSelect.value, 10),
+      staleAfterMs: parseInt(staleSelect.value, 10),
+      onUpdate: render
+    });
+    renderPicker();
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    monitor.start();
+    if (document.hidden) monitor.pause();
+    ticker = setInterval(() => {
+      if (!document.hidden) render(monitor.getState());
+    }, 1000);
+  }
+
+  intervalSelect.addEventListener('change', () => monitor?.configure({ intervalMs: parseInt(intervalSelect.value, 10) }));
+  staleSelect.addEventListener('change', () => monitor?.configure({ staleAfterMs: parseInt(staleSelect.value, 10) }));
+  toggleBtn.addEventListener('click', () => {
+    if (!monitor) return;
+    if (monitor.getState().running) monitor.stop();
+    else monitor.start();
+  });
+
+  load();
+}
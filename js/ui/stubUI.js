@@ -7,7 +7,8 @@
  * PATTERN:
  * - Each STUB function gets a button or expandable section
  * - Click handlers are attached to execute the STUB functions
- * - Results go to console (not displayed in UI) for educational purposes
+ * - Results go to console for educational purposes; the HTTP calls behind them
+ *   are also listed in the Request Inspector panel (tagged with the STUB label)
  */
 
 import * as facilityStubs from '../stubs/facilityStubs.js';
@@ -19,9 +20,27 @@ import * as documentStubs from '../stubs/documentStubs.js';
 import * as miscStubs from '../stubs/miscStubs.js';
 import * as appStubs from '../stubs/appStubs.js';
 import * as sdkStubs from '../stubs/sdkStubs.js';
+import * as keyStubs from '../stubs/keyStubs.js';
 import { getDefaultModelURN, getModels } from '../api.js';
 import { getCachedGroups, getCurrentGroupURN } from '../app.js';
-import { getUniqueCategoryNames, getUniquePropertyNames, areSchemasLoaded, getPropertyInfo, getPropertyInfoByQualifiedId, DataTypes } from '../state/schemaCache.js';
+import { getUniqueCategoryNames, getUniquePropertyNames, areSchemasLoaded, getPropertyInfo, getPropertyInfoByQualifiedId, DataTypes, loadSchemasForFacility } from '../state/schemaCache.js';
+import { beginStub, endStub, cancelActiveStub, getActiveStub } from '../state/requestLog.js';
+import { envStorageKey } from '../config.js';
+import { renderKeyInspection } from './keyToolsUI.js';
+import { openSchemaBrowser } from './schemaBrowser.js';
+import { openBulkEditor } from './bulkEditUI.js';
+import { openTimeseriesImport } from './timeseriesImportUI.js';
+import { renderScanExport } from './scanExportUI.js';
+import { openQueryPanel } from './queryPanel.js';
+import { openTimelinePanel } from './timelinePanel.js';
+import { openAuditPanel } from './auditPanel.js';
+import { openStreamChartPanel } from './streamChartPanel.js';
+import { openSimulatorPanel } from './simulatorPanel.js';
+import { openStreamMonitorPanel } from './streamMonitorPanel.js';
+import { setScanModelLabels } from './scanProgressUI.js';
+import { clearElementIndex } from '../state/elementIndex.js';
+import { validateValue, getValueExample } from '../../tandem/attributes.js';
+import { AttributeType } from '../../tandem/constants.js';
 
 // Store current facility context for STUB functions
 let currentFacilityURN = null;
@@ -41,11 +60,11 @@ function getGroupsForDropdown() {
 
 // Helper functions to remember last used input values
 function saveInputValue(key, value) {
-  sessionStorage.setItem(`stub_input_${key}`, value);
+  sessionStorage.setItem(envStorageKey(`stub_input_${key}`), value);
 }
 
 function getLastInputValue(key, defaultValue) {
-  const saved = sessionStorage.getItem(`stub_input_${key}`);
+  const saved = sessionStorage.getItem(envStorageKey(`stub_input_${key}`));
   return saved !== null ? saved : defaultValue;
 }
 
@@ -183,11 +202,13 @@ function renderTypeAwareInput(propInfo, inputWrapper, typeIndicator) {
     typeIndicator.style.color = '#3b82f6';
     
   } else {
-    // String or unknown - text input
+    // String, other text-encoded types (dates, locations, keys...) or unknown - text input
     inputElement = document.createElement('input');
-    inputElement.type = 'text';
+    inputElement.type = propInfo?.dataType === AttributeType.Url ? 'url' : 'text';
     inputElement.id = 'propVal';
-    inputElement.placeholder = 'Enter text value...';
+    inputElement.placeholder = propInfo && !DataTypes.isString(propInfo)
+      ? `Enter value (${getValueExample(propInfo.dataType)})...`
+      : 'Enter text value...';
     inputElement.className = 'w-full text-xs';
     
     if (propInfo) {
@@ -566,18 +587,9 @@ function createTypeAwareValueInput(inputForm, categoryInputId, propertyInputId)
         return { valid: false, error: 'Please enter a value.' };
       }
       
-      // Use full propInfo object for type checking (handles unit-based types)
-      if (propInfo && DataTypes.isNumeric(propInfo)) {
-        const numValue = parseFloat(value);
-        if (isNaN(numValue)) {
-          return { valid: false, error: `Please enter a valid number for this ${DataTypes.getName(propInfo)} property.` };
-        }
-        if (propInfo.dataType === 2 && !Number.isInteger(numValue)) {
-          return { valid: false, error: 'Please enter a whole number (integer) for this property.' };
-        }
-      }
-      
-      return { valid: true };
+      // Same conversion the write stub applies, so bad input is caught before submitting
+      const checked = validateValue(value, propInfo);
+      return checked.valid ? { valid: true } : { valid: false, error: checked.error };
     }
   };
 }
@@ -681,18 +693,9 @@ function createTypeAwareValueInputByQualifiedProp(inputForm, qualPropInputId) {
         return { valid: false, error: 'Please enter a value.' };
       }
       
-      // Type validation
-      if (propInfo && DataTypes.isNumeric(propInfo)) {
-        const numValue = parseFloat(value);
-        if (isNaN(numValue)) {
-          return { valid: false, error: `Please enter a valid number for this ${DataTypes.getName(propInfo)} property.` };
-        }
-        if (propInfo.dataType === 2 && !Number.isInteger(numValue)) {
-          return { valid: false, error: 'Please enter a whole number (integer) for this property.' };
-        }
-      }
-      
-      return { valid: true };
+      // Same conversion the write stub applies, so bad input is caught before submitting
+      const checked = validateValue(value, propInfo);
+      return checked.valid ? { valid: true } : { valid: false, error: checked.error };
     }
   };
 }
@@ -714,6 +717,7 @@ export async function renderStubs(container, facilityURN, region) {
   
   // Load models for this facility (needed for model selector)
   currentModels = await getModels(facilityURN, region) || [];
+  setScanModelLabels(currentModels);
   
   container.innerHTML = '';
   
@@ -779,6 +783,10 @@ export async function renderStubs(container, facilityURN, region) {
         defaultValue: '',
         onExecute: (viewUUID) => facilityStubs.getSavedViewThumbnail(currentFacilityURN, currentFacilityRegion, viewUUID)
       }
+    },
+    {
+      label: 'Audit Log (all models, by date range)',
+      action: () => openAuditPanel(currentFacilityURN, currentFacilityRegion, currentModels)
     }
   ]);
   
@@ -848,6 +856,26 @@ export async function renderStubs(container, facilityURN, region) {
         ],
         onExecute: (modelUrn, additionalValues) => modelStubs.getModelDataFragments(modelUrn, currentFacilityRegion, additionalValues.elemKeys || '')
       }
+    },
+    {
+      label: 'Refresh Schema Cache (all models)',
+      action: () => loadSchemasForFacility(currentModels, currentFacilityRegion, { forceRefresh: true })
+    },
+    {
+      label: 'Browse Schemas / Diff Models',
+      action: () => openSchemaBrowser(currentModels)
+    },
+    {
+      label: 'Build / Refresh Element Index',
+      action: () => sdkStubs.buildElementIndex(currentFacilityURN, currentFacilityRegion)
+    },
+    {
+      label: 'Rebuild Element Index (full scan)',
+      action: () => sdkStubs.buildElementIndex(currentFacilityURN, currentFacilityRegion, { rebuild: true })
+    },
+    {
+      label: 'Clear Element Index',
+      action: () => clearElementIndex()
     }
   ]);
   
@@ -918,7 +946,8 @@ export async function renderStubs(container, facilityURN, region) {
           saveInputValue('categoryName', values.categoryName);
           saveInputValue('propName', values.propName);
           return propertyStubs.scanForProperty(currentFacilityURN, currentFacilityRegion, values.categoryName, values.propName, values.includeHistory);
-        }
+        },
+        renderResult: (result, resultContainer) => renderScanExport(result, resultContainer, { region: currentFacilityRegion, models: currentModels })
       }
     },
     {
@@ -964,9 +993,14 @@ export async function renderStubs(container, facilityURN, region) {
             values.propName, 
             values.searchOptions
           );
-        }
+        },
+        renderResult: (result, resultContainer) => renderScanExport(result, resultContainer, { region: currentFacilityRegion, models: currentModels })
       }
     },
+    {
+      label: 'Query Elements (all models)',
+      action: () => openQueryPanel(currentFacilityURN, currentFacilityRegion, currentModels)
+    },
     {
       label: 'SCAN Brute Force (full model)',
       hasInput: true,
@@ -1016,7 +1050,8 @@ export async function renderStubs(container, facilityURN, region) {
           const colFamilies = additionalValues.colFamilies || '';
           const includeHistory = additionalValues.includeHistory || false;
           return propertyStubs.getScanElementsOptions(modelUrn, currentFacilityRegion, elemKeys, includeHistory, colFamilies);
-        }
+        },
+        renderResult: (result, resultContainer) => renderScanExport(result, resultContainer, { region: currentFacilityRegion, models: currentModels })
       }
     },
     {
@@ -1048,7 +1083,8 @@ export async function renderStubs(container, facilityURN, region) {
           }
         ],
         onExecute: (modelUrn, additionalValues) => 
-          propertyStubs.getScanElementsQualProps(modelUrn, currentFacilityRegion, additionalValues.elemKeys || '', additionalValues.includeHistory || false, additionalValues.qualProps || '')
+          propertyStubs.getScanElementsQualProps(modelUrn, currentFacilityRegion, additionalValues.elemKeys || '', additionalValues.includeHistory || false, additionalValues.qualProps || ''),
+        renderResult: (result, resultContainer) => renderScanExport(result, resultContainer, { region: currentFacilityRegion, models: currentModels })
       }
     },
     {
@@ -1069,6 +1105,10 @@ export async function renderStubs(container, facilityURN, region) {
         onExecute: (modelUrn, additionalValues) => propertyStubs.getScanElementsFullChangeHistory(modelUrn, currentFacilityRegion, additionalValues.elemKeys || '')
       }
     },
+    {
+      label: 'Element Change Timeline',
+      action: () => openTimelinePanel(currentFacilityRegion, currentModels)
+    },
     {
       label: 'Assign Classification',
       hasInput: true,
@@ -1166,6 +1206,10 @@ export async function renderStubs(container, facilityURN, region) {
         onExecute: (modelUrn, additionalValues) => 
           propertyStubs.setPropertySelSetQP(modelUrn, currentFacilityRegion, additionalValues.qualPropStr || '', additionalValues.propVal || '', additionalValues.elemKeys || '')
       }
+    },
+    {
+      label: 'Bulk Edit from CSV / Spreadsheet',
+      action: () => openBulkEditor(currentFacilityURN, currentFacilityRegion, currentModels)
     }
   ]);
   
@@ -1238,17 +1282,64 @@ export async function renderStubs(container, facilityURN, region) {
               { value: '7', label: '7 days' },
               { value: '30', label: '30 days' },
               { value: '365', label: '365 days' },
-              { value: '0', label: 'All Time' }
+              { value: '0', label: 'All Time' },
+              { value: 'custom', label: 'Custom (From / To below)' }
             ],
             defaultValue: '30'
+          },
+          {
+            label: 'From (custom range, local time)',
+            id: 'streamFrom',
+            inputType: 'datetime-local'
+          },
+          {
+            label: 'To (custom range, empty = now)',
+            id: 'streamTo',
+            inputType: 'datetime-local'
+          },
+          {
+            label: 'Limit (values per property)',
+            id: 'streamLimit',
+            inputType: 'number',
+            placeholder: 'All'
+          },
+          {
+            label: 'Sort',
+            id: 'streamSort',
+            type: 'select',
+            options: [
+              { value: 'asc', label: 'Oldest first (asc)' },
+              { value: 'desc', label: 'Newest first (desc)' }
+            ],
+            defaultValue: 'asc'
+          },
+          {
+            label: 'Substream (optional)',
+            id: 'substream',
+            placeholder: 'e.g., z:AAA'
           }
         ],
         onExecute: (values) => {
-          const days = parseInt(values.timePeriod, 10);
-          return streamStubs.getStreamValues(currentFacilityURN, currentFacilityRegion, values.streamKey || '', days);
+          const range = {
+            limit: values.streamLimit ? Number(values.streamLimit) : undefined,
+            sort: values.streamSort,
+            substream: values.substream?.trim() || undefined
+          };
+          if (values.timePeriod === 'custom') {
+            range.from = values.streamFrom ? new Date(values.streamFrom).getTime() : undefined;
+            range.to = values.streamTo ? new Date(values.streamTo).getTime() : Date.now();
+          } else {
+            range.daysBack = parseInt(values.timePeriod, 10);
+          }
+          return streamStubs.getStreamValues(currentFacilityURN, currentFacilityRegion, values.streamKey || '', range);
         }
       }
     },
+    {
+      label: 'Chart Stream Values',
+      hasInput: false,
+      action: () => openStreamChartPanel(currentFacilityURN, currentFacilityRegion)
+    },
     {
       label: 'GET Last Seen Stream Values',
       hasInput: true,
@@ -1265,6 +1356,11 @@ export async function renderStubs(container, facilityURN, region) {
           streamStubs.getLastSeenStreamValues(currentFacilityURN, currentFacilityRegion, values.streamKeys || '')
       }
     },
+    {
+      label: 'Live Stream Monitor',
+      hasInput: false,
+      action: () => openStreamMonitorPanel(currentFacilityURN, currentFacilityRegion)
+    },
     {
       label: 'POST Stream Values',
       hasInput: true,
@@ -1287,6 +1383,16 @@ export async function renderStubs(container, facilityURN, region) {
           streamStubs.postStreamValues(currentFacilityURN, currentFacilityRegion, values.streamKey || '', values.valuesJson || '')
       }
     },
+    {
+      label: 'Import Stream Values from CSV / JSONL',
+      hasInput: false,
+      action: () => openTimeseriesImport(currentFacilityURN, currentFacilityRegion)
+    },
+    {
+      label: 'Simulate Stream Values',
+      hasInput: false,
+      action: () => openSimulatorPanel(currentFacilityURN, currentFacilityRegion)
+    },
     {
       label: 'Create Stream',
       hasInput: true,
@@ -1678,6 +1784,39 @@ export async function renderStubs(container, facilityURN, region) {
   
   container.appendChild(sdkDropdown);
   
+  // Create Key Tools Dropdown (decode keys pasted from scan output)
+  const keyToolsDropdown = createDropdownMenu('Key Tools', [
+    {
+      label: 'Inspect Key / Xref / System ID',
+      hasInput: true,
+      inputConfig: {
+        type: 'multiText',
+        fields: [
+          {
+            label: 'Key, xref, packed key array or system ID',
+            id: 'keyText',
+            placeholder: 'Paste a value from scan output (k, l:r, x:r, ...)',
+            defaultValue: () => getLastInputValue('keyText', '')
+          }
+        ],
+        onExecute: (values) => {
+          saveInputValue('keyText', values.keyText);
+          return keyStubs.inspectKey(currentFacilityURN, currentFacilityRegion, values.keyText || '');
+        },
+        renderResult: (result, resultContainer) => renderKeyInspection(result, resultContainer, async (modelURN, elementKey) => {
+          beginStub('Scan Element (Key Tools)');
+          try {
+            await keyStubs.scanElement(modelURN, currentFacilityRegion, elementKey);
+          } finally {
+            endStub('Scan Element (Key Tools)');
+          }
+        })
+      }
+    }
+  ]);
+  
+  container.appendChild(keyToolsDropdown);
+  
   // Add a help message at the bottom
   const helpDiv = document.createElement('div');
   helpDiv.className = 'mt-4 p-3 bg-dark-bg border border-dark-border rounded text-xs text-dark-text-secondary';
@@ -1695,7 +1834,9 @@ export async function renderStubs(container, facilityURN, region) {
  * Create a dropdown menu with STUB functions
  * 
  * @param {string} title - Dropdown title
- * @param {Array} items - Array of {label, action, hasInput, inputConfig} objects
+ * @param {Array} items - Array of {label, action, hasInput, inputConfig} objects.
+ *   inputConfig.renderResult(result, container) is optional: when set, the value returned by
+ *   onExecute is rendered below the form and the form stays open.
  * @returns {HTMLElement} Dropdown menu element
  */
 function createDropdownMenu(title, items) {
@@ -1820,9 +1961,9 @@ function createDropdownMenu(title, items) {
             if (field.autocomplete && areSchemasLoaded()) {
               input = createAutocompleteSelect(field, inputForm);
             } else {
-              // Regular text input (fallback when schemas not loaded)
+              // Regular text input (fallback when schemas not loaded); inputType for e.g. number, datetime-local
               input = document.createElement('input');
-              input.type = 'text';
+              input.type = field.inputType || 'text';
               input.id = field.id;
               input.placeholder = field.placeholder || '';
               input.value = typeof field.defaultValue === 'function' 
@@ -1888,7 +2029,7 @@ function createDropdownMenu(title, items) {
             // 2. Last used group (from sessionStorage)
             // 3. First group in list
             const currentGroupURN = getCurrentGroupURN();
-            const lastGroupURN = sessionStorage.getItem('tandem-testbed-lastGroupURN');
+            const lastGroupURN = sessionStorage.getItem(envStorageKey('tandem-testbed-lastGroupURN'));
             const defaultGroupURN = currentGroupURN || lastGroupURN || (groups[0]?.urn);
             
             // Populate with groups
@@ -1910,7 +2051,7 @@ function createDropdownMenu(title, items) {
             
             // Save selection on change
             mainInput.addEventListener('change', () => {
-              sessionStorage.setItem('tandem-testbed-lastGroupURN', mainInput.value);
+              sessionStorage.setItem(envStorageKey('tandem-testbed-lastGroupURN'), mainInput.value);
             });
           }
         } else {
@@ -2099,6 +2240,10 @@ function createDropdownMenu(title, items) {
         inputForm.appendChild(helpSection);
       }
       
+      // Result area (only used by items with inputConfig.renderResult)
+      const resultContainer = document.createElement('div');
+      resultContainer.className = 'stub-result hidden';
+      
       // Button container
       const buttonContainer = document.createElement('div');
       buttonContainer.style.display = 'flex';
@@ -2119,8 +2264,11 @@ function createDropdownMenu(title, items) {
       executeBtn.addEventListener('click', async () => {
         executeBtn.disabled = true;
         executeBtn.textContent = 'Running...';
+        beginStub(item.label);
         
         try {
+          let result;
+          
           // Gather all input values
           if (item.inputConfig.type === 'multiText') {
             // For multiText, gather values by field ID
@@ -2159,7 +2307,7 @@ function createDropdownMenu(title, items) {
               return;
             }
             
-            await item.inputConfig.onExecute(values);
+            result = await item.inputConfig.onExecute(values);
           } else if (item.inputConfig.additionalFields) {
             // For modelSelect with additionalFields, gather values as object
             const additionalValues = {};
@@ -2195,29 +2343,43 @@ function createDropdownMenu(title, items) {
               return;
             }
             
-            await item.inputConfig.onExecute(mainInput.value, additionalValues);
+            result = await item.inputConfig.onExecute(mainInput.value, additionalValues);
           } else {
             // For single field only
-            await item.inputConfig.onExecute(mainInput.value);
+            result = await item.inputConfig.onExecute(mainInput.value);
           }
           
-          // Collapse form after success
-          inputForm.classList.add('hidden');
+          if (item.inputConfig.renderResult) {
+            // Tools that show their result in the form stay open
+            resultContainer.innerHTML = '';
+            item.inputConfig.renderResult(result, resultContainer);
+            resultContainer.classList.remove('hidden');
+          } else {
+            // Collapse form after success
+            inputForm.classList.add('hidden');
+          }
         } catch (error) {
           console.error('Error executing stub:', error);
         } finally {
+          endStub(item.label);
           executeBtn.disabled = false;
           executeBtn.textContent = 'Execute';
         }
       });
       
+      // While the STUB runs, Cancel aborts its requests; otherwise it closes the form
       cancelBtn.addEventListener('click', () => {
+        if (getActiveStub() === item.label) {
+          cancelActiveStub();
+          return;
+        }
         inputForm.classList.add('hidden');
       });
       
       buttonContainer.appendChild(executeBtn);
       buttonContainer.appendChild(cancelBtn);
       inputForm.appendChild(buttonContainer);
+      inputForm.appendChild(resultContainer);
       
       // Button click toggles form visibility
       button.addEventListener('click', () => {
@@ -2264,7 +2426,7 @@ function createDropdownMenu(title, items) {
               } else {
                 // Determine default: previous value, current account, last used, or first
                 const currentGroupURN = getCurrentGroupURN();
-                const lastGroupURN = sessionStorage.getItem('tandem-testbed-lastGroupURN');
+                const lastGroupURN = sessionStorage.getItem(envStorageKey('tandem-testbed-lastGroupURN'));
                 const defaultGroupURN = previousValue || currentGroupURN || lastGroupURN || (groups[0]?.urn);
                 
                 groups.forEach((group) => {
@@ -2296,12 +2458,14 @@ function createDropdownMenu(title, items) {
         button.disabled = true;
         const originalText = button.textContent;
         button.textContent = `${originalText} (running...)`;
+        beginStub(item.label);
         
         try {
           await item.action();
         } catch (error) {
           console.error('Error executing stub:', error);
         } finally {
+          endStub(item.label);
           button.disabled = false;
           button.textContent = originalText;
         }
@@ -2388,6 +2552,7 @@ export function createStubWithInput(label, description, inputFields, onExecute)
   executeBtn.addEventListener('click', async () => {
     executeBtn.disabled = true;
     executeBtn.textContent = 'Executing...';
+    beginStub(label);
     
     try {
       // Gather input values
@@ -2401,6 +2566,7 @@ export function createStubWithInput(label, description, inputFields, onExecute)
     } catch (error) {
       console.error('Error executing stub:', error);
     } finally {
+      endStub(label);
       executeBtn.disabled = false;
       executeBtn.textContent = 'Execute';
     }
@@ -2415,7 +2581,7 @@ export function createStubWithInput(label, description, inputFields, onExecute)
   
   const hint = document.createElement('span');
   hint.className = 'console-hint';
-  hint.textContent = 'Check console for output';
+  hint.textContent = 'Check console or Request Inspector for output';
   
   wrapper.appendChild(button);
   wrapper.appendChild(hint);
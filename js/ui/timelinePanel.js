@@ -0,0 +1,220 @@
+/**
+ * Timeline Panel
+ *
+ * Load the change history of one or more elements (see stubs/historyStubs.js) and
+ * show it as a timeline: newest change first, with the old and new value, the user,
+ * client, operation and description of the transaction. Filter by property or user
+ * and download what is shown as an audit trail.
+ */
+
+import { getElementTimeline, filterTimeline, timelineToTable, TimelineChange } from '../stubs/historyStubs.js';
+import { exportRows } from '../scanExport.js';
+import { beginStub, endStub } from '../state/requestLog.js';
+import { openPanel, createPanelButton } from './panels.js';
+import { createFormatSelect, downloadBlob } from './scanExportUI.js';
+
+const TIMELINE_STUB = 'Element Change Timeline';
+
+const inputClass = 'rounded border border-dark-border bg-dark-bg text-dark-text text-xs py-1 px-2 focus:border-tandem-blue focus:outline-none';
+
+const changeClasses = {
+  [TimelineChange.Added]: 'text-green-400',
+  [TimelineChange.Changed]: 'text-dark-text',
+  [TimelineChange.Deleted]: 'text-red-400'
+};
+
+/**
+ * Create a table cell
+ * @param {string} text
+ * @param {string} [className]
+ * @returns {HTMLTableCellElement}
+ */
+function createCell(text, className = '') {
+  const td = document.createElement('td');
+  td.className = `px-2 py-0.5 border-b border-dark-border align-top ${className}`;
+  td.textContent = text;
+  return td;
+}
+
+/**
+ * Format a value for the table
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Add a line of text
+ * @param {HTMLElement} container
+ * @param {string} text
+ * @param {string} [className]
+ */
+function addMessage(container, text, className = 'text-dark-text-secondary') {
+  const p = document.createElement('p');
+  p.className = `mb-2 ${className}`;
+  p.textContent = text;
+  container.appendChild(p);
+}
+
+/**
+ * Fill a filter select with "all" plus the given (non-empty) values
+ * @param {HTMLSelectElement} select
+ * @param {string} allLabel
+ * @param {Array<string>} values
+ */
+function fillFilter(select, allLabel, values) {
+  select.innerHTML = '';
+  select.appendChild(new Option(allLabel, ''));
+  values.filter(Boolean).forEach(value => select.appendChild(new Option(value, value)));
+}
+
+/**
+ * Render the timeline table
+ * @param {HTMLElement} container
+ * @param {Array<object>} events - Filtered events
+ * @param {boolean} multipleElements - Show the element column
+ */
+function renderEvents(container, events, multipleElements) {
+  container.innerHTML = '';
+  if (events.length === 0) {
+    addMessage(container, 'No changes match the filter.');
+    return;
+  }
+
+  const headers = ['Time', ...(multipleElements ? ['Element'] : []), 'Property', 'Change', 'Old value', 'New value', 'User', 'Client', 'Description'];
+  const table = document.createElement('table');
+  table.className = 'w-full border-collapse';
+  const headRow = document.createElement('tr');
+  headers.forEach(label => {
+    const th = document.createElement('th');
+    th.className = 'sticky top-0 bg-dark-card text-left font-semibold text-dark-text-secondary px-2 py-1 border-b border-dark-border whitespace-nowrap';
+    th.textContent = label;
+    headRow.appendChild(th);
+  });
+  table.appendChild(headRow);
+
+  const fragment = document.createDocumentFragment();
+  events.forEach(event => {
+    const tr = document.createElement('tr');
+    tr.className = 'hover:bg-dark-bg';
+    tr.title = [event.operation && `Operation: ${event.operation}`, event.correlationId && `Correlation ID: ${event.correlationId}`].filter(Boolean).join('\n');
+    tr.appendChild(createCell(new Date(event.timestamp).toLocaleString(), 'whitespace-nowrap'));
+    if (multipleElements) {
+      const elementCell = createCell(event.name || event.key);
+      elementCell.title = event.key;
+      tr.appendChild(elementCell);
+    }
+    const propertyCell = createCell(event.property);
+    propertyCell.title = event.column;
+    tr.appendChild(propertyCell);
+    tr.appendChild(createCell(event.change, changeClasses[event.change]));
+    tr.appendChild(createCell(formatValue(event.previousValue), 'text-dark-text-secondary'));
+    tr.appendChild(createCell(formatValue(event.value)));
+    tr.appendChild(createCell(event.username));
+    tr.appendChild(createCell(event.clientId, 'text-dark-text-secondary'));
+    tr.appendChild(createCell(event.description));
+    fragment.appendChild(tr);
+  });
+  table.appendChild(fragment);
+  container.appendChild(table);
+}
+
+/**
+ * Open the element change timeline
+ * @param {string} region - Region header
+ * @param {Array<object>} models - Facility models (links with modelId and label)
+ */
+export function openTimelinePanel(region, models) {
+  const { toolbar, body } = openPanel({ title: 'Element Change Timeline' });
+
+  if (!models || models.length === 0) {
+    addMessage(body, 'Select a facility first.');
+    return;
+  }
+
+  // Toolbar: model, keys, load
+  const modelSelect = document.createElement('select');
+  modelSelect.className = inputClass;
+  models.forEach(model => modelSelect.appendChild(new Option(model.label || 'Default Model', model.modelId)));
+  const keysInput = document.createElement('input');
+  keysInput.type = 'text';
+  keysInput.placeholder = 'Element keys (comma-separated)';
+  keysInput.className = `${inputClass} w-96`;
+  const loadBtn = createPanelButton('Load', true);
+  [modelSelect, keysInput, loadBtn].forEach(el => toolbar.appendChild(el));
+
+  // Body: filters + export, then the table
+  const controls = document.createElement('div');
+  controls.className = 'hidden flex items-center space-x-2 mb-3';
+  const propertyFilter = document.createElement('select');
+  propertyFilter.className = inputClass;
+  const userFilter = document.createElement('select');
+  userFilter.className = inputClass;
+  const summary = document.createElement('span');
+  summary.className = 'text-dark-text-secondary flex-1';
+  const formatSelect = createFormatSelect();
+  formatSelect.className = inputClass;
+  const downloadBtn = createPanelButton('Download');
+  [propertyFilter, userFilter, summary, formatSelect, downloadBtn].forEach(el => controls.appendChild(el));
+
+  const messages = document.createElement('div');
+  const results = document.createElement('div');
+  [controls, messages, results].forEach(el => body.appendChild(el));
+
+  let timeline = null;
+
+  const currentEvents = () => filterTimeline(timeline.events, { property: propertyFilter.value, username: userFilter.value });
+
+  function refresh() {
+    const events = currentEvents();
+    summary.textContent = `${events.length} of ${timeline.events.length} change(s) on ${timeline.elements.length} element(s)`;
+    renderEvents(results, events, timeline.elements.length > 1);
+  }
+
+  async function load() {
+    messages.innerHTML = '';
+    results.innerHTML = '';
+    controls.classList.add('hidden');
+    loadBtn.disabled = true;
+    beginStub(TIMELINE_STUB);
+    try {
+      timeline = await getElementTimeline(modelSelect.value, region, keysInput.value);
+      timeline.warnings.forEach(warning => addMessage(messages, warning, 'text-yellow-400'));
+
+      fillFilter(propertyFilter, 'All properties', [...new Set(timeline.events.map(event => event.property))].sort());
+      fillFilter(userFilter, 'All users', [...new Set(timeline.events.map(event => event.username))].sort());
+      controls.classList.remove('hidden');
+      refresh();
+    } catch (error) {
+      addMessage(messages, error.message, 'text-red-400');
+    } finally {
+      endStub(TIMELINE_STUB);
+      loadBtn.disabled = false;
+    }
+  }
+
+  loadBtn.addEventListener('click', load);
+  keysInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') load();
+  });
+  propertyFilter.addEventListener('change', refresh);
+  userFilter.addEventListener('change', refresh);
+
+  downloadBtn.addEventListener('click', async () => {
+    downloadBtn.disabled = true;
+    try {
+      const { blob, filename } = await exportRows(timelineToTable(currentEvents()), formatSelect.value, { title: 'timeline' });
+      downloadBlob(blob, filename);
+    } catch (error) {
+      console.error('Error:', error);
+      addMessage(messages, `Export failed: ${error.message}`, 'text-red-400');
+    } finally {
+      downloadBtn.disabled = false;
+    }
+  });
+
+  keysInput.focus();
+}
@@ -0,0 +1,318 @@
+/**
+ * Timeseries Import Panel
+ *
+ * Upload a CSV/TSV/XLSX/JSONL file (or paste rows) with historical stream values,
+ * check how its columns map to streams and properties, then import. Column
+ * mappings can be corrected in place when the headers of a BMS export don't match
+ * the stream or property names. Parsing and posting are done by
+ * stubs/timeseriesImportStubs.js; this module only renders them.
+ */
+
+import { planTimeseriesImport, importTimeseries, ImportStatus } from '../stubs/timeseriesImportStubs.js';
+import { readSpreadsheetFile, parseDelimited, parseJsonLines } from '../utils/spreadsheet.js';
+import { beginStub, endStub } from '../state/requestLog.js';
+import { openPanel, createPanelButton } from './panels.js';
+
+const PLAN_STUB = 'Import Stream Values: Parse';
+const IMPORT_STUB = 'Import Stream Values: Import';
+
+const EXAMPLE = [
+  'Timestamp,Stream,Temperature,Humidity',
+  '2024-05-01 08:00,Lobby Sensor,21.4,45',
+  '2024-05-01T09:00:00Z,Lobby Sensor,21.9,44',
+  '1714557600,AQAAAHXAiGAEvezgZISa5j72j9AbVj8t,22.3,43'
+].join('\n');
+
+const inputClass = 'rounded border border-dark-border bg-dark-bg text-dark-text text-xs py-1 px-2 focus:border-tandem-blue focus:outline-none';
+
+const statusClasses = {
+  [ImportStatus.Ready]: 'text-dark-text',
+  [ImportStatus.Posted]: 'text-green-400',
+  [ImportStatus.Partial]: 'text-yellow-400',
+  [ImportStatus.Failed]: 'text-red-400',
+  [ImportStatus.Cancelled]: 'text-yellow-400'
+};
+
+/**
+ * Create a table cell
+ * @param {string} text
+ * @param {string} [className]
+ * @returns {HTMLTableCellElement}
+ */
+function createCell(text, className = '') {
+  const td = document.createElement('td');
+  td.className = `px-2 py-1 border-b border-dark-border align-top ${className}`;
+  td.textContent = text;
+  return td;
+}
+
+/**
+ * Add a line of text
+ * @param {HTMLElement} container
+ * @param {string} text
+ * @param {string} [className]
+ */
+function addMessage(container, text, className = 'text-dark-text-secondary') {
+  const p = document.createElement('p');
+  p.className = `mb-2 ${className}`;
+  p.textContent = text;
+  container.appendChild(p);
+}
+
+/**
+ * Create a table with a header row
+ * @param {Array<string>} headers
+ * @returns {HTMLTableElement}
+ */
+function createTable(headers) {
+  const table = document.createElement('table');
+  table.className = 'w-full border-collapse mb-4';
+  const headRow = document.createElement('tr');
+  headers.forEach(label => {
+    const th = document.createElement('th');
+    th.className = 'sticky top-0 bg-dark-card text-left font-semibold text-dark-text-secondary px-2 py-1 border-b border-dark-border whitespace-nowrap';
+    th.textContent = label;
+    headRow.appendChild(th);
+  });
+  table.appendChild(headRow);
+  return table;
+}
+
+/**
+ * Create a datalist and return its id
+ * @param {HTMLElement} container
+ * @param {string} id
+ * @param {Array<string>} values
+ * @returns {string}
+ */
+function addDatalist(container, id, values) {
+  const list = document.createElement('datalist');
+  list.id = id;
+  [...new Set(values)].forEach(value => list.appendChild(new Option(value)));
+  container.appendChild(list);
+  return id;
+}
+
+/**
+ * Render the column mapping with editable stream / property cells
+ * @param {HTMLElement} container
+ * @param {object} plan - From planTimeseriesImport()
+ * @param {Function} onChange - (columnIndex, { stream?, property? }) => void
+ */
+function renderColumns(container, plan, onChange) {
+  addMessage(container, `Columns (timestamp: "${plan.timestampColumn}", ${plan.layout === 'rows' ? 'stream from the Stream column of each row' : 'one stream per column'}) - edit a mapping to fix it:`);
+  const streamListId = addDatalist(container, 'tsImportStreams', plan.streamList.map(stream => stream.name));
+
+  const headers = plan.layout === 'columns' ? ['Column', 'Stream', 'Property', 'Unit', ''] : ['Column', 'Property', 'Unit', ''];
+  const table = createTable(headers);
+  plan.columns.forEach(column => {
+    const tr = document.createElement('tr');
+    tr.appendChild(createCell(column.header, 'font-mono'));
+
+    const editCell = (field, value, listId, placeholder) => {
+      const td = createCell('');
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.value = value;
+      input.placeholder = placeholder;
+      input.className = `${inputClass} w-full`;
+      if (listId) input.setAttribute('list', listId);
+      input.addEventListener('change', () => onChange(column.index, { [field]: input.value }));
+      td.appendChild(input);
+      return td;
+    };
+    if (plan.layout === 'columns') {
+      const streamCell = editCell('stream', column.streamText, streamListId, 'Stream name or key');
+      if (column.stream) streamCell.title = column.stream.key;
+      tr.appendChild(streamCell);
+    }
+    const propertyCell = editCell('property', column.propertyText, null, 'Property name or qualified ID');
+    if (column.property) propertyCell.title = `${column.property.category}.${column.property.name} (${column.property.id})`;
+    tr.appendChild(propertyCell);
+
+    tr.appendChild(createCell(column.unit));
+    tr.appendChild(createCell(column.error || '✓', column.error ? 'text-red-400' : 'text-green-400'));
+    table.appendChild(tr);
+  });
+  container.appendChild(table);
+}
+
+/**
+ * Render the per-stream report
+ * @param {HTMLElement} container
+ * @param {object} plan
+ */
+function renderStreams(container, plan) {
+  if (plan.streams.length === 0) {
+    addMessage(container, 'No values to import.', 'text-yellow-400');
+    return;
+  }
+
+  const table = createTable(['Stream', 'Rows', 'Items', 'Values', 'From', 'To', 'Posted', 'Status']);
+  plan.streams.forEach(stream => {
+    const tr = document.createElement('tr');
+    const nameCell = createCell(stream.name);
+    nameCell.title = stream.key;
+    tr.appendChild(nameCell);
+    tr.appendChild(createCell(String(stream.rowCount), 'text-right'));
+    tr.appendChild(createCell(String(stream.items.length), 'text-right'));
+    tr.appendChild(createCell(String(stream.valueCount), 'text-right'));
+    tr.appendChild(createCell(new Date(stream.from).toLocaleString(), 'whitespace-nowrap'));
+    tr.appendChild(createCell(new Date(stream.to).toLocaleString(), 'whitespace-nowrap'));
+    tr.appendChild(createCell(`${stream.postedItems}/${stream.items.length}`, 'text-right'));
+
+    const statusCell = createCell(stream.status, statusClasses[stream.status]);
+    stream.errors.forEach(error => {
+      const line = document.createElement('div');
+      line.className = 'text-red-400';
+      line.textContent = error;
+      statusCell.appendChild(line);
+    });
+    tr.appendChild(statusCell);
+    table.appendChild(tr);
+  });
+  container.appendChild(table);
+}
+
+/**
+ * Render a plan (or its results after import)
+ * @param {HTMLElement} container
+ * @param {object} plan - From planTimeseriesImport()
+ * @param {Function} onMappingChange - See renderColumns()
+ */
+function renderPlan(container, plan, onMappingChange) {
+  container.innerHTML = '';
+
+  plan.errors.forEach(error => addMessage(container, error, 'text-red-400'));
+  plan.warnings.forEach(warning => addMessage(container, warning, 'text-yellow-400'));
+  if (plan.columns.length > 0) renderColumns(container, plan, onMappingChange);
+  if (plan.errors.length > 0) return;
+
+  renderStreams(container, plan);
+
+  if (plan.skippedCount > 0) {
+    addMessage(container, `${plan.skippedCount} row(s) skipped:`, 'text-yellow-400');
+    plan.skippedRows.forEach(({ rowNumber, reason }) => addMessage(container, `Row ${rowNumber}: ${reason}`));
+    if (plan.skippedCount > plan.skippedRows.length) {
+      addMessage(container, `... and ${plan.skippedCount - plan.skippedRows.length} more (see the console).`);
+    }
+  }
+}
+
+/**
+ * Open the timeseries import panel
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region header
+ */
+export function openTimeseriesImport(facilityURN, region) {
+  const { toolbar, body } = openPanel({ title: 'Import Stream Values' });
+
+  if (!facilityURN) {
+    addMessage(body, 'Select a facility first.');
+    return;
+  }
+
+  let table = null;
+  let plan = null;
+  let mapping = {};
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.csv,.tsv,.txt,.xlsx,.xls,.jsonl,.ndjson';
+  fileInput.className = 'text-xs text-dark-text-secondary';
+
+  const zoneInput = document.createElement('input');
+  zoneInput.type = 'text';
+  zoneInput.value = 'local';
+  zoneInput.title = `Time zone of timestamps without an offset - local is ${Intl.DateTimeFormat().resolvedOptions().timeZone}`;
+  zoneInput.className = `${inputClass} w-36`;
+  zoneInput.setAttribute('list', addDatalist(toolbar, 'tsImportZones', ['local', 'UTC', ...(Intl.supportedValuesOf?.('timeZone') ?? [])]));
+
+  const parseBtn = createPanelButton('Parse');
+  const importBtn = createPanelButton('Import', true);
+  importBtn.disabled = true;
+  importBtn.classList.add('disabled:opacity-50');
+
+  [fileInput, zoneInput, parseBtn, importBtn].forEach(el => toolbar.appendChild(el));
+
+  const help = document.createElement('p');
+  help.className = 'text-dark-text-secondary mb-2';
+  help.textContent = 'Choose a file or paste rows below (CSV, TSV or JSON Lines). Columns: a Timestamp (ISO 8601 or epoch seconds/ms), ' +
+    'then either a Stream column (name or key) plus one column per property, or one "Stream.Property" column per value. ' +
+    'Times without an offset are read in the time zone above.';
+
+  const textarea = document.createElement('textarea');
+  textarea.rows = 6;
+  textarea.placeholder = EXAMPLE;
+  textarea.className = 'w-full rounded border border-dark-border bg-dark-bg text-dark-text text-xs font-mono py-1 px-2 mb-3 focus:border-tandem-blue focus:outline-none';
+
+  const results = document.createElement('div');
+
+  body.appendChild(help);
+  body.appendChild(textarea);
+  body.appendChild(results);
+
+  async function runPlan() {
+    importBtn.disabled = true;
+    beginStub(PLAN_STUB);
+    try {
+      plan = await planTimeseriesImport(facilityURN, region, table, { timeZone: zoneInput.value.trim() || 'local', mapping });
+      renderPlan(results, plan, onMappingChange);
+      importBtn.disabled = plan.errors.length > 0 || !plan.streams.some(stream => stream.status === ImportStatus.Ready);
+    } finally {
+      endStub(PLAN_STUB);
+    }
+  }
+
+  function onMappingChange(index, change) {
+    mapping[index] = { ...mapping[index], ...change };
+    runPlan();
+  }
+
+  parseBtn.addEventListener('click', async () => {
+    importBtn.disabled = true;
+    results.innerHTML = '';
+    mapping = {};
+    try {
+      const text = textarea.value.trim();
+      if (text) {
+        table = text.startsWith('{') ? parseJsonLines(text) : parseDelimited(text);
+      } else if (fileInput.files.length > 0) {
+        table = await readSpreadsheetFile(fileInput.files[0]);
+      } else {
+        addMessage(results, 'Choose a file or paste some rows first.', 'text-yellow-400');
+        return;
+      }
+      await runPlan();
+    } catch (error) {
+      console.error('Error:', error);
+      addMessage(results, error.message, 'text-red-400');
+    }
+  });
+
+  // A newly chosen file replaces whatever was pasted
+  fileInput.addEventListener('change', () => {
+    textarea.value = '';
+    if (fileInput.files.length > 0) parseBtn.click();
+  });
+
+  zoneInput.addEventListener('change', () => {
+    if (table) runPlan();
+  });
+
+  importBtn.addEventListener('click', async () => {
+    if (!plan) return;
+    importBtn.disabled = true;
+    parseBtn.disabled = true;
+    beginStub(IMPORT_STUB);
+    try {
+      await importTimeseries(plan, region, () => renderPlan(results, plan, onMappingChange));
+      renderPlan(results, plan, onMappingChange);
+    } finally {
+      endStub(IMPORT_STUB);
+      parseBtn.disabled = false;
+    }
+  });
+
+  textarea.focus();
+}
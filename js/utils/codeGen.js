@@ -0,0 +1,253 @@
+/**
+ * Code Generator
+ *
+ * Turns recorded requests (see js/state/requestLog.js) into code you can paste into
+ * your own project: a cURL command, a standalone JavaScript fetch() snippet, or a
+ * Python requests snippet. A list of records becomes an ordered sequence of calls,
+ * which is how multi-step STUBs like getFacilityStructure are exported.
+ *
+ * The bearer token is replaced by a placeholder unless includeToken is set.
+ */
+
+export const TOKEN_PLACEHOLDER = '<YOUR_ACCESS_TOKEN>';
+
+export const CodeFormats = {
+  Curl: 'curl',
+  Fetch: 'fetch',
+  Python: 'python'
+};
+
+/**
+ * Get the token to embed in generated code
+ * @param {object} options - Generator options
+ * @returns {string} Real token or placeholder
+ */
+function getTokenText(options) {
+  return options.includeToken && options.token ? options.token : TOKEN_PLACEHOLDER;
+}
+
+/**
+ * Get the body of a record as it was sent
+ * @param {object} record - Request record
+ * @returns {{json: any, text: string}|null} Parsed body (json is undefined if not JSON)
+ */
+function getBody(record) {
+  const text = record.requestBodyText ?? (record.requestBody !== null && record.requestBody !== undefined
+    ? JSON.stringify(record.requestBody)
+    : null);
+  if (text === null) return null;
+
+  try {
+    return { json: JSON.parse(text), text };
+  } catch {
+    return { json: undefined, text };
+  }
+}
+
+/**
+ * Quote a string for a POSIX shell (single quotes)
+ * @param {string} value - Raw string
+ * @returns {string} Quoted string
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Convert a JSON value to a Python literal
+ * @param {any} value - JSON value
+ * @param {number} [indent=0] - Current indent level
+ * @returns {string} Python source
+ */
+function toPythonLiteral(value, indent = 0) {
+  const pad = '    '.repeat(indent + 1);
+  const closePad = '    '.repeat(indent);
+
+  if (value === null) return 'None';
+  if (value === true) return 'True';
+  if (value === false) return 'False';
+  if (typeof value === 'number' || typeof value === 'string') return JSON.stringify(value);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    const items = value.map(item => `${pad}${toPythonLiteral(item, indent + 1)}`);
+    return `[\n${items.join(',\n')}\n${closePad}]`;
+  }
+
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  const items = entries.map(([key, item]) => `${pad}${JSON.stringify(key)}: ${toPythonLiteral(item, indent + 1)}`);
+  return `{\n${items.join(',\n')}\n${closePad}}`;
+}
+
+/**
+ * Indent every line after the first
+ * @param {string} text - Multi-line text
+ * @param {string} pad - Indentation to add
+ * @returns {string}
+ */
+function indentContinuation(text, pad) {
+  return text.split('\n').join(`\n${pad}`);
+}
+
+/**
+ * Generate a cURL command for one request
+ * @param {object} record - Request record
+ * @param {object} options - Generator options
+ * @returns {string}
+ */
+function recordToCurl(record, options) {
+  const lines = [`curl -X ${record.method} ${shellQuote(record.url)}`];
+
+  if (record.hasAuthorization !== false) {
+    lines.push(`-H ${shellQuote(`Authorization: Bearer ${getTokenText(options)}`)}`);
+  }
+  Object.entries(record.requestHeaders || {}).forEach(([name, value]) => {
+    lines.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+  });
+
+  const body = getBody(record);
+  if (body) {
+    lines.push(`--data-raw ${shellQuote(body.text)}`);
+  }
+
+  return lines.join(' \\\n  ');
+}
+
+/**
+ * Generate cURL commands for a sequence of requests
+ * @param {Array<object>} records - Request records in call order
+ * @param {object} [options] - { includeToken, token }
+ * @returns {string}
+ */
+export function toCurl(records, options = {}) {
+  if (records.length === 1) {
+    return recordToCurl(records[0], options);
+  }
+  return records
+    .map((record, index) => `# Step ${index + 1}: ${record.method} ${record.url}\n${recordToCurl(record, options)}`)
+    .join('\n\n');
+}
+
+/**
+ * Generate a standalone JavaScript fetch() snippet for a sequence of requests
+ * @param {Array<object>} records - Request records in call order
+ * @param {object} [options] - { includeToken, token }
+ * @returns {string}
+ */
+export function toFetch(records, options = {}) {
+  const lines = [
+    `const token = ${JSON.stringify(getTokenText(options))};`,
+    '',
+    'async function run() {'
+  ];
+
+  records.forEach((record, index) => {
+    const step = records.length > 1 ? index + 1 : '';
+    const headers = {};
+    if (record.hasAuthorization !== false) {
+      headers.Authorization = '__TOKEN__';
+    }
+    Object.assign(headers, record.requestHeaders || {});
+
+    // Authorization value is the token variable, not a string literal
+    const headersText = JSON.stringify(headers, null, 2)
+      .replace('"__TOKEN__"', '`Bearer ${token}`');
+
+    const optionLines = [`method: ${JSON.stringify(record.method)}`, `headers: ${indentContinuation(headersText, '    ')}`];
+    const body = getBody(record);
+    if (body) {
+      const bodyText = body.json !== undefined
+        ? `JSON.stringify(${indentContinuation(JSON.stringify(body.json, null, 2), '    ')})`
+        : JSON.stringify(body.text);
+      optionLines.push(`body: ${bodyText}`);
+    }
+
+    if (records.length > 1) {
+      lines.push(`  // Step ${step}: ${record.method} ${record.url}`);
+    }
+    lines.push(`  const response${step} = await fetch(${JSON.stringify(record.url)}, {`);
+    lines.push(optionLines.map(line => `    ${line}`).join(',\n'));
+    lines.push('  });');
+    lines.push(`  if (!response${step}.ok) throw new Error(\`HTTP \${response${step}.status}\`);`);
+    lines.push(`  const result${step} = await response${step}.json();`);
+    lines.push(`  console.log(result${step});`);
+    if (index < records.length - 1) {
+      lines.push('');
+    }
+  });
+
+  lines.push('}');
+  lines.push('');
+  lines.push('run();');
+  return lines.join('\n');
+}
+
+/**
+ * Generate a Python requests snippet for a sequence of requests
+ * @param {Array<object>} records - Request records in call order
+ * @param {object} [options] - { includeToken, token }
+ * @returns {string}
+ */
+export function toPython(records, options = {}) {
+  const lines = [
+    'import requests',
+    '',
+    `token = ${JSON.stringify(getTokenText(options))}`
+  ];
+
+  records.forEach((record, index) => {
+    const step = records.length > 1 ? index + 1 : '';
+    const headerLines = [];
+    if (record.hasAuthorization !== false) {
+      headerLines.push('    "Authorization": f"Bearer {token}"');
+    }
+    Object.entries(record.requestHeaders || {}).forEach(([name, value]) => {
+      headerLines.push(`    ${JSON.stringify(name)}: ${JSON.stringify(value)}`);
+    });
+
+    lines.push('');
+    if (records.length > 1) {
+      lines.push(`# Step ${step}: ${record.method} ${record.url}`);
+    }
+    lines.push(`headers${step} = {\n${headerLines.join(',\n')}\n}`);
+
+    const args = [JSON.stringify(record.method), JSON.stringify(record.url), `headers=headers${step}`];
+    const body = getBody(record);
+    if (body) {
+      if (body.json !== undefined) {
+        lines.push(`payload${step} = ${toPythonLiteral(body.json)}`);
+        args.push(`json=payload${step}`);
+      } else {
+        args.push(`data=${JSON.stringify(body.text)}`);
+      }
+    }
+
+    lines.push(`response${step} = requests.request(${args.join(', ')})`);
+    lines.push(`response${step}.raise_for_status()`);
+    lines.push(`result${step} = response${step}.json()`);
+    lines.push(`print(result${step})`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Generate code in the given format
+ * @param {string} format - One of CodeFormats
+ * @param {Array<object>} records - Request records in call order
+ * @param {object} [options] - { includeToken, token }
+ * @returns {string}
+ */
+export function generateCode(format, records, options = {}) {
+  switch (format) {
+    case CodeFormats.Curl:
+      return toCurl(records, options);
+    case CodeFormats.Fetch:
+      return toFetch(records, options);
+    case CodeFormats.Python:
+      return toPython(records, options);
+    default:
+      throw new Error(`Unknown code format: ${format}`);
+  }
+}
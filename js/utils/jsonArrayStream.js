@@ -0,0 +1,120 @@
+/**
+ * Streaming JSON Array Parser
+ *
+ * Scan responses are one big JSON array of rows. Instead of waiting for the whole
+ * body and calling JSON.parse() on hundreds of megabytes, text is pushed in as it
+ * arrives and every top-level item is parsed (and handed over) as soon as it is
+ * complete - so rows can be counted, filtered and dropped while the download runs.
+ *
+ * Only the outermost value has to be an array; items can be any JSON value.
+ */
+
+/**
+ * Create a parser for one JSON array
+ *
+ * @param {Function} onItem - Called with each parsed item, in order
+ * @returns {{push: Function, end: Function}} push(text) feeds the next piece of text,
+ *   end() checks the array was complete
+ */
+export function createJsonArrayParser(onItem) {
+  let buffer = '';
+  let position = 0;      // next character of buffer to look at
+  let itemStart = -1;    // start of the current top-level item in buffer, -1 between items
+  let depth = 0;         // 0 before the array, 1 inside it, more inside an item
+  let inString = false;
+  let started = false;
+  let finished = false;
+
+  // A quote is escaped if an odd number of backslashes precede it
+  const isEscaped = (quote) => {
+    let backslashes = 0;
+    for (let i = quote - 1; i >= 0 && buffer[i] === '\\'; i--) backslashes++;
+    return backslashes % 2 === 1;
+  };
+
+  const emit = (end) => {
+    const text = buffer.slice(itemStart, end).trim();
+    itemStart = -1;
+    if (text) {
+      onItem(JSON.parse(text));
+    }
+  };
+
+  function push(text) {
+    if (finished) {
+      if (text.trim()) throw new SyntaxError('Unexpected data after the end of the JSON array');
+      return;
+    }
+    buffer += text;
+
+    for (; position < buffer.length && !finished; position++) {
+      if (inString) {
+        // Jump to the closing quote instead of looking at every character of the string
+        let quote = buffer.indexOf('"', position);
+        while (quote >= 0 && isEscaped(quote)) {
+          quote = buffer.indexOf('"', quote + 1);
+        }
+        if (quote < 0) {
+          position = buffer.length;
+          break;
+        }
+        position = quote;
+        inString = false;
+        continue;
+      }
+
+      const char = buffer[position];
+
+      if (!started) {
+        if (char === '[') {
+          started = true;
+          depth = 1;
+        } else if (!/\s/.test(char)) {
+          throw new SyntaxError(`Expected a JSON array, found "${char}"`);
+        }
+        continue;
+      }
+
+      switch (char) {
+        case '"':
+          if (depth === 1 && itemStart < 0) itemStart = position;
+          inString = true;
+          break;
+        case '{':
+        case '[':
+          if (depth === 1 && itemStart < 0) itemStart = position;
+          depth++;
+          break;
+        case '}':
+        case ']':
+          depth--;
+          if (depth === 1) {
+            emit(position + 1);
+          } else if (depth === 0) {
+            if (itemStart >= 0) emit(position);
+            finished = true;
+          }
+          break;
+        case ',':
+          if (depth === 1 && itemStart >= 0) emit(position);
+          break;
+        default:
+          if (depth === 1 && itemStart < 0 && !/\s/.test(char)) itemStart = position;
+      }
+    }
+
+    // Keep only the unfinished item, so memory stays at about one row
+    const keepFrom = itemStart >= 0 ? itemStart : position;
+    buffer = buffer.slice(keepFrom);
+    position -= keepFrom;
+    if (itemStart >= 0) itemStart = 0;
+  }
+
+  function end() {
+    if (!finished) {
+      throw new SyntaxError('Unexpected end of JSON array');
+    }
+  }
+
+  return { push, end };
+}
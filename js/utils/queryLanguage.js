@@ -0,0 +1,342 @@
+/**
+ * Element Query Language
+ *
+ * Parses queries like
+ *
+ *   Identity Data.Mark ~ "AHU-*" AND Dimensions.Area > 20 AND classification under "Walls"
+ *
+ * into a small syntax tree. Nothing here knows about models or schemas: properties
+ * stay as the text the user typed ("Category.Property" or a qualified ID such as
+ * z:5mQ) and are resolved per model by stubs/queryStubs.js.
+ *
+ * Grammar (keywords are case-insensitive):
+ *   query      := or
+ *   or         := and ( OR and )*
+ *   and        := not ( AND not )*
+ *   not        := NOT not | "(" or ")" | condition
+ *   condition  := property op value | property EXISTS | CLASSIFICATION UNDER value
+ *   op         := = | != | > | >= | < | <= | ~ | !~
+ *   value      := "quoted string" | number | true | false | bare word
+ *
+ * Numbers are plain decimals (42, -1.5); anything else, such as 0x10, stays text.
+ *
+ * ~ / !~ match a wildcard pattern (* and ?), ignoring case. = and != are exact.
+ * <, <=, >, >= compare numbers when both sides are numbers, text otherwise
+ * (so ISO dates compare correctly).
+ */
+
+import { DECIMAL_PATTERN } from '../../tandem/attributes.js';
+
+export const QueryOperators = ['=', '!=', '>', '>=', '<', '<=', '~', '!~'];
+
+const KEYWORDS = ['and', 'or', 'not', 'exists', 'under'];
+
+/**
+ * Error in the query text
+ */
+export class QuerySyntaxError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} position - Character offset in the query text
+   */
+  constructor(message, position) {
+    super(`${message} (at character ${position + 1})`);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Split query text into tokens
+ * @param {string} text
+ * @returns {Array<{type: string, value: any, position: number}>} type is
+ *   'string', 'op', 'lparen', 'rparen' or 'word'
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '"' || char === "'") {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== char) {
+        if (text[i] === '\\' && i + 1 < text.length) i++;
+        value += text[i];
+        i++;
+      }
+      if (i >= text.length) {
+        throw new QuerySyntaxError('Unterminated string', start);
+      }
+      i++;
+      tokens.push({ type: 'string', value, position: start });
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'lparen' : 'rparen', value: char, position: i });
+      i++;
+    } else if ('=!<>~'.includes(char)) {
+      const two = text.slice(i, i + 2);
+      const op = QueryOperators.includes(two) ? two : char;
+      if (!QueryOperators.includes(op)) {
+        throw new QuerySyntaxError(`Unknown operator "${op}"`, i);
+      }
+      tokens.push({ type: 'op', value: op, position: i });
+      i += op.length;
+    } else {
+      const start = i;
+      while (i < text.length && !/[\s"'()=!<>~]/.test(text[i])) i++;
+      tokens.push({ type: 'word', value: text.slice(start, i), position: start });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Check whether a token is a given keyword
+ * @param {object} token
+ * @param {string} keyword - Lowercase keyword
+ * @returns {boolean}
+ */
+function isKeyword(token, keyword) {
+  return token?.type === 'word' && token.value.toLowerCase() === keyword;
+}
+
+/**
+ * Turn a value token into a JS value
+ * @param {object} token
+ * @returns {string|number|boolean}
+ */
+function toLiteral(token) {
+  if (token.type === 'string') return token.value;
+  const lower = token.value.toLowerCase();
+  if (lower === 'true' || lower === 'false') return lower === 'true';
+  return DECIMAL_PATTERN.test(token.value) ? Number(token.value) : token.value;
+}
+
+/**
+ * Parse a query into a syntax tree
+ *
+ * @param {string} text - Query text
+ * @returns {object} Root node. Nodes are { type: 'and'|'or', children }, { type: 'not', child }
+ *   or { type: 'condition', property, op, value } where property is the text of the property
+ *   reference, or null for "classification under"
+ * @throws {QuerySyntaxError}
+ */
+export function parseQuery(text) {
+  const tokens = tokenize(text || '');
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const endPosition = () => (text || '').length;
+
+  function parseCondition() {
+    const first = peek();
+    if (!first) {
+      throw new QuerySyntaxError('Expected a condition', endPosition());
+    }
+
+    if (isKeyword(first, 'classification') && isKeyword(tokens[index + 1], 'under')) {
+      index += 2;
+      const valueToken = next();
+      if (!valueToken || (valueToken.type !== 'string' && valueToken.type !== 'word')) {
+        throw new QuerySyntaxError('Expected a classification after "under"', valueToken?.position ?? endPosition());
+      }
+      return { type: 'condition', property: null, op: 'under', value: String(valueToken.value) };
+    }
+
+    // Property: a quoted string, or words up to the operator ("Identity Data.Mark")
+    let property;
+    if (first.type === 'string') {
+      property = next().value;
+    } else {
+      const words = [];
+      while (peek()?.type === 'word' && !isKeyword(peek(), 'exists')) {
+        words.push(next().value);
+      }
+      if (words.length === 0) {
+        throw new QuerySyntaxError('Expected a property name', first.position);
+      }
+      property = words.join(' ');
+    }
+
+    if (isKeyword(peek(), 'exists')) {
+      next();
+      return { type: 'condition', property, op: 'exists', value: null };
+    }
+
+    const opToken = next();
+    if (!opToken || opToken.type !== 'op') {
+      throw new QuerySyntaxError(`Expected an operator after "${property}"`, opToken?.position ?? endPosition());
+    }
+    const valueToken = next();
+    if (!valueToken || (valueToken.type !== 'string' && valueToken.type !== 'word')) {
+      throw new QuerySyntaxError(`Expected a value after "${opToken.value}"`, valueToken?.position ?? endPosition());
+    }
+    return { type: 'condition', property, op: opToken.value, value: toLiteral(valueToken) };
+  }
+
+  function parseNot() {
+    if (isKeyword(peek(), 'not')) {
+      next();
+      return { type: 'not', child: parseNot() };
+    }
+    if (peek()?.type === 'lparen') {
+      const open = next();
+      const node = parseOr();
+      if (peek()?.type !== 'rparen') {
+        throw new QuerySyntaxError('Missing ")"', open.position);
+      }
+      next();
+      return node;
+    }
+    return parseCondition();
+  }
+
+  function parseBinary(keyword, parseOperand) {
+    const children = [parseOperand()];
+    while (isKeyword(peek(), keyword)) {
+      next();
+      children.push(parseOperand());
+    }
+    return children.length === 1 ? children[0] : { type: keyword, children };
+  }
+
+  function parseAnd() {
+    return parseBinary('and', parseNot);
+  }
+
+  function parseOr() {
+    return parseBinary('or', parseAnd);
+  }
+
+  if (tokens.length === 0) {
+    throw new QuerySyntaxError('Query is empty', 0);
+  }
+  const root = parseOr();
+  if (index < tokens.length) {
+    const extra = peek();
+    const hint = KEYWORDS.includes(extra.value?.toLowerCase?.()) ? '' : ' - missing AND / OR?';
+    throw new QuerySyntaxError(`Unexpected "${extra.value}"${hint}`, extra.position);
+  }
+  return root;
+}
+
+/**
+ * Get every condition in a syntax tree
+ * @param {object} node
+ * @returns {Array<object>} Condition nodes
+ */
+export function getConditions(node) {
+  if (node.type === 'condition') return [node];
+  if (node.type === 'not') return getConditions(node.child);
+  return node.children.flatMap(getConditions);
+}
+
+/**
+ * Build a case-insensitive matcher for a wildcard pattern (* and ?)
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function wildcardToRegExp(pattern) {
+  const source = String(pattern)
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Match classification string against a pattern
+ * Supports wildcards like "Walls > *"; a pattern without one also matches everything
+ * below it, so this is what "classification under" means in a query
+ *
+ * @param {string} classification - Element's classification
+ * @param {string} pattern - Pattern to match (may contain *)
+ * @returns {boolean} True if matches
+ */
+export function matchClassification(classification, pattern) {
+  if (!classification || !pattern) return false;
+
+  // Exact match
+  if (classification === pattern) return true;
+
+  // Wildcard match (e.g., "Walls > *" matches "Walls > Curtain Wall")
+  if (pattern.endsWith(' > *')) {
+    const prefix = pattern.slice(0, -4); // Remove " > *"
+    return classification.startsWith(prefix + ' > ');
+  }
+
+  // Pattern is a prefix of classification
+  if (classification.startsWith(pattern + ' > ')) return true;
+
+  return false;
+}
+
+/**
+ * Read a value as a number for comparison
+ * @param {any} value
+ * @returns {number} NaN unless value is a number, a boolean or a plain decimal string
+ */
+function toNumber(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') return Number(value);
+  const text = String(value).trim();
+  return DECIMAL_PATTERN.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Compare a property value with a query value
+ * @param {any} actual - Property value (undefined when the element doesn't have it)
+ * @param {string} op - Operator
+ * @param {any} expected - Query value
+ * @returns {boolean}
+ */
+export function compareValue(actual, op, expected) {
+  if (op === 'exists') return actual !== undefined && actual !== null && actual !== '';
+  if (actual === undefined || actual === null) return op === '!=' || op === '!~';
+
+  switch (op) {
+    case 'under':
+      return matchClassification(String(actual), String(expected));
+    case '~':
+      return wildcardToRegExp(expected).test(String(actual));
+    case '!~':
+      return !wildcardToRegExp(expected).test(String(actual));
+  }
+
+  // Booleans compare as 1/0, so "Operational = true" also matches a stored 1
+  const actualNumber = toNumber(actual);
+  const expectedNumber = toNumber(expected);
+  const numeric = Number.isFinite(actualNumber) && Number.isFinite(expectedNumber);
+  const a = numeric ? actualNumber : String(actual);
+  const b = numeric ? expectedNumber : String(expected);
+
+  switch (op) {
+    case '=': return a === b;
+    case '!=': return a !== b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    default: return false;
+  }
+}
+
+/**
+ * Evaluate a syntax tree for one element
+ * @param {object} node
+ * @param {Function} testCondition - (conditionNode) => boolean
+ * @returns {boolean}
+ */
+export function evaluateQuery(node, testCondition) {
+  switch (node.type) {
+    case 'and': return node.children.every(child => evaluateQuery(child, testCondition));
+    case 'or': return node.children.some(child => evaluateQuery(child, testCondition));
+    case 'not': return !evaluateQuery(node.child, testCondition);
+    default: return testCondition(node);
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * Spreadsheet Input / Output
+ *
+ * Reads tabular input for the bulk tools: CSV/TSV text (files or text pasted from
+ * Excel / Google Sheets, which arrives tab-separated), JSON Lines and .xlsx workbooks.
+ * Everything comes back as an array of rows, each an array of cell strings.
+ * The same row arrays can be written back out as CSV or .xlsx for exports.
+ *
+ * .xlsx files are read and written with SheetJS, loaded from its CDN the first time
+ * it's needed (like Tailwind, there is no bundler in this project).
+ */
+
+const SHEETJS_URL = 'https://cdn.sheetjs.com/xlsx-0.20.3/package/xlsx.mjs';
+
+let sheetJsPromise = null;
+
+/**
+ * Guess the delimiter from the first line: tab, semicolon or comma
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const counts = ['\t', ';', ','].map(delimiter => [delimiter, firstLine.split(delimiter).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * Parse delimited text (RFC 4180 quoting: "a, b" and "say ""hi""")
+ * Blank lines are dropped.
+ *
+ * @param {string} text - CSV/TSV text
+ * @param {string} [delimiter] - Defaults to detectDelimiter(text)
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 BOM (Excel adds one to "CSV UTF-8" exports)
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse JSON Lines (one JSON object per line) into rows
+ * The header row is every key that occurs, in the order first seen. Blank lines are dropped.
+ *
+ * @param {string} text - JSONL text
+ * @returns {Array<Array<string>>} Header row, then one row of cells per object
+ * @throws {Error} Naming the first line that isn't a JSON object
+ */
+export function parseJsonLines(text) {
+  const objects = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    let value;
+    try {
+      value = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${index + 1} is not valid JSON: ${error.message}`);
+    }
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`Line ${index + 1} is not a JSON object.`);
+    }
+    objects.push(value);
+  });
+
+  const header = [...new Set(objects.flatMap(object => Object.keys(object)))];
+  const cell = value => {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  };
+  return [header, ...objects.map(object => header.map(key => cell(object[key])))];
+}
+
+/**
+ * Load SheetJS once
+ * @returns {Promise<object>} XLSX module
+ */
+function loadSheetJs() {
+  if (!sheetJsPromise) {
+    sheetJsPromise = import(SHEETJS_URL);
+    sheetJsPromise.catch(() => { sheetJsPromise = null; });
+  }
+  return sheetJsPromise;
+}
+
+/**
+ * Turn a raw workbook cell value into cell text
+ * Numbers keep their full stored precision (not the rounded, grouped text a cell
+ * format shows) and are written without exponents. Dates become ISO 8601 - Excel
+ * dates have no time zone, so they stay local wall-clock time.
+ * @param {any} value - Cell value (cellDates: true, so dates are Date objects)
+ * @returns {string}
+ */
+function formatWorkbookValue(value) {
+  if (value instanceof Date) {
+    const pad = n => String(n).padStart(2, '0');
+    const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    const ms = value.getMilliseconds();
+    const time = `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}${ms ? `.${String(ms).padStart(3, '0')}` : ''}`;
+    return time === '00:00:00' ? date : `${date}T${time}`;
+  }
+  if (typeof value === 'number') {
+    return value.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 });
+  }
+  return String(value);
+}
+
+/**
+ * Read an uploaded file into rows
+ * .xlsx/.xls use the first worksheet, .jsonl/.ndjson are read as JSON Lines; anything
+ * else is treated as delimited text.
+ *
+ * @param {File} file
+ * @returns {Promise<Array<Array<string>>>} Rows of cells
+ * @throws {Error} If SheetJS can't be loaded (offline) for a workbook
+ */
+export async function readSpreadsheetFile(file) {
+  if (/\.xlsx?$/i.test(file.name)) {
+    let XLSX;
+    try {
+      XLSX = await loadSheetJs();
+    } catch (error) {
+      throw new Error(`Could not load the .xlsx reader (${error.message}). Save the sheet as CSV instead.`);
+    }
+    const workbook = XLSX.read(await file.arrayBuffer(), { cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    // Stored values, not the displayed text - a cell shown as "3.14" may hold 3.14159
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' });
+    return rows
+      .map(cells => cells.map(formatWorkbookValue))
+      .filter(cells => cells.some(value => value.trim() !== ''));
+  }
+
+  if (/\.(jsonl|ndjson)$/i.test(file.name)) {
+    return parseJsonLines(await file.text());
+  }
+  return parseDelimited(await file.text());
+}
+
+/**
+ * Format a cell for delimited output - quoted only when it has to be
+ * @param {any} value
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function formatDelimitedCell(value, delimiter) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Write rows as delimited text (inverse of parseDelimited)
+ *
+ * @param {Array<Array<any>>} rows - Rows of cells; objects and arrays are written as JSON
+ * @param {string} [delimiter=',']
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function toDelimited(rows, delimiter = ',') {
+  return rows.map(cells => cells.map(value => formatDelimitedCell(value, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/**
+ * Write rows to a single-sheet .xlsx workbook
+ *
+ * @param {Array<Array<any>>} rows - Rows of cells; objects and arrays are written as JSON
+ * @param {string} [sheetName='Sheet1'] - Trimmed to Excel's 31 character limit
+ * @returns {Promise<Blob>}
+ * @throws {Error} If SheetJS can't be loaded (offline)
+ */
+export async function writeXlsx(rows, sheetName = 'Sheet1') {
+  let XLSX;
+  try {
+    XLSX = await loadSheetJs();
+  } catch (error) {
+    throw new Error(`Could not load the .xlsx writer (${error.message}). Export as CSV instead.`);
+  }
+  const cells = rows.map(row => row.map(value => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value)));
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(cells), sheetName.replace(/[\\/?*[\]:]/g, '_').slice(0, 31));
+  const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+  return new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+}
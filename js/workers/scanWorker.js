@@ -0,0 +1,110 @@
+/**
+ * Scan Worker
+ *
+ * Runs /scan requests off the main thread (see js/scanner.js). The request goes
+ * through the same tandemFetch() as everything else (retries, timeouts), then the
+ * body is read as a stream and parsed row by row with createJsonArrayParser(), so
+ * the page stays responsive on models with hundreds of thousands of elements.
+ *
+ * Messages in:
+ *   { type: 'scan', id, url, requestOptions, filter }  - filter: see keepScanRow()
+ *   { type: 'cancel', id }
+ * Messages out:
+ *   { type: 'progress', id, bytesReceived, totalBytes, rowsParsed, rowsKept }
+ *   { type: 'request', entry }                           - for the request log
+ *   { type: 'done', id, rows, bytesReceived, rowsParsed }
+ *   { type: 'error', id, error }                         - error: serialized TandemApiError / Error
+ */
+
+import { tandemFetch, addRequestObserver, TandemApiError } from '../client.js';
+import { createJsonArrayParser } from '../utils/jsonArrayStream.js';
+import { keepScanRow } from '../scanner.js';
+
+// Progress is posted at most this often
+const PROGRESS_INTERVAL_MS = 100;
+
+// scan id -> AbortController
+const controllers = new Map();
+
+// The body is read below, so the request log only gets the request and its size
+addRequestObserver(entry => {
+  entry.response?.body?.cancel();
+  const { response, error, ...details } = entry;
+  self.postMessage({
+    type: 'request',
+    entry: { ...details, error: error ? serializeError(error) : null, responseNote: entry.ok ? 'Parsed in the scan worker (body not kept)' : null }
+  });
+});
+
+/**
+ * Turn an error into something postMessage can carry
+ * @param {Error} error
+ * @returns {object}
+ */
+function serializeError(error) {
+  const { name, message, code, status, statusText, method, url, region, body, attempts } = error;
+  return { name, message, code, status, statusText, method, url, region, body, attempts };
+}
+
+/**
+ * Run one scan and post its rows
+ * @param {object} message - 'scan' message
+ */
+async function runScan({ id, url, requestOptions, filter = {} }) {
+  const controller = new AbortController();
+  controllers.set(id, controller);
+
+  const rows = [];
+  let rowsParsed = 0;
+  let bytesReceived = 0;
+  let lastProgress = 0;
+
+  const postProgress = (totalBytes) => {
+    self.postMessage({ type: 'progress', id, bytesReceived, totalBytes, rowsParsed, rowsKept: rows.length });
+    lastProgress = Date.now();
+  };
+
+  try {
+    const response = await tandemFetch(url, requestOptions, { signal: controller.signal });
+    const totalBytes = Number(response.headers.get('Content-Length')) || null;
+    const parser = createJsonArrayParser(row => {
+      if (keepScanRow(row, rowsParsed, filter)) rows.push(row);
+      rowsParsed++;
+    });
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    // The fetch signal doesn't reach a body that is already being read
+    controller.signal.addEventListener('abort', () => reader.cancel(), { once: true });
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (controller.signal.aborted) {
+        throw new TandemApiError(`${requestOptions.method} ${url} was cancelled`, { code: 'aborted', method: requestOptions.method, url });
+      }
+      if (done) break;
+      bytesReceived += value.byteLength;
+      parser.push(decoder.decode(value, { stream: true }));
+      if (Date.now() - lastProgress >= PROGRESS_INTERVAL_MS) {
+        postProgress(totalBytes);
+      }
+    }
+    parser.push(decoder.decode());
+    parser.end();
+    postProgress(totalBytes);
+
+    self.postMessage({ type: 'done', id, rows, bytesReceived, rowsParsed });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, error: serializeError(error) });
+  } finally {
+    controllers.delete(id);
+  }
+}
+
+self.addEventListener('message', ({ data }) => {
+  if (data.type === 'scan') {
+    runScan(data);
+  } else if (data.type === 'cancel') {
+    controllers.get(data.id)?.abort();
+  }
+});
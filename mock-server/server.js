@@ -0,0 +1,414 @@
+/**
+ * Mock Tandem Server
+ *
+ * Offline stand-in for the Tandem REST API so the testbed can be used without an
+ * Autodesk login or real facilities. It implements the endpoints the STUBs call,
+ * backed by the fixture facilities in ./fixtures (see store.js).
+ *
+ * Usage:
+ *   npm run mock                      (listens on http://localhost:3001)
+ *   MOCK_PORT=4000 npm run mock       (other port)
+ *   MOCK_THROTTLE_RATE=0.2 npm run mock  (answer 20% of requests with HTTP 429)
+ *   MOCK_STREAM_VALUES_LIMIT=50 npm run mock  (cap stream value reads at 50 per property)
+ *
+ * Then open the testbed with ?env=mock (e.g. http://localhost:8000/?env=mock).
+ */
+
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { MockStore, toWebsafe } from './store.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const PORT = Number(process.env.MOCK_PORT) || 3001;
+const THROTTLE_RATE = Number(process.env.MOCK_THROTTLE_RATE) || 0;
+const STREAM_VALUES_LIMIT = Number(process.env.MOCK_STREAM_VALUES_LIMIT) || 10000;  // values per property in one timeseries GET
+const DB_PREFIX = '/tandem/v1';
+const APP_PREFIX = '/app';
+const THUMBNAIL_PATH = path.join(__dirname, '..', 'images', 'autodesk-tandem-small-social-400.png');
+
+/**
+ * Error with an HTTP status, turned into a JSON error response by the request handler
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const store = new MockStore();
+
+// ---------------------------------------------------------------------------
+// Response helpers
+// ---------------------------------------------------------------------------
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, Region',
+  'Access-Control-Expose-Headers': 'Retry-After'
+};
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendEmpty(res, status = 204) {
+  res.writeHead(status, CORS_HEADERS);
+  res.end();
+}
+
+async function sendThumbnail(res) {
+  const image = await readFile(THUMBNAIL_PATH);
+  res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'image/png' });
+  res.end(image);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<any>} Parsed body, or null if empty
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Lookups
+// ---------------------------------------------------------------------------
+
+function getFacility(urn) {
+  const facility = store.facilities.get(urn);
+  if (!facility) throw new HttpError(404, `Facility not found: ${urn}`);
+  return facility;
+}
+
+function getModel(urn) {
+  const model = store.models.get(urn);
+  if (!model) throw new HttpError(404, `Model not found: ${urn}`);
+  return model;
+}
+
+function getGroup(urn) {
+  const group = store.getGroup(urn);
+  if (!group) throw new HttpError(404, `Group not found: ${urn}`);
+  return group;
+}
+
+/**
+ * Find an item by uuid in a list of app-level group settings
+ */
+function getGroupItem(list, uuid) {
+  const item = list.find(entry => entry.uuid === uuid);
+  if (!item) throw new HttpError(404, `Not found: ${uuid}`);
+  return item;
+}
+
+function getOptionalNumber(params, name) {
+  const value = params.get(name);
+  return value === null || value === '' ? undefined : Number(value);
+}
+
+/**
+ * The "keys" array of a request body
+ * @param {object} body - Parsed JSON body
+ * @returns {Array<string>} Empty if the body has no keys
+ */
+function getBodyKeys(body) {
+  const keys = body?.keys ?? [];
+  if (!Array.isArray(keys)) throw new HttpError(400, 'keys must be an array');
+  return keys;
+}
+
+// ---------------------------------------------------------------------------
+// Routes
+// ---------------------------------------------------------------------------
+
+/**
+ * Routes of the Tandem DB API, relative to /tandem/v1
+ * Patterns use :name for path parameters; handlers receive (params, context).
+ */
+const dbRoutes = [
+  ['GET', '/health', () => ({ status: 'ok', mock: true, version: 'mock', facilities: store.facilities.size })],
+
+  // Users & groups
+  ['GET', '/users/:userId/resources', () => store.getUserResources()],
+  ['GET', '/users/:userId/twins', (p, ctx) => store.getTwinsInRegion(null, ctx.region)],
+  ['GET', '/groups', () => store.account.groups.map(({ urn, name, accessLevel }) => ({ urn, name, accessLevel }))],
+  ['GET', '/groups/:groupURN', (p) => {
+    const { urn, name, accessLevel } = getGroup(p.groupURN);
+    return { urn, name, accessLevel };
+  }],
+  ['GET', '/groups/:groupURN/metrics', (p) => getGroup(p.groupURN).metrics],
+  ['GET', '/groups/:groupURN/twins', (p, ctx) => {
+    getGroup(p.groupURN);
+    return store.getTwinsInRegion(p.groupURN, ctx.region);
+  }],
+
+  // Facilities
+  ['GET', '/twins/:facilityURN', (p) => getFacility(p.facilityURN).twin],
+  ['GET', '/twins/:facilityURN/thumbnail', (p, ctx) => {
+    getFacility(p.facilityURN);
+    return sendThumbnail(ctx.res);
+  }],
+  ['GET', '/twins/:facilityURN/views', (p) => getFacility(p.facilityURN).views],
+  ['GET', '/twins/:facilityURN/views/:viewId', (p) => {
+    const view = getFacility(p.facilityURN).views.find(v => v.id === p.viewId);
+    if (!view) throw new HttpError(404, `View not found: ${p.viewId}`);
+    return view;
+  }],
+  ['GET', '/twins/:facilityURN/views/:viewId/thumbnail', (p, ctx) => {
+    if (!getFacility(p.facilityURN).views.some(v => v.id === p.viewId)) {
+      throw new HttpError(404, `View not found: ${p.viewId}`);
+    }
+    return sendThumbnail(ctx.res);
+  }],
+  ['GET', '/twins/:facilityURN/users', (p) => getFacility(p.facilityURN).users],
+  ['GET', '/twins/:facilityURN/users/:userId', (p) => {
+    const user = getFacility(p.facilityURN).users[p.userId];
+    if (!user) throw new HttpError(404, `User not found: ${p.userId}`);
+    return user;
+  }],
+  ['GET', '/twins/:facilityURN/subjects', (p) => {
+    const users = getFacility(p.facilityURN).users;
+    return Object.entries(users).map(([id, user]) => ({ id, type: 'user', name: user.name, accessLevel: user.accessLevel }));
+  }],
+  ['GET', '/twins/:facilityURN/template', (p) => getFacility(p.facilityURN).twin.template],
+  ['GET', '/twins/:facilityURN/inlinetemplate', (p) => store.getInlineTemplate(getFacility(p.facilityURN))],
+  ['POST', '/twins/:facilityURN/docs', (p, ctx) => {
+    const twin = getFacility(p.facilityURN).twin;
+    const deleted = ctx.body?.delete || [];
+    twin.docs = twin.docs.filter(doc => !deleted.includes(doc.id));
+    const created = (ctx.body?.create || []).map(doc => ({ id: randomUUID(), ...doc }));
+    twin.docs.push(...created);
+    return { created, deleted };
+  }],
+
+  // Model metadata
+  ['GET', '/models/:modelURN/props', (p) => {
+    const model = getModel(p.modelURN);
+    return { label: model.label, version: model.version, elementCount: model.elements.size };
+  }],
+  ['POST', '/models/:modelURN/getstreamssecrets', (p, ctx) => {
+    getModel(p.modelURN);
+    const bodyKeys = getBodyKeys(ctx.body);
+    const keys = bodyKeys.length ? bodyKeys : [...store.secrets.keys()];
+    return Object.fromEntries(keys.filter(key => store.secrets.has(key)).map(key => [key, store.secrets.get(key)]));
+  }],
+  ['POST', '/models/:modelURN/resetstreamssecrets', (p, ctx) => {
+    getModel(p.modelURN);
+    for (const key of getBodyKeys(ctx.body)) {
+      store.secrets.set(key, toWebsafe(Buffer.from(randomUUID().replace(/-/g, ''), 'hex')));
+    }
+    return sendEmpty(ctx.res);
+  }],
+
+  // Model data
+  ['GET', '/modeldata/:modelURN/model', (p) => {
+    const model = getModel(p.modelURN);
+    return {
+      version: model.version,
+      label: model.label,
+      facility: model.facility.urn,
+      createdAt: model.transactions[0].t,
+      lastModified: model.transactions[model.transactions.length - 1].t
+    };
+  }],
+  ['GET', '/modeldata/:modelURN/aecmodeldata', (p) => {
+    const model = getModel(p.modelURN);
+    const levels = store.scan(model, { qualifiedColumns: ['n:a', 'n:n', 'n:el'], skipArrays: true })
+      .slice(1)
+      .filter(row => row['n:a'] === 0x01000001)
+      .map(row => ({ name: row['n:n'], elevation: row['n:el'] ?? 0, guid: row.k }));
+    return { documentId: p.modelURN, levels, phaseNames: ['Existing', 'New Construction'] };
+  }],
+  ['GET', '/modeldata/:modelURN/attrs', (p) => getModel(p.modelURN).schema.attributes],
+  ['GET', '/modeldata/:modelURN/schema', (p) => getModel(p.modelURN).schema],
+  ['POST', '/modeldata/:modelURN/fragments', (p, ctx) => {
+    const model = getModel(p.modelURN);
+    const rows = store.scan(model, { keys: getBodyKeys(ctx.body), qualifiedColumns: ['n:n'], skipArrays: true }).slice(1);
+    // Real fragments are binary geometry transforms; the mock returns one identity transform per element
+    return rows.map(row => ({ k: row.k, transform: [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0] }));
+  }],
+  ['GET', '/modeldata/:modelURN/scan', (p, ctx) => {
+    return store.scan(getModel(p.modelURN), {
+      families: ctx.query.getAll('family'),
+      qualifiedColumns: ctx.query.getAll('column')
+    });
+  }],
+  ['POST', '/modeldata/:modelURN/scan', (p, ctx) => store.scan(getModel(p.modelURN), { ...ctx.body, keys: getBodyKeys(ctx.body) })],
+  ['POST', '/modeldata/:modelURN/mutate', (p, ctx) => {
+    const result = store.mutate(getModel(p.modelURN), ctx.body || {}, store.account.user.name);
+    if (result.error) throw new HttpError(400, result.error);
+    return {};
+  }],
+  ['POST', '/modeldata/:modelURN/create', (p, ctx) => {
+    const key = store.create(getModel(p.modelURN), ctx.body || {}, store.account.user.name);
+    return { key };
+  }],
+  ['POST', '/modeldata/:modelURN/history', (p, ctx) => store.getHistory(getModel(p.modelURN), ctx.body || {})],
+
+  // Timeseries
+  ['POST', '/timeseries/models/:modelURN/streams', (p, ctx) => {
+    getModel(p.modelURN);
+    return store.getLastSeenValues(getBodyKeys(ctx.body));
+  }],
+  ['GET', '/timeseries/models/:modelURN/streams/:streamKey', (p, ctx) => {
+    getModel(p.modelURN);
+    const values = store.getStreamValues(p.streamKey, {
+      from: getOptionalNumber(ctx.query, 'from'),
+      to: getOptionalNumber(ctx.query, 'to'),
+      limit: Math.min(getOptionalNumber(ctx.query, 'limit') ?? STREAM_VALUES_LIMIT, STREAM_VALUES_LIMIT),
+      sort: ctx.query.get('sort') || 'asc'
+    });
+    if (!values) throw new HttpError(404, `Stream not found: ${p.streamKey}`);
+
+    // Substreams are not modelled - filter to one property if asked
+    const substream = ctx.query.get('substream');
+    return substream ? { [substream]: values[substream] || {} } : values;
+  }],
+  ['POST', '/timeseries/models/:modelURN/streams/:streamKey', (p, ctx) => {
+    const stored = store.postStreamValues(getModel(p.modelURN), p.streamKey, ctx.body || {});
+    if (stored === null) throw new HttpError(404, `Stream not found: ${p.streamKey}`);
+    return sendEmpty(ctx.res);
+  }]
+];
+
+/**
+ * Routes of the Tandem app API, relative to /app
+ */
+const appRoutes = [
+  ['GET', '/preferences', () => store.account.preferences],
+  ['GET', '/groups/:groupURN/classifications', (p) => getGroup(p.groupURN).classifications],
+  ['GET', '/groups/:groupURN/classifications/:uuid', (p) => getGroupItem(getGroup(p.groupURN).classifications, p.uuid)],
+  ['GET', '/groups/:groupURN/facility-templates', (p) => getGroup(p.groupURN).facilityTemplates],
+  ['GET', '/groups/:groupURN/facility-templates/:uuid', (p) => getGroupItem(getGroup(p.groupURN).facilityTemplates, p.uuid)],
+  ['GET', '/groups/:groupURN/params', (p) => getGroup(p.groupURN).params],
+  ['GET', '/groups/:groupURN/params/:uuid', (p) => getGroupItem(getGroup(p.groupURN).params, p.uuid)]
+];
+
+/**
+ * Match a path against a route pattern
+ * @param {string} pattern - e.g. '/twins/:facilityURN/views'
+ * @param {string} pathname - Request path without prefix
+ * @returns {object|null} Path parameters, or null if no match
+ */
+function matchRoute(pattern, pathname) {
+  const patternParts = pattern.split('/');
+  const pathParts = pathname.split('/');
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+/**
+ * Find the route for a request
+ * @returns {{handler: Function, params: object}|null}
+ */
+function findRoute(method, pathname) {
+  let routes;
+  let relativePath;
+  if (pathname.startsWith(DB_PREFIX + '/')) {
+    routes = dbRoutes;
+    relativePath = pathname.slice(DB_PREFIX.length);
+  } else if (pathname.startsWith(APP_PREFIX + '/')) {
+    routes = appRoutes;
+    relativePath = pathname.slice(APP_PREFIX.length);
+  } else {
+    return null;
+  }
+
+  for (const [routeMethod, pattern, handler] of routes) {
+    if (routeMethod !== method) continue;
+    const params = matchRoute(pattern, relativePath);
+    if (params) return { handler, params };
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  if (req.method === 'OPTIONS') {
+    return sendEmpty(res);
+  }
+
+  const route = findRoute(req.method, url.pathname);
+  if (!route) {
+    throw new HttpError(404, `No mock route for ${req.method} ${url.pathname}`);
+  }
+
+  if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+    throw new HttpError(401, 'Missing bearer token');
+  }
+
+  if (THROTTLE_RATE > 0 && Math.random() < THROTTLE_RATE) {
+    res.writeHead(429, { ...CORS_HEADERS, 'Content-Type': 'application/json', 'Retry-After': '1' });
+    res.end(JSON.stringify({ message: 'Too many requests (simulated)' }));
+    return;
+  }
+
+  const context = {
+    res,
+    query: url.searchParams,
+    region: req.headers.region || 'US',
+    body: req.method === 'POST' ? await readBody(req) : null
+  };
+
+  const result = await route.handler(route.params, context);
+  if (!res.headersSent) {
+    sendJSON(res, 200, result);
+  }
+}
+
+const server = http.createServer((req, res) => {
+  const startTime = Date.now();
+  res.on('finish', () => {
+    console.log(`${req.method} ${req.url} -> ${res.statusCode} (${Date.now() - startTime} ms)`);
+  });
+
+  handleRequest(req, res).catch(error => {
+    const status = error instanceof HttpError ? error.status : 500;
+    if (status === 500) console.error(error);
+    if (!res.headersSent) {
+      sendJSON(res, status, { message: error.message });
+    } else {
+      res.end();
+    }
+  });
+});
+
+await store.load(path.join(__dirname, 'fixtures'));
+server.listen(PORT, () => {
+  console.log(`Mock Tandem server listening on http://localhost:${PORT}`);
+  console.log(`  Tandem DB API:  http://localhost:${PORT}${DB_PREFIX}`);
+  console.log(`  Tandem App API: http://localhost:${PORT}${APP_PREFIX}`);
+  console.log(`  ${store.facilities.size} facilities, ${store.models.size} models, ${store.timeseries.size} streams`);
+});
@@ -0,0 +1,540 @@
+/**
+ * Mock Tandem Data Store
+ *
+ * Loads the JSON fixtures in ./fixtures and keeps an in-memory copy of every
+ * facility, model, element, property history and stream. Writes (/mutate, /create,
+ * stream values, docs) change this copy only - restart the server to reset.
+ *
+ * Fixture layout:
+ *   account.json - user, groups (with app-level classifications/templates/params), preferences
+ *   *.json       - one facility each: twin settings, models (schema + elements), streams
+ */
+
+import { readFile, readdir } from 'node:fs/promises';
+import { randomBytes, randomUUID, createHash } from 'node:crypto';
+import path from 'node:path';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Days of hourly stream values generated at startup
+const SEEDED_STREAM_DAYS = 14;
+
+// Element flag values (see tandem/constants.js ElementFlags)
+const LOGICAL_MASK = 0xff000000;
+const KEY_FLAG_LOGICAL = 0x01000000;
+
+// Client IDs recorded in history (c): writes through the REST API, and the seeded transactions
+const API_CLIENT_ID = 'mock-rest-client';
+const IMPORTER_CLIENT_ID = 'mock-importer';
+const WEB_CLIENT_ID = 'mock-tandem-web';
+
+/**
+ * Base64url without padding (the encoding Tandem uses for keys and URNs)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export function toWebsafe(buffer) {
+  return buffer.toString('base64url');
+}
+
+/**
+ * Element ID (last 20 bytes) of a short or full key - used to match keys of either form
+ * @param {string} key - Short (20 byte) or full (24 byte) element key
+ * @returns {string} Short key
+ */
+export function toElementId(key) {
+  const bytes = Buffer.from(key, 'base64url');
+  return toWebsafe(bytes.subarray(bytes.length - 20));
+}
+
+/**
+ * Deterministic pseudo-random generator, so seeded stream values are the same on every start
+ * @param {string} seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = createHash('md5').update(seed).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Build a classification tree from "A > B > C" strings (used by the inline template)
+ * @param {Array<string>} paths - Classification strings
+ * @returns {Array<object>} Tree nodes with name, fullName and children
+ */
+function buildClassificationTree(paths) {
+  const roots = [];
+  for (const fullPath of paths) {
+    let level = roots;
+    const parts = fullPath.split('>').map(part => part.trim());
+    parts.forEach((part, index) => {
+      const fullName = parts.slice(0, index + 1).join(' > ');
+      let node = level.find(n => n.name === part);
+      if (!node) {
+        node = { name: part, fullName, children: [] };
+        level.push(node);
+      }
+      level = node.children;
+    });
+  }
+  return roots;
+}
+
+/**
+ * In-memory copy of all fixtures
+ */
+export class MockStore {
+  constructor() {
+    this.account = null;
+    this.facilities = new Map();   // facility URN -> facility fixture
+    this.models = new Map();       // model URN -> { facility, label, schema, elements, version, transactions }
+    this.timeseries = new Map();   // stream key -> Map(propId -> [{t, v}] ascending)
+    this.secrets = new Map();      // stream key -> secret
+  }
+
+  /**
+   * Load all fixtures from a directory
+   * @param {string} fixturesDir
+   */
+  async load(fixturesDir) {
+    const files = (await readdir(fixturesDir)).filter(name => name.endsWith('.json')).sort();
+
+    for (const file of files) {
+      const data = JSON.parse(await readFile(path.join(fixturesDir, file), 'utf8'));
+      if (file === 'account.json') {
+        this.account = data;
+      } else {
+        this.addFacility(data);
+      }
+    }
+
+    if (!this.account) {
+      throw new Error(`account.json missing in ${fixturesDir}`);
+    }
+  }
+
+  /**
+   * Add one facility fixture
+   * @param {object} facility
+   */
+  addFacility(facility) {
+    const createdAt = facility.seededAt - 60 * DAY_MS;
+    this.facilities.set(facility.urn, facility);
+
+    for (const [modelURN, modelFixture] of Object.entries(facility.models)) {
+      const model = {
+        facility,
+        label: modelFixture.label,
+        schema: modelFixture.schema,
+        elements: new Map(), // element ID -> { k, cols: Map(qualifiedColumn -> [{t, v}] newest first), deleted }
+        version: 1,
+        transactions: []
+      };
+      const editTimes = new Map(); // timestamp -> keys changed
+
+      for (const row of modelFixture.elements) {
+        const older = modelFixture.valueHistory?.[row.k] || {};
+        const cols = new Map();
+
+        for (const [column, value] of Object.entries(row)) {
+          if (column === 'k') continue;
+          if (older[column]) {
+            // Current value was set at seededAt, older values at their fixture timestamps
+            const entries = [{ t: facility.seededAt, v: value }, ...older[column].map(([t, v]) => ({ t, v }))];
+            cols.set(column, entries.sort((a, b) => b.t - a.t));
+            for (const entry of entries) {
+              if (!editTimes.has(entry.t)) editTimes.set(entry.t, new Set());
+              editTimes.get(entry.t).add(row.k);
+            }
+          } else {
+            cols.set(column, [{ t: createdAt, v: value }]);
+          }
+        }
+        model.elements.set(toElementId(row.k), { k: row.k, cols, deleted: false });
+      }
+
+      model.transactions.push({
+        t: createdAt,
+        n: 'Mock Importer',
+        d: 'Initial model import',
+        o: 'create',
+        c: IMPORTER_CLIENT_ID,
+        i: randomUUID(),
+        k: modelFixture.elements.map(row => row.k)
+      });
+      [...editTimes.entries()].sort((a, b) => a[0] - b[0]).forEach(([t, keys]) => {
+        model.transactions.push({ t, n: this.account?.user?.name || 'Mock User', d: 'Mock edit', o: 'mutate', c: WEB_CLIENT_ID, i: randomUUID(), k: [...keys] });
+      });
+
+      this.models.set(modelURN, model);
+    }
+
+    this.seedTimeseries(facility);
+  }
+
+  /**
+   * Generate hourly values for every stream signal, ending now
+   * @param {object} facility
+   */
+  seedTimeseries(facility) {
+    const end = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+    const start = end - SEEDED_STREAM_DAYS * DAY_MS;
+
+    for (const [streamKey, signals] of Object.entries(facility.timeseries || {})) {
+      const props = new Map();
+      for (const [propId, signal] of Object.entries(signals)) {
+        const random = createRandom(`${streamKey}/${propId}`);
+        const values = [];
+        for (let t = start; t <= end; t += HOUR_MS) {
+          const phase = (2 * Math.PI * (t / HOUR_MS)) / signal.periodHours;
+          const value = signal.base + signal.amplitude * Math.sin(phase) + signal.noise * (random() * 2 - 1);
+          values.push({ t, v: Math.round(value * 100) / 100 });
+        }
+        props.set(propId, values);
+      }
+      this.timeseries.set(streamKey, props);
+      this.secrets.set(streamKey, toWebsafe(randomBytes(16)));
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Account & facilities
+  // ---------------------------------------------------------------------------
+
+  getGroup(groupURN) {
+    return this.account.groups.find(group => group.urn === groupURN) || null;
+  }
+
+  getUserResources() {
+    const twins = [...this.facilities.values()].map(facility => ({
+      urn: facility.urn,
+      region: facility.region,
+      accessLevel: facility.accessLevel,
+      ...(facility.groupUrn ? { grantedViaGroup: facility.groupUrn } : {})
+    }));
+    const groups = this.account.groups.map(({ urn, name, accessLevel }) => ({ urn, name, accessLevel }));
+    return { twins, groups };
+  }
+
+  /**
+   * Facilities of a group (or directly shared ones for null) in one region, keyed by URN
+   * @param {string|null} groupURN
+   * @param {string} region - Region header value
+   * @returns {object}
+   */
+  getTwinsInRegion(groupURN, region) {
+    const result = {};
+    for (const facility of this.facilities.values()) {
+      if ((facility.groupUrn || null) === groupURN && facility.region.toUpperCase() === region.toUpperCase()) {
+        result[facility.urn] = facility.twin;
+      }
+    }
+    return result;
+  }
+
+  getInlineTemplate(facility) {
+    const classifications = new Set();
+    const psets = new Map();
+
+    for (const modelURN of Object.keys(facility.models)) {
+      const model = this.models.get(modelURN);
+      for (const element of model.elements.values()) {
+        const classification = element.cols.get('n:v')?.[0]?.v;
+        if (classification) classifications.add(classification);
+      }
+      for (const attr of model.schema.attributes) {
+        if (attr.fam !== 'z') continue;
+        if (!psets.has(attr.category)) psets.set(attr.category, new Map());
+        psets.get(attr.category).set(attr.name, { name: attr.name, category: attr.category, dataType: attr.dataType });
+      }
+    }
+
+    return {
+      ...facility.twin.template,
+      classification: buildClassificationTree([...classifications].sort()),
+      psets: [...psets.entries()].map(([name, parameters]) => ({ name, parameters: [...parameters.values()] }))
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Model data
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Find an element by short or full key
+   * @param {object} model
+   * @param {string} key
+   * @returns {object|null}
+   */
+  findElement(model, key) {
+    try {
+      return model.elements.get(toElementId(key)) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Scan a model the way /modeldata/{urn}/scan does
+   * The first row is the version row, then one row per element.
+   *
+   * @param {object} model
+   * @param {object} options - families, qualifiedColumns, keys, includeHistory, skipArrays
+   * @returns {Array<object>}
+   */
+  scan(model, { families, qualifiedColumns, keys, includeHistory = false, skipArrays = false } = {}) {
+    const elements = keys?.length
+      ? keys.map(key => this.findElement(model, key)).filter(Boolean)
+      : [...model.elements.values()].filter(element => !element.deleted);
+
+    const wantsColumn = (column) => {
+      if (!families?.length && !qualifiedColumns?.length) return true;
+      if (qualifiedColumns?.includes(column)) return true;
+      return !!families?.includes(column.split(':')[0]);
+    };
+
+    const rows = [{ v: model.version }];
+    for (const element of elements) {
+      const row = { k: element.k };
+      let hasColumns = false;
+
+      for (const [column, entries] of element.cols) {
+        if (!wantsColumn(column)) continue;
+        if (includeHistory) {
+          // History is returned as [timestamp, value, timestamp, value, ...], newest first
+          row[column] = entries.flatMap(entry => [entry.t, entry.v]);
+        } else {
+          const current = entries[0];
+          if (current.deleted) continue;
+          row[column] = skipArrays ? current.v : [current.v];
+        }
+        hasColumns = true;
+      }
+
+      // Like the real service, a column filter only returns elements that have one of the columns
+      if (hasColumns || (!families?.length && !qualifiedColumns?.length)) {
+        rows.push(row);
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Apply a /mutate payload (muts[i] applies to keys[i])
+   * @param {object} model
+   * @param {object} payload - { keys, muts, desc }
+   * @param {string} user - User name recorded in history
+   * @returns {{error?: string}}
+   */
+  mutate(model, { keys = [], muts = [], desc = '' }, user) {
+    if (!Array.isArray(keys) || !Array.isArray(muts)) {
+      return { error: 'keys and muts must be arrays' };
+    }
+    if (keys.length !== muts.length) {
+      return { error: `keys (${keys.length}) and muts (${muts.length}) must have the same length` };
+    }
+
+    const elements = keys.map(key => this.findElement(model, key));
+    const missing = keys.filter((key, i) => !elements[i]);
+    if (missing.length > 0) {
+      return { error: `Unknown element key(s): ${missing.join(', ')}` };
+    }
+
+    const t = Date.now();
+    const changed = new Set();
+    const deletedRows = new Set();
+
+    muts.forEach(([action, fam, col, value], i) => {
+      const element = elements[i];
+      const column = `${fam}:${col}`;
+      const entries = element.cols.get(column) || [];
+
+      switch (action) {
+        case 'i': // Insert
+          entries.unshift({ t, v: value });
+          element.deleted = false;
+          break;
+        case 'c': // InsertIfDifferent
+          if (entries[0]?.deleted || entries[0]?.v !== value) {
+            entries.unshift({ t, v: value });
+            element.deleted = false;
+          } else {
+            return;
+          }
+          break;
+        case 'd': // Delete column
+          if (entries.length === 0) return;
+          entries.unshift({ t, v: null, deleted: true });
+          break;
+        case 'a': // DeleteRow (soft delete)
+          element.deleted = true;
+          changed.delete(element.k);
+          deletedRows.add(element.k);
+          return;
+        default:
+          return;
+      }
+      element.cols.set(column, entries);
+      deletedRows.delete(element.k);
+      changed.add(element.k);
+    });
+
+    if (changed.size > 0 || deletedRows.size > 0) {
+      model.version++;
+    }
+    // Deleted rows are recorded as their own operation, so history readers can tell them apart
+    if (changed.size > 0) {
+      model.transactions.push({ t, n: user, d: desc, o: 'mutate', c: API_CLIENT_ID, i: randomUUID(), k: [...changed] });
+    }
+    if (deletedRows.size > 0) {
+      model.transactions.push({ t, n: user, d: desc, o: 'delete', c: API_CLIENT_ID, i: randomUUID(), k: [...deletedRows] });
+    }
+    return {};
+  }
+
+  /**
+   * Apply a /create payload - creates one new element from the muts
+   * @param {object} model
+   * @param {object} payload - { muts, desc }
+   * @param {string} user
+   * @returns {string} Full key of the new element
+   */
+  create(model, { muts = [], desc = '' }, user) {
+    const flagsMut = muts.find(([, fam, col]) => fam === 'n' && col === 'a');
+    const isLogical = flagsMut ? (flagsMut[3] & LOGICAL_MASK) !== 0 : false;
+
+    const keyBytes = Buffer.alloc(24);
+    keyBytes.writeUInt32BE(isLogical ? KEY_FLAG_LOGICAL : 0, 0);
+    randomBytes(20).copy(keyBytes, 4);
+    const key = toWebsafe(keyBytes);
+
+    const t = Date.now();
+    const cols = new Map();
+    for (const [, fam, col, value] of muts) {
+      cols.set(`${fam}:${col}`, [{ t, v: value }]);
+    }
+    model.elements.set(toElementId(key), { k: key, cols, deleted: false });
+    model.version++;
+    model.transactions.push({ t, n: user, d: desc, o: 'create', c: API_CLIENT_ID, i: randomUUID(), k: [key] });
+
+    // New streams start with an empty timeseries
+    if (flagsMut && flagsMut[3] === 0x01000003) {
+      this.timeseries.set(key, new Map());
+      this.secrets.set(key, toWebsafe(randomBytes(16)));
+    }
+    return key;
+  }
+
+  /**
+   * Model history (/modeldata/{urn}/history)
+   * @param {object} model
+   * @param {object} options - { min, max, timestamps, includeChanges }
+   * @returns {Array<object>}
+   */
+  getHistory(model, { min, max, timestamps, includeChanges = false } = {}) {
+    return model.transactions
+      .filter(tx => {
+        if (timestamps?.length) return timestamps.includes(tx.t);
+        if (min !== undefined && tx.t < min) return false;
+        if (max !== undefined && tx.t > max) return false;
+        return true;
+      })
+      .map(tx => {
+        const { k, ...rest } = tx;
+        return includeChanges ? { ...rest, k } : rest;
+      });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Timeseries
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Values of one stream as { propId: { timestamp: value } }
+   * @param {string} streamKey
+   * @param {object} options - { from, to, limit, sort }
+   * @returns {object|null} Null if the stream does not exist
+   */
+  getStreamValues(streamKey, { from, to, limit, sort = 'asc' } = {}) {
+    const props = this.timeseries.get(streamKey);
+    if (!props) return null;
+
+    const result = {};
+    for (const [propId, values] of props) {
+      let selected = values.filter(({ t }) => (from === undefined || t >= from) && (to === undefined || t <= to));
+      if (sort === 'desc') selected = selected.slice().reverse();
+      if (limit !== undefined) selected = selected.slice(0, limit);
+      if (selected.length === 0) continue;
+
+      result[propId] = {};
+      for (const { t, v } of selected) {
+        result[propId][t] = v;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Latest value per property for each stream
+   * @param {Array<string>} streamKeys
+   * @returns {object}
+   */
+  getLastSeenValues(streamKeys) {
+    const result = {};
+    for (const key of streamKeys) {
+      const props = this.timeseries.get(key);
+      if (!props) continue;
+      result[key] = {};
+      for (const [propId, values] of props) {
+        const last = values[values.length - 1];
+        if (last) result[key][propId] = { [last.t]: last.v };
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Store posted stream values
+   * Properties can be given by ID ("z:AAA") or by name ("Temperature").
+   *
+   * @param {object} model - Default model (holds the stream schema)
+   * @param {string} streamKey
+   * @param {object|Array<object>} payload - One or more { ts, prop: value } objects
+   * @returns {number|null} Number of values stored, or null if the stream does not exist
+   */
+  postStreamValues(model, streamKey, payload) {
+    const props = this.timeseries.get(streamKey);
+    if (!props) return null;
+
+    const byName = new Map(model.schema.attributes.map(attr => [attr.name, attr.id]));
+    const changed = new Set();
+    let stored = 0;
+
+    for (const item of Array.isArray(payload) ? payload : [payload]) {
+      let t = Number(item.ts ?? Date.now());
+      if (t < 1e12) t *= 1000; // seconds -> milliseconds
+
+      for (const [name, value] of Object.entries(item)) {
+        if (name === 'ts') continue;
+        const propId = name.includes(':') ? name : byName.get(name);
+        if (!propId || typeof value !== 'number') continue;
+
+        if (!props.has(propId)) props.set(propId, []);
+        const values = props.get(propId);
+        values.push({ t, v: value });
+        changed.add(values);
+        stored++;
+      }
+    }
+
+    // Posted values can be older than stored ones
+    changed.forEach(values => values.sort((a, b) => a.t - b.t));
+    return stored;
+  }
+}
@@ -0,0 +1,312 @@
+/**
+ * Utility functions for converting user input to typed property values
+ *
+ * Values typed into the testbed are strings; /mutate needs the type the schema
+ * declares for the attribute (AttributeType). coerceValue() converts and validates
+ * one value and throws with a readable message if it can't, so callers can stop
+ * before anything is written.
+ */
+
+import {
+  AttributeType,
+  kElementIdSize,
+  kElementIdWithFlagsSize,
+  kModelIdSize
+} from './constants.js';
+import { toShortKeyArray, fromXrefKeyArray, toXrefKeyArray } from './keys.js';
+
+const kXrefSize = kModelIdSize + kElementIdWithFlagsSize;
+
+// ISO 8601 date, optionally with time and offset: 2024-05-01, 2024-05-01T10:30, 2024-05-01T10:30:00.000Z
+const ISO_8601_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// ISO 6709 Annex H: latitude, longitude, optional height, optional CRS, terminated by "/"
+const ISO_6709_PATTERN = /^([+-]\d{2}(?:\d{2}(?:\d{2})?)?(?:\.\d+)?)([+-]\d{3}(?:\d{2}(?:\d{2})?)?(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?(CRS[\w.:-]+)?\/$/;
+
+// Plain decimal notation - Number() would also take "0x10", "0b11", "1e3" and "Infinity"
+export const DECIMAL_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+
+const BOOLEAN_WORDS = {
+  true: true, yes: true, y: true, 1: true,
+  false: false, no: false, n: false, 0: false
+};
+
+/**
+ * Get the AttributeType name for a data type code
+ * @param {number} dataType
+ * @returns {string} e.g. "Double", or "Unknown" for codes not in AttributeType
+ */
+export function getAttributeTypeName(dataType) {
+  return Object.keys(AttributeType).find(key => AttributeType[key] === dataType) ?? 'Unknown';
+}
+
+/**
+ * Example input for an attribute type (for placeholders and error messages)
+ * @param {number} dataType
+ * @returns {string}
+ */
+export function getValueExample(dataType) {
+  switch (dataType) {
+    case AttributeType.Boolean: return 'true or false';
+    case AttributeType.Integer: return 'e.g. 42';
+    case AttributeType.Double:
+    case AttributeType.Float: return 'e.g. 3.14';
+    case AttributeType.DateTime: return 'e.g. 2024-05-01 or 2024-05-01T10:30:00Z';
+    case AttributeType.GeoLocation: return 'e.g. +40.7128-074.0060+10/ or 40.7128, -74.0060, 10';
+    case AttributeType.Position: return 'e.g. 1.5 2 0 - 2 to 4 numbers';
+    case AttributeType.Url: return 'e.g. https://example.com/manual.pdf';
+    case AttributeType.StringList: return 'e.g. tag1, tag2';
+    case AttributeType.DbKey: return 'element key';
+    case AttributeType.DbKeyList: return 'comma-separated element keys';
+    case AttributeType.ExDbKeyList: return 'comma-separated xrefs';
+    default: return 'text';
+  }
+}
+
+// Symbols for the unit IDs Tandem uses in dataTypeContext (autodesk.unit.unit:<id>-<version>)
+const UnitSymbols = {
+  celsius: '°C',
+  fahrenheit: '°F',
+  kelvin: 'K',
+  percentage: '%',
+  partsPerMillion: 'ppm',
+  watts: 'W',
+  kilowatts: 'kW',
+  kilowattHours: 'kWh',
+  volts: 'V',
+  amperes: 'A',
+  hertz: 'Hz',
+  pascals: 'Pa',
+  kilopascals: 'kPa',
+  litersPerSecond: 'L/s',
+  cubicMetersPerHour: 'm³/h',
+  cubicFeetPerMinute: 'CFM',
+  meters: 'm',
+  millimeters: 'mm',
+  squareMeters: 'm²',
+  lux: 'lx',
+  decibels: 'dB'
+};
+
+/**
+ * Unit label for an attribute's dataTypeContext
+ * @param {string} [dataTypeContext] - e.g. "autodesk.unit.unit:celsius-1.0.1"
+ * @returns {string} e.g. "°C"; unknown units are spelled out ("liters per minute"),
+ *   attributes without a unit give ''
+ */
+export function getUnitLabel(dataTypeContext) {
+  const match = /unit:([a-zA-Z]+)/.exec(dataTypeContext || '');
+  if (!match) return '';
+  return UnitSymbols[match[1]] ?? match[1].replace(/([A-Z])/g, ' $1').toLowerCase();
+}
+
+/**
+ * Number of bytes a websafe/standard base64 string decodes to, or -1 if it isn't base64
+ * @param {string} text
+ * @returns {number}
+ */
+function base64ByteLength(text) {
+  if (!/^[A-Za-z0-9_\-+/]+={0,2}$/.test(text)) {
+    return -1;
+  }
+  return Math.floor(text.replace(/=+$/, '').length * 3 / 4);
+}
+
+/**
+ * Split a comma (or newline) separated list, dropping empty items
+ * @param {string|Array} value
+ * @returns {Array<string>}
+ */
+function splitList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(/[,\n]/);
+  return items.map(item => String(item).trim()).filter(item => item !== '');
+}
+
+/**
+ * Parse a decimal number, rejecting partial matches like "12abc" that parseFloat accepts
+ * @param {string|number} value
+ * @param {string} typeName - For the error message; 'Integer' only accepts whole numbers
+ * @returns {number}
+ */
+function parseNumber(value, typeName) {
+  const text = String(value).trim();
+  const pattern = typeName === 'Integer' ? INTEGER_PATTERN : DECIMAL_PATTERN;
+  const number = typeof value === 'number' ? value : Number(text);
+  if ((typeof value !== 'number' && !pattern.test(text)) || !Number.isFinite(number)) {
+    throw new Error(`"${value}" is not a valid ${typeName} (${getValueExample(AttributeType[typeName])}).`);
+  }
+  return number;
+}
+
+/**
+ * Format decimal degrees as an ISO 6709 component, e.g. (40.5, 2) -> "+40.5", (-74, 3) -> "-074"
+ * @param {number} degrees
+ * @param {number} intDigits - 2 for latitude, 3 for longitude
+ * @returns {string}
+ */
+function formatIso6709Degrees(degrees, intDigits) {
+  const [intPart, fraction] = String(Math.abs(degrees)).split('.');
+  return `${degrees < 0 ? '-' : '+'}${intPart.padStart(intDigits, '0')}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Coerce a GeoLocation value: ISO 6709 Annex H string, or "lat, lon[, height]" in decimal degrees
+ * @param {string} value
+ * @returns {string} ISO 6709 string
+ */
+function coerceGeoLocation(value) {
+  const text = String(value).trim();
+
+  const match = text.match(ISO_6709_PATTERN);
+  if (match) {
+    // Only the decimal degrees form (+DD.DDD) can be range checked without unpacking minutes/seconds
+    const lat = match[1].replace(/^[+-]/, '').split('.')[0].length === 2 ? Math.abs(parseFloat(match[1])) : 0;
+    const lon = match[2].replace(/^[+-]/, '').split('.')[0].length === 3 ? Math.abs(parseFloat(match[2])) : 0;
+    if (lat > 90 || lon > 180) {
+      throw new Error(`"${value}" is out of range (latitude ±90, longitude ±180).`);
+    }
+    return text;
+  }
+
+  const parts = text.split(/[,\s]+/).filter(Boolean);
+  if (parts.length === 2 || parts.length === 3) {
+    const [lat, lon, height] = parts.map(part => parseNumber(part, 'Double'));
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      throw new Error(`"${value}" is out of range (latitude ±90, longitude ±180).`);
+    }
+    const heightPart = height === undefined ? '' : `${height < 0 ? '-' : '+'}${Math.abs(height)}`;
+    return `${formatIso6709Degrees(lat, 2)}${formatIso6709Degrees(lon, 3)}${heightPart}/`;
+  }
+
+  throw new Error(`"${value}" is not a valid GeoLocation (${getValueExample(AttributeType.GeoLocation)}).`);
+}
+
+/**
+ * Coerce a raw (usually string) value to the type of a schema attribute
+ *
+ * @param {any} value - Raw value, typically the text typed into a form
+ * @param {Object|number} attr - Schema attribute ({ dataType, name, ... }) or a bare AttributeType
+ * @returns {any} Value ready to go into a /mutate payload
+ * @throws {Error} If the value can't be converted - the message says what was expected
+ */
+export function coerceValue(value, attr) {
+  const dataType = typeof attr === 'number' ? attr : attr?.dataType ?? AttributeType.String;
+  const typeName = getAttributeTypeName(dataType);
+
+  if (value === null || value === undefined) {
+    throw new Error(`A ${typeName} value is required.`);
+  }
+
+  switch (dataType) {
+    case AttributeType.Boolean: {
+      if (typeof value === 'boolean') return value;
+      const result = BOOLEAN_WORDS[String(value).trim().toLowerCase()];
+      if (result === undefined) {
+        throw new Error(`"${value}" is not a valid Boolean (use true or false).`);
+      }
+      return result;
+    }
+
+    case AttributeType.Integer: {
+      const number = parseNumber(value, typeName);
+      if (!Number.isSafeInteger(number)) {
+        throw new Error(`"${value}" is not a whole number (Integer).`);
+      }
+      return number;
+    }
+
+    case AttributeType.Double:
+    case AttributeType.Float:
+      return parseNumber(value, typeName);
+
+    case AttributeType.DateTime: {
+      const text = value instanceof Date ? value.toISOString() : String(value).trim();
+      // Date.parse() rolls impossible dates over (2024-02-30 -> March 1), so check the date part round-trips
+      const datePart = text.slice(0, 10);
+      if (!ISO_8601_PATTERN.test(text) || Number.isNaN(Date.parse(text)) ||
+          new Date(`${datePart}T00:00:00Z`).toISOString().slice(0, 10) !== datePart) {
+        throw new Error(`"${value}" is not an ISO 8601 date (${getValueExample(dataType)}).`);
+      }
+      return text;
+    }
+
+    case AttributeType.GeoLocation:
+      return coerceGeoLocation(value);
+
+    case AttributeType.Position: {
+      const parts = Array.isArray(value) ? value : String(value).trim().split(/[,\s]+/).filter(Boolean);
+      if (parts.length < 2 || parts.length > 4) {
+        throw new Error(`"${value}" is not a valid Position (${getValueExample(dataType)}).`);
+      }
+      return parts.map(part => parseNumber(part, 'Double')).join(' ');
+    }
+
+    case AttributeType.Url: {
+      const text = String(value).trim();
+      try {
+        new URL(text);
+      } catch {
+        throw new Error(`"${value}" is not an absolute URL (${getValueExample(dataType)}).`);
+      }
+      return text;
+    }
+
+    case AttributeType.StringList:
+      return splitList(value).join(',');
+
+    case AttributeType.DbKey:
+    case AttributeType.DbKeyList: {
+      const keys = splitList(value);
+      if (dataType === AttributeType.DbKey && keys.length !== 1) {
+        throw new Error(`A DbKey holds exactly one element key (got ${keys.length}).`);
+      }
+      keys.forEach(key => {
+        const length = base64ByteLength(key);
+        if (length !== kElementIdSize && length !== kElementIdWithFlagsSize) {
+          throw new Error(`"${key}" is not an element key (expected ${kElementIdSize} or ${kElementIdWithFlagsSize} bytes).`);
+        }
+      });
+      // References within a model are stored as packed short keys
+      return toShortKeyArray(keys);
+    }
+
+    case AttributeType.ExDbKeyList: {
+      const modelKeys = [];
+      const elementKeys = [];
+      splitList(value).forEach(xref => {
+        const length = base64ByteLength(xref);
+        if (length <= 0 || length % kXrefSize !== 0) {
+          throw new Error(`"${xref}" is not an xref (expected a multiple of ${kXrefSize} bytes).`);
+        }
+        const [models, elements] = fromXrefKeyArray(xref);
+        modelKeys.push(...models);
+        elementKeys.push(...elements);
+      });
+      return toXrefKeyArray(modelKeys, elementKeys);
+    }
+
+    case AttributeType.BLOB:
+      throw new Error('BLOB properties can\'t be set from text input.');
+
+    // String, LocalizableString, Unknown - stored as typed
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Validate a value against a schema attribute without throwing
+ *
+ * @param {any} value - Raw value
+ * @param {Object|number} attr - Schema attribute or AttributeType
+ * @returns {{valid: boolean, value?: any, error?: string}} Coerced value, or the reason it was rejected
+ */
+export function validateValue(value, attr) {
+  try {
+    return { valid: true, value: coerceValue(value, attr) };
+  } catch (error) {
+    const name = typeof attr === 'object' && attr?.name ? `${attr.name}: ` : '';
+    return { valid: false, error: `${name}${error.message}` };
+  }
+}
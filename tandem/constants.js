@@ -208,3 +208,10 @@ export const HC = {
    Timestamp: 't',
    Username: 'n'
 };
+
+// history operations (HC.Operation)
+export const HistoryOperations = {
+   Create: 'create',
+   DeleteRow: 'delete',
+   Mutate: 'mutate'
+};
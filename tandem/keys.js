@@ -118,6 +118,57 @@ export function decodeXref(xref) {
   }
 }
 
+/**
+ * Decode websafe base64 (with or without padding) to bytes
+ * @param {string} text 
+ * @returns {Uint8Array}
+ */
+function decodeWebsafe(text) {
+  let standardB64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  while (standardB64.length % 4) {
+    standardB64 += '=';
+  }
+  return new Uint8Array(atob(standardB64).split('').map(c => c.charCodeAt(0)));
+}
+
+/**
+ * Encode bytes as websafe base64 without padding
+ * @param {Uint8Array} bytes 
+ * @returns {string}
+ */
+function encodeWebsafe(bytes) {
+  let binary = '';
+  // Chunked so long key arrays don't exceed the argument limit of fromCharCode.apply
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return makeWebsafe(btoa(binary));
+}
+
+/**
+ * Get the flags of a full key (first 4 bytes)
+ * @param {string} fullKey - Full element key (24 bytes)
+ * @returns {number|null} Key flags (see KeyFlags), or null for short keys
+ */
+export function getKeyFlags(fullKey) {
+  const bytes = decodeWebsafe(fullKey);
+  if (bytes.length !== kElementIdWithFlagsSize) {
+    return null;
+  }
+  return readInt32BE(bytes);
+}
+
+/**
+ * Check whether a full key belongs to a logical element (level, room, stream, type...)
+ * Short keys carry no flags, so they always return false.
+ * @param {string} fullKey - Full element key (24 bytes)
+ * @returns {boolean}
+ */
+export function isLogicalKey(fullKey) {
+  const flags = getKeyFlags(fullKey);
+  return flags !== null && (flags & KeyFlags.Logical) !== 0;
+}
+
 /**
  * Make an Xref key for the database that is the modelURN + the element Key.
  * @param {string} modelURN 
@@ -177,6 +228,62 @@ export function fromShortKeyArray(text, useFullKeys, isLogical) {
   return result;
 }
 
+/**
+ * Converts array of keys (short or full) to encoded string of short keys.
+ * This is the format of reference columns within a model, e.g. l:r (room) or l:l (level).
+ * Inverse of fromShortKeyArray().
+ * 
+ * @param {Array.<string>} keys - Short (20 byte) or full (24 byte) element keys
+ * @returns {string}
+ */
+export function toShortKeyArray(keys) {
+  const binData = new Uint8Array(keys.length * kElementIdSize);
+
+  keys.forEach((key, i) => {
+    const bytes = decodeWebsafe(key);
+
+    if (bytes.length !== kElementIdSize && bytes.length !== kElementIdWithFlagsSize) {
+      throw new Error(`Invalid element key (${bytes.length} bytes): ${key}`);
+    }
+    // Full keys drop their flags - only the element ID is stored
+    binData.set(bytes.subarray(bytes.length - kElementIdSize), i * kElementIdSize);
+  });
+  return encodeWebsafe(binData);
+}
+
+/**
+ * Converts model and element keys to encoded xref string.
+ * This is the format of cross-model reference columns, e.g. x:r (room in another model).
+ * Inverse of fromXrefKeyArray().
+ * 
+ * @param {Array<string>} modelKeys - Model IDs, with or without the "urn:adsk.dtm:" prefix
+ * @param {Array<string>} elementKeys - Full element keys (24 bytes), one per model key
+ * @returns {string}
+ */
+export function toXrefKeyArray(modelKeys, elementKeys) {
+  if (modelKeys.length !== elementKeys.length) {
+    throw new Error(`Expected one element key per model key (${modelKeys.length} vs ${elementKeys.length})`);
+  }
+
+  const xrefSize = kModelIdSize + kElementIdWithFlagsSize;
+  const binData = new Uint8Array(modelKeys.length * xrefSize);
+
+  modelKeys.forEach((modelKey, i) => {
+    const modelBytes = decodeWebsafe(modelKey.replace(/^urn:adsk\.dtm:/, ''));
+    const keyBytes = decodeWebsafe(elementKeys[i]);
+
+    if (modelBytes.length !== kModelIdSize) {
+      throw new Error(`Invalid model key (${modelBytes.length} bytes): ${modelKey}`);
+    }
+    if (keyBytes.length !== kElementIdWithFlagsSize) {
+      throw new Error(`Xrefs need full element keys (${keyBytes.length} bytes): ${elementKeys[i]}`);
+    }
+    binData.set(modelBytes, i * xrefSize);
+    binData.set(keyBytes, i * xrefSize + kModelIdSize);
+  });
+  return encodeWebsafe(binData);
+}
+
 /**
  * Converts xref key to model and element keys.
  * Returns arrays of model keys and element keys extracted from the xref array
@@ -230,7 +337,21 @@ function writeInt32BE(array, value, offset = 0) {
   array[offset] = (value >> 24) & 0xff;
   array[offset + 1] = (value >> 16) & 0xff;
   array[offset + 2] = (value >> 8) & 0xff;
-  array[offset + 3] = (value >> 8) & 0xff;
+  array[offset + 3] = value & 0xff;
+}
+
+/**
+ * Read an unsigned 32-bit big-endian integer (inverse of writeInt32BE)
+ * 
+ * @param {Uint8Array} array 
+ * @param {number} [offset]
+ * @returns {number}
+ */
+function readInt32BE(array, offset = 0) {
+  return ((array[offset] << 24) |
+    (array[offset + 1] << 16) |
+    (array[offset + 2] << 8) |
+    array[offset + 3]) >>> 0;
 }
 
 /**
@@ -295,3 +416,43 @@ export function toSystemId(fullKey) {
   }
 }
 
+/**
+ * Read a variable-length integer (varint) from a buffer
+ * @param {Uint8Array} buffer - Buffer to read from
+ * @param {Array<number>} offset - Array with single offset value (for reference)
+ * @returns {number} Unsigned value
+ */
+function readVarint(buffer, offset) {
+  let value = 0;
+  let shift = 0;
+  let byte;
+
+  do {
+    if (offset[0] >= buffer.length) {
+      throw new Error('Truncated varint');
+    }
+    byte = buffer[offset[0]++];
+    value += (byte & 0x7f) * Math.pow(2, shift);
+    shift += 7;
+  } while (byte & 0x80);
+  return value;
+}
+
+/**
+ * Convert system ID back to the number it was made from
+ * Inverse of toSystemId(): the result is the last 4 bytes of the system element's key
+ * read as an unsigned big-endian integer. The rest of the key is not part of the ID,
+ * so to find the system element compare against toSystemId() of candidate keys.
+ * @param {string} systemId - System ID (base64 encoded, URL-safe, no padding)
+ * @returns {number} Unsigned 32-bit ID
+ */
+export function fromSystemId(systemId) {
+  const buff = decodeWebsafe(systemId);
+  const offset = [0];
+  const id = readVarint(buff, offset);
+
+  if (offset[0] !== buff.length || id > 0xffffffff) {
+    throw new Error(`Invalid system ID: ${systemId}`);
+  }
+  return id;
+}
@@ -0,0 +1,197 @@
+/**
+ * Tests for coerceValue() and validateValue() in tandem/attributes.js
+ *
+ * Each AttributeType gets the inputs it should accept (with the value that goes
+ * into /mutate) and the inputs it should reject. Number types only take plain
+ * decimals, so 0x10, 0b11, 1e3 and Infinity are rejected even though Number()
+ * would read them.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { coerceValue, validateValue, DECIMAL_PATTERN } from '../tandem/attributes.js';
+import { toFullKey, toShortKeyArray, toXrefKeyArray } from '../tandem/keys.js';
+import { AttributeType } from '../tandem/constants.js';
+
+const SHORT_KEY = Buffer.alloc(20, 7).toString('base64url');
+const OTHER_SHORT_KEY = Buffer.alloc(20, 9).toString('base64url');
+const MODEL_KEY = Buffer.alloc(16, 3).toString('base64url');
+
+const NOT_DECIMAL = ['0x10', '0b11', '0o7', '1e3', '1E-2', 'Infinity', '-Infinity', 'NaN', '12abc', '1,5', '', ' '];
+
+/**
+ * Assert that each input coerces to the expected value
+ * @param {number} dataType - AttributeType
+ * @param {Array<Array>} cases - [input, expected] pairs
+ */
+function assertAccepted(dataType, cases) {
+  for (const [input, expected] of cases) {
+    assert.deepEqual(coerceValue(input, dataType), expected, `${JSON.stringify(input)} as type ${dataType}`);
+  }
+}
+
+/**
+ * Assert that each input is rejected
+ * @param {number} dataType - AttributeType
+ * @param {Array} inputs
+ */
+function assertRejected(dataType, inputs) {
+  for (const input of inputs) {
+    assert.throws(() => coerceValue(input, dataType), Error, `${JSON.stringify(input)} as type ${dataType}`);
+  }
+}
+
+test('DECIMAL_PATTERN only matches plain decimals', () => {
+  for (const text of ['0', '42', '-7', '+3', '3.14', '-.5', '1.']) {
+    assert.equal(DECIMAL_PATTERN.test(text), true, text);
+  }
+  for (const text of NOT_DECIMAL) {
+    assert.equal(DECIMAL_PATTERN.test(text), false, text);
+  }
+});
+
+test('missing values are rejected for every type', () => {
+  for (const dataType of Object.values(AttributeType)) {
+    assertRejected(dataType, [null, undefined]);
+  }
+});
+
+test('Boolean', () => {
+  assertAccepted(AttributeType.Boolean, [
+    [true, true], [false, false],
+    ['true', true], [' Yes ', true], ['y', true], ['1', true],
+    ['FALSE', false], ['no', false], ['n', false], ['0', false]
+  ]);
+  assertRejected(AttributeType.Boolean, ['maybe', '2', '', 'on']);
+});
+
+test('Integer', () => {
+  assertAccepted(AttributeType.Integer, [
+    ['42', 42], [' -7 ', -7], ['+3', 3], ['0', 0], [42, 42], ['9007199254740991', 9007199254740991]
+  ]);
+  assertRejected(AttributeType.Integer, [...NOT_DECIMAL, '4.5', '1.', 4.5, '9007199254740993', Infinity, NaN]);
+});
+
+test('Double and Float', () => {
+  for (const dataType of [AttributeType.Double, AttributeType.Float]) {
+    assertAccepted(dataType, [
+      ['3.14', 3.14], ['-.5', -0.5], ['1.', 1], [' 20 ', 20], ['+2.5', 2.5], [0.25, 0.25]
+    ]);
+    assertRejected(dataType, [...NOT_DECIMAL, Infinity, NaN]);
+  }
+});
+
+test('DateTime', () => {
+  assertAccepted(AttributeType.DateTime, [
+    ['2024-05-01', '2024-05-01'],
+    [' 2024-05-01T10:30 ', '2024-05-01T10:30'],
+    ['2024-05-01T10:30:00.000Z', '2024-05-01T10:30:00.000Z'],
+    ['2024-05-01T10:30:00+02:00', '2024-05-01T10:30:00+02:00'],
+    ['2024-02-29', '2024-02-29'],
+    [new Date(Date.UTC(2024, 4, 1, 10, 30)), '2024-05-01T10:30:00.000Z']
+  ]);
+  assertRejected(AttributeType.DateTime, ['2024-02-30', '2023-02-29', '2024-13-01', '01/05/2024', 'May 1 2024', '1714557600', '']);
+});
+
+test('GeoLocation', () => {
+  assertAccepted(AttributeType.GeoLocation, [
+    ['+40.7128-074.0060+10/', '+40.7128-074.0060+10/'],
+    ['+40.7128-074.0060/', '+40.7128-074.0060/'],
+    ['40.7128, -74.006', '+40.7128-074.006/'],
+    ['40.7128, -74.006, 10', '+40.7128-074.006+10/'],
+    ['-33.5 151 -2', '-33.5+151-2/']
+  ]);
+  assertRejected(AttributeType.GeoLocation, [
+    '+91.0+000.0/', '+00.0+181.0/', '91, 0', '0, 181',
+    '40.7128', '1, 2, 3, 4', '0x10, 0', '40, 1e3', 'Infinity, 0', 'somewhere'
+  ]);
+});
+
+test('Position', () => {
+  assertAccepted(AttributeType.Position, [
+    ['1.5 2 0', '1.5 2 0'],
+    ['1, 2', '1 2'],
+    ['-1 -2 -3 1', '-1 -2 -3 1'],
+    [[1, '2', 3], '1 2 3']
+  ]);
+  assertRejected(AttributeType.Position, ['1', '1 2 3 4 5', '1 0x10', '1 1e3', '1 Infinity', '1 abc', '']);
+});
+
+test('Url', () => {
+  assertAccepted(AttributeType.Url, [
+    ['https://example.com/manual.pdf', 'https://example.com/manual.pdf'],
+    [' mailto:facilities@example.com ', 'mailto:facilities@example.com']
+  ]);
+  assertRejected(AttributeType.Url, ['manual.pdf', 'example.com', '/docs/manual.pdf', '']);
+});
+
+test('StringList', () => {
+  assertAccepted(AttributeType.StringList, [
+    ['tag1, tag2', 'tag1,tag2'],
+    ['a,,b\nc ', 'a,b,c'],
+    [['x', ' y '], 'x,y'],
+    ['', '']
+  ]);
+});
+
+test('DbKey and DbKeyList are stored as packed short keys', () => {
+  const fullKey = toFullKey(SHORT_KEY, false);
+  const otherFullKey = toFullKey(OTHER_SHORT_KEY, true);
+
+  assertAccepted(AttributeType.DbKey, [
+    [SHORT_KEY, toShortKeyArray([SHORT_KEY])],
+    [fullKey, toShortKeyArray([SHORT_KEY])]
+  ]);
+  assertRejected(AttributeType.DbKey, [`${SHORT_KEY},${OTHER_SHORT_KEY}`, '', 'AAAA', 'not a key!']);
+
+  assertAccepted(AttributeType.DbKeyList, [
+    [`${fullKey}, ${OTHER_SHORT_KEY}`, toShortKeyArray([SHORT_KEY, OTHER_SHORT_KEY])],
+    [[SHORT_KEY, otherFullKey], toShortKeyArray([SHORT_KEY, OTHER_SHORT_KEY])]
+  ]);
+  assertRejected(AttributeType.DbKeyList, [`${SHORT_KEY},AAAA`, Buffer.alloc(16).toString('base64url')]);
+});
+
+test('ExDbKeyList joins the given xrefs', () => {
+  const first = toXrefKeyArray([MODEL_KEY], [toFullKey(SHORT_KEY, false)]);
+  const second = toXrefKeyArray([MODEL_KEY], [toFullKey(OTHER_SHORT_KEY, true)]);
+  const both = toXrefKeyArray([MODEL_KEY, MODEL_KEY], [toFullKey(SHORT_KEY, false), toFullKey(OTHER_SHORT_KEY, true)]);
+
+  assertAccepted(AttributeType.ExDbKeyList, [
+    [first, first],
+    [`${first}, ${second}`, both],
+    [both, both]
+  ]);
+  assertRejected(AttributeType.ExDbKeyList, [SHORT_KEY, `${first},AAAA`, 'not an xref!']);
+});
+
+test('BLOB values are rejected', () => {
+  assertRejected(AttributeType.BLOB, ['AAAA', '']);
+});
+
+test('String, LocalizableString and Unknown keep the value as text', () => {
+  for (const dataType of [AttributeType.String, AttributeType.LocalizableString, AttributeType.Unknown]) {
+    assertAccepted(dataType, [[' AHU-01 ', ' AHU-01 '], [42, '42'], ['0x10', '0x10'], ['', '']]);
+  }
+});
+
+test('an attribute object works like its dataType', () => {
+  assert.equal(coerceValue('12', { dataType: AttributeType.Integer, name: 'Floors' }), 12);
+  assert.equal(coerceValue('12', {}), '12');
+});
+
+test('validateValue returns the coerced value or the reason', () => {
+  assert.deepEqual(validateValue('3.5', AttributeType.Double), { valid: true, value: 3.5 });
+  assert.deepEqual(validateValue('yes', { dataType: AttributeType.Boolean, name: 'Operational' }), { valid: true, value: true });
+
+  for (const input of ['0x10', '0b11', '1e3', 'Infinity']) {
+    const result = validateValue(input, { dataType: AttributeType.Double, name: 'Design Flow Rate' });
+    assert.equal(result.valid, false, input);
+    assert.equal(result.value, undefined, input);
+    assert.match(result.error, /^Design Flow Rate: ".*" is not a valid Double/, input);
+  }
+
+  const bare = validateValue('1e3', AttributeType.Integer);
+  assert.equal(bare.valid, false);
+  assert.match(bare.error, /^"1e3" is not a valid Integer/);
+});
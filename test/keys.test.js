@@ -0,0 +1,160 @@
+/**
+ * Round-trip tests for the key encoders in tandem/keys.js
+ *
+ * Keys are random but seeded, so a failure can be reproduced: the seed of each
+ * round is part of the assertion message.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  toShortKey,
+  toFullKey,
+  getKeyFlags,
+  isLogicalKey,
+  toShortKeyArray,
+  fromShortKeyArray,
+  toXrefKeyArray,
+  fromXrefKeyArray,
+  toSystemId,
+  fromSystemId
+} from '../tandem/keys.js';
+import { KeyFlags, kElementIdSize, kModelIdSize } from '../tandem/constants.js';
+
+const ROUNDS = 200;
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random bytes as websafe base64 without padding
+ * @param {Function} random
+ * @param {number} size
+ * @returns {string}
+ */
+function randomKey(random, size) {
+  const bytes = Buffer.from(Array.from({ length: size }, () => Math.floor(random() * 256)));
+  return bytes.toString('base64url');
+}
+
+/**
+ * Random short key, full physical key or full logical key
+ * @param {Function} random
+ * @returns {{shortKey: string, physical: string, logical: string}}
+ */
+function randomElement(random) {
+  const shortKey = randomKey(random, kElementIdSize);
+  return { shortKey, physical: toFullKey(shortKey, false), logical: toFullKey(shortKey, true) };
+}
+
+test('full keys carry their flags and shorten back to the short key', () => {
+  for (let seed = 1; seed <= ROUNDS; seed++) {
+    const { shortKey, physical, logical } = randomElement(createRandom(seed));
+    assert.equal(toShortKey(physical), shortKey, `seed ${seed}`);
+    assert.equal(toShortKey(logical), shortKey, `seed ${seed}`);
+    assert.equal(getKeyFlags(physical), KeyFlags.Physical, `seed ${seed}`);
+    assert.equal(getKeyFlags(logical), KeyFlags.Logical, `seed ${seed}`);
+    assert.equal(isLogicalKey(logical), true, `seed ${seed}`);
+    assert.equal(isLogicalKey(physical), false, `seed ${seed}`);
+    assert.equal(getKeyFlags(shortKey), null, `seed ${seed}`);
+  }
+});
+
+test('toShortKeyArray / fromShortKeyArray round-trip short and full keys', () => {
+  for (let seed = 1; seed <= ROUNDS; seed++) {
+    const random = createRandom(seed);
+    const elements = Array.from({ length: 1 + Math.floor(random() * 20) }, () => randomElement(random));
+    const shortKeys = elements.map(e => e.shortKey);
+
+    // Short, physical and logical input all encode to the same array
+    const encoded = toShortKeyArray(shortKeys);
+    assert.equal(toShortKeyArray(elements.map(e => e.physical)), encoded, `seed ${seed}`);
+    assert.equal(toShortKeyArray(elements.map(e => e.logical)), encoded, `seed ${seed}`);
+
+    assert.deepEqual(fromShortKeyArray(encoded, false), shortKeys, `seed ${seed}`);
+    assert.deepEqual(fromShortKeyArray(encoded, true, false), elements.map(e => e.physical), `seed ${seed}`);
+    assert.deepEqual(fromShortKeyArray(encoded, true, true), elements.map(e => e.logical), `seed ${seed}`);
+  }
+});
+
+test('toShortKeyArray rejects keys of the wrong size', () => {
+  assert.throws(() => toShortKeyArray([randomKey(createRandom(1), 16)]), /Invalid element key/);
+});
+
+test('toXrefKeyArray / fromXrefKeyArray round-trip model and element keys', () => {
+  for (let seed = 1; seed <= ROUNDS; seed++) {
+    const random = createRandom(seed);
+    const count = 1 + Math.floor(random() * 10);
+    const modelKeys = Array.from({ length: count }, () => randomKey(random, kModelIdSize));
+    const elementKeys = Array.from({ length: count }, () => {
+      const element = randomElement(random);
+      return random() < 0.5 ? element.physical : element.logical;
+    });
+
+    const encoded = toXrefKeyArray(modelKeys, elementKeys);
+    assert.deepEqual(fromXrefKeyArray(encoded), [modelKeys, elementKeys], `seed ${seed}`);
+
+    // The "urn:adsk.dtm:" prefix is optional
+    assert.equal(toXrefKeyArray(modelKeys.map(key => `urn:adsk.dtm:${key}`), elementKeys), encoded, `seed ${seed}`);
+  }
+});
+
+test('toXrefKeyArray needs one full element key per model key', () => {
+  const random = createRandom(1);
+  const modelKey = randomKey(random, kModelIdSize);
+  const { shortKey, physical } = randomElement(random);
+  assert.throws(() => toXrefKeyArray([modelKey], [physical, physical]), /one element key per model key/);
+  assert.throws(() => toXrefKeyArray([modelKey], [shortKey]), /full element keys/);
+});
+
+test('toSystemId / fromSystemId round-trip the last 4 bytes of the key', () => {
+  for (let seed = 1; seed <= ROUNDS; seed++) {
+    const random = createRandom(seed);
+    const { physical } = randomElement(random);
+    const bytes = Buffer.from(physical, 'base64url');
+    const expected = bytes.readUInt32BE(bytes.length - 4);
+
+    const systemId = toSystemId(physical);
+    assert.equal(fromSystemId(systemId), expected, `seed ${seed}`);
+  }
+
+  // Edge values: 0, one varint byte, high bit set
+  for (const value of [0, 0x7f, 0x80, 0xffffffff, 0x80000000]) {
+    const bytes = Buffer.alloc(24);
+    bytes.writeUInt32BE(value, 20);
+    assert.equal(fromSystemId(toSystemId(bytes.toString('base64url'))), value, `value ${value}`);
+  }
+});
+
+test('fromSystemId rejects trailing bytes and truncated varints', () => {
+  assert.throws(() => fromSystemId(Buffer.from([0x01, 0x02]).toString('base64url')), /Invalid system ID/);
+  assert.throws(() => fromSystemId(Buffer.from([0x80]).toString('base64url')), /Truncated varint/);
+});
+
+test('key flags are read and written as four big-endian bytes', () => {
+  // Arbitrary flags, so every byte is checked - KeyFlags values only use the high byte
+  const bytes = Buffer.alloc(24);
+  bytes.writeUInt32BE(0x01020304, 0);
+  assert.equal(getKeyFlags(bytes.toString('base64url')), 0x01020304);
+
+  for (let seed = 1; seed <= ROUNDS; seed++) {
+    const { shortKey } = randomElement(createRandom(seed));
+    const [logical] = fromShortKeyArray(toShortKeyArray([shortKey]), true, true);
+    const [physical] = fromShortKeyArray(toShortKeyArray([shortKey]), true, false);
+    assert.equal(Buffer.from(logical, 'base64url').readUInt32BE(0), KeyFlags.Logical, `seed ${seed}`);
+    assert.equal(Buffer.from(physical, 'base64url').readUInt32BE(0), KeyFlags.Physical, `seed ${seed}`);
+  }
+});
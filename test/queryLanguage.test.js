@@ -0,0 +1,202 @@
+/**
+ * Tests for the element query language in js/utils/queryLanguage.js
+ *
+ * parseQuery() is checked through the syntax trees it builds and the positions
+ * of its errors; compareValue() through the value pairs each operator has to tell apart.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  parseQuery,
+  getConditions,
+  evaluateQuery,
+  compareValue,
+  QuerySyntaxError
+} from '../js/utils/queryLanguage.js';
+
+/**
+ * Condition node as parseQuery() builds it
+ * @param {string|null} property
+ * @param {string} op
+ * @param {any} value
+ * @returns {object}
+ */
+function condition(property, op, value) {
+  return { type: 'condition', property, op, value };
+}
+
+/**
+ * Assert that a query fails to parse at the given character offset
+ * @param {string} text
+ * @param {number} position - 0-based offset
+ * @param {RegExp} message
+ */
+function assertSyntaxError(text, position, message) {
+  assert.throws(() => parseQuery(text), (error) => {
+    assert.ok(error instanceof QuerySyntaxError, `${JSON.stringify(text)} threw ${error}`);
+    assert.equal(error.position, position, JSON.stringify(text));
+    assert.match(error.message, message, JSON.stringify(text));
+    assert.ok(error.message.endsWith(`(at character ${position + 1})`), error.message);
+    return true;
+  });
+}
+
+test('a property can span words and keep its dots', () => {
+  assert.deepEqual(parseQuery('Identity Data.Mark ~ "AHU-*"'), condition('Identity Data.Mark', '~', 'AHU-*'));
+  assert.deepEqual(parseQuery('z:5mQ>=20'), condition('z:5mQ', '>=', 20));
+  assert.deepEqual(parseQuery('Asset Information.Serial Number exists'),
+    condition('Asset Information.Serial Number', 'exists', null));
+  assert.deepEqual(parseQuery('classification under "HVAC > Terminal Units"'),
+    condition(null, 'under', 'HVAC > Terminal Units'));
+});
+
+test('every operator is read, two-character ones first', () => {
+  for (const op of ['=', '!=', '>', '>=', '<', '<=', '~', '!~']) {
+    assert.deepEqual(parseQuery(`A ${op} 1`), condition('A', op, 1), op);
+    assert.deepEqual(parseQuery(`A${op}1`), condition('A', op, 1), op);
+  }
+});
+
+test('AND binds tighter than OR, NOT tighter than AND', () => {
+  const [a, b, c] = [condition('A', '=', 1), condition('B', '=', 2), condition('C', '=', 3)];
+
+  assert.deepEqual(parseQuery('A = 1 OR B = 2 AND C = 3'), { type: 'or', children: [a, { type: 'and', children: [b, c] }] });
+  assert.deepEqual(parseQuery('A = 1 AND B = 2 OR C = 3'), { type: 'or', children: [{ type: 'and', children: [a, b] }, c] });
+  assert.deepEqual(parseQuery('A = 1 and B = 2 and C = 3'), { type: 'and', children: [a, b, c] });
+  assert.deepEqual(parseQuery('NOT A = 1 AND B = 2'), { type: 'and', children: [{ type: 'not', child: a }, b] });
+  assert.deepEqual(parseQuery('not not A = 1'), { type: 'not', child: { type: 'not', child: a } });
+});
+
+test('parentheses override precedence', () => {
+  const [a, b, c] = [condition('A', '=', 1), condition('B', '=', 2), condition('C', '=', 3)];
+
+  assert.deepEqual(parseQuery('(A = 1 OR B = 2) AND C = 3'), { type: 'and', children: [{ type: 'or', children: [a, b] }, c] });
+  assert.deepEqual(parseQuery('NOT (A = 1 OR B = 2)'), { type: 'not', child: { type: 'or', children: [a, b] } });
+  assert.deepEqual(parseQuery('((A = 1))'), a);
+});
+
+test('quoted values stay text, bare values become numbers and booleans', () => {
+  assert.deepEqual(parseQuery('A = 42'), condition('A', '=', 42));
+  assert.deepEqual(parseQuery('A = -1.5'), condition('A', '=', -1.5));
+  assert.deepEqual(parseQuery('A = "42"'), condition('A', '=', '42'));
+  assert.deepEqual(parseQuery('A = TRUE'), condition('A', '=', true));
+  assert.deepEqual(parseQuery('A = false'), condition('A', '=', false));
+  assert.deepEqual(parseQuery('A = "true"'), condition('A', '=', 'true'));
+  assert.deepEqual(parseQuery('A = AHU-01'), condition('A', '=', 'AHU-01'));
+
+  for (const text of ['0x10', '0b11', '1e3', 'Infinity']) {
+    assert.deepEqual(parseQuery(`A = ${text}`), condition('A', '=', text), text);
+  }
+});
+
+test('quotes allow spaces, keywords, operators and escaped quotes', () => {
+  assert.deepEqual(parseQuery('"Identity Data.Mark" = "AHU 01"'), condition('Identity Data.Mark', '=', 'AHU 01'));
+  assert.deepEqual(parseQuery("A = 'x AND y = (z)'"), condition('A', '=', 'x AND y = (z)'));
+  assert.deepEqual(parseQuery('A = "say \\"hi\\""'), condition('A', '=', 'say "hi"'));
+  assert.deepEqual(parseQuery("A = 'it\\'s'"), condition('A', '=', "it's"));
+  assert.deepEqual(parseQuery('"Has Exists" exists'), condition('Has Exists', 'exists', null));
+});
+
+test('syntax errors point at the offending character', () => {
+  assertSyntaxError('', 0, /^Query is empty/);
+  assertSyntaxError('   ', 0, /^Query is empty/);
+  assertSyntaxError('Mark = "AHU', 7, /^Unterminated string/);
+  assertSyntaxError('Mark ! 1', 5, /^Unknown operator "!"/);
+  assertSyntaxError('= 1', 0, /^Expected a property name/);
+  assertSyntaxError('Mark 5', 6, /^Expected an operator after "Mark 5"/);
+  assertSyntaxError('Mark =', 6, /^Expected a value after "="/);
+  assertSyntaxError('Mark => 1', 6, /^Expected a value after "="/);
+  assertSyntaxError('Mark = 1 AND', 12, /^Expected a condition/);
+  assertSyntaxError('(Mark = 1', 0, /^Missing "\)"/);
+  assertSyntaxError('Mark = 1)', 8, /^Unexpected "\)" - missing AND \/ OR\?/);
+  assertSyntaxError('Mark = 1 Name = 2', 9, /^Unexpected "Name" - missing AND \/ OR\?/);
+  assertSyntaxError('classification under', 20, /^Expected a classification after "under"/);
+});
+
+test('getConditions and evaluateQuery walk the whole tree', () => {
+  const root = parseQuery('A = 1 AND NOT (B = 2 OR C exists)');
+  assert.deepEqual(getConditions(root).map(node => node.property), ['A', 'B', 'C']);
+
+  const check = (values) => evaluateQuery(root, node => compareValue(values[node.property], node.op, node.value));
+  assert.equal(check({ A: 1 }), true);
+  assert.equal(check({ A: 1, B: 2 }), false);
+  assert.equal(check({ A: 1, C: 'x' }), false);
+  assert.equal(check({ A: 2 }), false);
+});
+
+test('compareValue compares numbers as numbers', () => {
+  assert.equal(compareValue(10, '>', 9), true);
+  assert.equal(compareValue('10', '>', 9), true);
+  assert.equal(compareValue('10', '>', '9'), true);
+  assert.equal(compareValue(' 2.50 ', '=', 2.5), true);
+  assert.equal(compareValue(-0.5, '<', 0), true);
+  assert.equal(compareValue(20, '>=', 20), true);
+  assert.equal(compareValue(20, '<=', 19.99), false);
+  assert.equal(compareValue(3, '!=', 3), false);
+});
+
+test('compareValue compares everything else as text', () => {
+  // Number() would read these as 16, 3, 1000 and Infinity
+  assert.equal(compareValue('0x10', '=', 16), false);
+  assert.equal(compareValue(16, '=', '0x10'), false);
+  assert.equal(compareValue('0b11', '=', 3), false);
+  assert.equal(compareValue('1e3', '=', 1000), false);
+  assert.equal(compareValue('Infinity', '>', 1), true); // "I" sorts after "1"
+  assert.equal(compareValue('0x10', '=', '0x10'), true);
+
+  assert.equal(compareValue('10', '>', 'abc'), false);
+  assert.equal(compareValue('b', '>', 'a'), true);
+  assert.equal(compareValue('AHU-01', '=', 'ahu-01'), false);
+  assert.equal(compareValue('2024-05-01', '>', '2024-04-30'), true);
+  assert.equal(compareValue('2024-05-01T10:00:00Z', '<', '2024-05-01T09:00:00Z'), false);
+});
+
+test('compareValue treats booleans as 1 and 0', () => {
+  assert.equal(compareValue(true, '=', true), true);
+  assert.equal(compareValue(true, '=', false), false);
+  assert.equal(compareValue(1, '=', true), true);
+  assert.equal(compareValue(0, '=', false), true);
+  assert.equal(compareValue(false, '!=', true), true);
+  assert.equal(compareValue('1', '=', true), true);
+  assert.equal(compareValue('true', '=', true), true);
+  assert.equal(compareValue('yes', '=', true), false);
+});
+
+test('compareValue matches wildcards ignoring case', () => {
+  assert.equal(compareValue('AHU-01', '~', 'ahu-*'), true);
+  assert.equal(compareValue('AHU-01', '~', 'AHU-0?'), true);
+  assert.equal(compareValue('AHU-101', '~', 'AHU-0?'), false);
+  assert.equal(compareValue('AHU-01', '~', 'AHU'), false);
+  assert.equal(compareValue('AHUx01', '~', 'AHU.01'), false);
+  assert.equal(compareValue('a+b (1)', '~', 'A+B (*)'), true);
+  assert.equal(compareValue(42, '~', '4*'), true);
+  assert.equal(compareValue('AHU-01', '!~', 'VAV-*'), true);
+  assert.equal(compareValue('AHU-01', '!~', 'ahu-*'), false);
+});
+
+test('compareValue handles missing values', () => {
+  for (const missing of [undefined, null]) {
+    assert.equal(compareValue(missing, 'exists', null), false);
+    assert.equal(compareValue(missing, '=', 'x'), false);
+    assert.equal(compareValue(missing, '>', 0), false);
+    assert.equal(compareValue(missing, '~', '*'), false);
+    assert.equal(compareValue(missing, '!=', 'x'), true);
+    assert.equal(compareValue(missing, '!~', 'x'), true);
+    assert.equal(compareValue(missing, 'under', 'HVAC'), false);
+  }
+  assert.equal(compareValue('', 'exists', null), false);
+  assert.equal(compareValue(0, 'exists', null), true);
+  assert.equal(compareValue(false, 'exists', null), true);
+});
+
+test('classification under matches the classification and everything below it', () => {
+  assert.equal(compareValue('HVAC', 'under', 'HVAC'), true);
+  assert.equal(compareValue('HVAC > Terminal Units', 'under', 'HVAC'), true);
+  assert.equal(compareValue('HVAC > Terminal Units > VAV', 'under', 'HVAC > Terminal Units'), true);
+  assert.equal(compareValue('HVACX', 'under', 'HVAC'), false);
+  assert.equal(compareValue('Rooms > Lobby', 'under', 'HVAC'), false);
+  assert.equal(compareValue('HVAC > Terminal Units', 'under', 'HVAC > *'), true);
+  assert.equal(compareValue('HVAC', 'under', 'HVAC > *'), false);
+});